@@ -1,9 +1,31 @@
+import { BrowserRouter, Routes, Route } from "react-router-dom";
 import FinancialAIAgent from "./FinancialAIAgent";
+import { MoneyProvider } from "./money/MoneyContext";
+import { ThemeProvider } from "./theme/ThemeContext";
+import { PrivacyProvider } from "./privacy/PrivacyContext";
+import { LanguageProvider } from "./i18n/LanguageContext";
+import { ROUTES, NotFoundPage } from "./routes";
+
 function App() {
   return (
-    <>
-    <FinancialAIAgent/>
-    </>
+    <LanguageProvider>
+      <ThemeProvider>
+        <PrivacyProvider>
+          <MoneyProvider>
+            <BrowserRouter basename={process.env.PUBLIC_URL} future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+              <Routes>
+                <Route element={<FinancialAIAgent />}>
+                  {ROUTES.map(({ path, component: Page }) => (
+                    <Route key={path} path={path} element={<Page />} />
+                  ))}
+                  <Route path="*" element={<NotFoundPage />} />
+                </Route>
+              </Routes>
+            </BrowserRouter>
+          </MoneyProvider>
+        </PrivacyProvider>
+      </ThemeProvider>
+    </LanguageProvider>
   );
 }
 
@@ -0,0 +1,198 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import App from './App';
+import { financialSummaryFixture } from './api/mock/fixtures';
+import { clearConversations } from './chat/chatStore';
+import { clearSnapshots } from './history/snapshotStore';
+import { saveCachedSummary } from './api/summaryCache';
+
+// Canvas drawing isn't available in jsdom
+jest.mock('react-chartjs-2', () => ({ Bar: () => null, Line: () => null, Doughnut: () => null }));
+
+// The real client, talking to a fetch stand-in: each test decides how every endpoint
+// answers, and the client's own error mapping turns that into what the app sees. Like
+// fetch, a request rejects once its signal aborts, even if the endpoint hasn't answered.
+let mockBackend = {};
+const mockRequests = [];
+jest.mock('./api/client', () => {
+  const { createApiClient } = jest.requireActual('./api/client');
+  return {
+    apiClient: createApiClient({
+      baseUrl: 'http://backend.test',
+      timeoutMs: 0,
+      maxRetries: 0,
+      fetchImpl: async (url, options) => {
+        const endpoint = url.replace('http://backend.test', '');
+        const body = JSON.parse(options.body);
+        mockRequests.push({ endpoint, body });
+        const handler = mockBackend[endpoint];
+        const { signal } = options;
+        return new Promise((resolve, reject) => {
+          const abort = () => reject(new DOMException('The operation was aborted.', 'AbortError'));
+          if (signal?.aborted) abort();
+          signal?.addEventListener('abort', abort, { once: true });
+          Promise.resolve(handler ? handler(body, options) : mockResponse(404, { error: 'Not found' })).then(resolve, reject);
+        });
+      },
+    }),
+  };
+});
+
+// The per-user stores live in IndexedDB; only when they are written and cleared matters here
+jest.mock('./chat/chatStore', () => ({ ...jest.requireActual('./chat/chatStore'), clearConversations: jest.fn() }));
+jest.mock('./history/snapshotStore', () => ({ ...jest.requireActual('./history/snapshotStore'), clearSnapshots: jest.fn() }));
+jest.mock('./api/summaryCache', () => ({ ...jest.requireActual('./api/summaryCache'), saveCachedSummary: jest.fn() }));
+
+const mockResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: () => 'application/json' },
+  text: async () => JSON.stringify(body),
+  json: async () => body,
+});
+
+const SESSION_STORAGE_KEY = 'finsure.session';
+const storedSession = () => JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+const summaryRequests = () => mockRequests.filter(request => request.endpoint === '/getFinancialSummary');
+
+beforeAll(() => {
+  global.crypto = { randomUUID: () => Math.random().toString(36).slice(2) };
+});
+
+beforeEach(() => {
+  localStorage.clear();
+  sessionStorage.clear();
+  mockRequests.length = 0;
+  mockBackend = {};
+  clearConversations.mockResolvedValue();
+  clearSnapshots.mockResolvedValue();
+  saveCachedSummary.mockResolvedValue();
+  // Request logs, jsdom's missing IndexedDB and navigation are all reported on the console
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('App', () => {
+  test('shows a loading state until the summary arrives, then the dashboard', async () => {
+    let answer;
+    mockBackend['/getFinancialSummary'] = () => new Promise(resolve => {
+      answer = () => resolve(mockResponse(200, financialSummaryFixture));
+    });
+    render(<App />);
+
+    expect(screen.getByText('Loading your personalized financial dashboard...')).toBeInTheDocument();
+    await waitFor(() => expect(summaryRequests()).toHaveLength(1));
+    expect(summaryRequests()[0].body).toEqual({ userId: storedSession().id });
+
+    answer();
+    expect(await screen.findByRole('heading', { name: 'FinSure.Ai' })).toBeInTheDocument();
+    expect(await screen.findByRole('group', { name: 'Total Net Worth' })).toHaveTextContent('₹23,85,610.5');
+    expect(screen.getByRole('navigation', { name: 'Main' })).toBeInTheDocument();
+    expect(screen.queryByText('Loading your personalized financial dashboard...')).not.toBeInTheDocument();
+  });
+
+  test('loads the dashboard under StrictMode, which unmounts and remounts once', async () => {
+    mockBackend['/getFinancialSummary'] = () => mockResponse(200, financialSummaryFixture);
+    render(<React.StrictMode><App /></React.StrictMode>);
+
+    expect(await screen.findByRole('heading', { name: 'FinSure.Ai' })).toBeInTheDocument();
+  });
+
+  test('shows an error page when the first load fails, and recovers on retry', async () => {
+    mockBackend['/getFinancialSummary'] = () => mockResponse(500, { error: 'MCP server unavailable' });
+    render(<App />);
+
+    expect(await screen.findByRole('heading', { name: 'Error Loading Dashboard' })).toBeInTheDocument();
+    expect(screen.getByText('Failed to load financial data: MCP server unavailable')).toBeInTheDocument();
+
+    mockBackend['/getFinancialSummary'] = () => mockResponse(200, financialSummaryFixture);
+    fireEvent.click(screen.getByRole('button', { name: 'Try Again' }));
+
+    expect(await screen.findByRole('group', { name: 'Total Net Worth' })).toBeInTheDocument();
+    expect(summaryRequests()).toHaveLength(2);
+  });
+
+  test('starts a new session once when the backend no longer knows the old one', async () => {
+    mockBackend['/getFinancialSummary'] = () => mockResponse(400, { error: 'Invalid session ID' });
+    render(<App />);
+
+    expect(await screen.findByRole('heading', { name: 'Error Loading Dashboard' })).toBeInTheDocument();
+    expect(screen.getByText(/Session invalid\. Please log in to Fi Money again/)).toBeInTheDocument();
+    const [first, second] = summaryRequests();
+    expect(summaryRequests()).toHaveLength(2);
+    expect(second.body.userId).not.toBe(first.body.userId);
+    expect(storedSession().id).toBe(second.body.userId);
+  });
+
+  test('redirects to the Fi Money login, keeping the session for the way back', async () => {
+    mockBackend['/getFinancialSummary'] = () => mockResponse(401, { error: 'login_required', login_url: 'https://fi.money/login?session=abc' });
+    render(<App />);
+
+    await waitFor(() => expect(storedSession().loginPending).toBe(true));
+    expect(summaryRequests()).toHaveLength(1);
+    expect(storedSession().id).toBe(summaryRequests()[0].body.userId);
+  });
+
+  test('does not redirect again after coming back from a login that did not finish', async () => {
+    const session = { id: 'returning-session', createdAt: Date.now(), expiresAt: Date.now() + 60 * 60 * 1000, loginPending: true };
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+    mockBackend['/getFinancialSummary'] = () => mockResponse(401, { error: 'login_required', login_url: 'https://fi.money/login?session=returning-session' });
+    render(<App />);
+
+    expect(await screen.findByRole('heading', { name: 'Sign in to Fi Money' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Sign in with Fi Money' })).toBeEnabled();
+    expect(summaryRequests()[0].body.userId).toBe('returning-session');
+    expect(storedSession().loginPending).toBe(false);
+  });
+
+  test("logging out clears the session and the user's stored data and tells the backend", async () => {
+    mockBackend['/getFinancialSummary'] = () => mockResponse(200, financialSummaryFixture);
+    mockBackend['/logout'] = () => mockResponse(200, { success: true });
+    const alertRules = [{ id: 'drop', type: 'netWorthDrop', threshold: 5, enabled: true }];
+    localStorage.setItem('finsure.alertRules', JSON.stringify(alertRules));
+    localStorage.setItem('finsure.alertHistory', JSON.stringify([{ id: 'a1', title: 'Net worth dropped', raisedAt: 1, read: false }]));
+    localStorage.setItem('finsure.goals', JSON.stringify([{ id: 'g1', name: 'House', targetAmount: 5000000 }]));
+    localStorage.setItem('finsure.scenarios', JSON.stringify([{ id: 's1', name: 'Prepay loan' }]));
+    localStorage.setItem('finsure.cashflowRules', JSON.stringify([{ id: 'r1', category: 'food', direction: 'any', keywords: ['cafe'] }]));
+    sessionStorage.setItem('finsure.activeConversation', 'c1');
+    render(<App />);
+    await screen.findByRole('heading', { name: 'FinSure.Ai' });
+    const sessionId = storedSession().id;
+
+    fireEvent.click(screen.getByRole('button', { name: 'Log out' }));
+
+    expect(await screen.findByRole('heading', { name: 'You are signed out' })).toBeInTheDocument();
+    expect(localStorage.getItem(SESSION_STORAGE_KEY)).toBeNull();
+    expect(clearConversations).toHaveBeenCalled();
+    expect(clearSnapshots).toHaveBeenCalled();
+    ['finsure.alertHistory', 'finsure.alertBaselines', 'finsure.goals', 'finsure.scenarios', 'finsure.cashflowRules'].forEach(key => {
+      expect([key, localStorage.getItem(key)]).toEqual([key, null]);
+    });
+    expect(sessionStorage.getItem('finsure.activeConversation')).toBeNull();
+    // Rules are settings of this browser rather than anyone's figures
+    expect(JSON.parse(localStorage.getItem('finsure.alertRules'))).toEqual(alertRules);
+    await waitFor(() => expect(mockRequests).toContainEqual({ endpoint: '/logout', body: { userId: sessionId } }));
+  });
+
+  test('a dashboard request still in flight at logout is dropped rather than cached', async () => {
+    let answerRefresh;
+    mockBackend['/getFinancialSummary'] = () => mockResponse(200, financialSummaryFixture);
+    mockBackend['/logout'] = () => mockResponse(200, { success: true });
+    render(<App />);
+    await screen.findByRole('heading', { name: 'FinSure.Ai' });
+    expect(saveCachedSummary).toHaveBeenCalledTimes(1);
+
+    mockBackend['/getFinancialSummary'] = () => new Promise(resolve => { answerRefresh = resolve; });
+    fireEvent.click(screen.getByTitle('Refresh data'));
+    await waitFor(() => expect(summaryRequests()).toHaveLength(2));
+    fireEvent.click(screen.getByRole('button', { name: 'Log out' }));
+    expect(await screen.findByRole('heading', { name: 'You are signed out' })).toBeInTheDocument();
+
+    answerRefresh(mockResponse(200, financialSummaryFixture));
+    await waitFor(() => expect(mockRequests.some(request => request.endpoint === '/logout')).toBe(true));
+    await act(() => Promise.resolve());
+    expect(saveCachedSummary).toHaveBeenCalledTimes(1);
+    expect(screen.getByRole('heading', { name: 'You are signed out' })).toBeInTheDocument();
+  });
+});
@@ -1,490 +1,314 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-import {
-  Home, DollarSign, CreditCard, TrendingUp, Target, Briefcase, MessageSquare, Mic, StopCircle, User, LogOut, Moon, Sun
-} from 'lucide-react';
-import { Chart as ChartJS, ArcElement, Tooltip, Legend, CategoryScale, LinearScale, BarElement } from 'chart.js';
-import { Doughnut, Bar } from 'react-chartjs-2';
-// Register Chart.js components
-ChartJS.register(ArcElement, Tooltip, Legend, CategoryScale, LinearScale, BarElement);
-
-// --- Backend URL Configuration ---
-// IMPORTANT: Replace this with the URL of your locally running Node.js backend.
-// Default for local Express app is usually http://localhost:8080
-const BACKEND_BASE_URL = 'http://localhost:8000'; // <--- CHANGE THIS TO YOUR LOCAL BACKEND URL
-
-// --- Helper Functions ---
-const formatCurrency = (value) => {
-  if (!value || typeof value.units === 'undefined') return 'N/A';
-  const units = parseInt(value.units, 10);
-  const nanos = value.nanos ? value.nanos / 1_000_000_000 : 0;
-  const total = units + nanos;
-  return new Intl.NumberFormat('en-IN', {
-    style: 'currency',
-    currency: value.currencyCode || 'INR',
-    maximumFractionDigits: 2,
-    minimumFractionDigits: 0
-  }).format(total);
-};
-
-const calculateTotal = (items) => {
-  return items.reduce((sum, item) => {
-    const units = parseInt(item.value.units, 10) || 0;
-    const nanos = item.value.nanos ? item.value.nanos / 1_000_000_000 : 0;
-    return sum + units + nanos;
-  }, 0);
-};
-
-const getAssetLiabilityData = (netWorthResponse) => {
-  const assets = netWorthResponse.assetValues.map(a => ({
-    label: a.netWorthAttribute.replace('ASSET_TYPE_', '').replace('_', ' '),
-    value: parseInt(a.value.units, 10) || 0
-  }));
-  const liabilities = netWorthResponse.liabilityValues.map(l => ({
-    label: l.netWorthAttribute.replace('LIABILITY_TYPE_', '').replace('_', ' '),
-    value: parseInt(l.value.units, 10) || 0
-  }));
-
-  const assetLabels = assets.map(a => a.label);
-  const assetValues = assets.map(a => a.value);
-  const liabilityLabels = liabilities.map(l => l.label);
-  const liabilityValues = liabilities.map(l => l.value);
-
-  return { assetLabels, assetValues, liabilityLabels, liabilityValues };
-};
-
-// --- Real Backend API Calls ---
-// This function now makes actual fetch calls to your Node.js backend.
-const callBackendApi = async (endpoint, data = {}) => {
-  console.log(`Making API call to ${BACKEND_BASE_URL}${endpoint} with data:`, data);
-  try {
-    const response = await fetch(`${BACKEND_BASE_URL}${endpoint}`, {
-      method: 'POST', // Both your backend endpoints are POST
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(data),
-    });
-
-    // Check for 401 Unauthorized specifically for login redirection from backend
-    if (response.status === 401) {
-      const errorData = await response.json();
-      if (errorData.error === 'Authentication required' && errorData.login_url) {
-        // Throw a specific error that App component can catch for redirection
-        throw { type: 'login_required', login_url: errorData.login_url };
-      }
-    }
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      // Check for specific "Invalid session ID" error from backend
-      if (errorData.error && errorData.error.includes('Invalid session ID')) {
-        throw { type: 'invalid_session', message: errorData.error };
-      }
-      throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
-    }
-
-    return await response.json();
-  } catch (error) {
-    console.error('Error during backend API call:', error);
-    throw error; // Re-throw the error, including the structured errors
-  }
-};
-
-// --- Glass Card Component ---
-const GlassCard = ({ children, className = "" }) => (
-  <div className={`
-    backdrop-blur-xl bg-gray-800/30 border border-gray-600/30 rounded-xl shadow-lg
-    ${className}
-  `}>
-    {children}
-  </div>
-);
-
-// --- FinancialSummaryCard Component ---
-const FinancialSummaryCard = ({ title, value, icon: Icon, description, trend }) => (
-  <GlassCard className="p-4 flex flex-col items-center text-center">
-    <div className="p-3 bg-gray-700/40 rounded-lg mb-3">
-      <Icon className="text-gray-300" size={24} />
-    </div>
-    <h3 className="text-sm font-medium text-gray-400 mb-1">{title}</h3>
-    <p className="text-xl font-semibold text-gray-200 mb-1">
-      {value}
-    </p>
-    <p className="text-xs text-gray-500">{description}</p>
-    {trend && (
-      <div className="mt-2 flex items-center">
-        <TrendingUp className="text-gray-400 mr-1" size={12} />
-        <span className="text-gray-400 text-xs">{trend}</span>
-      </div>
-    )}
-  </GlassCard>
-);
-
-// --- AssetLiabilityChart Component ---
-const AssetLiabilityChart = ({ assetData, liabilityData }) => {
-  const data = {
-    labels: assetData.labels.concat(liabilityData.labels),
-    datasets: [
-      {
-        label: 'Assets',
-        data: assetData.values,
-        backgroundColor: 'rgba(156, 163, 175, 0.6)',
-        borderColor: 'rgba(156, 163, 175, 1)',
-        borderWidth: 1,
-        borderRadius: 4,
-      },
-      {
-        label: 'Liabilities',
-        data: liabilityData.values,
-        backgroundColor: 'rgba(107, 114, 128, 0.6)',
-        borderColor: 'rgba(107, 114, 128, 1)',
-        borderWidth: 1,
-        borderRadius: 4,
-      },
-    ],
-  };
-
-  const options = {
-    responsive: true,
-    maintainAspectRatio: false,
-    plugins: {
-      legend: {
-        position: 'top',
-        labels: {
-          font: {
-            family: 'Inter',
-            size: 12,
-          },
-          color: '#d1d5db',
-          usePointStyle: true,
-          pointStyle: 'circle',
-        },
-      },
-      tooltip: {
-        backgroundColor: 'rgba(31, 41, 55, 0.9)',
-        titleColor: '#f3f4f6',
-        bodyColor: '#f3f4f6',
-        borderColor: 'rgba(107, 114, 128, 0.3)',
-        borderWidth: 1,
-        cornerRadius: 8,
-        callbacks: {
-          label: function(context) {
-            let label = context.dataset.label || '';
-            if (label) {
-              label += ': ';
-            }
-            if (context.parsed.y !== null) {
-              label += formatCurrency({ units: String(context.parsed.y), currencyCode: 'INR' });
-            }
-            return label;
-          }
-        },
-      },
-    },
-    scales: {
-      x: {
-        grid: {
-          display: false,
-        },
-        ticks: {
-          font: {
-            family: 'Inter',
-            size: 11,
-          },
-          color: '#9ca3af',
-        },
-      },
-      y: {
-        beginAtZero: true,
-        grid: {
-          color: 'rgba(107, 114, 128, 0.2)',
-        },
-        ticks: {
-          callback: function(value) {
-            return formatCurrency({ units: String(value), currencyCode: 'INR' });
-          },
-          font: {
-            family: 'Inter',
-            size: 11,
-          },
-          color: '#9ca3af',
-        },
-      },
-    },
-  };
-
-  return (
-    <GlassCard className="p-4 h-80">
-      <h3 className="text-md font-medium text-gray-300 mb-3 text-center">Assets vs. Liabilities Overview</h3>
-      <Bar data={data} options={options} />
-    </GlassCard>
-  );
+import React, { useState, useEffect, useCallback, useRef, Suspense } from 'react';
+import { Outlet, useNavigate, useLocation } from 'react-router-dom';
+import { User, LogOut, RefreshCw, CloudOff } from 'lucide-react';
+import { useMoney } from './money/MoneyContext';
+import MoneySettings from './money/MoneySettings';
+import ThemeSettings from './theme/ThemeSettings';
+import PrivacySettings from './privacy/PrivacySettings';
+import { usePrivacy } from './privacy/PrivacyContext';
+import { useLanguage } from './i18n/LanguageContext';
+import LanguageSettings from './i18n/LanguageSettings';
+import ExportMenu from './export/ExportMenu';
+import GlassCard from './components/GlassCard';
+import NavBar from './components/NavBar';
+import { buildSummaryCards } from './overview/summaryCards';
+import useSession from './session/useSession';
+import { clearUserData } from './session/userData';
+import { reserveLoginPopup, waitForLoginPopup } from './session/sessionManager';
+import { apiClient } from './api/client';
+import { getApiConfig } from './api/config';
+import { LoginRequiredError, InvalidSessionError, NetworkError, isAbortError } from './api/errors';
+import { validateSummary } from './api/summarySchema';
+import { saveCachedSummary, loadCachedSummary } from './api/summaryCache';
+import useAutoRefresh from './api/useAutoRefresh';
+import SectionBoundary from './components/SectionBoundary';
+import { SectionSkeleton, DashboardSkeleton } from './components/Skeleton';
+import useSnapshotHistory from './history/useSnapshotHistory';
+import { DEFAULT_HISTORY_RANGE } from './history/trends';
+import useKeyboardShortcuts from './shortcuts/useKeyboardShortcuts';
+import useAlerts from './alerts/useAlerts';
+import AlertToasts from './alerts/AlertToasts';
+import { InstallAppButton, UpdateBanner } from './pwa/AppUpdateControls';
+
+// The backend URL is configured in ./api/config.js (REACT_APP_BACKEND_URL or window.__FINSURE_CONFIG__)
+const { refreshIntervalMs } = getApiConfig();
+
+// "14:05" for today, "12 Jul, 14:05" for anything older
+const formatUpdatedAt = (timestamp, locale) => {
+  const date = new Date(timestamp);
+  const time = date.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' });
+  return date.toDateString() === new Date().toDateString()
+    ? time
+    : `${date.toLocaleDateString(locale, { day: 'numeric', month: 'short' })}, ${time}`;
 };
 
-// --- ChatInterface Component ---
-const ChatInterface = ({ userId }) => {
-  const [messages, setMessages] = useState([]);
-  const [input, setInput] = useState('');
-  const [isSending, setIsSending] = useState(false);
-  const [isListening, setIsListening] = useState(false);
-  const recognitionRef = useRef(null);
-  const messagesEndRef = useRef(null);
-
-  const scrollToBottom = () => {
-    messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  };
-
-  useEffect(() => {
-    scrollToBottom();
-  }, [messages]);
-
-  const handleSendMessage = async () => {
-    if (input.trim() === '') return;
+// --- Main App Component ---
+// The app shell: session, dashboard data, header and navigation. The routed page renders
+// in the outlet below the navigation.
+export default function App() {
+  const { session, expired, returningFromLogin, touch, renew, prepareLoginRedirect, logout } = useSession();
+  const { format, formatUnmasked } = useMoney();
+  const { mask, toggleMasked } = usePrivacy();
+  const { t, locale } = useLanguage();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const userId = session?.id ?? null;
+  const [loadingFinancials, setLoadingFinancials] = useState(Boolean(userId));
+  // The summary on screen: `fetchedAt` is when it came from the backend, and `issues` lists
+  // the parts the schema check had to leave out
+  const [summary, setSummary] = useState(null);
+  const financialData = summary?.data ?? null;
+  // With a summary on screen an error means it's stale; without one it fills the page.
+  // Held as { key, params } so it is shown in whatever language is selected.
+  const [error, setError] = useState(null);
+  // Login URL handed out by the backend while the user still has to (re)authenticate
+  const [loginUrl, setLoginUrl] = useState(null);
+  const [isAuthenticating, setIsAuthenticating] = useState(false);
+  const [historyRange, setHistoryRange] = useState(DEFAULT_HISTORY_RANGE);
+  // A cached summary is already in the history from when it was fetched
+  const snapshots = useSnapshotHistory(summary?.fromCache ? null : financialData);
+  const alerts = useAlerts();
+  const { checkSummary, clearAlerts } = alerts;
+  const initialLoadRef = useRef(false);
+  const assetChartRef = useRef(null);
+  const renewedSessionRef = useRef(false);
+  const loadControllerRef = useRef(null);
+
+  // Cancel any in-flight dashboard request when the app unmounts. StrictMode unmounts and
+  // remounts once in development, so the initial load may run again after this.
+  useEffect(() => () => {
+    loadControllerRef.current?.abort();
+    initialLoadRef.current = false;
+  }, []);
 
-    const userMessage = { sender: 'user', text: input };
-    setMessages(prev => [...prev, userMessage]);
-    setInput('');
-    setIsSending(true);
+  // Loads the dashboard for a session. With a reserved `popup` a login is completed in
+  // that window and retried in place; `allowRedirect` permits the full-page login redirect.
+  const loadFinancialData = useCallback(async function load(sessionId, { popup = null, allowRedirect = false } = {}) {
+    loadControllerRef.current?.abort();
+    const controller = new AbortController();
+    loadControllerRef.current = controller;
 
+    setLoadingFinancials(true);
+    setError(null);
     try {
-      const response = await callBackendApi('/chat', { message: input, userId });
-      const aiMessage = { sender: 'ai', text: response.response };
-      setMessages(prev => [...prev, aiMessage]);
-    } catch (error) {
-      console.error('Error sending message to AI:', error);
-      let displayMessage = 'Oops! Something went wrong. Please try again.';
-      if (error && error.type === 'login_required' && error.login_url) {
-        displayMessage = `Authentication required with Fi Money. Please log in using this link: ${error.login_url}`;
-        // For chat, we display the link, not redirect, as it might interrupt flow
-      } else if (error && error.type === 'invalid_session') {
-        displayMessage = `Session invalid. Please refresh the page and log in to Fi Money again. Error: ${error.message}`;
+      // Offline there's nothing to wait for: go straight to the cached summary
+      if (navigator.onLine === false) {
+        throw new NetworkError("You're offline");
       }
-      else if (error.message) {
-        displayMessage = `Error: ${error.message}`;
+      // Reading the summary has no side effects, so it is safe to retry
+      const payload = await apiClient.post('/getFinancialSummary', { userId: sessionId }, {
+        idempotent: true,
+        signal: controller.signal,
+      });
+      const { data, issues } = validateSummary(payload);
+      if (issues.length > 0) {
+        console.warn('Financial summary is incomplete:', issues);
+      }
+      popup?.close();
+      renewedSessionRef.current = false;
+      const fetchedAt = Date.now();
+      setSummary({ data, fetchedAt, issues });
+      setLoginUrl(null);
+      touch();
+      saveCachedSummary(data, fetchedAt).catch(cacheError => console.error('Error caching financial summary:', cacheError));
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error("Error fetching financial data:", err);
+      if (err instanceof LoginRequiredError) {
+        if (popup && !popup.closed) {
+          setIsAuthenticating(true);
+          await waitForLoginPopup(popup, err.loginUrl);
+          setIsAuthenticating(false);
+          await load(sessionId);
+          return;
+        }
+        if (allowRedirect) {
+          // Persist the session first so we come back to the same ID after logging in
+          prepareLoginRedirect();
+          window.location.href = err.loginUrl;
+          return;
+        }
+        setLoginUrl(err.loginUrl);
+      } else if (err instanceof InvalidSessionError && !renewedSessionRef.current) {
+        // The backend no longer knows this ID: start a fresh session and try once more
+        renewedSessionRef.current = true;
+        await load(renew().id, { popup, allowRedirect });
+        return;
+      } else if (err instanceof InvalidSessionError) {
+        popup?.close();
+        setError({ key: 'app.error.sessionInvalid', params: { message: err.message } });
+      } else {
+        popup?.close();
+        // Keep whatever is on screen; on a cold start fall back to the last good summary
+        try {
+          const cached = await loadCachedSummary();
+          if (cached) setSummary(prev => prev || { ...cached, issues: [], fromCache: true });
+        } catch (cacheError) {
+          console.error('Error reading cached financial summary:', cacheError);
+        }
+        setError(err instanceof NetworkError && navigator.onLine === false
+          ? { key: 'app.error.offline' }
+          : { key: 'app.error.loadFailed', params: { message: err.message } });
       }
-      setMessages(prev => [...prev, { sender: 'ai', text: displayMessage }]);
     } finally {
-      setIsSending(false);
-    }
-  };
-
-  const startListening = () => {
-    if (!('webkitSpeechRecognition' in window)) {
-      alert('Speech recognition is not supported in your browser. Please use Chrome for this feature.');
-      return;
+      if (loadControllerRef.current === controller) {
+        loadControllerRef.current = null;
+        setLoadingFinancials(false);
+      }
     }
+  }, [touch, renew, prepareLoginRedirect]);
 
-    const SpeechRecognition = window.webkitSpeechRecognition;
-    recognitionRef.current = new SpeechRecognition();
-    recognitionRef.current.continuous = false; // Listen for a single utterance
-    recognitionRef.current.interimResults = false;
-    recognitionRef.current.lang = 'en-IN'; // Indian English
-
-    recognitionRef.current.onstart = () => {
-      setIsListening(true);
-      setMessages(prev => [...prev, { sender: 'system', text: 'Listening...' }]);
-    };
-
-    recognitionRef.current.onresult = (event) => {
-      const transcript = event.results[0][0].transcript;
-      setInput(transcript);
-      setMessages(prev => [...prev, { sender: 'system', text: `You said: "${transcript}"` }]);
-    };
-
-    recognitionRef.current.onerror = (event) => {
-      console.error('Speech recognition error:', event.error);
-      setMessages(prev => [...prev, { sender: 'system', text: `Speech recognition error: ${event.error}. Please try again.` }]);
-      setIsListening(false);
-    };
+  // Load the restored session once. Coming back from a login redirect we don't redirect
+  // again, so a failed login shows the sign-in prompt instead of looping.
+  useEffect(() => {
+    if (initialLoadRef.current || !userId) return;
+    initialLoadRef.current = true;
+    loadFinancialData(userId, { allowRedirect: !returningFromLogin });
+  }, [userId, returningFromLogin, loadFinancialData]);
 
-    recognitionRef.current.onend = () => {
-      setIsListening(false);
-      if (input.trim() !== '') {
-        handleSendMessage(); // Automatically send message after speech ends
-      }
-    };
+  // Alert rules run on every fresh summary; a cached one was checked when it was fetched
+  useEffect(() => {
+    if (summary && !summary.fromCache) checkSummary(summary.data);
+  }, [summary, checkSummary]);
 
-    recognitionRef.current.start();
+  // The chat handles its own shortcut while it's on screen; from any other page this opens it
+  useKeyboardShortcuts({
+    focusChat: () => {
+      if (financialData) navigate('/chat', { state: { focusChat: true } });
+    },
+    togglePrivacy: toggleMasked,
+  });
+
+  // Must run straight from a click so the login popup isn't blocked
+  const handleSignIn = () => {
+    const popup = reserveLoginPopup();
+    const activeSession = session && !expired ? session : renew();
+    loadFinancialData(activeSession.id, popup ? { popup } : { allowRedirect: true });
   };
 
-  const stopListening = () => {
-    if (recognitionRef.current) {
-      recognitionRef.current.stop();
-      setIsListening(false);
-    }
+  const refresh = useCallback(() => {
+    if (userId && !expired) loadFinancialData(userId);
+  }, [userId, expired, loadFinancialData]);
+
+  // Keep the dashboard current while it's open; a failed refresh keeps the old data
+  useAutoRefresh(refresh, {
+    intervalMs: refreshIntervalMs,
+    lastUpdated: summary?.fetchedAt,
+    enabled: Boolean(financialData) && !loginUrl && !loadingFinancials,
+  });
+
+  const handleLogout = () => {
+    const sessionId = userId;
+    // A dashboard request still in flight must not bring the old data back
+    loadControllerRef.current?.abort();
+    loadControllerRef.current = null;
+    setLoadingFinancials(false);
+    logout();
+    setSummary(null);
+    // The next person to sign in on this browser shouldn't see this user's data
+    clearUserData();
+    clearAlerts();
+    setLoginUrl(null);
+    setError(null);
+    // Best effort: let the backend drop its Fi Money MCP session as well
+    apiClient.post('/logout', { userId: sessionId }).catch(() => {});
   };
 
-  return (
-    <GlassCard className="flex flex-col h-full p-4">
-      <h2 className="text-md font-medium text-gray-300 mb-3 text-center">Chat with your AI Financial Agent</h2>
-      <div className="flex-grow overflow-y-auto space-y-3 p-3 rounded-lg bg-gray-900/40 border border-gray-600/30 mb-3 scrollbar-thin scrollbar-thumb-gray-600 scrollbar-track-transparent">
-        {messages.length === 0 && (
-          <div className="text-center text-gray-500 italic text-sm">
-            Start by asking me about your finances! Try: "How's my net worth?", "What's my credit score?", or "Can I afford a ₹50L home loan?"
-          </div>
-        )}
-        {messages.map((msg, index) => (
-          <div
-            key={index}
-            className={`flex ${msg.sender === 'user' ? 'justify-end' : 'justify-start'}`}
-          >
-            <div
-              className={`max-w-[75%] p-2 rounded-lg border shadow-sm ${
-                msg.sender === 'user'
-                  ? 'bg-gray-700/60 text-gray-200 border-gray-600/40 rounded-br-none'
-                  : msg.sender === 'ai'
-                  ? 'bg-gray-800/60 text-gray-300 border-gray-600/40 rounded-bl-none'
-                  : 'bg-gray-600/40 text-gray-400 text-xs italic border-gray-500/40'
-              }`}
+  const errorMessage = error && t(error.key, { ...error.params, message: error.params?.message || t('app.error.unknown') });
+
+  if (error && !financialData) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 font-inter text-gray-400 p-4 text-center">
+        <GlassCard className="p-6" role="alert">
+          <h2 className="text-lg font-medium mb-3 text-gray-300">{t('app.error.title')}</h2>
+          <p className="mb-4 text-gray-400 text-sm">{errorMessage}</p>
+          <div className="flex justify-center space-x-2">
+            <button
+              onClick={refresh}
+              className="px-4 py-2 bg-gray-700/60 text-gray-300 rounded-lg border border-gray-600/40 text-sm"
             >
-              <span className="text-sm">{msg.text}</span>
-            </div>
+              {t('app.error.tryAgain')}
+            </button>
+            <button
+              onClick={() => window.location.reload()}
+              className="px-4 py-2 bg-gray-800/40 text-gray-400 rounded-lg border border-gray-600/30 text-sm"
+            >
+              {t('app.error.reload')}
+            </button>
           </div>
-        ))}
-        <div ref={messagesEndRef} />
-      </div>
-      <div className="flex items-center space-x-2">
-        <input
-          type="text"
-          className="flex-grow p-2 bg-gray-800/40 border border-gray-600/40 rounded-lg focus:outline-none focus:ring-1 focus:ring-gray-500 focus:bg-gray-800/60 text-gray-300 placeholder-gray-500 text-sm"
-          placeholder="Ask your financial question..."
-          value={input}
-          onChange={(e) => setInput(e.target.value)}
-          onKeyPress={(e) => {
-            if (e.key === 'Enter' && !isSending && !isListening) {
-              handleSendMessage();
-            }
-          }}
-          disabled={isSending || isListening}
-        />
-        <button
-          onClick={isListening ? stopListening : startListening}
-          className={`p-2 rounded-lg border ${
-            isListening 
-              ? 'bg-gray-700/60 text-gray-400 border-gray-600/40' 
-              : 'bg-gray-800/60 text-gray-400 border-gray-600/40'
-          } focus:outline-none focus:ring-1 focus:ring-gray-500`}
-          title={isListening ? "Stop Listening" : "Start Voice Input"}
-          disabled={isSending}
-        >
-          {isListening ? <StopCircle size={18} /> : <Mic size={18} />}
-        </button>
-        <button
-          onClick={handleSendMessage}
-          className={`p-2 rounded-lg border ${
-            isSending 
-              ? 'bg-gray-700/40 text-gray-500 border-gray-600/30 cursor-not-allowed' 
-              : 'bg-gray-800/60 text-gray-400 border-gray-600/40'
-          } focus:outline-none focus:ring-1 focus:ring-gray-500`}
-          disabled={isSending || input.trim() === '' || isListening}
-        >
-          <MessageSquare size={18} />
-        </button>
+        </GlassCard>
       </div>
-    </GlassCard>
-  );
-};
-
-// --- Main App Component ---
-export default function App() {
-  const [userId, setUserId] = useState(null);
-  const [loadingFinancials, setLoadingFinancials] = useState(true);
-  const [financialData, setFinancialData] = useState(null);
-  const [error, setError] = useState(null);
-
-  // Generate a unique ID for the session on component mount
-  useEffect(() => {
-    setUserId(crypto.randomUUID());
-
-    // Check if we are returning from an MCP login redirect
-    const wasRedirecting = localStorage.getItem('mcpRedirecting');
-    if (wasRedirecting === 'true') {
-      localStorage.removeItem('mcpRedirecting'); // Clear the flag
-      // No need to explicitly re-fetch here, as the userId dependency will trigger fetchFinancialData
-    }
-  }, []);
-
-  // Fetch Financial Data Effect
-  useEffect(() => {
-    const fetchFinancialData = async () => {
-      if (!userId) {
-        setLoadingFinancials(true);
-        return; // Wait for userId to be generated
-      }
-
-      setLoadingFinancials(true);
-      setError(null);
-      try {
-        const data = await callBackendApi('/getFinancialSummary', { userId: userId });
-        setFinancialData(data);
-      } catch (err) {
-        console.error("Error fetching financial data:", err);
-        if (err && err.type === 'login_required' && err.login_url) {
-          // Store a flag in localStorage before redirecting
-          localStorage.setItem('mcpRedirecting', 'true');
-          // Redirect the user to the MCP login page
-          window.location.href = err.login_url;
-          // Prevent further execution of this useEffect until redirected back
-          return;
-        } else if (err && err.type === 'invalid_session') {
-          // Handle specific "Invalid session ID" error from backend
-          setError(`Session invalid. Please log in to Fi Money again. You might need to restart your backend server if it generated a new session ID. Error: ${err.message}`);
-        } else {
-          setError(`Failed to load financial data: ${err.message || 'Unknown error'}`);
-        }
-      } finally {
-        setLoadingFinancials(false);
-      }
-    };
-
-    if (userId) { // Only fetch data once userId is generated
-      fetchFinancialData();
-    }
-  }, [userId]); // Re-fetch when userId changes (should only happen once per session)
+    );
+  }
 
-  if (error) {
+  if (!session || (loginUrl && !financialData)) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 font-inter text-gray-400 p-4 text-center">
-        <GlassCard className="p-6">
-          <h2 className="text-lg font-medium mb-3 text-gray-300">Error Loading Dashboard</h2>
-          <p className="mb-4 text-gray-400 text-sm">{error}</p>
+        <GlassCard className="p-6 max-w-sm">
+          <h2 className="text-lg font-medium mb-3 text-gray-300">
+            {t(session ? 'app.signIn.title' : 'app.signIn.signedOut')}
+          </h2>
+          <p className="mb-4 text-gray-400 text-sm">
+            {t(isAuthenticating ? 'app.signIn.waitingForPopup' : 'app.signIn.prompt')}
+          </p>
           <button
-            onClick={() => window.location.reload()}
-            className="px-4 py-2 bg-gray-700/60 text-gray-300 rounded-lg border border-gray-600/40 text-sm"
+            onClick={handleSignIn}
+            disabled={isAuthenticating || loadingFinancials}
+            className="px-4 py-2 bg-gray-700/60 text-gray-300 rounded-lg border border-gray-600/40 text-sm disabled:opacity-50"
           >
-            Reload Page
+            {t('app.signIn.button')}
           </button>
         </GlassCard>
       </div>
     );
   }
 
-  if (!userId || loadingFinancials || !financialData) {
+  if (!financialData) {
     return (
-      <div className="min-h-screen flex flex-col items-center justify-center bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 font-inter">
-        <div className="relative">
-          <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-gray-500"></div>
-          <div className="absolute inset-0 animate-pulse rounded-full h-16 w-16 bg-gray-600/20"></div>
-        </div>
-        <p className="mt-4 text-md text-gray-400">Loading your personalized financial dashboard...</p>
-        <div className="mt-1 text-xs text-gray-500">Connecting to Fi Money MCP...</div>
+      <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 font-inter p-4 sm:p-6 lg:p-8">
+        <GlassCard className="flex items-center p-4 mb-4">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-gray-500 mr-3"></div>
+          <div>
+            <p className="text-md text-gray-400">{t('app.loading.title')}</p>
+            <div className="mt-1 text-xs text-gray-500">{t('app.loading.detail')}</div>
+          </div>
+        </GlassCard>
+        <DashboardSkeleton label={t('app.loading.skeleton')} />
       </div>
     );
   }
 
-  const netWorth = financialData?.netWorth?.totalNetWorthValue;
-  const creditScore = financialData?.creditReport?.creditScore?.score;
-  const epfBalance = financialData?.epfDetails?.currentBalance;
-
-  const { assetLabels, assetValues, liabilityLabels, liabilityValues } = getAssetLiabilityData(financialData.netWorth);
-
-  const totalAssets = calculateTotal(financialData.netWorth.assetValues);
-  const totalLiabilities = calculateTotal(financialData.netWorth.liabilityValues);
+  const summaryCards = buildSummaryCards({ financialData, snapshots, historyRange, format, mask, language: { t, locale } });
+  // Exporting is deliberate, so exports carry full figures even in privacy mode
+  const exportCards = buildSummaryCards({ financialData, snapshots, historyRange, format: formatUnmasked, language: { t, locale } });
+
+  // Everything the feature pages need, handed down through the router outlet
+  const dashboard = {
+    financialData,
+    snapshots,
+    historyRange,
+    setHistoryRange,
+    summaryCards,
+    assetChartRef,
+    userId,
+    onLoginRequired: setLoginUrl,
+    onSessionActive: touch,
+    alerts,
+    // Changes with every successful load; section error boundaries reset on it
+    lastUpdated: summary.fetchedAt,
+  };
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 font-inter text-gray-300 p-4 sm:p-6 lg:p-8">
+      <a
+        href="#main-content"
+        className="sr-only focus:not-sr-only focus:absolute focus:top-2 focus:left-2 focus:z-50 px-3 py-1 bg-gray-800 text-gray-200 rounded-lg border border-gray-500/40 text-sm"
+      >
+        {t('app.skipToContent')}
+      </a>
+
       {/* Subtle background elements */}
-      <div className="fixed inset-0 overflow-hidden pointer-events-none">
+      <div className="fixed inset-0 overflow-hidden pointer-events-none" aria-hidden="true">
         <div className="absolute top-1/4 left-1/4 w-96 h-96 bg-gray-700/5 rounded-full blur-3xl"></div>
         <div className="absolute bottom-1/4 right-1/4 w-96 h-96 bg-gray-600/5 rounded-full blur-3xl"></div>
         <div className="absolute top-3/4 left-3/4 w-64 h-64 bg-gray-500/5 rounded-full blur-2xl"></div>
@@ -495,164 +319,121 @@ export default function App() {
         <GlassCard className="flex flex-col sm:flex-row justify-between items-center p-4 mb-4">
           <div className="flex items-center mb-3 sm:mb-0">
             <div className="p-2 bg-gray-700/40 rounded-lg mr-3">
-              <img src="./logo.jpg" width={30}/>
+              <img src={`${process.env.PUBLIC_URL}/logo.jpg`} width={30} alt="" />
             </div>
             <h1 className="text-xl sm:text-2xl font-semibold text-gray-200">
               FinSure.Ai
             </h1>
           </div>
           <div className="flex items-center space-x-3">
+            <InstallAppButton />
+            <LanguageSettings />
+            <PrivacySettings />
+            <ThemeSettings />
+            <MoneySettings />
+            <ExportMenu
+              financialData={financialData}
+              snapshots={snapshots}
+              summaryCards={exportCards.map(card => ({ label: card.title, value: String(card.value), description: card.description }))}
+              getChartImage={() => assetChartRef.current?.toBase64Image()}
+            />
+            {apiClient.mock && (
+              <div
+                className="text-xs text-gray-300 bg-gray-700/60 px-3 py-1 rounded-lg border border-gray-500/40"
+                title={t('app.mockData.title')}
+              >
+                {t('app.mockData')}
+              </div>
+            )}
+            <button
+              onClick={refresh}
+              disabled={loadingFinancials || expired}
+              className="flex items-center text-xs text-gray-400 bg-gray-800/40 px-3 py-1 rounded-lg border border-gray-600/30 hover:text-gray-200 disabled:opacity-50"
+              title={t('app.refresh.title')}
+            >
+              <RefreshCw size={14} className={`mr-1 ${loadingFinancials ? 'animate-spin' : ''}`} />
+              <span className="font-medium">
+                {loadingFinancials
+                  ? t('app.refresh.refreshing')
+                  : t('app.refresh.updatedAt', { time: formatUpdatedAt(summary.fetchedAt, locale) })}
+              </span>
+            </button>
             <div className="flex items-center text-xs text-gray-400 bg-gray-800/40 px-3 py-1 rounded-lg border border-gray-600/30">
               <User size={14} className="mr-1" />
-              <span className="font-medium">Session: {userId.substring(0, 8)}...</span>
+              <span className="font-medium">{t('app.session', { id: mask(`${userId.substring(0, 8)}...`) })}</span>
             </div>
+            <button
+              onClick={handleLogout}
+              className="flex items-center text-xs text-gray-400 bg-gray-800/40 px-3 py-1 rounded-lg border border-gray-600/30 hover:text-gray-200"
+              title={t('app.logOut.title')}
+            >
+              <LogOut size={14} className="mr-1" />
+              <span className="font-medium">{t('app.logOut')}</span>
+            </button>
           </div>
         </GlassCard>
+        <UpdateBanner />
+        {(loginUrl || expired) && (
+          <GlassCard className="flex flex-col sm:flex-row justify-between items-center p-3 mb-4 text-sm">
+            <p className="text-gray-400 mb-2 sm:mb-0">
+              {t(isAuthenticating ? 'app.expired.waitingForPopup' : 'app.expired.message')}
+            </p>
+            <button
+              onClick={handleSignIn}
+              disabled={isAuthenticating || loadingFinancials}
+              className="px-3 py-1 bg-gray-700/60 text-gray-300 rounded-lg border border-gray-600/40 text-xs disabled:opacity-50"
+            >
+              {t('app.expired.signInAgain')}
+            </button>
+          </GlassCard>
+        )}
+        {error && (
+          <GlassCard className="flex flex-col sm:flex-row justify-between items-center p-3 mb-4 text-sm" role="status">
+            <p className="flex items-center text-gray-400 mb-2 sm:mb-0">
+              <CloudOff size={16} className="mr-2 flex-shrink-0" />
+              <span>
+                {t('app.stale.message', { time: formatUpdatedAt(summary.fetchedAt, locale), error: errorMessage })}
+              </span>
+            </p>
+            <button
+              onClick={refresh}
+              disabled={loadingFinancials || expired}
+              className="px-3 py-1 bg-gray-700/60 text-gray-300 rounded-lg border border-gray-600/40 text-xs disabled:opacity-50"
+            >
+              {t('app.stale.retry')}
+            </button>
+          </GlassCard>
+        )}
       </header>
 
-      {/* Main Content Grid */}
-      <main className="relative z-10 grid grid-cols-1 lg:grid-cols-3 gap-4">
-        {/* Financial Summary Cards (Left Column) */}
-        <section className="lg:col-span-2 grid grid-cols-1 md:grid-cols-3 gap-4 mb-4 lg:mb-0">
-          <FinancialSummaryCard
-            title="Total Net Worth"
-            value={formatCurrency(netWorth)}
-            icon={DollarSign}
-            description="Your overall financial health"
-            trend="+12.5% this year"
-          />
-          <FinancialSummaryCard
-            title="Credit Score"
-            value={creditScore || 'N/A'}
-            icon={CreditCard}
-            description="Excellent credit standing"
-            trend="Improved +15 pts"
-          />
-          <FinancialSummaryCard
-            title="EPF Balance"
-            value={formatCurrency(epfBalance)}
-            icon={Briefcase}
-            description="Your retirement corpus"
-            trend="+8.2% annually"
-          />
-
-          {/* Asset/Liability Breakdown */}
-          <div className="md:col-span-3">
-            <GlassCard className="p-4">
-              <h2 className="text-md font-medium text-gray-300 mb-4 text-center">Your Financial Breakdown</h2>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                <div>
-                  <h3 className="text-sm font-medium text-gray-400 mb-3 flex items-center">
-                    <TrendingUp className="mr-1" size={16} />
-                    Assets ({formatCurrency({units: String(totalAssets), currencyCode: 'INR'})})
-                  </h3>
-                  <ul className="space-y-2">
-                    {financialData.netWorth.assetValues.map((asset, index) => (
-                      <li key={index} className="flex justify-between items-center p-2 bg-gray-800/40 rounded-lg border border-gray-600/30">
-                        <span className="font-medium text-gray-400 text-sm">{asset.netWorthAttribute.replace('ASSET_TYPE_', '').replace('_', ' ')}</span>
-                        <span className="font-medium text-gray-300 text-sm">{formatCurrency(asset.value)}</span>
-                      </li>
-                    ))}
-                  </ul>
-                </div>
-                <div>
-                  <h3 className="text-sm font-medium text-gray-400 mb-3 flex items-center">
-                    <CreditCard className="mr-1" size={16} />
-                    Liabilities ({formatCurrency({units: String(totalLiabilities), currencyCode: 'INR'})})
-                  </h3>
-                  <ul className="space-y-2">
-                    {financialData.netWorth.liabilityValues.map((liability, index) => (
-                      <li key={index} className="flex justify-between items-center p-2 bg-gray-800/40 rounded-lg border border-gray-600/30">
-                        <span className="font-medium text-gray-400 text-sm">{liability.netWorthAttribute.replace('LIABILITY_TYPE_', '').replace('_', ' ')}</span>
-                        <span className="font-medium text-gray-300 text-sm">{formatCurrency(liability.value)}</span>
-                      </li>
-                    ))}
-                  </ul>
-                </div>
-              </div>
-            </GlassCard>
-          </div>
-
-          {/* Assets vs Liabilities Chart */}
-          <div className="md:col-span-3">
-            <AssetLiabilityChart
-              assetData={{ labels: assetLabels, values: assetValues }}
-              liabilityData={{ labels: liabilityLabels, values: liabilityValues }}
-            />
-          </div>
-
-          {/* Investment Performance */}
-          <div className="md:col-span-3">
-            <GlassCard className="p-4">
-              <h2 className="text-md font-medium text-gray-300 mb-3 text-center">Investment Performance Overview</h2>
-              <p className="text-gray-500 mb-4 text-center text-sm">Monitor your mutual fund performance and get AI-powered insights</p>
-              <div className="overflow-x-auto">
-                <table className="min-w-full">
-                  <thead>
-                    <tr className="border-b border-gray-600/30">
-                      <th className="py-3 px-3 text-left text-xs font-medium text-gray-400">Fund Name</th>
-                      <th className="py-3 px-3 text-left text-xs font-medium text-gray-400">Invested</th>
-                      <th className="py-3 px-3 text-left text-xs font-medium text-gray-400">Current Value</th>
-                      <th className="py-3 px-3 text-left text-xs font-medium text-gray-400">XIRR (%)</th>
-                      <th className="py-3 px-3 text-left text-xs font-medium text-gray-400">Returns</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {financialData.mfTransactions.mfSchemeAnalytics.map((mf, index) => (
-                      <tr key={index} className="border-b border-gray-600/20">
-                        <td className="py-3 px-3 text-xs text-gray-300 font-medium">{mf.schemeDetail.nameData.longName}</td>
-                        <td className="py-3 px-3 text-xs text-gray-400">{formatCurrency(mf.enrichedAnalytics.analytics.schemeDetails.investedValue)}</td>
-                        <td className="py-3 px-3 text-xs text-gray-400">{formatCurrency(mf.enrichedAnalytics.analytics.schemeDetails.currentValue)}</td>
-                        <td className="py-3 px-3 text-xs font-medium">
-                          <span className={`px-2 py-1 rounded text-xs ${
-                            mf.enrichedAnalytics.analytics.schemeDetails.XIRR < 0 
-                              ? 'bg-gray-700/40 text-gray-400 border border-gray-600/30' 
-                              : 'bg-gray-600/40 text-gray-300 border border-gray-500/30'
-                          }`}>
-                            {mf.enrichedAnalytics.analytics.schemeDetails.XIRR ? mf.enrichedAnalytics.analytics.schemeDetails.XIRR.toFixed(2) : 'N/A'}%
-                          </span>
-                        </td>
-                        <td className="py-3 px-3 text-xs font-medium">
-                          <span className={
-                            mf.enrichedAnalytics.analytics.schemeDetails.absoluteReturns?.units?.startsWith('-') 
-                              ? 'text-gray-400' 
-                              : 'text-gray-300'
-                          }>
-                            {formatCurrency(mf.enrichedAnalytics.analytics.schemeDetails.absoluteReturns)}
-                          </span>
-                        </td>
-                      </tr>
-                    ))}
-                    {financialData.mfTransactions.mfSchemeAnalytics.length === 0 && (
-                      <tr>
-                        <td colSpan="5" className="py-6 text-center text-gray-500 text-sm">No mutual fund data available.</td>
-                      </tr>
-                    )}
-                  </tbody>
-                </table>
-              </div>
-            </GlassCard>
-          </div>
-        </section>
-
-        {/* Chat Interface (Right Column) */}
-        <section className="lg:col-span-1 h-[75vh] flex flex-col">
-          <ChatInterface userId={userId} />
-        </section>
+      {/* Feature Pages */}
+      <main id="main-content" tabIndex={-1} className="relative z-10 focus:outline-none">
+        <NavBar badges={{ '/alerts': alerts.unreadCount }} />
+        <SectionBoundary
+          title={t('app.pageError.title')}
+          message={t('app.pageError.message')}
+          resetKey={`${location.pathname}:${summary.fetchedAt}`}
+        >
+          <Suspense fallback={<SectionSkeleton label={t('app.loading.page')} />}>
+            <Outlet context={dashboard} />
+          </Suspense>
+        </SectionBoundary>
       </main>
 
+      <AlertToasts toasts={alerts.toasts} onDismiss={alerts.dismissToast} />
+
       {/* Footer */}
       <footer className="relative z-10 mt-6 text-center">
         <GlassCard className="p-3">
           <p className="text-gray-500 text-xs">
-            &copy; {new Date().getFullYear()} Fi AI Dashboard. Powered by Fi Money MCP and Google AI.
+            {t('app.footer.copyright', { year: new Date().getFullYear() })}
           </p>
           <div className="mt-1 flex justify-center space-x-3 text-xs text-gray-600">
-            <span>Secure</span>
+            <span>{t('app.footer.secure')}</span>
             <span>•</span>
-            <span>Real-time</span>
+            <span>{t('app.footer.realTime')}</span>
             <span>•</span>
-            <span>AI-Powered</span>
+            <span>{t('app.footer.aiPowered')}</span>
           </div>
         </GlassCard>
       </footer>
@@ -663,16 +444,16 @@ export default function App() {
           width: 4px;
         }
         .scrollbar-thumb-gray-600::-webkit-scrollbar-thumb {
-          background-color: rgba(75, 85, 99, 0.6);
+          background-color: rgb(var(--gray-600) / 0.6);
           border-radius: 2px;
         }
         .scrollbar-track-transparent::-webkit-scrollbar-track {
           background: transparent;
         }
         .scrollbar-thin::-webkit-scrollbar-thumb:hover {
-          background-color: rgba(75, 85, 99, 0.8);
+          background-color: rgb(var(--gray-600) / 0.8);
         }
       `}</style>
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,211 @@
+import React from 'react';
+import { render, screen, fireEvent, within, act } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { axe } from 'jest-axe';
+import { Wallet } from 'lucide-react';
+import { ThemeProvider } from './theme/ThemeContext';
+import { MoneyProvider } from './money/MoneyContext';
+import { PrivacyProvider } from './privacy/PrivacyContext';
+import { LanguageProvider } from './i18n/LanguageContext';
+import FinancialSummaryCard from './overview/FinancialSummaryCard';
+import AssetLiabilityChart from './overview/AssetLiabilityChart';
+import { ChartDataTable } from './charts/AccessibleChart';
+import PortfolioView from './portfolio/PortfolioView';
+import ChatInterface from './chat/ChatInterface';
+import { registerRecognitionAdapter } from './voice/recognition';
+import { matchesShortcut } from './shortcuts/keyboardShortcuts';
+import { financialSummaryFixture } from './api/mock/fixtures';
+
+// Canvas drawing isn't available in jsdom; the accessible alternatives are what's under test
+jest.mock('react-chartjs-2', () => ({ Bar: () => null, Line: () => null, Doughnut: () => null }));
+
+jest.mock('./api/client', () => ({
+  apiClient: {
+    post: async () => ({
+      headers: { get: () => 'application/json' },
+      json: async () => ({ response: 'Your **net worth** is up 4% this month.', suggestions: ['How can I grow it faster?'] }),
+    }),
+  },
+}));
+
+// No IndexedDB in jsdom: keep conversations in memory
+jest.mock('./chat/chatStore', () => ({
+  listConversations: async () => [],
+  getConversation: async () => null,
+  saveConversationMessages: async () => {},
+  renameConversation: async () => {},
+  deleteConversation: async () => {},
+  clearConversations: async () => {},
+}));
+
+// Stands in for the Web Speech API so the microphone controls are enabled
+registerRecognitionAdapter({
+  id: 'test',
+  isSupported: () => true,
+  create: ({ onStart, onEnd }) => ({ start: () => onStart?.(), stop: () => onEnd?.(), abort: () => {} }),
+});
+
+beforeAll(() => {
+  global.crypto = { randomUUID: () => Math.random().toString(36).slice(2) };
+  Element.prototype.scrollIntoView = () => {};
+});
+
+const renderWithProviders = (ui) => render(
+  <MemoryRouter future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+    <LanguageProvider>
+      <ThemeProvider>
+        <PrivacyProvider>
+          <MoneyProvider>{ui}</MoneyProvider>
+        </PrivacyProvider>
+      </ThemeProvider>
+    </LanguageProvider>
+  </MemoryRouter>
+);
+
+describe('FinancialSummaryCard', () => {
+  test('has no axe violations and reads its title with the figure', async () => {
+    const { container } = renderWithProviders(
+      <FinancialSummaryCard title="Net Worth" value="₹12,00,000" icon={Wallet} description="Total assets minus liabilities" trend="4% this month" trendDown />
+    );
+    expect(await axe(container)).toHaveNoViolations();
+    const card = screen.getByRole('group', { name: 'Net Worth' });
+    expect(card).toHaveTextContent('₹12,00,000');
+    expect(card).toHaveTextContent('Trending down: 4% this month');
+  });
+});
+
+describe('AssetLiabilityChart', () => {
+  const renderChart = () => renderWithProviders(
+    <AssetLiabilityChart
+      assetData={{ labels: ['SAVINGS ACCOUNTS', 'MUTUAL FUND'], values: [250000, 700000] }}
+      liabilityData={{ labels: ['HOME LOAN'], values: [1500000] }}
+    />
+  );
+
+  test('has no axe violations', async () => {
+    const { container } = renderChart();
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  test('describes the chart and offers its data as a table', async () => {
+    const { container } = renderChart();
+    expect(screen.getByRole('img', { name: /Total assets ₹9,50,000, total liabilities ₹15,00,000/ })).toBeInTheDocument();
+
+    const toggle = screen.getByRole('button', { name: 'Show table' });
+    expect(toggle).toHaveAttribute('aria-expanded', 'false');
+    fireEvent.click(toggle);
+    expect(screen.getByRole('button', { name: 'Hide table' })).toHaveAttribute('aria-expanded', 'true');
+
+    const table = screen.getByRole('table', { name: 'Assets vs. Liabilities Overview' });
+    expect(within(table).getByRole('rowheader', { name: 'HOME LOAN' })).toBeInTheDocument();
+    expect(within(table).getAllByRole('row')).toHaveLength(4);
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
+
+describe('ChartDataTable', () => {
+  test('shows every column when labels repeat', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    render(<ChartDataTable caption="Projection" columns={['Year', 'Baseline', 'Baseline']} rows={[['Now', '₹1', '₹2']]} />);
+    expect(screen.getAllByRole('columnheader', { name: 'Baseline' })).toHaveLength(2);
+    expect(console.error).not.toHaveBeenCalled();
+  });
+});
+
+describe('PortfolioView', () => {
+  const renderPortfolio = () => renderWithProviders(<PortfolioView mfTransactions={financialSummaryFixture.mfTransactions} />);
+
+  test('has no axe violations', async () => {
+    const { container } = renderPortfolio();
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  test('exposes sort order and expandable rows', async () => {
+    const { container } = renderPortfolio();
+    const table = screen.getByRole('table', { name: /Mutual fund schemes/ });
+    const currentValue = within(table).getByRole('columnheader', { name: /Current Value/ });
+    expect(currentValue).toHaveAttribute('aria-sort', 'descending');
+
+    fireEvent.click(within(currentValue).getByRole('button'));
+    expect(currentValue).toHaveAttribute('aria-sort', 'ascending');
+
+    const [expand] = within(table).getAllByRole('button').filter(button => button.hasAttribute('aria-expanded'));
+    expect(expand).toHaveAttribute('aria-expanded', 'false');
+    fireEvent.click(expand);
+    expect(expand).toHaveAttribute('aria-expanded', 'true');
+    expect(expand).toHaveAttribute('aria-controls');
+    expect(screen.getByRole('table', { name: /^Transactions for / })).toBeInTheDocument();
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
+
+describe('ChatInterface', () => {
+  // Lets the conversation list finish loading so its update lands inside the test
+  const renderChat = async () => {
+    const view = renderWithProviders(<ChatInterface userId="test-user" />);
+    await act(() => Promise.resolve());
+    return view;
+  };
+
+  test('has no axe violations and labels every control', async () => {
+    const { container } = await renderChat();
+    expect(await axe(container)).toHaveNoViolations();
+    ['Conversation History', 'Voice Settings', 'New Conversation', 'Hold to Talk', 'Send Message'].forEach(name => {
+      expect(screen.getByRole('button', { name })).toBeInTheDocument();
+    });
+    expect(screen.getByRole('textbox', { name: 'Ask your financial question' })).toBeInTheDocument();
+  });
+
+  test('announces a finished reply in the status region', async () => {
+    await renderChat();
+    fireEvent.change(screen.getByRole('textbox', { name: 'Ask your financial question' }), { target: { value: "How's my net worth?" } });
+    fireEvent.click(screen.getByRole('button', { name: 'Send Message' }));
+
+    const announcement = await screen.findByText('FinSure AI: Your net worth is up 4% this month.');
+    expect(announcement).toBe(screen.getByRole('status'));
+    expect(screen.getByRole('log', { name: 'Conversation' })).toHaveTextContent("You: How's my net worth?");
+  });
+
+  test('offers suggested questions and the attached item as labelled controls', async () => {
+    const askContext = { kind: 'asset', label: 'Mutual Fund', details: {}, question: 'What should I know about my mutual fund?' };
+    const { container } = renderWithProviders(<ChatInterface userId="test-user" askContext={askContext} />);
+    await act(() => Promise.resolve());
+    expect(await axe(container)).toHaveNoViolations();
+
+    expect(screen.getByRole('textbox', { name: 'Ask your financial question' })).toHaveValue(askContext.question);
+    expect(screen.getByRole('button', { name: 'Stop asking about Mutual Fund' })).toBeInTheDocument();
+    const starters = screen.getByRole('group', { name: 'Suggested questions' });
+
+    fireEvent.click(within(starters).getByRole('button', { name: "How's my net worth?" }));
+    const followUps = await screen.findByRole('group', { name: 'Suggested follow-up questions' });
+    expect(within(followUps).getByRole('button', { name: 'How can I grow it faster?' })).toBeInTheDocument();
+    expect(screen.getByRole('log', { name: 'Conversation' })).toHaveTextContent('About: Mutual Fund');
+    expect(screen.queryByRole('button', { name: 'Stop asking about Mutual Fund' })).not.toBeInTheDocument();
+  });
+
+  test('"/" focuses the message box and Alt+M toggles the microphone', async () => {
+    await renderChat();
+    const input = screen.getByRole('textbox', { name: 'Ask your financial question' });
+    const mic = screen.getByRole('button', { name: 'Hold to Talk' });
+
+    fireEvent.keyDown(document.body, { key: '/' });
+    expect(input).toHaveFocus();
+
+    // Typing "/" in the box is just text
+    expect(fireEvent.keyDown(input, { key: '/' })).toBe(true);
+
+    fireEvent.keyDown(input, { key: 'µ', code: 'KeyM', altKey: true });
+    expect(mic).toHaveAttribute('aria-pressed', 'true');
+    fireEvent.keyDown(document.body, { key: 'µ', code: 'KeyM', altKey: true });
+    expect(mic).toHaveAttribute('aria-pressed', 'false');
+  });
+});
+
+describe('matchesShortcut', () => {
+  test('matches letters by physical key and requires the exact modifiers', () => {
+    expect(matchesShortcut({ key: 'µ', code: 'KeyM', altKey: true }, 'Alt+M')).toBe(true);
+    expect(matchesShortcut({ key: 'm', code: 'KeyM' }, 'Alt+M')).toBe(false);
+    expect(matchesShortcut({ key: 'm', code: 'KeyM', altKey: true, ctrlKey: true }, 'Alt+M')).toBe(false);
+    expect(matchesShortcut({ key: '/', shiftKey: true }, '/')).toBe(true);
+  });
+});
@@ -0,0 +1,56 @@
+import React, { useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Bell, X } from 'lucide-react';
+import GlassCard from '../components/GlassCard';
+import { useLanguage } from '../i18n/LanguageContext';
+import { usePrivacy } from '../privacy/PrivacyContext';
+import { alertMessage } from './alertRules';
+
+const TOAST_DURATION_MS = 8000;
+
+// --- AlertToast Component ---
+const AlertToast = ({ alert, onDismiss }) => {
+  const { t } = useLanguage();
+  const { masked } = usePrivacy();
+
+  useEffect(() => {
+    const timer = setTimeout(() => onDismiss(alert.id), TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [alert.id, onDismiss]);
+
+  return (
+    <GlassCard className="p-3 bg-gray-900/95 pointer-events-auto flex items-start">
+      <Bell size={14} className="mt-0.5 mr-2 text-gray-400 flex-shrink-0" aria-hidden="true" />
+      <div className="flex-1 text-xs">
+        <p className="font-medium text-gray-200">{alert.title}</p>
+        <p className="text-gray-400">{alertMessage(alert, masked)}</p>
+        <Link to="/alerts" onClick={() => onDismiss(alert.id)} className="text-gray-300 underline hover:text-gray-100">
+          {t('alerts.viewAlerts')}
+        </Link>
+      </div>
+      <button
+        onClick={() => onDismiss(alert.id)}
+        className="ml-2 text-gray-500 hover:text-gray-300"
+        title={t('alerts.dismissTitle')}
+        aria-label={t('alerts.dismiss', { title: alert.title })}
+      >
+        <X size={12} />
+      </button>
+    </GlassCard>
+  );
+};
+
+// --- AlertToasts Component ---
+// Newly raised alerts in the corner of the screen; each one dismisses itself after a
+// few seconds. The live region is always mounted so screen readers announce new ones.
+const AlertToasts = ({ toasts, onDismiss }) => (
+  <div
+    role="status"
+    aria-live="polite"
+    className="fixed bottom-4 right-4 z-50 w-80 max-w-[calc(100vw-2rem)] space-y-2 pointer-events-none"
+  >
+    {toasts.map(alert => <AlertToast key={alert.id} alert={alert} onDismiss={onDismiss} />)}
+  </div>
+);
+
+export default AlertToasts;
@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { Bell, BellRing, Plus, Trash2, CheckCheck, RotateCcw } from 'lucide-react';
+import GlassCard from '../components/GlassCard';
+import { useLanguage } from '../i18n/LanguageContext';
+import { usePrivacy } from '../privacy/PrivacyContext';
+import { RULE_TYPES, alertMessage } from './alertRules';
+import { notificationPermission, requestNotificationPermission } from './notifications';
+
+const inputClassName = 'p-2 bg-gray-800/40 border border-gray-600/40 rounded-lg focus:outline-none focus:ring-1 focus:ring-gray-500 text-gray-300 text-xs';
+
+const thresholdOf = (rule) => Number(rule.threshold) || 0;
+
+// "14 Jul, 14:05" in English
+const formatRaisedAt = (timestamp, locale) => new Date(timestamp).toLocaleString(locale, {
+  day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit',
+});
+
+// --- AlertsPanel Component ---
+// Rules checked against every refresh of the financial summary, and the alerts they
+// have raised.
+const AlertsPanel = ({ alerts }) => {
+  const { rules, addRule, updateRule, resetRule, removeRule, history, markAllRead, clearHistory } = alerts;
+  const { t, locale } = useLanguage();
+  const { masked } = usePrivacy();
+  const [newType, setNewType] = useState('netWorthDrop');
+  const [newThreshold, setNewThreshold] = useState(String(RULE_TYPES.netWorthDrop.defaultThreshold));
+  const [permission, setPermission] = useState(notificationPermission);
+
+  const handleTypeChange = (type) => {
+    setNewType(type);
+    setNewThreshold(String(RULE_TYPES[type].defaultThreshold));
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    addRule(newType, { threshold: Math.max(0, Number(newThreshold) || 0) });
+  };
+
+  const handleEnableNotifications = async () => {
+    setPermission(await requestNotificationPermission());
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+      <GlassCard className="p-4">
+        <h2 className="text-md font-medium text-gray-300 flex items-center mb-3">
+          <Bell size={16} className="mr-2" />
+          {t('alerts.rulesTitle')}
+        </h2>
+        <p className="text-xs text-gray-500 mb-3">
+          {t('alerts.rulesHelp')}
+        </p>
+
+        <ul className="space-y-2 mb-4">
+          {rules.map(rule => {
+            const ruleType = RULE_TYPES[rule.type];
+            const description = ruleType.describe(thresholdOf(rule), t);
+            return (
+              <li key={rule.id} className="p-3 bg-gray-800/40 rounded-lg border border-gray-600/30 flex items-center justify-between">
+                <label className="flex items-center text-xs text-gray-300 mr-2">
+                  <input
+                    type="checkbox"
+                    className="mr-2"
+                    aria-label={t('alerts.enableRule', { rule: description })}
+                    checked={rule.enabled}
+                    onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                  />
+                  <span className={rule.enabled ? '' : 'text-gray-500'}>{description}</span>
+                </label>
+                <div className="flex items-center space-x-1">
+                  {ruleType.unit && (
+                    <label className="flex items-center text-xs text-gray-500">
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        aria-label={t('alerts.threshold', { unit: t(`alerts.unit.${ruleType.unit}`) })}
+                        className={`${inputClassName} w-20`}
+                        value={rule.threshold}
+                        onChange={(e) => updateRule(rule.id, { threshold: e.target.value })}
+                      />
+                      <span className="ml-1">{t(`alerts.unit.${ruleType.unit}`)}</span>
+                    </label>
+                  )}
+                  {ruleType.baseline !== 'lastCheck' && (
+                    <button
+                      onClick={() => resetRule(rule.id)}
+                      className="p-1 text-gray-500 hover:text-gray-300"
+                      title={t('alerts.resetTitle')}
+                      aria-label={t('alerts.reset', { rule: description })}
+                    >
+                      <RotateCcw size={12} />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => removeRule(rule.id)}
+                    className="p-1 text-gray-500 hover:text-gray-300"
+                    title={t('alerts.deleteTitle')}
+                    aria-label={t('alerts.delete', { rule: description })}
+                  >
+                    <Trash2 size={12} />
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+          {rules.length === 0 && (
+            <li className="py-4 text-center text-gray-500 text-xs">
+              {t('alerts.noRules')}
+            </li>
+          )}
+        </ul>
+
+        <form onSubmit={handleAdd} className="flex items-end space-x-2">
+          <label className="flex-1 block text-xs text-gray-500">
+            {t('alerts.newRule')}
+            <select className={`${inputClassName} w-full mt-1`} value={newType} onChange={(e) => handleTypeChange(e.target.value)}>
+              {Object.entries(RULE_TYPES).map(([type, ruleType]) => <option key={type} value={type}>{t(`alerts.rule.${type}`)}</option>)}
+            </select>
+          </label>
+          {RULE_TYPES[newType].unit && (
+            <label className="block text-xs text-gray-500">
+              {t('alerts.threshold', { unit: t(`alerts.unit.${RULE_TYPES[newType].unit}`) })}
+              <input
+                type="number"
+                min="0"
+                step="any"
+                className={`${inputClassName} w-24 mt-1 block`}
+                value={newThreshold}
+                onChange={(e) => setNewThreshold(e.target.value)}
+              />
+            </label>
+          )}
+          <button
+            type="submit"
+            className="px-2 py-2 rounded-lg text-xs border bg-gray-700/60 text-gray-200 border-gray-500/40 flex items-center whitespace-nowrap"
+          >
+            <Plus size={12} className="mr-1" />
+            {t('alerts.addRule')}
+          </button>
+        </form>
+
+        <div className="mt-4 pt-3 border-t border-gray-700/50 text-xs text-gray-500">
+          {permission === 'default' ? (
+            <button
+              onClick={handleEnableNotifications}
+              className="px-2 py-1 rounded-lg border bg-gray-800/40 text-gray-300 border-gray-600/30 hover:text-gray-200 flex items-center"
+            >
+              <BellRing size={12} className="mr-1" />
+              {t('alerts.enableNotifications')}
+            </button>
+          ) : (
+            <p>{t(`alerts.permission.${permission}`)}</p>
+          )}
+        </div>
+      </GlassCard>
+
+      <GlassCard className="p-4">
+        <div className="flex justify-between items-center mb-3">
+          <h2 className="text-md font-medium text-gray-300">{t('alerts.historyTitle')}</h2>
+          <div className="flex space-x-1">
+            <button
+              onClick={markAllRead}
+              disabled={!history.some(alert => !alert.read)}
+              className="px-2 py-1 rounded-lg text-xs border bg-gray-800/40 text-gray-400 border-gray-600/30 hover:text-gray-200 flex items-center disabled:opacity-50"
+            >
+              <CheckCheck size={12} className="mr-1" />
+              {t('alerts.markAllRead')}
+            </button>
+            <button
+              onClick={clearHistory}
+              disabled={history.length === 0}
+              className="px-2 py-1 rounded-lg text-xs border bg-gray-800/40 text-gray-400 border-gray-600/30 hover:text-gray-200 flex items-center disabled:opacity-50"
+            >
+              <Trash2 size={12} className="mr-1" />
+              {t('alerts.clear')}
+            </button>
+          </div>
+        </div>
+        <ul className="space-y-2 max-h-[32rem] overflow-y-auto scrollbar-thin scrollbar-thumb-gray-600 scrollbar-track-transparent">
+          {history.map(alert => (
+            <li key={alert.id} className={`p-3 rounded-lg border text-xs ${alert.read ? 'bg-gray-800/20 border-gray-700/30' : 'bg-gray-800/60 border-gray-500/40'}`}>
+              <div className="flex justify-between">
+                <span className="font-medium text-gray-200">
+                  {!alert.read && <span className="sr-only">{t('alerts.new')}</span>}
+                  {alert.title}
+                </span>
+                <time className="text-gray-500" dateTime={new Date(alert.raisedAt).toISOString()}>{formatRaisedAt(alert.raisedAt, locale)}</time>
+              </div>
+              <p className="text-gray-400 mt-1">{alertMessage(alert, masked)}</p>
+            </li>
+          ))}
+          {history.length === 0 && (
+            <li className="py-4 text-center text-gray-500 text-xs">{t('alerts.noAlerts')}</li>
+          )}
+        </ul>
+      </GlassCard>
+    </div>
+  );
+};
+
+export default AlertsPanel;
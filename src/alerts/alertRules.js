@@ -0,0 +1,140 @@
+import { ENGLISH } from '../i18n/translate';
+import { snapshotFromSummary } from '../history/snapshotStore';
+import { normalizeSchemes } from '../portfolio/portfolioAnalytics';
+
+// --- Alert Rules ---
+// User-defined checks run against each fresh /getFinancialSummary result. Each rule
+// compares the new figures with its own baseline, whose `baseline` kind says how it moves:
+//   'peak'      - the highest net worth since the rule was added, reset or last fired, so
+//                 a drop spread over several refreshes still adds up
+//   'lastAlert' - the figures when the rule was added, reset or last fired
+//   'lastCheck' - the previous refresh, so a condition alerts once when it starts to hold
+//                 rather than on every refresh while it does
+// Alerts that quote amounts or scores carry a `maskedMessage` for privacy mode. Each rule
+// type is labelled by `alerts.rule.<type>` in the catalogs.
+
+export const RULE_TYPES = {
+  netWorthDrop: {
+    unit: 'percent',
+    defaultThreshold: 5,
+    baseline: 'peak',
+    describe: (threshold, t) => t('alerts.rule.netWorthDrop.describe', { threshold }),
+  },
+  creditScoreChange: {
+    unit: 'points',
+    defaultThreshold: 1,
+    baseline: 'lastAlert',
+    describe: (threshold, t) => (threshold === 1
+      ? t('alerts.rule.creditScoreChange.describeOne')
+      : t('alerts.rule.creditScoreChange.describe', { threshold })),
+  },
+  negativeXirr: {
+    unit: null,
+    defaultThreshold: 0,
+    baseline: 'lastCheck',
+    describe: (threshold, t) => t('alerts.rule.negativeXirr.describe'),
+  },
+  liabilityRatio: {
+    unit: 'percent',
+    defaultThreshold: 50,
+    baseline: 'lastCheck',
+    describe: (threshold, t) => t('alerts.rule.liabilityRatio.describe', { threshold }),
+  },
+};
+
+/** Reduces a financial summary to the figures the rules look at. */
+export const alertMetrics = (financialData) => {
+  const { netWorth, totalAssets, totalLiabilities, creditScore } = snapshotFromSummary(financialData);
+  return {
+    netWorth,
+    creditScore,
+    liabilityRatio: totalAssets > 0 && totalLiabilities !== null ? (totalLiabilities / totalAssets) * 100 : null,
+    negativeFunds: normalizeSchemes(financialData?.mfTransactions)
+      .filter(scheme => scheme.xirr !== null && scheme.xirr < 0)
+      .map(scheme => ({ id: scheme.id, name: scheme.name, xirr: scheme.xirr })),
+  };
+};
+
+const checks = {
+  netWorthDrop: (threshold, previous, current, { formatAmount, t }) => {
+    if (!previous || previous.netWorth === null || current.netWorth === null || previous.netWorth === 0) return [];
+    const drop = ((previous.netWorth - current.netWorth) / Math.abs(previous.netWorth)) * 100;
+    if (drop <= threshold) return [];
+    return [{
+      title: t('alerts.netWorthDrop.title'),
+      message: t('alerts.netWorthDrop.message', {
+        drop: drop.toFixed(1), amount: formatAmount(current.netWorth), high: formatAmount(previous.netWorth),
+      }),
+      maskedMessage: t('alerts.netWorthDrop.maskedMessage', { drop: drop.toFixed(1) }),
+    }];
+  },
+  creditScoreChange: (threshold, previous, current, { t }) => {
+    if (!previous || previous.creditScore === null || current.creditScore === null) return [];
+    const change = current.creditScore - previous.creditScore;
+    if (change === 0 || Math.abs(change) < threshold) return [];
+    return [{
+      title: t(change > 0 ? 'alerts.creditScoreUp.title' : 'alerts.creditScoreDown.title'),
+      message: t('alerts.creditScore.message', { from: previous.creditScore, to: current.creditScore }),
+      maskedMessage: Math.abs(change) === 1
+        ? t('alerts.creditScore.maskedMessageOne')
+        : t('alerts.creditScore.maskedMessage', { change: Math.abs(change) }),
+    }];
+  },
+  negativeXirr: (threshold, previous, current, { t }) => {
+    const alreadyNegative = new Set((previous?.negativeFunds || []).map(fund => fund.id));
+    return current.negativeFunds
+      .filter(fund => !alreadyNegative.has(fund.id))
+      .map(fund => ({
+        title: t('alerts.negativeXirr.title'),
+        message: t('alerts.negativeXirr.message', { fund: fund.name, xirr: fund.xirr.toFixed(2) }),
+      }));
+  },
+  liabilityRatio: (threshold, previous, current, { t }) => {
+    if (current.liabilityRatio === null || current.liabilityRatio <= threshold) return [];
+    if (previous?.liabilityRatio != null && previous.liabilityRatio > threshold) return [];
+    return [{
+      title: t('alerts.liabilityRatio.title'),
+      message: t('alerts.liabilityRatio.message', { ratio: current.liabilityRatio.toFixed(1), threshold }),
+    }];
+  },
+};
+
+/** The alert's message, or its version without amounts and scores in privacy mode. */
+export const alertMessage = (alert, masked) => (masked ? alert.maskedMessage ?? alert.message : alert.message);
+
+const nextBaseline = (type, baseline, current, fired) => {
+  if (fired || !baseline) return current;
+  switch (RULE_TYPES[type].baseline) {
+    case 'peak':
+      return current.netWorth !== null && (baseline.netWorth === null || current.netWorth > baseline.netWorth) ? current : baseline;
+    case 'lastAlert':
+      return baseline;
+    default:
+      return current;
+  }
+};
+
+/**
+ * Runs the enabled rules against `current` metrics, each compared with its entry in
+ * `baselines` (keyed by rule ID). A rule without one yet, just added or reset, only
+ * records the current figures, unless its condition already holds. Returns the alerts
+ * raised, each tagged with the rule that raised it, and the baselines to keep.
+ * `formatAmount` formats base-currency amounts for the messages; see useMoney(). The
+ * alerts are written in `language` and kept that way in the history.
+ */
+export const evaluateRules = (rules, baselines, current, { formatAmount, language: { t } = ENGLISH }) => {
+  const nextBaselines = {};
+  const alerts = rules
+    .filter(rule => rule.enabled && checks[rule.type])
+    .flatMap(rule => {
+      const baseline = baselines[rule.id] ?? null;
+      const raised = checks[rule.type](Number(rule.threshold) || 0, baseline, current, { formatAmount, t });
+      nextBaselines[rule.id] = nextBaseline(rule.type, baseline, current, raised.length > 0);
+      return raised.map(alert => ({ ...alert, ruleId: rule.id, type: rule.type }));
+    });
+  // Disabled rules keep their baseline for when they are switched back on
+  rules.forEach(rule => {
+    if (!(rule.id in nextBaselines) && baselines[rule.id]) nextBaselines[rule.id] = baselines[rule.id];
+  });
+  return { alerts, baselines: nextBaselines };
+};
@@ -0,0 +1,60 @@
+import { createTranslator } from '../i18n/translate';
+import { evaluateRules } from './alertRules';
+
+const formatAmount = (amount) => `₹${amount}`;
+const metrics = (overrides = {}) => ({ netWorth: 100000, creditScore: 750, xirr: 10, liabilityRatio: 20, ...overrides });
+const rule = (type, threshold) => ({ id: type, type, threshold, enabled: true });
+
+// Feeds each refresh through the rules, carrying the baselines over like useAlerts does
+const runChecks = (rules, refreshes) => {
+  let baselines = {};
+  return refreshes.map(current => {
+    const result = evaluateRules(rules, baselines, current, { formatAmount });
+    baselines = result.baselines;
+    return result.alerts.map(alert => alert.ruleId);
+  });
+};
+
+describe('evaluateRules', () => {
+  test('adds up a net worth drop spread over several refreshes', () => {
+    const rules = [rule('netWorthDrop', 5)];
+    const refreshes = [100000, 97000, 94000, 92000].map(netWorth => metrics({ netWorth }));
+    expect(runChecks(rules, refreshes)).toEqual([[], [], ['netWorthDrop'], []]);
+  });
+
+  test('measures a net worth drop from the highest value seen', () => {
+    const rules = [rule('netWorthDrop', 5)];
+    const refreshes = [100000, 120000, 115000, 113000].map(netWorth => metrics({ netWorth }));
+    expect(runChecks(rules, refreshes)).toEqual([[], [], [], ['netWorthDrop']]);
+  });
+
+  test('keeps the credit score reference until the rule fires', () => {
+    const rules = [rule('creditScoreChange', 20)];
+    const refreshes = [750, 740, 730, 725].map(creditScore => metrics({ creditScore }));
+    expect(runChecks(rules, refreshes)).toEqual([[], [], ['creditScoreChange'], []]);
+  });
+
+  test('alerts once when a condition starts to hold', () => {
+    const rules = [rule('liabilityRatio', 50)];
+    const refreshes = [20, 60, 65, 30, 55].map(liabilityRatio => metrics({ liabilityRatio }));
+    expect(runChecks(rules, refreshes)).toEqual([[], ['liabilityRatio'], [], [], ['liabilityRatio']]);
+  });
+
+  test('keeps the baseline of a disabled rule', () => {
+    const rules = [{ ...rule('netWorthDrop', 5), enabled: false }];
+    const baselines = { netWorthDrop: metrics() };
+    expect(evaluateRules(rules, baselines, metrics({ netWorth: 50000 }), { formatAmount }).baselines).toEqual(baselines);
+  });
+
+  test('quotes the recent high in the message', () => {
+    const { alerts } = evaluateRules([rule('netWorthDrop', 5)], { netWorthDrop: metrics() }, metrics({ netWorth: 90000 }), { formatAmount });
+    expect(alerts[0].message).toBe('Net worth fell 10.0% to ₹90000, from a high of ₹100000.');
+  });
+
+  test('writes the alert in the given language', () => {
+    const language = { t: createTranslator('hi') };
+    const { alerts } = evaluateRules([rule('creditScoreChange', 1)], { creditScoreChange: metrics() }, metrics({ creditScore: 760 }), { formatAmount, language });
+    expect(alerts[0].title).toBe('क्रेडिट स्कोर बढ़ा');
+    expect(alerts[0].message).toBe('आपका क्रेडिट स्कोर 750 से 760 हो गया।');
+  });
+});
@@ -0,0 +1,82 @@
+import { RULE_TYPES } from './alertRules';
+
+// --- Alert Store ---
+// Rules, raised alerts and each rule's baseline metrics live in localStorage like goals,
+// so a refresh after reopening the dashboard is compared with earlier visits.
+
+const RULES_STORAGE_KEY = 'finsure.alertRules';
+const HISTORY_STORAGE_KEY = 'finsure.alertHistory';
+const BASELINES_STORAGE_KEY = 'finsure.alertBaselines';
+
+// Oldest alerts are dropped beyond this
+export const MAX_ALERT_HISTORY = 50;
+
+const load = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const remove = (key, description) => {
+  try {
+    localStorage.removeItem(key);
+  } catch (error) {
+    console.error(`Error clearing ${description}:`, error);
+  }
+};
+
+const save = (key, value, description) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Error saving ${description}:`, error);
+  }
+  return value;
+};
+
+export const loadRules = () => {
+  const rules = load(RULES_STORAGE_KEY, []);
+  return Array.isArray(rules) ? rules.filter(rule => RULE_TYPES[rule.type]) : [];
+};
+
+export const saveRules = (rules) => save(RULES_STORAGE_KEY, rules, 'alert rules');
+
+export const createRule = (type, fields) => ({
+  id: crypto.randomUUID(),
+  type,
+  threshold: RULE_TYPES[type].defaultThreshold,
+  enabled: true,
+  createdAt: Date.now(),
+  ...fields,
+});
+
+/** Raised alerts, newest first. */
+export const loadHistory = () => {
+  const history = load(HISTORY_STORAGE_KEY, []);
+  return Array.isArray(history) ? history : [];
+};
+
+export const saveHistory = (history) => save(HISTORY_STORAGE_KEY, history.slice(0, MAX_ALERT_HISTORY), 'alert history');
+
+export const createAlert = (fields) => ({
+  id: crypto.randomUUID(),
+  raisedAt: Date.now(),
+  read: false,
+  ...fields,
+});
+
+/** Baseline metrics per rule ID; see RULE_TYPES[type].baseline. */
+export const loadBaselines = () => {
+  const baselines = load(BASELINES_STORAGE_KEY, {});
+  return baselines && typeof baselines === 'object' && !Array.isArray(baselines) ? baselines : {};
+};
+
+export const saveBaselines = (baselines) => save(BASELINES_STORAGE_KEY, baselines, 'alert baselines');
+
+/** Forgets raised alerts and baselines, which quote the user's figures; rules are kept. */
+export const clearAlertData = () => {
+  remove(HISTORY_STORAGE_KEY, 'alert history');
+  remove(BASELINES_STORAGE_KEY, 'alert baselines');
+};
@@ -0,0 +1,39 @@
+// --- Browser Notifications ---
+// Alerts are also shown as system notifications once the user allows them. When a
+// service worker is registered the notification goes through it, which is the only
+// way some browsers (Android Chrome) will show one; otherwise the page shows it itself.
+
+export const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+/** 'granted', 'denied', 'default', or 'unsupported' when the browser has no Notification API. */
+export const notificationPermission = () => (notificationsSupported() ? Notification.permission : 'unsupported');
+
+export const requestNotificationPermission = async () => {
+  if (!notificationsSupported()) return 'unsupported';
+  try {
+    return await Notification.requestPermission();
+  } catch (error) {
+    console.error('Error requesting notification permission:', error);
+    return Notification.permission;
+  }
+};
+
+/** Shows `alert` as a system notification, if the user has allowed them. */
+export const showAlertNotification = async (alert) => {
+  if (notificationPermission() !== 'granted') return;
+  const options = {
+    body: alert.message,
+    tag: alert.id,
+    icon: `${process.env.PUBLIC_URL}/logo.jpg`,
+  };
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration();
+    if (registration) {
+      await registration.showNotification(alert.title, options);
+      return;
+    }
+    new Notification(alert.title, options);
+  } catch (error) {
+    console.error('Error showing notification:', error);
+  }
+};
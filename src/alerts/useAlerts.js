@@ -0,0 +1,86 @@
+import { useState, useCallback, useRef } from 'react';
+import { useLanguage } from '../i18n/LanguageContext';
+import { usePrivacy } from '../privacy/PrivacyContext';
+import { useMoney } from '../money/MoneyContext';
+import { alertMetrics, alertMessage, evaluateRules } from './alertRules';
+import {
+  loadRules, saveRules, createRule, loadHistory, saveHistory, createAlert, loadBaselines, saveBaselines, clearAlertData
+} from './alertStore';
+import { showAlertNotification } from './notifications';
+
+/**
+ * Alert rules and history kept in sync with localStorage. `checkSummary` runs the rules
+ * against a fresh summary; whatever it raises is added to the history, queued as a toast
+ * and sent as a browser notification. `resetRule` starts a rule's comparison afresh from
+ * the next refresh; `clearAlerts` forgets everything but the rules, e.g. on logout.
+ */
+export default function useAlerts() {
+  const language = useLanguage();
+  const { masked } = usePrivacy();
+  const { formatUnmasked } = useMoney();
+  const [rules, setRules] = useState(loadRules);
+  const [history, setHistory] = useState(loadHistory);
+  const [toasts, setToasts] = useState([]);
+  const rulesRef = useRef(rules);
+  rulesRef.current = rules;
+  const maskedRef = useRef(masked);
+  maskedRef.current = masked;
+  // Alerts keep the full message; privacy mode swaps in maskedMessage where they are shown
+  const formatAmountRef = useRef(formatUnmasked);
+  formatAmountRef.current = formatUnmasked;
+  const languageRef = useRef(language);
+  languageRef.current = language;
+
+  const updateRules = useCallback((updater) => {
+    setRules(prev => saveRules(updater(prev)));
+  }, []);
+
+  const updateHistory = useCallback((updater) => {
+    setHistory(prev => saveHistory(updater(prev)));
+  }, []);
+
+  const addRule = useCallback((type, fields) => updateRules(prev => [...prev, createRule(type, fields)]), [updateRules]);
+  const updateRule = useCallback((id, fields) => updateRules(prev => prev.map(rule => (rule.id === id ? { ...rule, ...fields } : rule))), [updateRules]);
+  const resetRule = useCallback((id) => {
+    const { [id]: removed, ...rest } = loadBaselines();
+    saveBaselines(rest);
+  }, []);
+  const removeRule = useCallback((id) => {
+    resetRule(id);
+    updateRules(prev => prev.filter(rule => rule.id !== id));
+  }, [updateRules, resetRule]);
+
+  const markAllRead = useCallback(() => updateHistory(prev => prev.map(alert => (alert.read ? alert : { ...alert, read: true }))), [updateHistory]);
+  const clearHistory = useCallback(() => updateHistory(() => []), [updateHistory]);
+  const clearAlerts = useCallback(() => {
+    clearAlertData();
+    setHistory([]);
+    setToasts([]);
+  }, []);
+  const dismissToast = useCallback((id) => setToasts(prev => prev.filter(toast => toast.id !== id)), []);
+
+  const checkSummary = useCallback((financialData) => {
+    const current = alertMetrics(financialData);
+    const { alerts: raisedAlerts, baselines } = evaluateRules(rulesRef.current, loadBaselines(), current, {
+      formatAmount: (amount) => formatAmountRef.current(amount),
+      language: languageRef.current,
+    });
+    saveBaselines(baselines);
+    const raised = raisedAlerts.map(createAlert);
+    if (raised.length === 0) return;
+
+    updateHistory(prev => [...raised, ...prev]);
+    setToasts(prev => [...prev, ...raised]);
+    // System notifications can show up on a shared screen too
+    raised.forEach(alert => showAlertNotification({ ...alert, message: alertMessage(alert, maskedRef.current) }));
+  }, [updateHistory]);
+
+  const unreadCount = history.filter(alert => !alert.read).length;
+
+  return {
+    rules, addRule, updateRule, resetRule, removeRule,
+    history, unreadCount, markAllRead, clearHistory,
+    toasts, dismissToast, clearAlerts,
+    checkSummary,
+  };
+}
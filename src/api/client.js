@@ -0,0 +1,199 @@
+import { getApiConfig } from './config';
+import {
+  ApiError, LoginRequiredError, InvalidSessionError, HttpError, TimeoutError, NetworkError, isAbortError
+} from './errors';
+
+// --- API Client ---
+// Thin wrapper around fetch that adds the backend base URL, JSON encoding, a request ID
+// header for tracing, per-request timeouts, AbortController cancellation and retries
+// with exponential backoff for idempotent calls.
+
+const REQUEST_ID_HEADER = 'X-Request-ID';
+const BACKOFF_BASE_MS = 300;
+const BACKOFF_MAX_MS = 5000;
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+const readErrorBody = async (response) => {
+  const text = await response.text().catch(() => '');
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    // Proxies and crashed servers often answer with HTML or plain text
+    return { error: text.trim() || null };
+  }
+};
+
+/** Maps a non-OK response to the matching ApiError subclass. */
+export const errorFromResponse = async (response, requestId) => {
+  const errorData = await readErrorBody(response);
+  const message = typeof errorData?.error === 'string' ? errorData.error : null;
+
+  if (response.status === 401 && errorData?.login_url) {
+    return new LoginRequiredError(errorData.login_url, { requestId });
+  }
+  if (message && message.includes('Invalid session ID')) {
+    return new InvalidSessionError(message, { status: response.status, requestId });
+  }
+  return new HttpError(message || `HTTP error! status: ${response.status}`, { status: response.status, requestId });
+};
+
+const isRetryable = (error) => error instanceof TimeoutError
+  || error instanceof NetworkError
+  || (error instanceof HttpError && RETRYABLE_STATUSES.includes(error.status));
+
+const backoffDelay = (attempt) => {
+  const exponential = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  // Full jitter keeps clients that failed together from retrying together
+  return Math.round(Math.random() * exponential);
+};
+
+const abortReason = (signal) => signal.reason ?? new DOMException('The operation was aborted.', 'AbortError');
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortReason(signal));
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortReason(signal));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Request bodies carry session IDs, questions and financial details, so only the names
+// of their fields are logged
+const describeBody = (body) => {
+  if (body === undefined) return '';
+  if (body && typeof body === 'object' && !Array.isArray(body)) return ` (fields: ${Object.keys(body).join(', ') || 'none'})`;
+  return ` (${Array.isArray(body) ? 'array' : typeof body} body)`;
+};
+
+const createRequestId = () => (typeof crypto !== 'undefined' && crypto.randomUUID
+  ? crypto.randomUUID()
+  : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`);
+
+/**
+ * Creates a client bound to a base URL. Options default to getApiConfig(); with `mock`
+ * set, requests are answered by the fixture backend in ./mock instead of the network.
+ *
+ * client.request(endpoint, {
+ *   method = 'POST', body, headers, signal,
+ *   timeoutMs,          // per attempt; 0 disables the timeout
+ *   idempotent,         // defaults to true for GET/HEAD; enables retries
+ *   retries,            // overrides maxRetries for this call
+ *   raw = false,        // resolve with the Response instead of parsed JSON (for streaming)
+ * })
+ */
+export const createApiClient = ({ baseUrl, timeoutMs, maxRetries, mock = false, mockChatScript, fetchImpl } = getApiConfig()) => {
+  // The mock backend is loaded on demand so its fixtures stay out of the main bundle
+  let mockFetchPromise = null;
+  const loadMockFetch = () => {
+    mockFetchPromise = mockFetchPromise
+      || import('./mock/mockFetch').then(({ createMockFetch }) => createMockFetch({ chatScript: mockChatScript }));
+    return mockFetchPromise;
+  };
+
+  const doFetch = fetchImpl
+    || (mock
+      ? async (...args) => (await loadMockFetch())(...args)
+      : (...args) => fetch(...args));
+
+  const attempt = async (endpoint, options, requestId) => {
+    const { method, body, headers, signal, timeoutMs: attemptTimeout, raw } = options;
+    const controller = new AbortController();
+    let timedOut = false;
+    // A streamed body keeps reading after we return, so it stays linked to the caller's signal
+    let keepSignalLinked = false;
+
+    const onAbort = () => controller.abort(abortReason(signal));
+    if (signal?.aborted) throw abortReason(signal);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const timer = attemptTimeout > 0
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, attemptTimeout)
+      : null;
+
+    try {
+      let response;
+      try {
+        response = await doFetch(`${baseUrl}${endpoint}`, {
+          method,
+          headers: {
+            ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+            [REQUEST_ID_HEADER]: requestId,
+            ...headers,
+          },
+          body: body === undefined ? undefined : JSON.stringify(body),
+          signal: controller.signal,
+        });
+      } catch (error) {
+        if (timedOut) throw new TimeoutError(attemptTimeout, { requestId, cause: error });
+        if (isAbortError(error) || signal?.aborted) throw error;
+        throw new NetworkError(undefined, { requestId, cause: error });
+      }
+
+      if (!response.ok) {
+        throw await errorFromResponse(response, requestId);
+      }
+      if (raw) {
+        keepSignalLinked = true;
+        return response;
+      }
+      try {
+        return await response.json();
+      } catch (error) {
+        if (timedOut) throw new TimeoutError(attemptTimeout, { requestId, cause: error });
+        if (isAbortError(error)) throw error;
+        throw new ApiError('The backend returned an invalid JSON response', { status: response.status, requestId, cause: error });
+      }
+    } finally {
+      clearTimeout(timer);
+      if (!keepSignalLinked) signal?.removeEventListener('abort', onAbort);
+    }
+  };
+
+  const request = async (endpoint, options = {}) => {
+    const method = (options.method || 'POST').toUpperCase();
+    const idempotent = options.idempotent ?? ['GET', 'HEAD'].includes(method);
+    const retries = idempotent ? (options.retries ?? maxRetries) : 0;
+    const requestId = createRequestId();
+    const attemptOptions = { ...options, method, timeoutMs: options.timeoutMs ?? timeoutMs };
+
+    console.log(`[${requestId}] ${method} ${baseUrl}${endpoint}${describeBody(options.body)}`);
+
+    for (let attemptNumber = 0; ; attemptNumber++) {
+      try {
+        return await attempt(endpoint, attemptOptions, requestId);
+      } catch (error) {
+        if (attemptNumber >= retries || !isRetryable(error)) {
+          if (!isAbortError(error)) {
+            console.error(`[${requestId}] Error during backend API call:`, error);
+          }
+          throw error;
+        }
+        const delay = backoffDelay(attemptNumber);
+        console.warn(`[${requestId}] ${error.message}; retrying in ${delay}ms (attempt ${attemptNumber + 2} of ${retries + 1})`);
+        await sleep(delay, options.signal);
+      }
+    }
+  };
+
+  return {
+    baseUrl,
+    mock,
+    request,
+    get: (endpoint, options = {}) => request(endpoint, { ...options, method: 'GET' }),
+    post: (endpoint, body, options = {}) => request(endpoint, { ...options, method: 'POST', body }),
+  };
+};
+
+// Shared client configured from the environment
+export const apiClient = createApiClient();
@@ -0,0 +1,219 @@
+import { createApiClient } from './client';
+import {
+  ApiError, LoginRequiredError, InvalidSessionError, HttpError, TimeoutError, NetworkError
+} from './errors';
+
+// --- Fetch stand-in ---
+// Answers requests from a queue of canned responses and records what was asked, so the
+// client's error mapping runs exactly as it would against the backend.
+const createFetchStandIn = (...replies) => {
+  const queue = [...replies];
+  const requests = [];
+  const fetchImpl = async (url, options) => {
+    requests.push({ url, ...options, body: options.body === undefined ? undefined : JSON.parse(options.body) });
+    const reply = queue.shift();
+    if (!reply) throw new Error(`Unexpected request to ${url}`);
+    if (reply instanceof Error) throw reply;
+    if (typeof reply === 'function') return reply(options);
+    return reply;
+  };
+  return { fetchImpl, requests };
+};
+
+const response = (status, body, { contentType = 'application/json' } = {}) => {
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => (name.toLowerCase() === 'content-type' ? contentType : null) },
+    text: async () => text,
+    json: async () => JSON.parse(text),
+  };
+};
+
+const createClient = (fetchImpl, options = {}) => createApiClient({
+  baseUrl: 'http://backend.test',
+  timeoutMs: 1000,
+  maxRetries: 0,
+  fetchImpl,
+  ...options,
+});
+
+// The client logs every request and failure; keep test output readable
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('successful requests', () => {
+  test('posts JSON to the base URL with a request ID and resolves with the parsed body', async () => {
+    const { fetchImpl, requests } = createFetchStandIn(response(200, { netWorth: 'ok' }));
+    const client = createClient(fetchImpl);
+
+    await expect(client.post('/getFinancialSummary', { userId: 'session-1' })).resolves.toEqual({ netWorth: 'ok' });
+    expect(requests).toHaveLength(1);
+    expect(requests[0].url).toBe('http://backend.test/getFinancialSummary');
+    expect(requests[0].method).toBe('POST');
+    expect(requests[0].body).toEqual({ userId: 'session-1' });
+    expect(requests[0].headers['Content-Type']).toBe('application/json');
+    expect(requests[0].headers['X-Request-ID']).toEqual(expect.any(String));
+  });
+
+  test('resolves with the raw response when asked, for streaming', async () => {
+    const reply = response(200, 'data: hello\n\n', { contentType: 'text/event-stream' });
+    const { fetchImpl } = createFetchStandIn(reply);
+    await expect(createClient(fetchImpl).post('/chat', { message: 'hi' }, { raw: true })).resolves.toBe(reply);
+  });
+});
+
+describe('error mapping', () => {
+  test('a 401 with login_url becomes LoginRequiredError', async () => {
+    const { fetchImpl } = createFetchStandIn(response(401, { error: 'login_required', login_url: 'https://fi.money/login?session=abc' }));
+    const error = await createClient(fetchImpl).post('/getFinancialSummary', { userId: 'abc' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(LoginRequiredError);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.type).toBe('login_required');
+    expect(error.status).toBe(401);
+    expect(error.loginUrl).toBe('https://fi.money/login?session=abc');
+    expect(error.requestId).toEqual(expect.any(String));
+  });
+
+  test('a 401 without a login URL is a plain HttpError', async () => {
+    const { fetchImpl } = createFetchStandIn(response(401, { error: 'Unauthorized' }));
+    const error = await createClient(fetchImpl).post('/chat', {}).catch(e => e);
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error).not.toBeInstanceOf(LoginRequiredError);
+    expect(error.message).toBe('Unauthorized');
+    expect(error.status).toBe(401);
+  });
+
+  test('an "Invalid session ID" error becomes InvalidSessionError, whatever the status', async () => {
+    const { fetchImpl } = createFetchStandIn(
+      response(400, { error: 'Invalid session ID: abc' }),
+      response(500, { error: 'Invalid session ID or expired session' })
+    );
+    const client = createClient(fetchImpl);
+
+    const first = await client.post('/getFinancialSummary', { userId: 'abc' }).catch(e => e);
+    expect(first).toBeInstanceOf(InvalidSessionError);
+    expect(first.type).toBe('invalid_session');
+    expect(first.status).toBe(400);
+    expect(first.message).toBe('Invalid session ID: abc');
+
+    const second = await client.post('/getFinancialSummary', { userId: 'abc' }).catch(e => e);
+    expect(second).toBeInstanceOf(InvalidSessionError);
+    expect(second.status).toBe(500);
+  });
+
+  test('a non-JSON error body is used as the message', async () => {
+    const { fetchImpl } = createFetchStandIn(response(502, '  Bad Gateway\n', { contentType: 'text/html' }));
+    const error = await createClient(fetchImpl).post('/chat', {}).catch(e => e);
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error.type).toBe('http_error');
+    expect(error.status).toBe(502);
+    expect(error.message).toBe('Bad Gateway');
+  });
+
+  test('an empty or unhelpful error body falls back to the status', async () => {
+    const { fetchImpl } = createFetchStandIn(response(500, ''), response(503, { detail: 'down' }));
+    const client = createClient(fetchImpl);
+
+    const empty = await client.post('/chat', {}).catch(e => e);
+    expect(empty).toBeInstanceOf(HttpError);
+    expect(empty.message).toBe('HTTP error! status: 500');
+
+    const unknownShape = await client.post('/chat', {}).catch(e => e);
+    expect(unknownShape.message).toBe('HTTP error! status: 503');
+  });
+
+  test('an HTML error page is matched on its text', async () => {
+    const { fetchImpl } = createFetchStandIn(response(500, '<html><body>Invalid session ID</body></html>', { contentType: 'text/html' }));
+    const error = await createClient(fetchImpl).post('/chat', {}).catch(e => e);
+
+    // The text is kept as the message, so the invalid-session check still recognises it
+    expect(error).toBeInstanceOf(InvalidSessionError);
+    expect(error.message).toBe('<html><body>Invalid session ID</body></html>');
+  });
+
+  test('a successful response that is not JSON is an ApiError', async () => {
+    const { fetchImpl } = createFetchStandIn(response(200, '<html>Welcome</html>', { contentType: 'text/html' }));
+    const error = await createClient(fetchImpl).post('/getFinancialSummary', {}).catch(e => e);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.message).toBe('The backend returned an invalid JSON response');
+    expect(error.status).toBe(200);
+  });
+
+  test('a request that never reaches the backend becomes NetworkError', async () => {
+    const { fetchImpl } = createFetchStandIn(new TypeError('Failed to fetch'));
+    const error = await createClient(fetchImpl).post('/chat', {}).catch(e => e);
+
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.type).toBe('network_error');
+    expect(error.cause).toBeInstanceOf(TypeError);
+  });
+
+  test('a request that outlives its timeout becomes TimeoutError', async () => {
+    const { fetchImpl } = createFetchStandIn(({ signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')));
+    }));
+    const error = await createClient(fetchImpl, { timeoutMs: 10 }).post('/chat', {}).catch(e => e);
+
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error.timeoutMs).toBe(10);
+  });
+
+  test('cancelling through the caller\'s signal rejects with an AbortError, not an ApiError', async () => {
+    const controller = new AbortController();
+    const { fetchImpl } = createFetchStandIn(({ signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')));
+    }));
+    const pending = createClient(fetchImpl).post('/chat', {}, { signal: controller.signal }).catch(e => e);
+    controller.abort();
+
+    const error = await pending;
+    expect(error.name).toBe('AbortError');
+    expect(error).not.toBeInstanceOf(ApiError);
+  });
+});
+
+describe('retries', () => {
+  // No jitter: retries go out immediately
+  beforeEach(() => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  test('idempotent requests retry transient failures and then succeed', async () => {
+    const { fetchImpl, requests } = createFetchStandIn(
+      response(503, { error: 'Service unavailable' }),
+      new TypeError('Failed to fetch'),
+      response(200, { ok: true })
+    );
+    const client = createClient(fetchImpl, { maxRetries: 2 });
+
+    await expect(client.post('/getFinancialSummary', {}, { idempotent: true })).resolves.toEqual({ ok: true });
+    expect(requests).toHaveLength(3);
+    // Every attempt carries the same request ID so the backend logs can be correlated
+    expect(new Set(requests.map(request => request.headers['X-Request-ID'])).size).toBe(1);
+  });
+
+  test('errors that retrying cannot fix are thrown straight away', async () => {
+    const { fetchImpl, requests } = createFetchStandIn(response(401, { login_url: 'https://fi.money/login' }));
+    const client = createClient(fetchImpl, { maxRetries: 2 });
+
+    await expect(client.post('/getFinancialSummary', {}, { idempotent: true })).rejects.toBeInstanceOf(LoginRequiredError);
+    expect(requests).toHaveLength(1);
+  });
+
+  test('POSTs are not retried unless marked idempotent', async () => {
+    const { fetchImpl, requests } = createFetchStandIn(response(503, { error: 'Service unavailable' }));
+    const client = createClient(fetchImpl, { maxRetries: 2 });
+
+    await expect(client.post('/chat', { message: 'hi' })).rejects.toBeInstanceOf(HttpError);
+    expect(requests).toHaveLength(1);
+  });
+});
@@ -0,0 +1,63 @@
+// --- API Configuration ---
+// Settings are resolved in this order:
+//   1. Runtime: `window.__FINSURE_CONFIG__ = { backendUrl, requestTimeoutMs, maxRetries, refreshIntervalMs,
+//      mock, mockChatScript }`, set by a script served before the bundle, so one build can target any backend.
+//   2. Build time: REACT_APP_BACKEND_URL, REACT_APP_REQUEST_TIMEOUT_MS, REACT_APP_MAX_RETRIES,
+//      REACT_APP_REFRESH_INTERVAL_MS, REACT_APP_MOCK_API.
+//   3. The defaults below, which point at a locally running backend.
+//
+// Mock mode can also be toggled per browser tab with `?mock=1` / `?mock=0` in the URL.
+
+const DEFAULT_CONFIG = {
+  backendUrl: 'http://localhost:8000',
+  requestTimeoutMs: 30000,
+  maxRetries: 2,
+  // How often the dashboard refetches the financial summary in the background; 0 turns it off
+  refreshIntervalMs: 5 * 60 * 1000,
+  mock: false,
+};
+
+const MOCK_MODE_STORAGE_KEY = 'finsure.mockMode';
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : undefined;
+};
+
+const toBoolean = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  return value === true || ['1', 'true', 'yes', 'on'].includes(String(value).toLowerCase());
+};
+
+// The `mock` query parameter wins and is remembered for the rest of the tab's session
+const readMockQueryFlag = () => {
+  if (typeof window === 'undefined') return undefined;
+  try {
+    const param = new URLSearchParams(window.location.search).get('mock');
+    if (param !== null) {
+      const enabled = param === '' || toBoolean(param);
+      sessionStorage.setItem(MOCK_MODE_STORAGE_KEY, String(enabled));
+      return enabled;
+    }
+    return toBoolean(sessionStorage.getItem(MOCK_MODE_STORAGE_KEY));
+  } catch (error) {
+    return undefined;
+  }
+};
+
+const firstDefined = (...values) => values.find(value => value !== undefined && value !== '');
+
+export const getApiConfig = () => {
+  const runtime = (typeof window !== 'undefined' && window.__FINSURE_CONFIG__) || {};
+  const env = process.env;
+
+  return {
+    baseUrl: String(firstDefined(runtime.backendUrl, env.REACT_APP_BACKEND_URL, DEFAULT_CONFIG.backendUrl)).replace(/\/+$/, ''),
+    timeoutMs: firstDefined(toNumber(runtime.requestTimeoutMs), toNumber(env.REACT_APP_REQUEST_TIMEOUT_MS), DEFAULT_CONFIG.requestTimeoutMs),
+    maxRetries: firstDefined(toNumber(runtime.maxRetries), toNumber(env.REACT_APP_MAX_RETRIES), DEFAULT_CONFIG.maxRetries),
+    refreshIntervalMs: firstDefined(toNumber(runtime.refreshIntervalMs), toNumber(env.REACT_APP_REFRESH_INTERVAL_MS), DEFAULT_CONFIG.refreshIntervalMs),
+    mock: firstDefined(readMockQueryFlag(), toBoolean(runtime.mock), toBoolean(env.REACT_APP_MOCK_API), DEFAULT_CONFIG.mock),
+    mockChatScript: Array.isArray(runtime.mockChatScript) ? runtime.mockChatScript : [],
+  };
+};
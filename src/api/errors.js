@@ -0,0 +1,60 @@
+// --- API Error Classes ---
+// Every error thrown by the API client extends ApiError. `type` mirrors the class so
+// callers can branch on either `instanceof` or the string.
+
+export class ApiError extends Error {
+  constructor(message, { type = 'api_error', status = null, requestId = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.type = type;
+    this.status = status;
+    this.requestId = requestId;
+  }
+}
+
+/** The backend needs the user to log in to Fi Money MCP at `loginUrl`. */
+export class LoginRequiredError extends ApiError {
+  constructor(loginUrl, options = {}) {
+    super('Authentication required', { ...options, type: 'login_required', status: 401 });
+    this.loginUrl = loginUrl;
+  }
+}
+
+/** The backend doesn't recognise the session ID we sent. */
+export class InvalidSessionError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, type: 'invalid_session' });
+  }
+}
+
+/** The backend answered with a non-2xx status. */
+export class HttpError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, type: 'http_error' });
+  }
+}
+
+/** No response arrived within the request timeout. */
+export class TimeoutError extends ApiError {
+  constructor(timeoutMs, options = {}) {
+    super(`Request timed out after ${timeoutMs / 1000}s`, { ...options, type: 'timeout' });
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/** The request never reached the backend (offline, DNS, CORS, connection refused). */
+export class NetworkError extends ApiError {
+  constructor(message = 'Unable to reach the backend', options = {}) {
+    super(message, { ...options, type: 'network_error' });
+  }
+}
+
+/** The backend answered, but not with data the dashboard can use. */
+export class InvalidResponseError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, type: 'invalid_response' });
+  }
+}
+
+/** True for cancellations via AbortController, which callers usually ignore. */
+export const isAbortError = (error) => error?.name === 'AbortError';
@@ -0,0 +1,313 @@
+// --- Mock Backend Fixtures ---
+// Realistic sample data in exactly the shapes the dashboard reads from the backend.
+// Amounts follow the google.type.Money convention: string `units` plus integer `nanos`.
+
+const inr = (units, nanos = 0) => ({ currencyCode: 'INR', units: String(units), nanos });
+
+const scheme = ({ isin, name, amc, assetClass, category, invested, current, xirr }) => ({
+  isinNumber: isin,
+  schemeDetail: {
+    amc,
+    nameData: { longName: name },
+    planType: 'DIRECT',
+    investmentType: 'OPEN',
+    optionType: 'GROWTH',
+    assetClass,
+    isinNumber: isin,
+    categoryName: category,
+  },
+  enrichedAnalytics: {
+    analytics: {
+      schemeDetails: {
+        investedValue: inr(invested),
+        currentValue: inr(current),
+        XIRR: xirr,
+        absoluteReturns: inr(current - invested),
+      },
+    },
+  },
+});
+
+const mfTransaction = (isin, schemeName, orderType, transactionDate, amount) => ({
+  isinNumber: isin,
+  schemeName,
+  orderType,
+  transactionDate,
+  transactionAmount: inr(amount),
+});
+
+export const financialSummaryFixture = {
+  netWorth: {
+    totalNetWorthValue: inr(2385610, 500000000),
+    assetValues: [
+      { netWorthAttribute: 'ASSET_TYPE_MUTUAL_FUND', value: inr(984200) },
+      { netWorthAttribute: 'ASSET_TYPE_EPF', value: inr(612430) },
+      { netWorthAttribute: 'ASSET_TYPE_SAVINGS_ACCOUNTS', value: inr(356980, 500000000) },
+      { netWorthAttribute: 'ASSET_TYPE_INDIAN_SECURITIES', value: inr(428000) },
+      { netWorthAttribute: 'ASSET_TYPE_US_SECURITIES', value: inr(214000) },
+      { netWorthAttribute: 'ASSET_TYPE_FIXED_DEPOSIT', value: inr(250000) },
+    ],
+    liabilityValues: [
+      { netWorthAttribute: 'LIABILITY_TYPE_HOME_LOAN', value: inr(380000) },
+      { netWorthAttribute: 'LIABILITY_TYPE_VEHICLE_LOAN', value: inr(62000) },
+      { netWorthAttribute: 'LIABILITY_TYPE_CREDIT_CARD', value: inr(18000) },
+    ],
+  },
+  creditReport: {
+    creditScore: { score: 762 },
+    creditReportData: {
+      score: { bureauScore: '762', bureauScoreConfidenceLevel: 'H' },
+      creditAccount: {
+        creditAccountSummary: {
+          account: { creditAccountTotal: '5', creditAccountActive: '4', creditAccountClosed: '1', creditAccountDefault: '0' },
+          totalOutstandingBalance: {
+            outstandingBalanceSecured: '442000',
+            outstandingBalanceUnSecured: '18000',
+            outstandingBalanceAll: '460000',
+          },
+        },
+        creditAccountDetails: [
+          {
+            subscriberName: 'HDFC BANK',
+            accountType: '10',
+            portfolioType: 'R',
+            openDate: '20190612',
+            creditLimitAmount: '150000',
+            highestCreditOrOriginalLoanAmount: '150000',
+            currentBalance: '12000',
+            amountPastDue: '0',
+            accountStatus: '11',
+            paymentHistoryProfile: '000000000000',
+            dateReported: '20250630',
+          },
+          {
+            subscriberName: 'AXIS BANK',
+            accountType: '10',
+            portfolioType: 'R',
+            openDate: '20220103',
+            creditLimitAmount: '10000',
+            highestCreditOrOriginalLoanAmount: '10000',
+            currentBalance: '6000',
+            amountPastDue: '1200',
+            accountStatus: '11',
+            paymentHistoryProfile: '100000000000',
+            dateReported: '20250630',
+          },
+          {
+            subscriberName: 'SBI',
+            accountType: '02',
+            portfolioType: 'M',
+            openDate: '20180415',
+            highestCreditOrOriginalLoanAmount: '2500000',
+            currentBalance: '380000',
+            amountPastDue: '0',
+            accountStatus: '11',
+            paymentHistoryProfile: '000000000000',
+            dateReported: '20250630',
+          },
+          {
+            subscriberName: 'TATA CAPITAL',
+            accountType: '01',
+            portfolioType: 'I',
+            openDate: '20210920',
+            highestCreditOrOriginalLoanAmount: '450000',
+            currentBalance: '62000',
+            amountPastDue: '0',
+            accountStatus: '11',
+            paymentHistoryProfile: '000000000000',
+            dateReported: '20250630',
+          },
+          {
+            subscriberName: 'BAJAJ FINANCE',
+            accountType: '06',
+            portfolioType: 'I',
+            openDate: '20200110',
+            dateClosed: '20210110',
+            highestCreditOrOriginalLoanAmount: '40000',
+            currentBalance: '0',
+            amountPastDue: '0',
+            accountStatus: '13',
+            paymentHistoryProfile: '000000000000',
+            dateReported: '20210131',
+          },
+        ],
+      },
+      totalCapsSummary: {
+        totalCapsLast7Days: '0',
+        totalCapsLast30Days: '1',
+        totalCapsLast90Days: '2',
+        totalCapsLast180Days: '3',
+      },
+      caps: {
+        capsApplicationDetailsArray: [
+          { subscriberName: 'ICICI BANK', dateOfRequest: '20250612', enquiryReason: '6', financePurpose: '10', amountFinanced: '200000' },
+          { subscriberName: 'KOTAK MAHINDRA BANK', dateOfRequest: '20250418', enquiryReason: '6', financePurpose: '05', amountFinanced: '500000' },
+          { subscriberName: 'HDFC BANK', dateOfRequest: '20250105', enquiryReason: '6', financePurpose: '10', amountFinanced: '150000' },
+        ],
+      },
+    },
+  },
+  epfDetails: {
+    currentBalance: inr(612430),
+    uanAccounts: [
+      {
+        establishmentName: 'ACME TECHNOLOGIES PVT LTD',
+        memberId: 'MHBAN00000000000000123',
+        employeeShare: inr(318200),
+        employerShare: inr(294230),
+      },
+    ],
+  },
+  mfTransactions: {
+    mfSchemeAnalytics: [
+      scheme({
+        isin: 'INF179K01YV8', name: 'HDFC Flexi Cap Fund - Direct Plan - Growth', amc: 'HDFC_MUTUAL_FUND',
+        assetClass: 'EQUITY', category: 'FLEXI_CAP_FUND', invested: 240000, current: 318400, xirr: 16.42,
+      }),
+      scheme({
+        isin: 'INF109K016L0', name: 'ICICI Prudential Bluechip Fund - Direct Plan - Growth', amc: 'ICICI_PRUDENTIAL_MUTUAL_FUND',
+        assetClass: 'EQUITY', category: 'LARGE_CAP_FUND', invested: 180000, current: 221600, xirr: 12.08,
+      }),
+      scheme({
+        isin: 'INF200K01RJ1', name: 'SBI Small Cap Fund - Direct Plan - Growth', amc: 'SBI_MUTUAL_FUND',
+        assetClass: 'EQUITY', category: 'SMALL_CAP_FUND', invested: 150000, current: 141300, xirr: -3.87,
+      }),
+      scheme({
+        isin: 'INF846K01DP8', name: 'Axis Short Duration Fund - Direct Plan - Growth', amc: 'AXIS_MUTUAL_FUND',
+        assetClass: 'DEBT', category: 'SHORT_DURATION_FUND', invested: 200000, current: 214900, xirr: 6.91,
+      }),
+      scheme({
+        isin: 'INF204KB17I5', name: 'Nippon India Gold Savings Fund - Direct Plan - Growth', amc: 'NIPPON_INDIA_MUTUAL_FUND',
+        assetClass: 'OTHERS', category: 'FUND_OF_FUNDS', invested: 80000, current: 88000, xirr: 9.35,
+      }),
+    ],
+    transactions: [
+      mfTransaction('INF179K01YV8', 'HDFC Flexi Cap Fund', 'BUY', '2022-04-05', 60000),
+      mfTransaction('INF179K01YV8', 'HDFC Flexi Cap Fund', 'BUY', '2023-04-05', 90000),
+      mfTransaction('INF179K01YV8', 'HDFC Flexi Cap Fund', 'BUY', '2024-04-05', 90000),
+      mfTransaction('INF109K016L0', 'ICICI Prudential Bluechip Fund', 'BUY', '2022-09-12', 100000),
+      mfTransaction('INF109K016L0', 'ICICI Prudential Bluechip Fund', 'BUY', '2024-01-15', 80000),
+      mfTransaction('INF200K01RJ1', 'SBI Small Cap Fund', 'BUY', '2024-02-01', 100000),
+      mfTransaction('INF200K01RJ1', 'SBI Small Cap Fund', 'BUY', '2024-08-01', 50000),
+      mfTransaction('INF846K01DP8', 'Axis Short Duration Fund', 'BUY', '2023-06-20', 250000),
+      mfTransaction('INF846K01DP8', 'Axis Short Duration Fund', 'SELL', '2024-06-20', 50000),
+      mfTransaction('INF204KB17I5', 'Nippon India Gold Savings Fund', 'BUY', '2024-03-10', 80000),
+    ],
+  },
+};
+
+// Replies picked by the first matching pattern; the last entry is the fallback.
+// Bank transactions in the Fi Money MCP shape: one entry per bank, each transaction a
+// row of [amount, narration, date, type, mode, balance] where type 1 = credit, 2 = debit.
+const FIXTURE_MONTHS = ['2025-01', '2025-02', '2025-03', '2025-04', '2025-05', '2025-06'];
+
+const monthlyTransactions = (month, index) => [
+  ['145000', 'NEFT/CR/ACME TECHNOLOGIES PVT LTD/SALARY', `${month}-01`, 1, 'NEFT'],
+  ['32000', 'UPI/DR/509812345/RAJESH KUMAR/RENT', `${month}-03`, 2, 'UPI'],
+  ['10000', 'ACH/DR/BSE LTD/HDFC MF SIP', `${month}-07`, 2, 'ACH'],
+  ['5000', 'ACH/DR/BSE LTD/ICICI PRU MF SIP', `${month}-07`, 2, 'ACH'],
+  ['28500', 'ACH/DR/SBI HOME LOAN EMI', `${month}-10`, 2, 'ACH'],
+  ['9800', 'ACH/DR/TATA CAPITAL EMI', `${month}-15`, 2, 'ACH'],
+  ['649', 'UPI/DR/509823456/NETFLIX/SUBSCRIPTION', `${month}-12`, 2, 'UPI'],
+  ['119', 'UPI/DR/509834567/SPOTIFY INDIA', `${month}-18`, 2, 'UPI'],
+  [String(2100 + index * 140), 'UPI/DR/509845678/BESCOM/ELECTRICITY', `${month}-20`, 2, 'UPI'],
+  [String(3400 + (index % 3) * 420), 'UPI/DR/509856789/BIGBASKET', `${month}-06`, 2, 'UPI'],
+  [String(450 + index * 35), 'UPI/DR/509867890/SWIGGY', `${month}-09`, 2, 'UPI'],
+  [String([620, 340, 910, 480, 1250, 560][index]), 'UPI/DR/509878901/ZOMATO', `${month}-16`, 2, 'UPI'],
+  [String(380 + (index % 2) * 90), 'UPI/DR/509889012/SWIGGY', `${month}-23`, 2, 'UPI'],
+  [String(1800 + index * 650), 'POS/AMAZON PAY INDIA', `${month}-21`, 2, 'CARD'],
+  [String(900 + (index % 3) * 300), 'UPI/DR/509890123/UBER INDIA', `${month}-25`, 2, 'UPI'],
+  ['12000', 'CC PAYMENT/HDFC BANK CREDIT CARD', `${month}-26`, 2, 'NEFT'],
+  [String(1400 + index * 60), 'IMPS/CR/INTEREST AND DIVIDEND', `${month}-28`, 1, 'IMPS'],
+];
+
+const withRunningBalance = (rows, openingBalance) => {
+  let balance = openingBalance;
+  return rows
+    .sort((a, b) => a[2].localeCompare(b[2]))
+    .map(([amount, narration, date, type, mode]) => {
+      balance += type === 1 ? Number(amount) : -Number(amount);
+      return [amount, narration, date, type, mode, balance.toFixed(2)];
+    });
+};
+
+export const bankTransactionsFixture = {
+  schemaDescription: 'A list of bank transactions. Each transaction is [transactionAmount, transactionNarration, transactionDate, transactionType, transactionMode, currentBalance]. transactionType: 1 CREDIT, 2 DEBIT, 3 OPENING, 4 INTEREST, 5 TDS, 6 INSTALLMENT, 7 CLOSING, 8 OTHERS.',
+  bankTransactions: [
+    {
+      bank: 'HDFC Bank',
+      txns: withRunningBalance(FIXTURE_MONTHS.flatMap(monthlyTransactions), 212000),
+    },
+  ],
+};
+
+// Each canned reply comes with the follow-up prompts the backend would suggest after it
+export const chatReplyFixtures = [
+  {
+    pattern: /net\s*worth|asset|split|breakdown/i,
+    reply: [
+      '## Your net worth',
+      'Your net worth is **₹23,85,610**, with total assets of ₹28,45,610 against liabilities of ₹4,60,000.',
+      '',
+      '```chart',
+      '{ "type": "doughnut", "title": "Asset split", "labels": ["Mutual funds", "EPF", "Savings", "Indian stocks", "US stocks", "Fixed deposit"], "data": [984200, 612430, 356980, 428000, 214000, 250000] }',
+      '```',
+      '',
+      'Mutual funds are your largest holding at about 35% of assets.',
+    ].join('\n'),
+    suggestions: ['How can I grow my net worth faster?', 'Am I too concentrated in mutual funds?', 'How much of my net worth is liquid?'],
+  },
+  {
+    pattern: /credit|score|cibil/i,
+    reply: [
+      'Your credit score is **762**, which is in the *Very Good* band.',
+      '',
+      '- Utilization on your AXIS BANK card is **60%**; keeping it under 30% would help.',
+      '- There are 2 hard enquiries in the last 90 days.',
+      '- One payment of ₹1,200 is past due.',
+    ].join('\n'),
+    suggestions: ['How do I bring my card utilization down?', 'What happens if I miss the past-due payment?', 'How long do hard enquiries affect my score?'],
+  },
+  {
+    pattern: /loan|afford|emi/i,
+    reply: [
+      'For a **₹50L** home loan over 20 years at 8.5%, the EMI is about **₹43,391** a month.',
+      '',
+      '| Item | Monthly |',
+      '|---|---:|',
+      '| New EMI | ₹43,391 |',
+      '| Existing EMIs | ₹14,500 |',
+      '| Total | ₹57,891 |',
+      '',
+      'Lenders usually cap total EMIs at 40–50% of take-home pay, so you would need a monthly income of roughly ₹1.3 lakh.',
+    ].join('\n'),
+    suggestions: ['What if I take a 25-year tenure instead?', 'How much should I keep as a down payment?', 'Should I prepay my existing loans first?'],
+  },
+  {
+    pattern: /mutual|fund|sip|xirr|invest/i,
+    reply: [
+      'Your mutual funds are worth **₹9,84,200** against ₹8,50,000 invested.',
+      '',
+      '| Fund | XIRR |',
+      '|---|---:|',
+      '| HDFC Flexi Cap | 16.42% |',
+      '| ICICI Prudential Bluechip | 12.08% |',
+      '| Nippon India Gold Savings | 9.35% |',
+      '| Axis Short Duration | 6.91% |',
+      '| SBI Small Cap | -3.87% |',
+      '',
+      'SBI Small Cap is the only fund with a negative XIRR; it is still young, so give it time before acting.',
+    ].join('\n'),
+    suggestions: ['Should I stop my SBI Small Cap SIP?', 'How diversified are my funds?', "What's my overall XIRR?"],
+  },
+  {
+    pattern: /epf|provident|retire/i,
+    reply: 'Your EPF balance is **₹6,12,430**. At the current 8.25% rate and steady contributions it would grow to about ₹1.1 crore in 20 years.',
+    suggestions: ['Should I top up with VPF?', 'Is my EPF enough to retire on?'],
+  },
+  {
+    pattern: /.*/,
+    reply: 'This is the **mock backend**, so I can only answer a few canned questions. Try asking about your net worth, credit score, mutual funds, EPF, or whether you can afford a loan.',
+    suggestions: ["How's my net worth?", "What's my credit score?", 'How are my mutual funds doing?'],
+  },
+];
@@ -0,0 +1,103 @@
+import { financialSummaryFixture, bankTransactionsFixture, chatReplyFixtures } from './fixtures';
+
+// --- Mock Backend ---
+// A fetch stand-in that answers the backend endpoints from fixtures, so the dashboard
+// can be developed, demoed and tested without a live backend or Fi Money login.
+// /chat replies stream word by word as Server-Sent Events when the caller accepts them,
+// followed by a frame of suggested follow-up prompts.
+
+const DEFAULT_LATENCY_MS = 350;
+const STREAM_CHUNK_DELAY_MS = 30;
+
+const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(abortError());
+  }, { once: true });
+});
+
+// Minimal Response look-alike; jsdom and older browsers don't all ship `Response`.
+const mockResponse = (status, { json, body, contentType = 'application/json' } = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => (name.toLowerCase() === 'content-type' ? contentType : null) },
+  body: body || null,
+  json: async () => JSON.parse(JSON.stringify(json)),
+  text: async () => JSON.stringify(json),
+});
+
+const streamReply = ({ reply, suggestions }, signal) => {
+  const encoder = new TextEncoder();
+  const chunks = reply.match(/\S+\s*|\s+/g) || [];
+  return new ReadableStream({
+    async start(controller) {
+      try {
+        for (const chunk of chunks) {
+          await delay(STREAM_CHUNK_DELAY_MS, signal);
+          controller.enqueue(encoder.encode(`data: ${JSON.stringify({ token: chunk })}\n\n`));
+        }
+        if (suggestions.length > 0) {
+          controller.enqueue(encoder.encode(`data: ${JSON.stringify({ suggestions })}\n\n`));
+        }
+        controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+        controller.close();
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+  });
+};
+
+/**
+ * Creates the mock fetch. `chatScript` is an optional list of replies played back in
+ * order before falling back to the keyword-matched fixtures; each is a string or
+ * `{ reply, suggestions }`.
+ */
+export const createMockFetch = ({ chatScript = [], latencyMs = DEFAULT_LATENCY_MS } = {}) => {
+  const script = [...chatScript];
+
+  // Resolves to `{ reply, suggestions }`
+  const pickReply = (message = '') => {
+    if (script.length > 0) {
+      const scripted = script.shift();
+      return typeof scripted === 'string'
+        ? { reply: scripted, suggestions: [] }
+        : { reply: scripted.reply, suggestions: scripted.suggestions || [] };
+    }
+    const { reply, suggestions } = chatReplyFixtures.find(({ pattern }) => pattern.test(message));
+    return { reply, suggestions };
+  };
+
+  return async (url, { body, headers = {}, signal } = {}) => {
+    const { pathname } = new URL(url, window.location.origin);
+    const payload = body ? JSON.parse(body) : {};
+    await delay(latencyMs, signal);
+
+    switch (pathname.replace(/\/+$/, '').split('/').pop()) {
+      case 'getFinancialSummary':
+        return mockResponse(200, { json: financialSummaryFixture });
+      case 'getBankTransactions':
+        return mockResponse(200, { json: bankTransactionsFixture });
+      case 'chat': {
+        // An "ask about this" question is matched on the item it's about as well
+        const reply = pickReply([payload.message, payload.context?.label].filter(Boolean).join(' '));
+        const acceptsStream = String(headers.Accept || headers.accept || '').includes('text/event-stream');
+        if (acceptsStream && typeof ReadableStream !== 'undefined') {
+          return mockResponse(200, { body: streamReply(reply, signal), contentType: 'text/event-stream' });
+        }
+        return mockResponse(200, { json: { response: reply.reply, suggestions: reply.suggestions } });
+      }
+      case 'logout':
+        return mockResponse(200, { json: { success: true } });
+      default:
+        return mockResponse(404, { json: { error: `Mock backend has no handler for ${pathname}` } });
+    }
+  };
+};
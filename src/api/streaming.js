@@ -0,0 +1,109 @@
+import { ApiError } from './errors';
+
+// --- Streamed Response Reading ---
+// The /chat endpoint may stream its answer as Server-Sent Events (`data: ...` lines) or
+// newline-delimited JSON. Frames are JSON objects such as {"token": "..."},
+// {"response": "..."}, {"suggestions": ["..."]} or {"done": true}; an SSE payload that
+// isn't JSON is raw text.
+
+export const STREAM_ACCEPT_HEADER = 'text/event-stream, application/x-ndjson, application/json';
+
+// Follow-up prompts beyond this are dropped; the chips are meant to fit on a line or two
+const MAX_SUGGESTIONS = 4;
+
+// Keeps the non-empty, distinct strings from a backend `suggestions` field, or null if
+// the field isn't a list.
+const parseSuggestions = (suggestions) => {
+  if (!Array.isArray(suggestions)) return null;
+  const prompts = suggestions
+    .filter(prompt => typeof prompt === 'string')
+    .map(prompt => prompt.trim())
+    .filter(Boolean);
+  return [...new Set(prompts)].slice(0, MAX_SUGGESTIONS);
+};
+
+// Parses one streamed frame payload.
+const parseStreamFrame = (payload) => {
+  if (payload === '[DONE]') return { done: true };
+  let frame;
+  try {
+    frame = JSON.parse(payload);
+  } catch (error) {
+    return { token: payload };
+  }
+  if (!frame || typeof frame !== 'object') return { token: payload };
+  if (frame.error) throw new ApiError(frame.error, { type: 'stream_error' });
+  return {
+    token: frame.token ?? frame.delta ?? '',
+    response: frame.response,
+    suggestions: parseSuggestions(frame.suggestions),
+    done: Boolean(frame.done),
+  };
+};
+
+/**
+ * Reads a backend response, calling onToken with the full text received so far, and
+ * resolves with the final text. Falls back to the regular single-JSON `{ response }`
+ * body when the backend doesn't stream. Suggested follow-up prompts, from a
+ * `suggestions` frame or field, are passed to onSuggestions.
+ */
+export const readStreamedText = async (response, { onToken = () => {}, onSuggestions = () => {} } = {}) => {
+  const contentType = response.headers.get('Content-Type') || '';
+  const isEventStream = contentType.includes('text/event-stream');
+  const isNdjson = contentType.includes('ndjson');
+
+  if ((!isEventStream && !isNdjson) || !response.body) {
+    const result = await response.json();
+    onToken(result.response);
+    const suggestions = parseSuggestions(result.suggestions);
+    if (suggestions) onSuggestions(suggestions);
+    return result.response;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+
+  const handleLine = (rawLine) => {
+    const line = rawLine.replace(/\r$/, '');
+    let payload;
+    if (isEventStream) {
+      // Only `data:` fields carry content; comments, `event:` and `id:` lines are ignored.
+      if (!line.startsWith('data:')) return false;
+      payload = line.slice('data:'.length);
+      // Per the SSE spec a single leading space is a separator, not part of the token
+      if (payload.startsWith(' ')) payload = payload.slice(1);
+    } else {
+      payload = line.trim();
+    }
+    if (payload === '') return false;
+
+    const frame = parseStreamFrame(payload);
+    if (frame.suggestions) onSuggestions(frame.suggestions);
+    if (typeof frame.response === 'string') {
+      text = frame.response;
+    } else if (frame.token) {
+      text += frame.token;
+    }
+    onToken(text);
+    return frame.done;
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    if (lines.some(line => handleLine(line))) {
+      reader.cancel();
+      return text;
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer) handleLine(buffer);
+  return text;
+};
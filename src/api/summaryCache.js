@@ -0,0 +1,25 @@
+import { openDatabase, withStore } from '../storage/indexedDb';
+
+// --- Financial Summary Cache ---
+// The last financial summary that loaded successfully, so the dashboard can still open
+// (marked as stale) when the backend is unreachable. Only the latest one is kept, and it
+// is cleared on logout.
+
+const DB_NAME = 'finsure-summary';
+const DB_VERSION = 1;
+const STORE_NAME = 'summaries';
+const LATEST_KEY = 'latest';
+
+const openDb = () => openDatabase(DB_NAME, DB_VERSION, (db) => {
+  db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+});
+
+const withSummaries = (mode, operation) => withStore(openDb(), STORE_NAME, mode, operation);
+
+/** Stores `data` as the last good summary, fetched at `fetchedAt`. */
+export const saveCachedSummary = (data, fetchedAt = Date.now()) => withSummaries('readwrite', store => store.put({ id: LATEST_KEY, data, fetchedAt }));
+
+/** Resolves with `{ data, fetchedAt }`, or null when nothing has been cached. */
+export const loadCachedSummary = async () => (await withSummaries('readonly', store => store.get(LATEST_KEY))) || null;
+
+export const clearCachedSummary = () => withSummaries('readwrite', store => store.delete(LATEST_KEY));
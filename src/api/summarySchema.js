@@ -0,0 +1,125 @@
+import { InvalidResponseError } from './errors';
+import { toNanos } from '../money/money';
+
+// --- Financial Summary Schema ---
+// Checks a /getFinancialSummary payload section by section before the dashboard renders
+// it. A malformed section is replaced with null (or a malformed list entry dropped) and
+// reported as an issue, so one bad section can't take down the others. Only a payload
+// with no usable section at all is rejected.
+
+export const SUMMARY_SECTIONS = {
+  netWorth: 'Net worth',
+  creditReport: 'Credit report',
+  epfDetails: 'EPF',
+  mfTransactions: 'Mutual funds',
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isMoney = (value) => isObject(value) && toNanos(value) !== null;
+
+// Keeps the valid entries of a list, noting how many were dropped
+const validEntries = (list, isValid, describe, issues, section) => {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) {
+    issues.push({ section, message: `${describe} is not a list` });
+    return [];
+  }
+  const valid = list.filter(isValid);
+  if (valid.length < list.length) {
+    issues.push({ section, message: `${list.length - valid.length} of ${list.length} ${describe} were malformed and left out` });
+  }
+  return valid;
+};
+
+const isNetWorthEntry = (entry) => isObject(entry) && typeof entry.netWorthAttribute === 'string' && isMoney(entry.value);
+
+const isCreditScore = (value) => isObject(value) && Number(value.score) > 0;
+
+// Bureau report data: the account and enquiry lists keep only their object entries
+const validReportData = (reportData, issues) => {
+  if (!isObject(reportData)) {
+    issues.push({ section: 'creditReport', message: 'Credit report details are malformed' });
+    return undefined;
+  }
+  const { creditAccount, caps } = reportData;
+  return {
+    ...reportData,
+    creditAccount: isObject(creditAccount)
+      ? { ...creditAccount, creditAccountDetails: validEntries(creditAccount.creditAccountDetails, isObject, 'credit accounts', issues, 'creditReport') }
+      : undefined,
+    caps: isObject(caps)
+      ? { ...caps, capsApplicationDetailsArray: validEntries(caps.capsApplicationDetailsArray, isObject, 'credit enquiries', issues, 'creditReport') }
+      : undefined,
+  };
+};
+
+const SECTION_VALIDATORS = {
+  netWorth: (netWorth, issues) => ({
+    ...netWorth,
+    totalNetWorthValue: isMoney(netWorth.totalNetWorthValue) ? netWorth.totalNetWorthValue : undefined,
+    assetValues: validEntries(netWorth.assetValues, isNetWorthEntry, 'assets', issues, 'netWorth'),
+    liabilityValues: validEntries(netWorth.liabilityValues, isNetWorthEntry, 'liabilities', issues, 'netWorth'),
+  }),
+  // Either the score or the report data is enough; with neither the section is unavailable
+  creditReport: (creditReport, issues) => {
+    let { creditScore } = creditReport;
+    if (creditScore !== undefined && creditScore !== null && !isCreditScore(creditScore)) {
+      issues.push({ section: 'creditReport', message: 'Credit score is malformed' });
+      creditScore = undefined;
+    }
+    // The raw bureau shape nests the report data in a creditReports list
+    const rawReportData = creditReport.creditReportData
+      ?? (Array.isArray(creditReport.creditReports) ? creditReport.creditReports[0]?.creditReportData : undefined);
+    const creditReportData = rawReportData === undefined || rawReportData === null
+      ? undefined
+      : validReportData(rawReportData, issues);
+
+    if (!isCreditScore(creditScore) && !creditReportData) {
+      issues.push({ section: 'creditReport', message: 'Credit report data has neither a score nor report details' });
+      return null;
+    }
+    return { ...creditReport, creditScore, creditReportData };
+  },
+  epfDetails: (epfDetails) => ({
+    ...epfDetails,
+    currentBalance: isMoney(epfDetails.currentBalance) ? epfDetails.currentBalance : undefined,
+  }),
+  mfTransactions: (mfTransactions, issues) => ({
+    ...mfTransactions,
+    mfSchemeAnalytics: validEntries(mfTransactions.mfSchemeAnalytics, isObject, 'schemes', issues, 'mfTransactions'),
+    transactions: validEntries(mfTransactions.transactions, isObject, 'fund transactions', issues, 'mfTransactions'),
+  }),
+};
+
+/**
+ * Validates a financial summary and returns `{ data, issues }`: `data` has every
+ * section in SUMMARY_SECTIONS (null when missing or unusable) and `issues` lists
+ * `{ section, message }` for anything that was dropped. Throws InvalidResponseError
+ * when nothing in the payload is usable.
+ */
+export const validateSummary = (payload) => {
+  if (!isObject(payload)) {
+    throw new InvalidResponseError('The financial summary response was empty or not an object');
+  }
+
+  const issues = [];
+  const data = { ...payload };
+  Object.entries(SECTION_VALIDATORS).forEach(([section, validate]) => {
+    const value = payload[section];
+    if (value === undefined || value === null) {
+      issues.push({ section, message: `${SUMMARY_SECTIONS[section]} data is missing` });
+      data[section] = null;
+    } else if (!isObject(value)) {
+      issues.push({ section, message: `${SUMMARY_SECTIONS[section]} data is malformed` });
+      data[section] = null;
+    } else {
+      data[section] = validate(value, issues);
+    }
+  });
+
+  if (Object.keys(SUMMARY_SECTIONS).every(section => data[section] === null)) {
+    throw new InvalidResponseError('The financial summary response had none of the expected sections');
+  }
+  return { data, issues };
+};
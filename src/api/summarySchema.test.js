@@ -0,0 +1,61 @@
+import { validateSummary } from './summarySchema';
+import { InvalidResponseError } from './errors';
+
+const money = (units) => ({ currencyCode: 'INR', units: String(units) });
+
+const netWorth = {
+  totalNetWorthValue: money(500000),
+  assetValues: [{ netWorthAttribute: 'ASSET_TYPE_SAVINGS_ACCOUNTS', value: money(500000) }],
+  liabilityValues: [],
+};
+
+const reportData = {
+  score: { bureauScore: '762' },
+  creditAccount: {
+    creditAccountDetails: [{ subscriberName: 'HDFC BANK', accountType: '10' }],
+  },
+};
+
+const creditSection = (creditReport) => validateSummary({ netWorth, creditReport });
+
+describe('validateSummary', () => {
+  test('keeps a well-formed credit report', () => {
+    const creditReport = { creditScore: { score: 762 }, creditReportData: reportData };
+    const { data, issues } = creditSection(creditReport);
+    expect(data.creditReport).toEqual({ ...creditReport, creditReportData: { ...reportData, caps: undefined } });
+    expect(issues.filter(issue => issue.section === 'creditReport')).toEqual([]);
+  });
+
+  test('reads report data from the raw bureau shape', () => {
+    const { data } = creditSection({ creditReports: [{ creditReportData: reportData }] });
+    expect(data.creditReport.creditReportData.creditAccount.creditAccountDetails).toHaveLength(1);
+  });
+
+  test('drops a malformed score but keeps usable report data', () => {
+    const { data, issues } = creditSection({ creditScore: { score: 'n/a' }, creditReportData: reportData });
+    expect(data.creditReport.creditScore).toBeUndefined();
+    expect(data.creditReport.creditReportData.score).toEqual({ bureauScore: '762' });
+    expect(issues).toContainEqual({ section: 'creditReport', message: 'Credit score is malformed' });
+  });
+
+  test('leaves out malformed credit accounts', () => {
+    const { data, issues } = creditSection({
+      creditScore: { score: 762 },
+      creditReportData: { creditAccount: { creditAccountDetails: [reportData.creditAccount.creditAccountDetails[0], 'HDFC'] } },
+    });
+    expect(data.creditReport.creditReportData.creditAccount.creditAccountDetails).toHaveLength(1);
+    expect(issues).toContainEqual({ section: 'creditReport', message: '1 of 2 credit accounts were malformed and left out' });
+  });
+
+  test('marks the credit report unavailable when neither score nor report details are usable', () => {
+    const { data, issues } = creditSection({ creditScore: 762, creditReportData: 'pending' });
+    expect(data.creditReport).toBeNull();
+    expect(data.netWorth.assetValues).toHaveLength(1);
+    expect(issues).toContainEqual({ section: 'creditReport', message: 'Credit report details are malformed' });
+    expect(issues).toContainEqual({ section: 'creditReport', message: 'Credit report data has neither a score nor report details' });
+  });
+
+  test('rejects a payload without any usable section', () => {
+    expect(() => validateSummary({ creditReport: { creditScore: {} } })).toThrow(InvalidResponseError);
+  });
+});
@@ -0,0 +1,46 @@
+import { useEffect, useRef } from 'react';
+
+// How often to check whether a refresh is due; the interval itself is usually minutes
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Calls `refresh` in the background once `intervalMs` has passed since `lastUpdated` (or
+ * since the last automatic attempt, so a failing backend isn't hammered). Only runs while
+ * the tab is visible and online; coming back online or to the tab refreshes as soon as
+ * one is due. An `intervalMs` of 0 turns it off.
+ */
+export default function useAutoRefresh(refresh, { intervalMs, lastUpdated, enabled = true }) {
+  const refreshRef = useRef(refresh);
+  refreshRef.current = refresh;
+  const lastUpdatedRef = useRef(lastUpdated);
+  lastUpdatedRef.current = lastUpdated;
+  const lastAttemptRef = useRef(0);
+
+  useEffect(() => {
+    if (!enabled || !intervalMs) return undefined;
+
+    const refreshIfDue = () => {
+      if (document.visibilityState === 'hidden' || navigator.onLine === false) return;
+      const since = Math.max(lastUpdatedRef.current || 0, lastAttemptRef.current);
+      if (Date.now() - since < intervalMs) return;
+      lastAttemptRef.current = Date.now();
+      refreshRef.current();
+    };
+
+    // Reconnecting is a good moment to refresh, whatever the schedule says
+    const handleOnline = () => {
+      lastAttemptRef.current = 0;
+      lastUpdatedRef.current = 0;
+      refreshIfDue();
+    };
+
+    const timer = setInterval(refreshIfDue, Math.min(intervalMs, CHECK_INTERVAL_MS));
+    document.addEventListener('visibilitychange', refreshIfDue);
+    window.addEventListener('online', handleOnline);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', refreshIfDue);
+      window.removeEventListener('online', handleOnline);
+    };
+  }, [enabled, intervalMs]);
+}
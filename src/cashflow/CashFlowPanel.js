@@ -0,0 +1,374 @@
+import React, { useState, useMemo } from 'react';
+import { ArrowUp, ArrowDown, Trash2, Plus, RefreshCw, Repeat, Settings2, Wallet } from 'lucide-react';
+import { Bar, Doughnut } from 'react-chartjs-2';
+import '../charts/registerCharts';
+import AccessibleChart from '../charts/AccessibleChart';
+import GlassCard from '../components/GlassCard';
+import { SkeletonBlock } from '../components/Skeleton';
+import { useLanguage } from '../i18n/LanguageContext';
+import { useMoney } from '../money/MoneyContext';
+import { useChartTheme } from '../theme/ThemeContext';
+import { CATEGORIES, RULE_DIRECTIONS, parseKeywords, categorizeAll } from './categorize';
+import { monthlyTotals, categoryTotals, topMerchants, detectRecurring, monthlyEquivalent, RECURRENCE } from './cashflowAnalytics';
+import useCategoryRules from './useCategoryRules';
+import useBankTransactions from './useBankTransactions';
+
+const selectClassName = 'p-2 bg-gray-800/40 border border-gray-600/40 rounded-lg focus:outline-none focus:ring-1 focus:ring-gray-500 text-gray-300 text-xs';
+
+const categoryLabel = (category, t) => t((CATEGORIES[category] ?? CATEGORIES.other).labelKey);
+
+const formatDate = (date, locale) => new Date(date).toLocaleDateString(locale, { day: 'numeric', month: 'short' });
+
+// --- IncomeExpenseChart Component ---
+const IncomeExpenseChart = ({ months }) => {
+  const { t } = useLanguage();
+  const { format, formatCompact } = useMoney();
+  const chart = useChartTheme();
+  const incomeColors = chart.series('400');
+  const expenseColors = chart.series('500');
+  const data = {
+    labels: months.map(month => month.label),
+    datasets: [
+      {
+        label: t('cashflow.chart.income'),
+        data: months.map(month => month.income),
+        backgroundColor: incomeColors.fill,
+        borderColor: incomeColors.line,
+        borderWidth: 1,
+        borderRadius: 4,
+      },
+      {
+        label: t('cashflow.chart.expenses'),
+        data: months.map(month => month.expense),
+        backgroundColor: expenseColors.fill,
+        borderColor: expenseColors.line,
+        borderWidth: 1,
+        borderRadius: 4,
+      },
+    ],
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: chart.legend({ size: 11 }),
+      tooltip: chart.tooltip({
+        label: (context) => `${context.dataset.label}: ${format(context.parsed.y)}`,
+        footer: (items) => {
+          const month = months[items[0].dataIndex];
+          return t('cashflow.chart.netTooltip', { amount: format(month.net) });
+        },
+      }),
+    },
+    scales: {
+      x: chart.categoryAxis(),
+      y: chart.valueAxis({ callback: formatCompact }),
+    },
+  };
+
+  return (
+    <AccessibleChart
+      label={t('cashflow.chart.incomeExpense')}
+      columns={[t('cashflow.chart.month'), t('cashflow.chart.income'), t('cashflow.chart.expenses'), t('cashflow.chart.net')]}
+      rows={months.map(month => [month.label, format(month.income), format(month.expense), format(month.net)])}
+    >
+      <Bar data={data} options={options} />
+    </AccessibleChart>
+  );
+};
+
+// --- CategoryChart Component ---
+// Each category keeps the same slice color as the rule list changes
+const CATEGORY_IDS = Object.keys(CATEGORIES);
+
+const CategoryChart = ({ categories }) => {
+  const { t } = useLanguage();
+  const { format } = useMoney();
+  const chart = useChartTheme();
+  const palette = chart.palette(CATEGORY_IDS.length, 0.8);
+  const total = categories.reduce((sum, slice) => sum + slice.value, 0);
+  const data = {
+    labels: categories.map(slice => t(CATEGORIES[slice.category].labelKey)),
+    datasets: [{
+      data: categories.map(slice => slice.value),
+      backgroundColor: categories.map(slice => palette[CATEGORY_IDS.indexOf(slice.category)]),
+      borderColor: chart.sliceBorder,
+      borderWidth: 1,
+    }],
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: chart.legend({ position: 'right', size: 11 }),
+      tooltip: chart.tooltip({
+        label: (context) => {
+          const share = total > 0 ? ` (${((context.parsed / total) * 100).toFixed(1)}%)` : '';
+          return `${context.label}: ${format(context.parsed)}${share}`;
+        },
+      }),
+    },
+  };
+
+  return (
+    <AccessibleChart
+      label={t('cashflow.chart.spending')}
+      columns={[t('cashflow.chart.category'), t('cashflow.chart.amount'), t('cashflow.chart.share')]}
+      rows={categories.map(slice => [
+        t(CATEGORIES[slice.category].labelKey),
+        format(slice.value),
+        total > 0 ? `${((slice.value / total) * 100).toFixed(1)}%` : t('card.notAvailable'),
+      ])}
+    >
+      <Doughnut data={data} options={options} />
+    </AccessibleChart>
+  );
+};
+
+// --- RuleRow Component ---
+// Keywords are edited as comma-separated text and committed on blur, so typing a comma
+// doesn't get normalized away mid-word.
+const RuleRow = ({ rule, isFirst, isLast, onUpdate, onMove, onRemove }) => {
+  const { t } = useLanguage();
+  const [keywordText, setKeywordText] = useState(rule.keywords.join(', '));
+
+  return (
+    <li className="flex flex-wrap items-center gap-2 p-2 bg-gray-800/40 rounded-lg border border-gray-600/30">
+      <input
+        type="text"
+        className={`${selectClassName} flex-grow min-w-[10rem] placeholder-gray-500`}
+        placeholder={t('cashflow.rules.keywordsPlaceholder')}
+        value={keywordText}
+        onChange={(e) => setKeywordText(e.target.value)}
+        onBlur={() => onUpdate(rule.id, { keywords: parseKeywords(keywordText) })}
+        aria-label={t('cashflow.rules.keywords')}
+      />
+      <select className={selectClassName} value={rule.direction} onChange={(e) => onUpdate(rule.id, { direction: e.target.value })} aria-label={t('cashflow.rules.direction')}>
+        {Object.entries(RULE_DIRECTIONS).map(([id, labelKey]) => <option key={id} value={id}>{t(labelKey)}</option>)}
+      </select>
+      <select className={selectClassName} value={rule.category} onChange={(e) => onUpdate(rule.id, { category: e.target.value })} aria-label={t('cashflow.rules.category')}>
+        {Object.entries(CATEGORIES).map(([id, category]) => <option key={id} value={id}>{t(category.labelKey)}</option>)}
+      </select>
+      <div className="flex">
+        <button onClick={() => onMove(rule.id, -1)} disabled={isFirst} className="p-1 text-gray-500 hover:text-gray-300 disabled:opacity-30" title={t('cashflow.rules.moveUp')}>
+          <ArrowUp size={14} />
+        </button>
+        <button onClick={() => onMove(rule.id, 1)} disabled={isLast} className="p-1 text-gray-500 hover:text-gray-300 disabled:opacity-30" title={t('cashflow.rules.moveDown')}>
+          <ArrowDown size={14} />
+        </button>
+        <button onClick={() => onRemove(rule.id)} className="p-1 text-gray-500 hover:text-gray-300" title={t('cashflow.rules.delete')}>
+          <Trash2 size={14} />
+        </button>
+      </div>
+    </li>
+  );
+};
+
+// --- RulesEditor Component ---
+const RulesEditor = ({ rules, addRule, updateRule, removeRule, moveRule, restoreDefaults }) => {
+  const { t } = useLanguage();
+  const [draft, setDraft] = useState({ keywords: '', category: 'food', direction: 'debit' });
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const keywords = parseKeywords(draft.keywords);
+    if (keywords.length === 0) return;
+    addRule({ keywords, category: draft.category, direction: draft.direction });
+    setDraft(prev => ({ ...prev, keywords: '' }));
+  };
+
+  return (
+    <div className="mb-4 p-3 bg-gray-800/20 rounded-lg border border-gray-600/30">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-sm font-medium text-gray-400">{t('cashflow.rules.title')}</h3>
+        <button onClick={restoreDefaults} className="text-xs text-gray-500 hover:text-gray-300">{t('cashflow.rules.restore')}</button>
+      </div>
+      <p className="text-xs text-gray-500 mb-3">
+        {t('cashflow.rules.help', { other: t(CATEGORIES.other.labelKey) })}
+      </p>
+      <form onSubmit={handleAdd} className="flex flex-wrap gap-2 mb-3">
+        <input
+          type="text"
+          className={`${selectClassName} flex-grow min-w-[10rem] placeholder-gray-500`}
+          placeholder={t('cashflow.rules.examplePlaceholder')}
+          value={draft.keywords}
+          onChange={(e) => setDraft(prev => ({ ...prev, keywords: e.target.value }))}
+          aria-label={t('cashflow.rules.newKeywords')}
+        />
+        <select className={selectClassName} value={draft.direction} onChange={(e) => setDraft(prev => ({ ...prev, direction: e.target.value }))} aria-label={t('cashflow.rules.newDirection')}>
+          {Object.entries(RULE_DIRECTIONS).map(([id, labelKey]) => <option key={id} value={id}>{t(labelKey)}</option>)}
+        </select>
+        <select className={selectClassName} value={draft.category} onChange={(e) => setDraft(prev => ({ ...prev, category: e.target.value }))} aria-label={t('cashflow.rules.newCategory')}>
+          {Object.entries(CATEGORIES).map(([id, category]) => <option key={id} value={id}>{t(category.labelKey)}</option>)}
+        </select>
+        <button type="submit" className="px-3 py-1 bg-gray-700/60 text-gray-300 rounded-lg border border-gray-600/40 text-xs flex items-center">
+          <Plus size={14} className="mr-1" />
+          {t('cashflow.rules.add')}
+        </button>
+      </form>
+      <ul className="space-y-2 max-h-72 overflow-y-auto custom-scrollbar">
+        {rules.map((rule, index) => (
+          <RuleRow
+            // Remount when the keywords change underneath (e.g. restoring defaults)
+            key={`${rule.id}:${rule.keywords.join(',')}`}
+            rule={rule}
+            isFirst={index === 0}
+            isLast={index === rules.length - 1}
+            onUpdate={updateRule}
+            onMove={moveRule}
+            onRemove={removeRule}
+          />
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// --- CashFlowPanel Component ---
+// Bank transactions grouped into monthly income vs. expenses, spending by category, top
+// merchants and recurring payments. Categories come from the user-editable rules.
+const CashFlowPanel = ({ userId, onLoginRequired }) => {
+  const { t, locale } = useLanguage();
+  const { format } = useMoney();
+  const { transactions, loading, error, reload } = useBankTransactions(userId, { onLoginRequired });
+  const { rules, ...ruleActions } = useCategoryRules();
+  const [showRules, setShowRules] = useState(false);
+
+  const categorized = useMemo(() => categorizeAll(transactions, rules), [transactions, rules]);
+  const months = useMemo(() => monthlyTotals(categorized, { locale }), [categorized, locale]);
+  const categories = useMemo(() => categoryTotals(categorized), [categorized]);
+  const merchants = useMemo(() => topMerchants(categorized), [categorized]);
+  const recurring = useMemo(() => detectRecurring(categorized), [categorized]);
+
+  const monthCount = Math.max(months.length, 1);
+  const averageIncome = months.reduce((sum, month) => sum + month.income, 0) / monthCount;
+  const averageExpense = months.reduce((sum, month) => sum + month.expense, 0) / monthCount;
+  const savingsRate = averageIncome > 0 ? ((averageIncome - averageExpense) / averageIncome) * 100 : null;
+  const recurringMonthly = recurring.reduce((sum, payment) => sum + monthlyEquivalent(payment), 0);
+
+  return (
+    <GlassCard className="p-4">
+      <div className="flex justify-between items-center mb-3">
+        <h2 className="text-md font-medium text-gray-300 flex items-center">
+          <Wallet size={16} className="mr-2" />
+          {t('section.cashFlow')}
+        </h2>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => setShowRules(open => !open)}
+            className={`px-2 py-1 rounded text-xs border flex items-center ${showRules ? 'bg-gray-700/60 text-gray-200 border-gray-500/40' : 'bg-gray-800/40 text-gray-400 border-gray-600/30 hover:text-gray-200'}`}
+          >
+            <Settings2 size={14} className="mr-1" />
+            {t('cashflow.rules')}
+          </button>
+          <button
+            onClick={reload}
+            disabled={loading}
+            className="px-2 py-1 rounded text-xs border bg-gray-800/40 text-gray-400 border-gray-600/30 hover:text-gray-200 disabled:opacity-50"
+            title={t('cashflow.reload')}
+          >
+            <RefreshCw size={14} className={loading ? 'animate-spin' : ''} />
+          </button>
+        </div>
+      </div>
+
+      {showRules && <RulesEditor rules={rules} {...ruleActions} />}
+
+      {loading && transactions.length === 0 ? (
+        <div role="status" aria-label={t('cashflow.loading')}>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+            {[0, 1, 2, 3].map(index => <SkeletonBlock key={index} className="h-14 rounded-lg" />)}
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <SkeletonBlock className="h-56 rounded-lg" />
+            <SkeletonBlock className="h-56 rounded-lg" />
+          </div>
+        </div>
+      ) : error && transactions.length === 0 ? (
+        <div className="py-6 text-center">
+          <p className="text-gray-500 text-sm">{t('cashflow.loadError', { error })}</p>
+          <button
+            onClick={reload}
+            className="mt-3 px-3 py-1 bg-gray-700/60 text-gray-300 rounded-lg border border-gray-600/40 text-xs"
+          >
+            {t('section.error.tryAgain')}
+          </button>
+        </div>
+      ) : transactions.length === 0 ? (
+        <p className="py-6 text-center text-gray-500 text-sm">{t('cashflow.empty')}</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+            {[
+              { labelKey: 'cashflow.avgIncome', value: format(averageIncome) },
+              { labelKey: 'cashflow.avgExpenses', value: format(averageExpense) },
+              { labelKey: 'cashflow.savingsRate', value: savingsRate === null ? t('card.notAvailable') : `${savingsRate.toFixed(1)}%` },
+              { labelKey: 'cashflow.recurringMonthly', value: format(recurringMonthly) },
+            ].map(stat => (
+              <div key={stat.labelKey} className="p-3 bg-gray-800/40 rounded-lg border border-gray-600/30 text-center">
+                <p className="text-xs text-gray-500">{t(stat.labelKey)}</p>
+                <p className="text-sm font-semibold text-gray-200">{stat.value}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <h3 className="text-sm font-medium text-gray-400 mb-2">{t('cashflow.incomeVsExpenses')}</h3>
+              <IncomeExpenseChart months={months} />
+            </div>
+            <div>
+              <h3 className="text-sm font-medium text-gray-400 mb-2">{t('cashflow.spendingByCategory')}</h3>
+              <CategoryChart categories={categories} />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <h3 className="text-sm font-medium text-gray-400 mb-2">{t('cashflow.topMerchants')}</h3>
+              <ul className="space-y-2">
+                {merchants.map(merchant => (
+                  <li key={merchant.merchant} className="flex justify-between items-center p-2 bg-gray-800/40 rounded-lg border border-gray-600/30">
+                    <span className="text-xs text-gray-300 truncate mr-2">
+                      {merchant.merchant}
+                      <span className="block text-gray-500">
+                        {categoryLabel(merchant.category, t)} · {merchant.count === 1 ? t('cashflow.paymentsOne') : t('cashflow.payments', { count: merchant.count })}
+                      </span>
+                    </span>
+                    <span className="text-xs text-gray-400 whitespace-nowrap">{format(merchant.total)}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+            <div>
+              <h3 className="text-sm font-medium text-gray-400 mb-2 flex items-center">
+                <Repeat size={14} className="mr-1" />
+                {t('cashflow.recurringPayments', { count: recurring.length })}
+              </h3>
+              <ul className="space-y-2 max-h-72 overflow-y-auto custom-scrollbar">
+                {recurring.map(payment => (
+                  <li key={payment.id} className="flex justify-between items-center p-2 bg-gray-800/40 rounded-lg border border-gray-600/30">
+                    <span className="text-xs text-gray-300 truncate mr-2">
+                      {payment.merchant}
+                      <span className="block text-gray-500">
+                        {categoryLabel(payment.category, t)} · {t(RECURRENCE[payment.frequency].labelKey)} · {t('cashflow.nextDate', { date: formatDate(payment.nextDate, locale) })}
+                      </span>
+                    </span>
+                    <span className="text-xs text-gray-400 whitespace-nowrap">{format(payment.amount)}</span>
+                  </li>
+                ))}
+                {recurring.length === 0 && (
+                  <li className="text-xs text-gray-500 italic">{t('cashflow.noRecurring')}</li>
+                )}
+              </ul>
+            </div>
+          </div>
+        </>
+      )}
+    </GlassCard>
+  );
+};
+
+export default CashFlowPanel;
@@ -0,0 +1,180 @@
+import { ENGLISH } from '../i18n/translate';
+
+// --- Cash-Flow Analytics ---
+// Flattens the backend's bankTransactions payload (Fi Money MCP shape: per bank, rows of
+// [amount, narration, date, type, mode, balance]) and derives monthly income vs. expense,
+// category and merchant totals, and recurring payments from it.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// transactionType codes; interest is money in, TDS and installments money out
+const CREDIT_TYPES = [1, 4];
+const DEBIT_TYPES = [2, 5, 6];
+
+// Narration segments that describe the payment rail rather than the counterparty
+const RAIL_TOKENS = ['UPI', 'NEFT', 'IMPS', 'RTGS', 'ACH', 'NACH', 'POS', 'ATM', 'ECS', 'CR', 'DR', 'MB', 'IB', 'BIL', 'ONL', 'INB'];
+
+// A payment recurs when it repeats at a steady interval with a steady amount
+export const RECURRENCE = {
+  weekly: { labelKey: 'cashflow.recurrence.weekly', minDays: 5, maxDays: 9, days: 7 },
+  monthly: { labelKey: 'cashflow.recurrence.monthly', minDays: 26, maxDays: 35, days: 30 },
+  quarterly: { labelKey: 'cashflow.recurrence.quarterly', minDays: 85, maxDays: 97, days: 91 },
+  yearly: { labelKey: 'cashflow.recurrence.yearly', minDays: 355, maxDays: 375, days: 365 },
+};
+const MIN_RECURRING_OCCURRENCES = 3;
+const RECURRING_AMOUNT_TOLERANCE = 0.1;
+
+// Short all-caps words in narrations are usually acronyms (SBI, EMI, BSE), except these
+const SHORT_WORDS = ['AND', 'THE', 'FOR', 'OF', 'CO', 'LTD', 'PVT', 'PAY', 'INC'];
+
+const titleCase = (text) => text
+  .split(/\s+/)
+  .map(word => (word.length <= 3 && !SHORT_WORDS.includes(word.toUpperCase())
+    ? word.toUpperCase()
+    : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()))
+  .join(' ');
+
+/** "UPI/DR/509812345/SWIGGY/food" -> "Swiggy": the first segment that names a counterparty. */
+export const merchantFromNarration = (narration) => {
+  const segments = String(narration || '')
+    .split(/[/|]+/)
+    .map(segment => segment.trim())
+    .filter(segment => segment
+      && !RAIL_TOKENS.includes(segment.toUpperCase())
+      // Reference numbers and masked account numbers
+      && !/^[\dX*-]+$/i.test(segment));
+  return segments.length > 0 ? titleCase(segments[0]) : 'Unknown';
+};
+
+const toTransaction = (bank) => (row, index) => {
+  // Rows are positional, but accept objects too in case the backend reshapes them
+  const [amount, narration, date, type, mode, balance] = Array.isArray(row)
+    ? row
+    : [row.transactionAmount, row.transactionNarration, row.transactionDate, row.transactionType, row.transactionMode, row.currentBalance];
+  const typeCode = Number(type);
+  const direction = CREDIT_TYPES.includes(typeCode) ? 'credit' : DEBIT_TYPES.includes(typeCode) ? 'debit' : null;
+  const value = Number(amount);
+  if (!direction || !Number.isFinite(value) || !date) return null;
+  return {
+    id: `${bank}:${date}:${index}`,
+    bank,
+    date: String(date).slice(0, 10),
+    month: String(date).slice(0, 7),
+    direction,
+    amount: Math.abs(value),
+    narration: String(narration || ''),
+    merchant: merchantFromNarration(narration),
+    mode: mode || null,
+    balance: balance === undefined || balance === null ? null : Number(balance),
+  };
+};
+
+/** One flat, date-sorted list of credits and debits across all banks. */
+export const normalizeTransactions = (payload) => (payload?.bankTransactions || [])
+  .flatMap(account => (account.txns || []).map(toTransaction(account.bank || 'Bank')))
+  .filter(Boolean)
+  .sort((a, b) => a.date.localeCompare(b.date));
+
+const monthLabel = (month, locale) => new Date(`${month}-01T00:00:00`).toLocaleDateString(locale, { month: 'short', year: '2-digit' });
+
+/** [{ month: 'YYYY-MM', label, income, expense, net }] in calendar order, labelled in `language`. */
+export const monthlyTotals = (transactions, { locale } = ENGLISH) => {
+  const months = new Map();
+  transactions.forEach(transaction => {
+    const totals = months.get(transaction.month) || { month: transaction.month, label: monthLabel(transaction.month, locale), income: 0, expense: 0 };
+    if (transaction.direction === 'credit') totals.income += transaction.amount;
+    else totals.expense += transaction.amount;
+    months.set(transaction.month, totals);
+  });
+  return [...months.values()]
+    .sort((a, b) => a.month.localeCompare(b.month))
+    .map(totals => ({ ...totals, net: totals.income - totals.expense }));
+};
+
+/** Spending per category, largest first. Expects categorized transactions. */
+export const categoryTotals = (transactions) => {
+  const totals = new Map();
+  transactions
+    .filter(transaction => transaction.direction === 'debit')
+    .forEach(transaction => totals.set(transaction.category, (totals.get(transaction.category) || 0) + transaction.amount));
+  return [...totals.entries()]
+    .map(([category, value]) => ({ category, value }))
+    .sort((a, b) => b.value - a.value);
+};
+
+/** The merchants the most money went to, with their payment count. */
+export const topMerchants = (transactions, limit = 5) => {
+  const merchants = new Map();
+  transactions
+    .filter(transaction => transaction.direction === 'debit')
+    .forEach(transaction => {
+      const entry = merchants.get(transaction.merchant) || { merchant: transaction.merchant, category: transaction.category, total: 0, count: 0 };
+      entry.total += transaction.amount;
+      entry.count += 1;
+      merchants.set(transaction.merchant, entry);
+    });
+  return [...merchants.values()]
+    .sort((a, b) => b.total - a.total)
+    .slice(0, limit);
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// A merchant can carry several plans (two SIPs through the same exchange), so its
+// payments are split into bands of similar amounts, each kept in date order
+const amountBands = (payments) => {
+  const bands = [];
+  [...payments].sort((a, b) => a.amount - b.amount).forEach(payment => {
+    const band = bands.find(candidate => Math.abs(payment.amount - candidate.anchor) <= candidate.anchor * RECURRING_AMOUNT_TOLERANCE);
+    if (band) band.payments.push(payment);
+    else bands.push({ anchor: payment.amount, payments: [payment] });
+  });
+  return bands.map(band => band.payments.sort((a, b) => a.date.localeCompare(b.date)));
+};
+
+const daysBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / DAY_MS);
+
+/**
+ * Debits to the same merchant that repeat at a regular interval for roughly the same
+ * amount: subscriptions, EMIs, rent, SIPs. Returns the typical amount, the frequency and
+ * the expected next date, most expensive first.
+ */
+export const detectRecurring = (transactions) => {
+  const byMerchant = new Map();
+  transactions
+    .filter(transaction => transaction.direction === 'debit')
+    .forEach(transaction => byMerchant.set(transaction.merchant, [...(byMerchant.get(transaction.merchant) || []), transaction]));
+
+  const recurring = [];
+  byMerchant.forEach((payments, merchant) => {
+    amountBands(payments).forEach(band => {
+      // Keep one payment per day so a split payment doesn't read as a short interval
+      const series = band.filter((payment, index) => index === 0 || payment.date !== band[index - 1].date);
+      if (series.length < MIN_RECURRING_OCCURRENCES) return;
+
+      const interval = median(series.slice(1).map((payment, index) => daysBetween(series[index].date, payment.date)));
+      const frequency = Object.keys(RECURRENCE).find(id => interval >= RECURRENCE[id].minDays && interval <= RECURRENCE[id].maxDays);
+      if (!frequency) return;
+
+      const last = series[series.length - 1];
+      recurring.push({
+        id: `${merchant}:${last.amount}`,
+        merchant,
+        category: last.category,
+        frequency,
+        amount: median(series.map(payment => payment.amount)),
+        count: series.length,
+        lastDate: last.date,
+        nextDate: new Date(new Date(last.date).getTime() + interval * DAY_MS).toISOString().slice(0, 10),
+      });
+    });
+  });
+  return recurring.sort((a, b) => b.amount - a.amount);
+};
+
+/** Rough monthly cost of a recurring payment, for totals across frequencies. */
+export const monthlyEquivalent = (payment) => (payment.amount * RECURRENCE.monthly.days) / RECURRENCE[payment.frequency].days;
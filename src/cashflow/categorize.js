@@ -0,0 +1,102 @@
+// --- Transaction Categorization ---
+// Rules map narration keywords to a spending category. They are checked in order and the
+// first match wins, so more specific rules belong above general ones. The user can edit
+// them; the edited list is kept in localStorage.
+
+const RULES_STORAGE_KEY = 'finsure.cashflowRules';
+
+export const CATEGORIES = {
+  salary: { labelKey: 'cashflow.category.salary' },
+  rent: { labelKey: 'cashflow.category.rent' },
+  emi: { labelKey: 'cashflow.category.emi' },
+  food: { labelKey: 'cashflow.category.food' },
+  investments: { labelKey: 'cashflow.category.investments' },
+  subscriptions: { labelKey: 'cashflow.category.subscriptions' },
+  bills: { labelKey: 'cashflow.category.bills' },
+  shopping: { labelKey: 'cashflow.category.shopping' },
+  transport: { labelKey: 'cashflow.category.transport' },
+  other: { labelKey: 'cashflow.category.other' },
+};
+
+// `direction` limits a rule to credits or debits; 'any' matches both
+export const RULE_DIRECTIONS = {
+  any: 'cashflow.direction.any',
+  credit: 'cashflow.direction.credit',
+  debit: 'cashflow.direction.debit',
+};
+
+export const DEFAULT_RULES = [
+  { id: 'salary', category: 'salary', direction: 'credit', keywords: ['salary', 'sal cr', 'payroll'] },
+  { id: 'rent', category: 'rent', direction: 'debit', keywords: ['rent', 'nobroker', 'landlord'] },
+  { id: 'emi', category: 'emi', direction: 'debit', keywords: ['emi', 'loan', 'bajaj fin'] },
+  { id: 'investments', category: 'investments', direction: 'debit', keywords: ['sip', 'mutual fund', 'mf', 'zerodha', 'groww', 'bse ltd', 'nps', 'ppf'] },
+  { id: 'subscriptions', category: 'subscriptions', direction: 'debit', keywords: ['netflix', 'spotify', 'prime video', 'hotstar', 'youtube', 'subscription'] },
+  { id: 'food', category: 'food', direction: 'debit', keywords: ['swiggy', 'zomato', 'bigbasket', 'blinkit', 'zepto', 'restaurant', 'cafe', 'grocer'] },
+  { id: 'bills', category: 'bills', direction: 'debit', keywords: ['electricity', 'bescom', 'broadband', 'airtel', 'jio', 'gas', 'water', 'cc payment', 'credit card'] },
+  { id: 'shopping', category: 'shopping', direction: 'debit', keywords: ['amazon', 'flipkart', 'myntra', 'ajio'] },
+  { id: 'transport', category: 'transport', direction: 'debit', keywords: ['uber', 'ola', 'rapido', 'irctc', 'fuel', 'petrol', 'fastag'] },
+];
+
+/** Splits user input like "swiggy, zomato" into normalized keywords. */
+export const parseKeywords = (text) => String(text || '')
+  .split(',')
+  .map(keyword => keyword.trim().toLowerCase())
+  .filter(Boolean);
+
+export const createRule = (fields) => ({
+  id: crypto.randomUUID(),
+  category: 'other',
+  direction: 'any',
+  keywords: [],
+  ...fields,
+});
+
+// Lower case with punctuation as word breaks, so "amazon.in" reads as "amazon in"
+const normalizeText = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const ruleMatches = (rule, transaction) => {
+  if (rule.direction !== 'any' && rule.direction !== transaction.direction) return false;
+  // Keywords match at the start of a word, so "emi" doesn't fire on "premium"
+  const narration = ` ${normalizeText(transaction.narration)}`;
+  return rule.keywords
+    .map(normalizeText)
+    .some(keyword => keyword && narration.includes(` ${keyword}`));
+};
+
+/** The category id for a normalized transaction; unmatched transactions are 'other'. */
+export const categorize = (transaction, rules = DEFAULT_RULES) => {
+  const rule = rules.find(candidate => ruleMatches(candidate, transaction));
+  return rule && CATEGORIES[rule.category] ? rule.category : 'other';
+};
+
+export const categorizeAll = (transactions, rules = DEFAULT_RULES) => transactions.map(transaction => ({
+  ...transaction,
+  category: categorize(transaction, rules),
+}));
+
+export const loadRules = () => {
+  try {
+    const rules = JSON.parse(localStorage.getItem(RULES_STORAGE_KEY));
+    return Array.isArray(rules) ? rules : DEFAULT_RULES;
+  } catch (error) {
+    return DEFAULT_RULES;
+  }
+};
+
+export const saveRules = (rules) => {
+  try {
+    localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(rules));
+  } catch (error) {
+    console.error('Error saving categorization rules:', error);
+  }
+  return rules;
+};
+
+export const resetRules = () => {
+  try {
+    localStorage.removeItem(RULES_STORAGE_KEY);
+  } catch (error) {
+    console.error('Error resetting categorization rules:', error);
+  }
+  return DEFAULT_RULES;
+};
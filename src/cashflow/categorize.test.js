@@ -0,0 +1,22 @@
+import { categorize } from './categorize';
+
+const debit = (narration) => ({ narration, direction: 'debit' });
+const rule = (category, keywords) => ({ id: category, category, direction: 'any', keywords });
+
+describe('categorize', () => {
+  test('matches keywords at the start of a word only', () => {
+    expect(categorize(debit('UPI/ZOMATO/ORDER 123'))).toBe('food');
+    expect(categorize(debit('LIC PREMIUM'))).toBe('other');
+  });
+
+  test('matches keywords written with punctuation', () => {
+    const rules = [rule('shopping', ['amazon.in']), rule('food', ['swiggy-instamart'])];
+    expect(categorize(debit('POS AMAZON.IN MUMBAI'), rules)).toBe('shopping');
+    expect(categorize(debit('UPI/SWIGGY INSTAMART/BLR'), rules)).toBe('food');
+  });
+
+  test('ignores keywords that are only punctuation', () => {
+    const rules = [rule('shopping', ['--'])];
+    expect(categorize(debit('NEFT TRANSFER'), rules)).toBe('other');
+  });
+});
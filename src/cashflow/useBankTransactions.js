@@ -0,0 +1,42 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { apiClient } from '../api/client';
+import { LoginRequiredError, isAbortError } from '../api/errors';
+import { normalizeTransactions } from './cashflowAnalytics';
+
+/**
+ * Loads the session's bank transactions from the backend. A login prompt from the
+ * backend is handed to `onLoginRequired` rather than redirecting, like the chat does.
+ */
+export default function useBankTransactions(userId, { onLoginRequired = () => {} } = {}) {
+  const [transactions, setTransactions] = useState([]);
+  const [loading, setLoading] = useState(Boolean(userId));
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+  // Held in a ref so a new callback identity doesn't trigger a refetch
+  const onLoginRequiredRef = useRef(onLoginRequired);
+  onLoginRequiredRef.current = onLoginRequired;
+
+  useEffect(() => {
+    if (!userId) return undefined;
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+    // Reading transactions has no side effects, so it is safe to retry
+    apiClient.post('/getBankTransactions', { userId }, { idempotent: true, signal: controller.signal })
+      .then(data => setTransactions(normalizeTransactions(data)))
+      .catch(err => {
+        if (isAbortError(err)) return;
+        console.error('Error fetching bank transactions:', err);
+        if (err instanceof LoginRequiredError) onLoginRequiredRef.current(err.loginUrl);
+        setError(err.message || 'Unknown error');
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [userId, reloadCount]);
+
+  const reload = useCallback(() => setReloadCount(count => count + 1), []);
+
+  return { transactions, loading, error, reload };
+}
@@ -0,0 +1,26 @@
+import { useState, useCallback } from 'react';
+import { loadRules, saveRules, resetRules, createRule } from './categorize';
+
+/** Categorization rules kept in sync with localStorage. */
+export default function useCategoryRules() {
+  const [rules, setRules] = useState(loadRules);
+
+  const update = useCallback((updater) => {
+    setRules(prev => saveRules(updater(prev)));
+  }, []);
+
+  const addRule = useCallback((fields) => update(prev => [createRule(fields), ...prev]), [update]);
+  const updateRule = useCallback((id, fields) => update(prev => prev.map(rule => (rule.id === id ? { ...rule, ...fields } : rule))), [update]);
+  const removeRule = useCallback((id) => update(prev => prev.filter(rule => rule.id !== id)), [update]);
+  const moveRule = useCallback((id, offset) => update(prev => {
+    const index = prev.findIndex(rule => rule.id === id);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= prev.length) return prev;
+    const next = [...prev];
+    [next[index], next[target]] = [next[target], next[index]];
+    return next;
+  }), [update]);
+  const restoreDefaults = useCallback(() => setRules(resetRules()), []);
+
+  return { rules, addRule, updateRule, removeRule, moveRule, restoreDefaults };
+}
@@ -0,0 +1,71 @@
+import React, { useState, useId } from 'react';
+import { Table } from 'lucide-react';
+import { useLanguage } from '../i18n/LanguageContext';
+
+// --- ChartDataTable Component ---
+// The numbers behind a chart as a plain table. `columns` are header labels and each row is
+// an array of already formatted cells; the first cell labels the row.
+export const ChartDataTable = ({ caption, columns, rows, id, className = '' }) => (
+  <table id={id} className={`min-w-full ${className}`}>
+    <caption className="sr-only">{caption}</caption>
+    <thead>
+      <tr className="border-b border-gray-600/30">
+        {/* Labels can repeat (e.g. saved scenario names), so they can't be keys */}
+        {columns.map((column, index) => (
+          <th key={index} scope="col" className="py-2 px-3 text-left text-xs font-medium text-gray-400">{column}</th>
+        ))}
+      </tr>
+    </thead>
+    <tbody>
+      {rows.map((row, rowIndex) => (
+        <tr key={rowIndex} className="border-b border-gray-600/10">
+          {row.map((cell, cellIndex) => (cellIndex === 0
+            ? <th key={cellIndex} scope="row" className="py-2 px-3 text-left text-xs font-normal text-gray-300">{cell}</th>
+            : <td key={cellIndex} className="py-2 px-3 text-xs text-gray-400">{cell}</td>))}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// --- AccessibleChart Component ---
+// Chart.js draws on a canvas that assistive technology can't read, so every chart renders
+// inside this wrapper. The canvas is exposed as a single image described by `summary`, and
+// the same data is always available as a table: hidden for screen readers by default, or
+// on screen for everyone through the "Show table" toggle. The chart stays mounted either
+// way so refs to it (e.g. for the PDF export) keep working.
+const AccessibleChart = ({ label, summary, columns, rows, className = 'h-56', children }) => {
+  const [showTable, setShowTable] = useState(false);
+  const { t } = useLanguage();
+  const tableId = useId();
+
+  return (
+    <div>
+      <div className={className} role="img" aria-label={summary ? `${label}. ${summary}` : label}>
+        {children}
+      </div>
+      <div className="flex justify-end mt-1">
+        <button
+          onClick={() => setShowTable(shown => !shown)}
+          aria-expanded={showTable}
+          aria-controls={tableId}
+          className="flex items-center text-xs text-gray-500 hover:text-gray-300"
+        >
+          <Table size={12} className="mr-1" />
+          {t(showTable ? 'chart.hideTable' : 'chart.showTable')}
+        </button>
+      </div>
+      {/* Focusable when shown so a long table can be scrolled from the keyboard */}
+      <div
+        className={showTable ? 'mt-2 max-h-64 overflow-auto' : 'sr-only'}
+        tabIndex={showTable ? 0 : undefined}
+        role={showTable ? 'region' : undefined}
+        aria-label={showTable ? t('chart.tableLabel', { label }) : undefined}
+      >
+        <ChartDataTable id={tableId} caption={label} columns={columns} rows={rows} />
+      </div>
+    </div>
+  );
+};
+
+export default AccessibleChart;
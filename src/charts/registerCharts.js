@@ -0,0 +1,8 @@
+import {
+  Chart as ChartJS, ArcElement, Tooltip, Legend, CategoryScale, LinearScale, BarElement, LineElement, PointElement
+} from 'chart.js';
+
+// --- Chart.js Registration ---
+// Imported for its side effect by every module that renders a chart, so the elements are
+// registered whichever lazily loaded page happens to render first.
+ChartJS.register(ArcElement, Tooltip, Legend, CategoryScale, LinearScale, BarElement, LineElement, PointElement);
@@ -0,0 +1,24 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { MessageCircleQuestion } from 'lucide-react';
+import { useLanguage } from '../i18n/LanguageContext';
+
+// --- AskAboutButton Component ---
+// Opens the chat with `context` (from ./askContext) attached to the next question.
+const AskAboutButton = ({ context, className = '' }) => {
+  const navigate = useNavigate();
+  const { t } = useLanguage();
+  const label = t('ask.about', { label: context.label });
+  return (
+    <button
+      onClick={() => navigate('/chat', { state: { askContext: context, focusChat: true } })}
+      className={`p-1 rounded text-gray-500 hover:text-gray-200 focus:outline-none focus:ring-1 focus:ring-gray-500 ${className}`}
+      title={label}
+      aria-label={label}
+    >
+      <MessageCircleQuestion size={14} />
+    </button>
+  );
+};
+
+export default AskAboutButton;
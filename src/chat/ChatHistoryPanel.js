@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import { History, Plus, Search, Pencil, Trash2, X, Check } from 'lucide-react';
+import { useLanguage } from '../i18n/LanguageContext';
+import { usePrivacy } from '../privacy/PrivacyContext';
+import { searchConversations } from './chatStore';
+
+// --- ChatHistoryPanel Component ---
+const ChatHistoryPanel = ({ conversations, activeId, disabled, onSelect, onNew, onRename, onDelete, onClose }) => {
+  const { t, locale } = useLanguage();
+  const [query, setQuery] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState('');
+  // Titles are usually the first question, which can quote amounts
+  const { maskText } = usePrivacy();
+
+  useEffect(() => {
+    if (query.trim() === '') {
+      setSearchResults([]);
+      return;
+    }
+    let cancelled = false;
+    searchConversations(query)
+      .then(results => { if (!cancelled) setSearchResults(results); })
+      .catch(error => console.error('Error searching chat history:', error));
+    return () => { cancelled = true; };
+  }, [query, conversations]);
+
+  const submitRename = (id) => {
+    onRename(id, draftTitle);
+    setEditingId(null);
+  };
+
+  const isSearching = query.trim() !== '';
+
+  return (
+    <div className="absolute inset-0 z-20 flex flex-col p-3 rounded-xl bg-gray-900/95 border border-gray-600/30">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-medium text-gray-300 flex items-center">
+          <History size={14} className="mr-1" />
+          {t('chat.historyPanel.title')}
+        </h3>
+        <div className="flex items-center space-x-1">
+          <button
+            onClick={onNew}
+            disabled={disabled}
+            className="p-1 rounded text-gray-400 hover:text-gray-200 disabled:opacity-40"
+            title={t('chat.newConversation')}
+          >
+            <Plus size={16} />
+          </button>
+          <button onClick={onClose} className="p-1 rounded text-gray-400 hover:text-gray-200" title={t('chat.historyPanel.close')}>
+            <X size={16} />
+          </button>
+        </div>
+      </div>
+      <div className="flex items-center mb-3 px-2 bg-gray-800/40 border border-gray-600/40 rounded-lg">
+        <Search size={14} className="text-gray-500" />
+        <input
+          type="text"
+          className="flex-grow p-2 bg-transparent focus:outline-none text-gray-300 placeholder-gray-500 text-xs"
+          placeholder={t('chat.historyPanel.search')}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+      </div>
+      <ul className="flex-grow overflow-y-auto space-y-2 scrollbar-thin scrollbar-thumb-gray-600 scrollbar-track-transparent">
+        {isSearching && searchResults.map(({ conversation, matches }) => (
+          <li key={conversation.id}>
+            <button
+              onClick={() => onSelect(conversation.id)}
+              disabled={disabled}
+              className="w-full text-left p-2 bg-gray-800/40 rounded-lg border border-gray-600/30 disabled:opacity-40"
+            >
+              <span className="block text-xs font-medium text-gray-300 truncate">{maskText(conversation.title)}</span>
+              {matches.slice(0, 2).map((match, index) => (
+                <span key={index} className="block mt-1 text-xs text-gray-500">{match.snippet}</span>
+              ))}
+            </button>
+          </li>
+        ))}
+        {isSearching && searchResults.length === 0 && (
+          <li className="text-center text-gray-500 italic text-xs">{t('chat.historyPanel.noMatches')}</li>
+        )}
+        {!isSearching && conversations.map(conversation => (
+          <li
+            key={conversation.id}
+            className={`flex items-center p-2 rounded-lg border ${
+              conversation.id === activeId
+                ? 'bg-gray-700/60 border-gray-500/40'
+                : 'bg-gray-800/40 border-gray-600/30'
+            }`}
+          >
+            {editingId === conversation.id ? (
+              <>
+                <input
+                  type="text"
+                  autoFocus
+                  className="flex-grow p-1 bg-gray-800/60 border border-gray-600/40 rounded focus:outline-none text-gray-300 text-xs"
+                  value={draftTitle}
+                  onChange={(e) => setDraftTitle(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') submitRename(conversation.id);
+                    if (e.key === 'Escape') setEditingId(null);
+                  }}
+                />
+                <button onClick={() => submitRename(conversation.id)} className="p-1 text-gray-400 hover:text-gray-200" title={t('chat.historyPanel.saveTitle')}>
+                  <Check size={14} />
+                </button>
+              </>
+            ) : (
+              <>
+                <button
+                  onClick={() => onSelect(conversation.id)}
+                  disabled={disabled}
+                  className="flex-grow text-left min-w-0 disabled:opacity-40"
+                >
+                  <span className="block text-xs font-medium text-gray-300 truncate">{maskText(conversation.title)}</span>
+                  <span className="block text-xs text-gray-500">{new Date(conversation.updatedAt).toLocaleString(locale)}</span>
+                </button>
+                <button
+                  onClick={() => {
+                    setEditingId(conversation.id);
+                    setDraftTitle(conversation.title);
+                  }}
+                  className="p-1 text-gray-500 hover:text-gray-300"
+                  title={t('chat.historyPanel.rename')}
+                >
+                  <Pencil size={14} />
+                </button>
+                <button
+                  onClick={() => onDelete(conversation.id)}
+                  disabled={disabled}
+                  className="p-1 text-gray-500 hover:text-gray-300 disabled:opacity-40"
+                  title={t('chat.historyPanel.delete')}
+                >
+                  <Trash2 size={14} />
+                </button>
+              </>
+            )}
+          </li>
+        ))}
+        {!isSearching && conversations.length === 0 && (
+          <li className="text-center text-gray-500 italic text-xs">{t('chat.historyPanel.empty')}</li>
+        )}
+      </ul>
+    </div>
+  );
+};
+
+export default ChatHistoryPanel;
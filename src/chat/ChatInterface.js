@@ -0,0 +1,561 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { History, Plus, MessageSquare, Mic, StopCircle, Volume2, SlidersHorizontal, X } from 'lucide-react';
+import GlassCard from '../components/GlassCard';
+import { apiClient } from '../api/client';
+import { LoginRequiredError, InvalidSessionError, NetworkError, isAbortError } from '../api/errors';
+import { readStreamedText, STREAM_ACCEPT_HEADER } from '../api/streaming';
+import useSpeechRecognition from '../voice/useSpeechRecognition';
+import useVoicePreferences, { resolveVoiceLang } from '../voice/useVoicePreferences';
+import VoiceSettings from '../voice/VoiceSettings';
+import { speak, cancelSpeech, toSpeakableText } from '../voice/speech';
+import useKeyboardShortcuts from '../shortcuts/useKeyboardShortcuts';
+import { KEYBOARD_SHORTCUTS } from '../shortcuts/keyboardShortcuts';
+import { usePrivacy } from '../privacy/PrivacyContext';
+import { useLanguage } from '../i18n/LanguageContext';
+import useOnlineStatus from '../pwa/useOnlineStatus';
+import { listConversations, getConversation, saveConversationMessages, renameConversation, deleteConversation } from './chatStore';
+import MarkdownMessage from './MarkdownMessage';
+import ChatHistoryPanel from './ChatHistoryPanel';
+import SuggestionChips from './SuggestionChips';
+import { toChatContext } from './askContext';
+import { readActiveConversationId, writeActiveConversationId } from './activeConversation';
+
+// Number of earlier messages from the active thread sent along with each chat question
+const CHAT_HISTORY_LIMIT = 20;
+
+const SENDER_LABEL_KEYS = { user: 'chat.sender.user', ai: 'chat.sender.ai', system: 'chat.sender.system' };
+
+// Offered in an empty conversation; after that the backend suggests the follow-ups
+const STARTER_SUGGESTION_KEYS = ['chat.starter.netWorth', 'chat.starter.creditScore', 'chat.starter.homeLoan'];
+
+// --- ChatInterface Component ---
+// `focusOnMount` puts the cursor in the message box, e.g. after the focus-chat shortcut
+// brought the user here from another page. `askContext` (from ./askContext) attaches a
+// dashboard item to the next question and prefills its starter question.
+const ChatInterface = ({ userId, onLoginRequired = () => {}, onSessionActive = () => {}, focusOnMount = false, askContext = null }) => {
+  const [messages, setMessages] = useState([]);
+  const [input, setInput] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const [conversations, setConversations] = useState([]);
+  const [activeConversationId, setActiveConversationId] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showVoiceSettings, setShowVoiceSettings] = useState(false);
+  const [voicePreferences, updateVoicePreferences] = useVoicePreferences();
+  // The interface language picks the words on screen, the /chat language hint and, unless
+  // the voice settings name one, the language to listen and speak in
+  const { t, locale } = useLanguage();
+  const speechOptions = { ...voicePreferences, lang: resolveVoiceLang(voicePreferences, locale) };
+  // Privacy mode masks amounts and scores in the bubbles; what's sent and spoken is unchanged
+  const { maskText } = usePrivacy();
+  // Text for the screen-reader status region: finished replies and errors
+  const [announcement, setAnnouncement] = useState('');
+  // The dashboard item the next question is about, if the user came from "ask about this"
+  const [attachedContext, setAttachedContext] = useState(null);
+  const online = useOnlineStatus();
+  const abortControllerRef = useRef(null);
+  const sendMessageRef = useRef(null);
+  const requestReplyRef = useRef(null);
+  const needsSaveRef = useRef(false);
+  const messagesEndRef = useRef(null);
+  const inputRef = useRef(null);
+
+  const scrollToBottom = () => {
+    messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+  };
+
+  useEffect(() => {
+    scrollToBottom();
+  }, [messages]);
+
+  useEffect(() => {
+    if (focusOnMount) inputRef.current?.focus();
+  }, [focusOnMount]);
+
+  useEffect(() => {
+    if (!askContext) return;
+    setAttachedContext(askContext);
+    setInput(askContext.question);
+    inputRef.current?.focus();
+  }, [askContext]);
+
+  // Abort any in-flight response when the chat unmounts
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
+  const refreshConversations = useCallback(async () => {
+    try {
+      setConversations(await listConversations());
+    } catch (error) {
+      console.error('Error loading chat history:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshConversations();
+  }, [refreshConversations]);
+
+  const [restoredConversationId] = useState(readActiveConversationId);
+  useEffect(() => {
+    if (!restoredConversationId) return;
+    getConversation(restoredConversationId)
+      .then(conversation => {
+        if (!conversation) return;
+        setMessages(conversation.messages);
+        setActiveConversationId(restoredConversationId);
+      })
+      .catch(error => console.error('Error reopening conversation:', error));
+  }, [restoredConversationId]);
+
+  useEffect(() => {
+    writeActiveConversationId(activeConversationId);
+  }, [activeConversationId]);
+
+  // Persist the active thread once its latest response has finished streaming
+  useEffect(() => {
+    if (!needsSaveRef.current || !activeConversationId || messages.some(msg => msg.streaming)) return;
+    needsSaveRef.current = false;
+    saveConversationMessages(activeConversationId, messages)
+      .then(refreshConversations)
+      .catch(error => console.error('Error saving conversation:', error));
+  }, [messages, activeConversationId, refreshConversations]);
+
+  const selectConversation = async (id) => {
+    try {
+      const conversation = await getConversation(id);
+      needsSaveRef.current = false;
+      setMessages(conversation?.messages || []);
+      setActiveConversationId(conversation ? id : null);
+      setShowHistory(false);
+    } catch (error) {
+      console.error('Error opening conversation:', error);
+    }
+  };
+
+  const startNewConversation = () => {
+    needsSaveRef.current = false;
+    setMessages([]);
+    setActiveConversationId(null);
+    setShowHistory(false);
+  };
+
+  const handleRenameConversation = async (id, title) => {
+    try {
+      await renameConversation(id, title);
+      await refreshConversations();
+    } catch (error) {
+      console.error('Error renaming conversation:', error);
+    }
+  };
+
+  const handleDeleteConversation = async (id) => {
+    try {
+      await deleteConversation(id);
+      if (id === activeConversationId) {
+        startNewConversation();
+      }
+      await refreshConversations();
+    } catch (error) {
+      console.error('Error deleting conversation:', error);
+    }
+  };
+
+  // Streams the backend's answer to `userMessage` into a reply bubble right after it.
+  // `earlier` is the thread before the question, the most recent of which go as history.
+  const requestReply = async (userMessage, earlier, conversationId) => {
+    // Each thread carries its own context: its ID plus the most recent exchanges
+    const history = earlier
+      .filter(msg => msg.sender !== 'system' && msg.text && !msg.queued)
+      .slice(-CHAT_HISTORY_LIMIT)
+      .map(msg => ({ role: msg.sender === 'user' ? 'user' : 'assistant', text: msg.text }));
+
+    const aiMessageId = crypto.randomUUID();
+    needsSaveRef.current = true;
+    setMessages(prev => prev.flatMap(msg => {
+      if (msg.id !== userMessage.id) return [msg];
+      // The attached item goes with this question only; the thread keeps its label
+      const { queued, context, ...sent } = msg;
+      return [sent, { id: aiMessageId, sender: 'ai', text: '', streaming: true }];
+    }));
+    setIsSending(true);
+
+    const updateAiMessage = (changes) => {
+      needsSaveRef.current = true;
+      setMessages(prev => prev.map(msg => (msg.id === aiMessageId ? { ...msg, ...changes } : msg)));
+    };
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    try {
+      const response = await apiClient.post('/chat', {
+        message: userMessage.text, userId, conversationId, history, context: userMessage.context, language: locale,
+      }, {
+        raw: true,
+        signal: controller.signal,
+        headers: { Accept: STREAM_ACCEPT_HEADER },
+      });
+      const reply = await readStreamedText(response, {
+        onToken: (partial) => updateAiMessage({ text: partial }),
+        onSuggestions: (suggestions) => updateAiMessage({ suggestions }),
+      });
+      updateAiMessage({ streaming: false });
+      setAnnouncement(`${t(SENDER_LABEL_KEYS.ai)}: ${toSpeakableText(reply)}`);
+      onSessionActive();
+      if (voicePreferences.speakReplies) {
+        speak(reply, speechOptions);
+      }
+    } catch (error) {
+      if (isAbortError(error)) {
+        // Keep whatever arrived before the user cancelled
+        updateAiMessage({ streaming: false, stopped: true });
+        setAnnouncement(t('chat.stopped'));
+        return;
+      }
+      if (error instanceof NetworkError && navigator.onLine === false) {
+        // The connection dropped before the question got out: queue it again
+        needsSaveRef.current = true;
+        setMessages(prev => prev
+          .filter(msg => msg.id !== aiMessageId)
+          .map(msg => (msg.id === userMessage.id ? { ...userMessage, queued: true } : msg)));
+        setAnnouncement(t('chat.queuedAnnouncement'));
+        return;
+      }
+      console.error('Error sending message to AI:', error);
+      let displayMessage = t('chat.error.generic');
+      if (error instanceof LoginRequiredError) {
+        displayMessage = t('chat.error.loginRequired', { url: error.loginUrl });
+        // For chat, we don't redirect as it would interrupt the flow; App offers a popup login instead
+        onLoginRequired(error.loginUrl);
+      } else if (error instanceof InvalidSessionError) {
+        displayMessage = t('chat.error.sessionInvalid', { message: error.message });
+      }
+      else if (error.message) {
+        displayMessage = t('chat.error.message', { message: error.message });
+      }
+      updateAiMessage({ text: displayMessage, streaming: false });
+      setAnnouncement(displayMessage);
+    } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
+      setIsSending(false);
+    }
+  };
+
+  // `text` is passed by voice input; typing sends whatever is in the box
+  const handleSendMessage = async (text) => {
+    const message = (typeof text === 'string' ? text : input).trim();
+    if (message === '') return;
+    cancelSpeech();
+
+    const conversationId = activeConversationId || crypto.randomUUID();
+    const context = attachedContext;
+    const userMessage = {
+      id: crypto.randomUUID(),
+      sender: 'user',
+      text: message,
+      contextLabel: context?.label,
+      context: context ? toChatContext(context) : undefined,
+    };
+    needsSaveRef.current = true;
+    setActiveConversationId(conversationId);
+    setInput('');
+    setAttachedContext(null);
+
+    // Offline, the question waits in the thread (and in IndexedDB) until the connection is back
+    if (navigator.onLine === false) {
+      setMessages(prev => [...prev, { ...userMessage, queued: true }]);
+      setAnnouncement(t('chat.queuedAnnouncement'));
+      return;
+    }
+    setMessages(prev => [...prev, userMessage]);
+    await requestReply(userMessage, messages, conversationId);
+  };
+
+  requestReplyRef.current = requestReply;
+
+  // Questions asked while offline go out one at a time, oldest first, once back online
+  useEffect(() => {
+    if (!online || navigator.onLine === false || isSending || !activeConversationId) return;
+    const index = messages.findIndex(msg => msg.queued);
+    if (index === -1) return;
+    requestReplyRef.current(messages[index], messages.slice(0, index), activeConversationId);
+  }, [online, isSending, messages, activeConversationId]);
+
+  const stopResponse = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  // The recognizer calls back after later renders, so it sends through a ref to the
+  // latest handleSendMessage rather than a stale closure
+  sendMessageRef.current = handleSendMessage;
+
+  const {
+    isSupported: voiceSupported, isListening, transcript, start: startRecognition, stop: stopListening
+  } = useSpeechRecognition({
+    lang: speechOptions.lang,
+    continuous: voicePreferences.mode === 'dictation',
+    onFinalTranscript: (text) => {
+      if (!text) return;
+      if (voicePreferences.autoSend) {
+        sendMessageRef.current(text);
+      } else {
+        setInput(prev => (prev.trim() ? `${prev.trim()} ${text}` : text));
+      }
+    },
+    onError: (code) => {
+      // "no-speech" and "aborted" just mean nothing was said
+      if (code === 'no-speech' || code === 'aborted') return;
+      console.error('Speech recognition error:', code);
+      const text = code === 'not-allowed' ? t('chat.mic.blocked') : t('chat.mic.error', { code });
+      setMessages(prev => [...prev, { sender: 'system', text }]);
+      setAnnouncement(text);
+    },
+  });
+
+  const startListening = () => {
+    if (isSending) return;
+    cancelSpeech();
+    startRecognition();
+  };
+
+  // Push-to-talk listens while the button is held; dictation toggles on click
+  const micHandlers = voicePreferences.mode === 'push'
+    ? {
+      onPointerDown: (e) => {
+        e.preventDefault();
+        startListening();
+      },
+      onPointerUp: stopListening,
+      onPointerLeave: stopListening,
+      onKeyDown: (e) => {
+        if ((e.key === ' ' || e.key === 'Enter') && !e.repeat) {
+          e.preventDefault();
+          startListening();
+        }
+      },
+      onKeyUp: (e) => {
+        if (e.key === ' ' || e.key === 'Enter') stopListening();
+      },
+    }
+    : { onClick: isListening ? stopListening : startListening };
+
+  // The shortcut toggles in either voice mode; holding a key combination isn't practical
+  useKeyboardShortcuts({
+    focusChat: () => inputRef.current?.focus(),
+    toggleMic: () => {
+      if (!voiceSupported) return;
+      if (isListening) stopListening();
+      else startListening();
+    },
+  });
+
+  const lastMessage = messages[messages.length - 1];
+  const followUps = lastMessage?.sender === 'ai' && !lastMessage.streaming ? lastMessage.suggestions || [] : [];
+
+  const liveTranscript = [transcript.final, transcript.interim].filter(Boolean).join(' ');
+  const micLabel = !voiceSupported
+    ? t('chat.mic.unsupported')
+    : voicePreferences.mode === 'push'
+      ? t('chat.mic.hold')
+      : t(isListening ? 'chat.mic.stopDictation' : 'chat.mic.startDictation');
+
+  return (
+    <GlassCard className="relative flex flex-col h-full p-4">
+      <div className="flex items-center justify-between mb-3">
+        <button
+          onClick={() => setShowHistory(true)}
+          className="p-1 rounded text-gray-400 hover:text-gray-200"
+          title={t('chat.history')}
+          aria-label={t('chat.history')}
+        >
+          <History size={16} />
+        </button>
+        <h2 className="text-md font-medium text-gray-300 text-center">{t('chat.title')}</h2>
+        <div className="flex items-center">
+          <button
+            onClick={() => setShowVoiceSettings(true)}
+            className="p-1 rounded text-gray-400 hover:text-gray-200"
+            title={t('chat.voiceSettings')}
+            aria-label={t('chat.voiceSettings')}
+          >
+            <SlidersHorizontal size={16} />
+          </button>
+          <button
+            onClick={startNewConversation}
+            disabled={isSending}
+            className="p-1 rounded text-gray-400 hover:text-gray-200 disabled:opacity-40"
+            title={t('chat.newConversation')}
+            aria-label={t('chat.newConversation')}
+          >
+            <Plus size={16} />
+          </button>
+        </div>
+      </div>
+      {showVoiceSettings && (
+        <VoiceSettings
+          preferences={voicePreferences}
+          onChange={updateVoicePreferences}
+          recognitionSupported={voiceSupported}
+          onClose={() => setShowVoiceSettings(false)}
+        />
+      )}
+      {showHistory && (
+        <ChatHistoryPanel
+          conversations={conversations}
+          activeId={activeConversationId}
+          disabled={isSending}
+          onSelect={selectConversation}
+          onNew={startNewConversation}
+          onRename={handleRenameConversation}
+          onDelete={handleDeleteConversation}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+      {/* Replies stream in token by token, which a live log would read out piecemeal, so the
+          log itself is silent and the status region below announces each finished reply */}
+      <div
+        role="log"
+        aria-live="off"
+        aria-label={t('chat.conversation')}
+        tabIndex={0}
+        className="flex-grow overflow-y-auto space-y-3 p-3 rounded-lg bg-gray-900/40 border border-gray-600/30 mb-3 scrollbar-thin scrollbar-thumb-gray-600 scrollbar-track-transparent focus:outline-none focus:ring-1 focus:ring-gray-500"
+      >
+        {messages.length === 0 && (
+          <div className="text-center text-gray-500 text-sm">
+            <p className="italic mb-3">{t('chat.empty')}</p>
+            <SuggestionChips
+              suggestions={STARTER_SUGGESTION_KEYS.map(key => t(key))}
+              label={t('chat.suggestedQuestions')}
+              onSelect={handleSendMessage}
+              formatLabel={maskText}
+              disabled={isSending || isListening}
+              className="justify-center"
+            />
+          </div>
+        )}
+        {messages.map((msg, index) => (
+          <div
+            key={msg.id || index}
+            className={`flex ${msg.sender === 'user' ? 'justify-end' : 'justify-start'}`}
+          >
+            <div
+              className={`max-w-[75%] p-2 rounded-lg border shadow-sm ${
+                msg.sender === 'user'
+                  ? 'bg-gray-700/60 text-gray-200 border-gray-600/40 rounded-br-none'
+                  : msg.sender === 'ai'
+                  ? 'bg-gray-800/60 text-gray-300 border-gray-600/40 rounded-bl-none'
+                  : 'bg-gray-600/40 text-gray-400 text-xs italic border-gray-500/40'
+              }`}
+            >
+              <span className="sr-only">{t(SENDER_LABEL_KEYS[msg.sender])}: </span>
+              {msg.contextLabel && (
+                <span className="block mb-1 text-xs text-gray-400">{t('chat.about', { label: msg.contextLabel })}</span>
+              )}
+              {msg.sender === 'ai' && msg.text ? (
+                <MarkdownMessage text={maskText(msg.text)} />
+              ) : (
+                <span className="text-sm whitespace-pre-wrap">
+                  {msg.text ? maskText(msg.text) : (msg.streaming ? t('chat.thinking') : '')}
+                </span>
+              )}
+              {msg.streaming && msg.text && <span className="text-sm animate-pulse" aria-hidden="true">▍</span>}
+              {msg.queued && (
+                <span className="block mt-1 text-xs text-gray-400 italic">{t('chat.queued')}</span>
+              )}
+              {msg.stopped && (
+                <span className="block mt-1 text-xs text-gray-500 italic">{t('chat.stopped')}</span>
+              )}
+              {msg.sender === 'ai' && msg.text && !msg.streaming && (
+                <button
+                  onClick={() => speak(msg.text, speechOptions)}
+                  className="mt-1 text-gray-500 hover:text-gray-300"
+                  title={t('chat.readAloud')}
+                  aria-label={t('chat.readAloud')}
+                >
+                  <Volume2 size={12} />
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+        {followUps.length > 0 && (
+          <SuggestionChips
+            suggestions={followUps}
+            label={t('chat.suggestedFollowUps')}
+            onSelect={handleSendMessage}
+            formatLabel={maskText}
+            disabled={isSending || isListening}
+          />
+        )}
+        <div ref={messagesEndRef} />
+      </div>
+      <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">{announcement}</div>
+      {!online && (
+        <p className="mb-2 text-xs text-gray-500">{t('chat.offline')}</p>
+      )}
+      {attachedContext && (
+        <div className="flex items-center mb-2">
+          <span className="flex items-center px-2 py-1 rounded-full bg-gray-700/60 border border-gray-600/40 text-xs text-gray-300">
+            {t('chat.askingAbout', { label: attachedContext.label })}
+            <button
+              onClick={() => setAttachedContext(null)}
+              className="ml-1 text-gray-400 hover:text-gray-200"
+              title={t('chat.removeContext')}
+              aria-label={t('chat.stopAskingAbout', { label: attachedContext.label })}
+            >
+              <X size={12} />
+            </button>
+          </span>
+        </div>
+      )}
+      <div className="flex items-center space-x-2">
+        <input
+          ref={inputRef}
+          type="text"
+          aria-label={t('chat.input.label')}
+          aria-keyshortcuts={KEYBOARD_SHORTCUTS.focusChat.keys}
+          className="flex-grow p-2 bg-gray-800/40 border border-gray-600/40 rounded-lg focus:outline-none focus:ring-1 focus:ring-gray-500 focus:bg-gray-800/60 text-gray-300 placeholder-gray-500 text-sm"
+          placeholder={t(isListening ? 'chat.input.listening' : 'chat.input.placeholder')}
+          value={isListening ? liveTranscript : input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyPress={(e) => {
+            if (e.key === 'Enter' && !isSending && !isListening) {
+              handleSendMessage();
+            }
+          }}
+          disabled={isSending || isListening}
+        />
+        <button
+          {...micHandlers}
+          className={`p-2 rounded-lg border touch-none ${
+            isListening 
+              ? 'bg-gray-700/60 text-gray-200 border-gray-500/40 animate-pulse' 
+              : 'bg-gray-800/60 text-gray-400 border-gray-600/40'
+          } focus:outline-none focus:ring-1 focus:ring-gray-500 disabled:opacity-40`}
+          title={voiceSupported ? `${micLabel} (${KEYBOARD_SHORTCUTS.toggleMic.keys})` : micLabel}
+          aria-label={micLabel}
+          aria-pressed={isListening}
+          aria-keyshortcuts={KEYBOARD_SHORTCUTS.toggleMic.keys}
+          disabled={isSending || !voiceSupported}
+        >
+          {isListening ? <StopCircle size={18} /> : <Mic size={18} />}
+        </button>
+        <button
+          onClick={isSending ? stopResponse : handleSendMessage}
+          className={`p-2 rounded-lg border ${
+            isSending 
+              ? 'bg-gray-700/60 text-gray-300 border-gray-600/40' 
+              : 'bg-gray-800/60 text-gray-400 border-gray-600/40'
+          } focus:outline-none focus:ring-1 focus:ring-gray-500`}
+          title={t(isSending ? 'chat.stop' : 'chat.send')}
+          aria-label={t(isSending ? 'chat.stop' : 'chat.send')}
+          disabled={!isSending && (input.trim() === '' || isListening)}
+        >
+          {isSending ? <StopCircle size={18} /> : <MessageSquare size={18} />}
+        </button>
+      </div>
+    </GlassCard>
+  );
+};
+
+export default ChatInterface;
@@ -0,0 +1,307 @@
+import React from 'react';
+import { render, screen, fireEvent, act, waitFor, within } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { ThemeProvider } from '../theme/ThemeContext';
+import { MoneyProvider } from '../money/MoneyContext';
+import { PrivacyProvider } from '../privacy/PrivacyContext';
+import { LanguageProvider } from '../i18n/LanguageContext';
+import { HttpError, LoginRequiredError, NetworkError } from '../api/errors';
+import { registerRecognitionAdapter } from '../voice/recognition';
+import ChatInterface from './ChatInterface';
+
+// Each test sets how the backend answers; calls are recorded for assertions
+let mockPost = async () => jsonReply({ response: 'OK' });
+const mockRequests = [];
+jest.mock('../api/client', () => ({
+  apiClient: {
+    post: (endpoint, body, options) => {
+      mockRequests.push({ endpoint, body, options });
+      return mockPost(endpoint, body, options);
+    },
+  },
+}));
+
+// No IndexedDB in jsdom: keep conversations in memory
+const mockConversations = new Map();
+jest.mock('./chatStore', () => ({
+  listConversations: async () => [...mockConversations.values()],
+  getConversation: async (id) => mockConversations.get(id) || null,
+  saveConversationMessages: async (id, messages) => {
+    const conversation = { id, title: messages[0]?.text, messages, updatedAt: Date.now() };
+    mockConversations.set(id, conversation);
+    return conversation;
+  },
+  renameConversation: async () => null,
+  deleteConversation: async (id) => {
+    mockConversations.delete(id);
+  },
+}));
+
+const jsonReply = (body) => ({ headers: { get: () => 'application/json' }, json: async () => body });
+
+// A recognizer the tests speak through: `recognizer` is the session the chat last started
+let recognizer = null;
+registerRecognitionAdapter({
+  id: 'test',
+  isSupported: () => true,
+  create: (callbacks) => {
+    recognizer = {
+      ...callbacks,
+      start: () => callbacks.onStart?.(),
+      stop: () => callbacks.onEnd?.(),
+      abort: () => {},
+    };
+    return recognizer;
+  },
+});
+
+const say = (transcript, isFinal = true) => act(() => recognizer.onResult({ transcript, isFinal }));
+
+beforeAll(() => {
+  global.crypto = { randomUUID: () => Math.random().toString(36).slice(2) };
+  Element.prototype.scrollIntoView = () => {};
+});
+
+beforeEach(() => {
+  localStorage.clear();
+  mockConversations.clear();
+  mockRequests.length = 0;
+  mockPost = async (endpoint, body) => jsonReply({ response: `You asked: ${body.message}` });
+  recognizer = null;
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+const renderChat = async (props = {}) => {
+  const view = render(
+    <MemoryRouter future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+      <LanguageProvider>
+        <ThemeProvider>
+          <PrivacyProvider>
+            <MoneyProvider>
+              <ChatInterface userId="test-user" {...props} />
+            </MoneyProvider>
+          </PrivacyProvider>
+        </ThemeProvider>
+      </LanguageProvider>
+    </MemoryRouter>
+  );
+  // Lets the conversation list finish loading so its update lands inside the test
+  await act(() => Promise.resolve());
+  return view;
+};
+
+const messageBox = () => screen.getByRole('textbox', { name: 'Ask your financial question' });
+const conversation = () => screen.getByRole('log', { name: 'Conversation' });
+
+const ask = (question) => {
+  fireEvent.change(messageBox(), { target: { value: question } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send Message' }));
+};
+
+describe('sending messages', () => {
+  test('sends the typed question and shows the reply', async () => {
+    await renderChat();
+    ask("How's my net worth?");
+
+    expect(await screen.findByText("You asked: How's my net worth?")).toBeInTheDocument();
+    expect(conversation()).toHaveTextContent("You: How's my net worth?");
+    expect(messageBox()).toHaveValue('');
+    expect(mockRequests).toHaveLength(1);
+    expect(mockRequests[0].endpoint).toBe('/chat');
+    expect(mockRequests[0].body).toEqual(expect.objectContaining({
+      message: "How's my net worth?",
+      userId: 'test-user',
+      conversationId: expect.any(String),
+      history: [],
+    }));
+  });
+
+  test('Enter sends, and follow-ups carry the thread as history', async () => {
+    await renderChat();
+    fireEvent.change(messageBox(), { target: { value: 'First question' } });
+    fireEvent.keyPress(messageBox(), { key: 'Enter', charCode: 13 });
+    await screen.findByText('You asked: First question');
+
+    ask('Second question');
+    await screen.findByText('You asked: Second question');
+
+    const [first, second] = mockRequests.map(request => request.body);
+    expect(second.conversationId).toBe(first.conversationId);
+    expect(second.history).toEqual([
+      { role: 'user', text: 'First question' },
+      { role: 'assistant', text: 'You asked: First question' },
+    ]);
+  });
+
+  test('keeps the finished thread in the conversation store', async () => {
+    await renderChat();
+    ask('Remember this');
+    await screen.findByText('You asked: Remember this');
+
+    await waitFor(() => expect(mockConversations.size).toBe(1));
+    const [saved] = mockConversations.values();
+    expect(saved.messages.map(msg => [msg.sender, msg.text])).toEqual([
+      ['user', 'Remember this'],
+      ['ai', 'You asked: Remember this'],
+    ]);
+  });
+
+  test('does not send an empty question', async () => {
+    await renderChat();
+    fireEvent.change(messageBox(), { target: { value: '   ' } });
+    expect(screen.getByRole('button', { name: 'Send Message' })).toBeDisabled();
+    fireEvent.keyPress(messageBox(), { key: 'Enter', charCode: 13 });
+    expect(mockRequests).toHaveLength(0);
+  });
+
+  test('shows backend errors in the reply bubble', async () => {
+    mockPost = async () => {
+      throw new HttpError('The AI service is unavailable', { status: 503 });
+    };
+    await renderChat();
+    ask('Anything new?');
+
+    expect(await within(conversation()).findByText('Error: The AI service is unavailable')).toBeInTheDocument();
+    expect(screen.getByRole('status')).toHaveTextContent('Error: The AI service is unavailable');
+  });
+
+  test('hands a login prompt to the app instead of redirecting', async () => {
+    mockPost = async () => {
+      throw new LoginRequiredError('https://fi.money/login?session=test-user');
+    };
+    const onLoginRequired = jest.fn();
+    await renderChat({ onLoginRequired });
+    ask('Show my loans');
+
+    expect(await within(conversation()).findByText(/Authentication required with Fi Money/)).toBeInTheDocument();
+    expect(onLoginRequired).toHaveBeenCalledWith('https://fi.money/login?session=test-user');
+  });
+
+  test('the stop button cancels a reply in progress', async () => {
+    mockPost = (endpoint, body, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')));
+    });
+    await renderChat();
+    ask('Take your time');
+
+    expect(await screen.findByText('Thinking...')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Stop Response' }));
+
+    expect(await screen.findByText('Response stopped', { selector: 'span' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Send Message' })).toBeInTheDocument();
+  });
+
+  test('queues questions asked offline and sends them on reconnect', async () => {
+    let online = false;
+    jest.spyOn(navigator, 'onLine', 'get').mockImplementation(() => online);
+    await renderChat();
+
+    ask('Queued one');
+    ask('Queued two');
+    expect(screen.getAllByText("Waiting to send when you're back online")).toHaveLength(2);
+    expect(mockRequests).toHaveLength(0);
+
+    online = true;
+    await act(async () => {
+      window.dispatchEvent(new Event('online'));
+    });
+
+    expect(await screen.findByText('You asked: Queued two')).toBeInTheDocument();
+    expect(mockRequests.map(request => request.body.message)).toEqual(['Queued one', 'Queued two']);
+    expect(screen.queryByText("Waiting to send when you're back online")).not.toBeInTheDocument();
+  });
+
+  test('queues the question again when the connection drops mid-send', async () => {
+    let online = true;
+    jest.spyOn(navigator, 'onLine', 'get').mockImplementation(() => online);
+    mockPost = async () => {
+      online = false;
+      throw new NetworkError();
+    };
+    await renderChat();
+    ask('Are you there?');
+
+    expect(await screen.findByText("Waiting to send when you're back online")).toBeInTheDocument();
+    expect(screen.queryByText(/Error:/)).not.toBeInTheDocument();
+  });
+  test('speaks the chosen language and sends it as a hint', async () => {
+    localStorage.setItem('finsure.language', 'hi');
+    await renderChat();
+    fireEvent.change(screen.getByRole('textbox', { name: 'अपना वित्तीय सवाल पूछें' }), { target: { value: 'मेरा क्रेडिट स्कोर?' } });
+    fireEvent.click(screen.getByRole('button', { name: 'संदेश भेजें' }));
+
+    expect(await screen.findByText('You asked: मेरा क्रेडिट स्कोर?')).toBeInTheDocument();
+    expect(mockRequests[0].body.language).toBe('hi-IN');
+
+    fireEvent.pointerDown(screen.getByRole('button', { name: 'बोलने के लिए दबाए रखें' }));
+    expect(recognizer.lang).toBe('hi-IN');
+  });
+});
+
+describe('voice input', () => {
+  test('push-to-talk listens while held and sends what was said', async () => {
+    await renderChat();
+    const mic = screen.getByRole('button', { name: 'Hold to Talk' });
+
+    fireEvent.pointerDown(mic);
+    expect(mic).toHaveAttribute('aria-pressed', 'true');
+    expect(messageBox()).toHaveAttribute('placeholder', 'Listening...');
+
+    say('what is my', false);
+    expect(messageBox()).toHaveValue('what is my');
+    say('what is my credit score');
+    expect(messageBox()).toHaveValue('what is my credit score');
+
+    fireEvent.pointerUp(mic);
+    expect(mic).toHaveAttribute('aria-pressed', 'false');
+    expect(await screen.findByText('You asked: what is my credit score')).toBeInTheDocument();
+    expect(mockRequests[0].body.message).toBe('what is my credit score');
+  });
+
+  test('the keyboard holds the push-to-talk button too', async () => {
+    await renderChat();
+    const mic = screen.getByRole('button', { name: 'Hold to Talk' });
+
+    fireEvent.keyDown(mic, { key: ' ' });
+    expect(mic).toHaveAttribute('aria-pressed', 'true');
+    say('show my goals');
+    fireEvent.keyUp(mic, { key: ' ' });
+
+    expect(await screen.findByText('You asked: show my goals')).toBeInTheDocument();
+  });
+
+  test('dictation without auto-send collects phrases into the message box', async () => {
+    localStorage.setItem('finsure.voicePreferences', JSON.stringify({ mode: 'dictation', autoSend: false }));
+    await renderChat();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Start Dictation' }));
+    say('compare my funds');
+    say('against the index');
+    fireEvent.click(screen.getByRole('button', { name: 'Stop Dictation' }));
+
+    expect(messageBox()).toHaveValue('compare my funds against the index');
+    expect(mockRequests).toHaveLength(0);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Send Message' }));
+    expect(await screen.findByText('You asked: compare my funds against the index')).toBeInTheDocument();
+  });
+
+  test('explains a blocked microphone in the conversation', async () => {
+    await renderChat();
+    fireEvent.pointerDown(screen.getByRole('button', { name: 'Hold to Talk' }));
+    act(() => recognizer.onError('not-allowed'));
+
+    expect(conversation()).toHaveTextContent('Microphone access was blocked');
+  });
+
+  test('ignores silence', async () => {
+    await renderChat();
+    const mic = screen.getByRole('button', { name: 'Hold to Talk' });
+    fireEvent.pointerDown(mic);
+    act(() => recognizer.onError('no-speech'));
+    fireEvent.pointerUp(mic);
+
+    expect(mockRequests).toHaveLength(0);
+    expect(conversation()).not.toHaveTextContent('Notice');
+  });
+});
@@ -0,0 +1,193 @@
+import React, { useMemo } from 'react';
+import { Doughnut, Bar } from 'react-chartjs-2';
+import '../charts/registerCharts';
+import AccessibleChart from '../charts/AccessibleChart';
+import { parseMarkdown } from './markdown';
+import { useMoney } from '../money/MoneyContext';
+import { useChartTheme } from '../theme/ThemeContext';
+import { useLanguage } from '../i18n/LanguageContext';
+
+// --- Inline Rendering ---
+const renderInline = (nodes) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'strong':
+      return <strong key={index} className="font-semibold text-gray-200">{renderInline(node.children)}</strong>;
+    case 'em':
+      return <em key={index}>{renderInline(node.children)}</em>;
+    case 'code':
+      return <code key={index} className="px-1 py-0.5 rounded bg-gray-900/60 text-gray-200 text-xs font-mono">{node.value}</code>;
+    case 'link':
+      return (
+        <a key={index} href={node.href} target="_blank" rel="noopener noreferrer" className="underline text-gray-200 break-all">
+          {renderInline(node.children)}
+        </a>
+      );
+    case 'currency':
+      return <span key={index} className="font-semibold text-gray-100 whitespace-nowrap">{node.value}</span>;
+    default:
+      return <React.Fragment key={index}>{node.value}</React.Fragment>;
+  }
+});
+
+// --- ChatChart Component ---
+const ChatChart = ({ spec }) => {
+  const { format, formatCompact } = useMoney();
+  const { t } = useLanguage();
+  const chart = useChartTheme();
+  const isDoughnut = spec.type === 'doughnut';
+  const colors = chart.palette(isDoughnut ? spec.labels.length : spec.datasets.length, 0.7);
+  const data = {
+    labels: spec.labels,
+    datasets: spec.datasets.map((dataset, index) => ({
+      label: dataset.label,
+      data: dataset.data,
+      backgroundColor: isDoughnut ? colors : colors[index],
+      borderColor: isDoughnut ? chart.sliceBorder : chart.color('400'),
+      borderWidth: 1,
+      borderRadius: isDoughnut ? 0 : 4,
+    })),
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: chart.legend({
+        display: isDoughnut || spec.datasets.length > 1,
+        position: isDoughnut ? 'right' : 'top',
+        size: 10,
+      }),
+      tooltip: chart.tooltip({
+        label: (context) => {
+          const value = isDoughnut ? context.parsed : context.parsed.y;
+          const label = isDoughnut ? context.label : context.dataset.label;
+          return `${label ? `${label}: ` : ''}${format(value)}`;
+        },
+      }),
+    },
+    scales: isDoughnut ? {} : {
+      x: chart.categoryAxis({ size: 10 }),
+      y: chart.valueAxis({ size: 10, callback: formatCompact }),
+    },
+  };
+
+  const ChartType = isDoughnut ? Doughnut : Bar;
+  return (
+    <figure className="my-2 p-2 rounded-lg bg-gray-900/40 border border-gray-600/30">
+      {spec.title && <figcaption className="text-xs font-medium text-gray-300 text-center mb-1">{spec.title}</figcaption>}
+      <AccessibleChart
+        label={spec.title || t('chart.defaultLabel')}
+        columns={[
+          t('chart.labelColumn'),
+          ...spec.datasets.map((dataset, index) => dataset.label || t('chart.series', { number: index + 1 })),
+        ]}
+        rows={spec.labels.map((label, index) => [label, ...spec.datasets.map(dataset => format(dataset.data[index]))])}
+        className="h-48"
+      >
+        <ChartType data={data} options={options} />
+      </AccessibleChart>
+    </figure>
+  );
+};
+
+// --- Block Rendering ---
+// Stands in for a chart block while its spec is still streaming in
+const PendingChart = () => {
+  const { t } = useLanguage();
+  return <div className="text-xs italic text-gray-500">{t('chart.preparing')}</div>;
+};
+
+const HEADING_CLASSES = {
+  1: 'text-base font-semibold text-gray-200',
+  2: 'text-sm font-semibold text-gray-200',
+  3: 'text-sm font-medium text-gray-200',
+};
+
+const ALIGN_CLASSES = { left: 'text-left', center: 'text-center', right: 'text-right' };
+
+const renderBlock = (block, index) => {
+  switch (block.type) {
+    case 'heading': {
+      const Tag = `h${Math.min(block.level + 2, 6)}`;
+      return <Tag key={index} className={HEADING_CLASSES[block.level] || HEADING_CLASSES[3]}>{renderInline(block.children)}</Tag>;
+    }
+    case 'list': {
+      const Tag = block.ordered ? 'ol' : 'ul';
+      return (
+        <Tag
+          key={index}
+          start={block.ordered ? block.start : undefined}
+          className={`pl-5 space-y-1 ${block.ordered ? 'list-decimal' : 'list-disc'}`}
+        >
+          {block.items.map((item, itemIndex) => <li key={itemIndex}>{renderInline(item)}</li>)}
+        </Tag>
+      );
+    }
+    case 'quote':
+      return (
+        <blockquote key={index} className="pl-3 border-l-2 border-gray-500/60 text-gray-400 space-y-2">
+          {block.children.map(renderBlock)}
+        </blockquote>
+      );
+    case 'table':
+      return (
+        <div key={index} className="overflow-x-auto">
+          <table className="min-w-full text-xs">
+            <thead>
+              <tr className="border-b border-gray-600/40">
+                {block.header.map((cell, cellIndex) => (
+                  <th key={cellIndex} scope="col" className={`py-1 px-2 font-medium text-gray-300 ${ALIGN_CLASSES[block.align[cellIndex]] || 'text-left'}`}>
+                    {renderInline(cell)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {block.rows.map((row, rowIndex) => (
+                <tr key={rowIndex} className="border-b border-gray-600/20">
+                  {row.map((cell, cellIndex) => (
+                    <td key={cellIndex} className={`py-1 px-2 text-gray-400 ${ALIGN_CLASSES[block.align[cellIndex]] || 'text-left'}`}>
+                      {renderInline(cell)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+    case 'code':
+      return (
+        <pre key={index} className="p-2 rounded-lg bg-gray-900/60 border border-gray-600/30 overflow-x-auto">
+          <code className="text-xs font-mono text-gray-200">{block.value}</code>
+        </pre>
+      );
+    case 'chart':
+      return block.pending
+        ? <PendingChart key={index} />
+        : <ChatChart key={index} spec={block.spec} />;
+    case 'rule':
+      return <hr key={index} className="border-gray-600/40" />;
+    default:
+      return (
+        <p key={index}>
+          {block.lines.map((line, lineIndex) => (
+            <React.Fragment key={lineIndex}>
+              {lineIndex > 0 && <br />}
+              {renderInline(line)}
+            </React.Fragment>
+          ))}
+        </p>
+      );
+  }
+};
+
+// --- MarkdownMessage Component ---
+// Renders an AI reply as sanitized markdown. Parsing never produces HTML, so model
+// output can't inject markup or script; see ./markdown.js for the supported syntax.
+const MarkdownMessage = ({ text }) => {
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+  return <div className="text-sm space-y-2 break-words">{blocks.map(renderBlock)}</div>;
+};
+
+export default MarkdownMessage;
@@ -0,0 +1,21 @@
+import React from 'react';
+
+// --- SuggestionChips Component ---
+// Clickable prompts that are sent as the next question as soon as they're picked.
+// `formatLabel` changes how a prompt is shown (e.g. masked), not what is sent.
+const SuggestionChips = ({ suggestions, label, onSelect, formatLabel = (prompt) => prompt, disabled = false, className = '' }) => (
+  <div role="group" aria-label={label} className={`flex flex-wrap gap-2 ${className}`}>
+    {suggestions.map(prompt => (
+      <button
+        key={prompt}
+        onClick={() => onSelect(prompt)}
+        disabled={disabled}
+        className="px-3 py-1 rounded-full border border-gray-600/40 bg-gray-800/60 text-gray-300 text-xs hover:bg-gray-700/60 hover:text-gray-200 focus:outline-none focus:ring-1 focus:ring-gray-500 disabled:opacity-40"
+      >
+        {formatLabel(prompt)}
+      </button>
+    ))}
+  </div>
+);
+
+export default SuggestionChips;
@@ -0,0 +1,23 @@
+// --- Active Conversation ---
+// The chat page unmounts when the user navigates away, so the open thread is remembered
+// for the rest of the tab's session and reopened on return.
+
+const ACTIVE_CONVERSATION_STORAGE_KEY = 'finsure.activeConversation';
+
+export const readActiveConversationId = () => {
+  try {
+    return sessionStorage.getItem(ACTIVE_CONVERSATION_STORAGE_KEY);
+  } catch (error) {
+    return null;
+  }
+};
+
+/** Remembers `id` as the open thread; a null `id` forgets it. */
+export const writeActiveConversationId = (id) => {
+  try {
+    if (id) sessionStorage.setItem(ACTIVE_CONVERSATION_STORAGE_KEY, id);
+    else sessionStorage.removeItem(ACTIVE_CONVERSATION_STORAGE_KEY);
+  } catch (error) {
+    // Storage can be unavailable (private mode); the thread just won't be reopened
+  }
+};
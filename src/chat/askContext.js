@@ -0,0 +1,55 @@
+import { humanizeEnum } from '../portfolio/portfolioAnalytics';
+import { ENGLISH } from '../i18n/translate';
+
+// --- "Ask About This" Context ---
+// The item a question is about, sent to /chat as `context` alongside the message so the
+// backend doesn't have to guess which holding or figure the user means. Each context has
+// a `kind`, a readable `label` for the chip in the chat, the item's own fields in
+// `details` (amounts stay google.type.Money, as the backend sends them) and a starter
+// `question` that prefills the message box. The label and details go to the backend in
+// English; the question is written in `language`, the { t, typeLabel } of useLanguage().
+
+const itemContext = (kind, prefix) => (item, { t, typeLabel } = ENGLISH) => ({
+  kind,
+  label: humanizeEnum(String(item.netWorthAttribute || '').replace(prefix, '')),
+  details: { netWorthAttribute: item.netWorthAttribute, value: item.value },
+  question: t('ask.question.item', { label: typeLabel(item.netWorthAttribute).toLowerCase() }),
+});
+
+/** Context for one entry in the net worth `assetValues`. */
+export const assetContext = itemContext('asset', 'ASSET_TYPE_');
+
+/** Context for one entry in the net worth `liabilityValues`. */
+export const liabilityContext = itemContext('liability', 'LIABILITY_TYPE_');
+
+/** Context for a mutual fund scheme from normalizeSchemes. */
+export const schemeContext = (scheme, { t } = ENGLISH) => ({
+  kind: 'mutualFund',
+  label: scheme.name,
+  details: {
+    isin: scheme.isin,
+    name: scheme.name,
+    amc: scheme.amc,
+    assetClass: scheme.assetClass,
+    category: scheme.category,
+    investedValue: scheme.investedValue,
+    currentValue: scheme.currentValue,
+    absoluteReturns: scheme.absoluteReturns,
+    xirr: scheme.xirr,
+  },
+  question: t('ask.question.scheme', { name: scheme.name }),
+});
+
+/**
+ * Context for a headline summary card, by the translation key of its title; `details`
+ * holds the raw figure and its trend.
+ */
+export const summaryContext = (titleKey, details, { t } = ENGLISH) => ({
+  kind: 'summary',
+  label: ENGLISH.t(titleKey),
+  details,
+  question: t('ask.question.summary', { label: t(titleKey).toLowerCase() }),
+});
+
+/** The part of a context that goes to the backend; the starter question stays local. */
+export const toChatContext = ({ kind, label, details }) => ({ kind, label, details });
@@ -0,0 +1,95 @@
+import { openDatabase, withStore } from '../storage/indexedDb';
+
+// --- Chat History Store ---
+// Persists chat conversations in IndexedDB so threads survive reloads.
+// Every function returns a promise and rejects if IndexedDB is unavailable.
+
+const DB_NAME = 'finsure-chat';
+const DB_VERSION = 1;
+const STORE_NAME = 'conversations';
+const TITLE_MAX_LENGTH = 40;
+
+const openDb = () => openDatabase(DB_NAME, DB_VERSION, (db) => {
+  const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+  store.createIndex('updatedAt', 'updatedAt');
+});
+
+const withConversations = (mode, operation) => withStore(openDb(), STORE_NAME, mode, operation);
+
+const titleFromMessages = (messages) => {
+  const firstQuestion = messages.find(msg => msg.sender === 'user')?.text?.trim() || 'New conversation';
+  return firstQuestion.length > TITLE_MAX_LENGTH
+    ? `${firstQuestion.slice(0, TITLE_MAX_LENGTH - 1)}…`
+    : firstQuestion;
+};
+
+// Drops transient UI flags before a message is written to disk.
+const toStoredMessage = ({ streaming, ...message }) => message;
+
+/** Returns all conversations, most recently updated first. */
+export const listConversations = async () => {
+  const conversations = await withConversations('readonly', store => store.getAll());
+  return (conversations || []).sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+export const getConversation = (id) => withConversations('readonly', store => store.get(id));
+
+/**
+ * Writes the messages of a conversation, creating it on first save.
+ * The title defaults to the first question and is kept once set or renamed.
+ */
+export const saveConversationMessages = async (id, messages) => {
+  const existing = await getConversation(id);
+  const now = Date.now();
+  const conversation = {
+    id,
+    title: existing?.title || titleFromMessages(messages),
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    messages: messages.map(toStoredMessage),
+  };
+  await withConversations('readwrite', store => store.put(conversation));
+  return conversation;
+};
+
+export const renameConversation = async (id, title) => {
+  const existing = await getConversation(id);
+  if (!existing) return null;
+  const conversation = { ...existing, title: title.trim() || existing.title };
+  await withConversations('readwrite', store => store.put(conversation));
+  return conversation;
+};
+
+export const deleteConversation = (id) => withConversations('readwrite', store => store.delete(id));
+
+/** Deletes every conversation, e.g. when the user logs out. */
+export const clearConversations = () => withConversations('readwrite', store => store.clear());
+
+const buildSnippet = (text, position, length) => {
+  const start = Math.max(0, position - 40);
+  const end = Math.min(text.length, position + length + 60);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Full-text search across every stored message. All words of the query must appear in
+ * a message for it to match. Resolves with one entry per matching conversation.
+ */
+export const searchConversations = async (query) => {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  const conversations = await listConversations();
+  return conversations
+    .map(conversation => {
+      const matches = conversation.messages
+        .filter(msg => msg.sender !== 'system' && msg.text)
+        .filter(msg => terms.every(term => msg.text.toLowerCase().includes(term)))
+        .map(msg => {
+          const position = msg.text.toLowerCase().indexOf(terms[0]);
+          return { sender: msg.sender, snippet: buildSnippet(msg.text, position, terms[0].length) };
+        });
+      return { conversation, matches };
+    })
+    .filter(result => result.matches.length > 0);
+};
@@ -0,0 +1,252 @@
+// --- Markdown Parsing for AI Replies ---
+// Turns the markdown subset the model produces into a plain block/inline tree.
+// Nothing here ever becomes raw HTML: MarkdownMessage renders the tree as React
+// elements, so text is always escaped and only http(s)/mailto links survive.
+//
+// A fenced block tagged `chart` embeds a small chart in the reply:
+//
+//   ```chart
+//   { "type": "doughnut", "title": "Asset split",
+//     "labels": ["Equity", "Debt"], "datasets": [{ "label": "Assets", "data": [650000, 350000] }] }
+//   ```
+//
+// `type` is "bar" or "doughnut"; a top-level "data" array may stand in for a single dataset.
+
+const CHART_TYPES = ['bar', 'doughnut'];
+const MAX_CHART_POINTS = 50;
+
+const FENCE_PATTERN = /^\s*```\s*([\w-]*)\s*$/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*)$/;
+const RULE_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const LIST_ITEM_PATTERN = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+const QUOTE_PATTERN = /^\s*>\s?(.*)$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+// Inline rules, tried together so the earliest match wins:
+// `code`, **strong**, *emphasis*, [text](url) and bare http(s) URLs.
+const INLINE_PATTERN = /`([^`]+)`|\*\*(.+?)\*\*|\*(?!\s)([^*]+?)\*|\[([^\]]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s<>()]+[^\s<>().,;:!?'"])/;
+
+// Rupee amounts such as ₹1,20,000, Rs. 5.5 lakh, INR 2 Cr or -₹300
+export const CURRENCY_PATTERN = /-?(?:₹|\bRs\.?|\bINR)\s?-?\d[\d,]*(?:\.\d+)?(?:\s?(?:lakhs?|L|crores?|Cr|K)\b)?/gi;
+
+export const isSafeUrl = (url) => /^(https?:|mailto:)/i.test(url.trim());
+
+const splitCurrency = (text) => {
+  const nodes = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(CURRENCY_PATTERN)) {
+    if (match.index > lastIndex) nodes.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+    nodes.push({ type: 'currency', value: match[0] });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < text.length) nodes.push({ type: 'text', value: text.slice(lastIndex) });
+  return nodes;
+};
+
+/** Parses a single line of inline markdown into text, code, strong, em, link and currency nodes. */
+export const parseInline = (text) => {
+  const nodes = [];
+  let rest = text;
+
+  while (rest) {
+    const match = INLINE_PATTERN.exec(rest);
+    if (!match) {
+      nodes.push(...splitCurrency(rest));
+      break;
+    }
+    if (match.index > 0) nodes.push(...splitCurrency(rest.slice(0, match.index)));
+
+    const [whole, code, strong, em, linkText, linkUrl, bareUrl] = match;
+    if (code !== undefined) {
+      nodes.push({ type: 'code', value: code });
+    } else if (strong !== undefined) {
+      nodes.push({ type: 'strong', children: parseInline(strong) });
+    } else if (em !== undefined) {
+      nodes.push({ type: 'em', children: parseInline(em) });
+    } else if (linkText !== undefined) {
+      nodes.push(isSafeUrl(linkUrl)
+        ? { type: 'link', href: linkUrl, children: parseInline(linkText) }
+        : { type: 'text', value: linkText });
+    } else {
+      nodes.push({ type: 'link', href: bareUrl, children: [{ type: 'text', value: bareUrl }] });
+    }
+    rest = rest.slice(match.index + whole.length);
+  }
+
+  return nodes;
+};
+
+const splitTableRow = (line) => line
+  .trim()
+  .replace(/^\|/, '')
+  .replace(/\|$/, '')
+  .split('|')
+  .map(cell => parseInline(cell.trim()));
+
+const tableAlignments = (separator) => separator
+  .trim()
+  .replace(/^\|/, '')
+  .replace(/\|$/, '')
+  .split('|')
+  .map(cell => {
+    const trimmed = cell.trim();
+    if (trimmed.startsWith(':') && trimmed.endsWith(':')) return 'center';
+    if (trimmed.endsWith(':')) return 'right';
+    return 'left';
+  });
+
+/**
+ * Validates a chart block and normalises it to { type, title, labels, datasets }.
+ * Returns null for anything that isn't a well-formed, reasonably sized chart.
+ */
+export const parseChartSpec = (source) => {
+  let spec;
+  try {
+    spec = JSON.parse(source);
+  } catch (error) {
+    return null;
+  }
+  if (!spec || typeof spec !== 'object') return null;
+
+  const type = String(spec.type || '').toLowerCase();
+  const datasets = Array.isArray(spec.datasets) ? spec.datasets : [{ label: spec.title, data: spec.data }];
+  const labels = Array.isArray(spec.labels) ? spec.labels.map(String) : [];
+
+  const isValid = CHART_TYPES.includes(type)
+    && labels.length > 0
+    && labels.length <= MAX_CHART_POINTS
+    && datasets.length > 0
+    && datasets.every(dataset => Array.isArray(dataset?.data)
+      && dataset.data.length === labels.length
+      && dataset.data.every(value => Number.isFinite(Number(value))));
+  if (!isValid) return null;
+
+  return {
+    type,
+    title: typeof spec.title === 'string' ? spec.title : '',
+    labels,
+    datasets: datasets.map(dataset => ({
+      label: typeof dataset.label === 'string' ? dataset.label : '',
+      data: dataset.data.map(Number),
+    })),
+  };
+};
+
+const isBlockStart = (line, nextLine) => FENCE_PATTERN.test(line)
+  || HEADING_PATTERN.test(line)
+  || RULE_PATTERN.test(line)
+  || LIST_ITEM_PATTERN.test(line)
+  || QUOTE_PATTERN.test(line)
+  || (line.includes('|') && nextLine !== undefined && TABLE_SEPARATOR_PATTERN.test(nextLine));
+
+/**
+ * Parses markdown into a list of blocks: heading, paragraph, list, quote, table, code,
+ * rule and chart. Safe to call on partial text while a reply is still streaming; an
+ * unterminated chart block comes back as `{ type: 'chart', pending: true }`.
+ */
+export const parseMarkdown = (text = '') => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.trim() === '') {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const language = fence[1].toLowerCase();
+      const body = [];
+      i++;
+      while (i < lines.length && !FENCE_PATTERN.test(lines[i])) {
+        body.push(lines[i]);
+        i++;
+      }
+      const closed = i < lines.length;
+      i++;
+
+      if (language === 'chart') {
+        const spec = closed ? parseChartSpec(body.join('\n')) : null;
+        if (spec) {
+          blocks.push({ type: 'chart', spec });
+          continue;
+        }
+        if (!closed) {
+          blocks.push({ type: 'chart', pending: true });
+          continue;
+        }
+      }
+      blocks.push({ type: 'code', language, value: body.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2].trim()) });
+      i++;
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && TABLE_SEPARATOR_PATTERN.test(lines[i + 1])) {
+      const header = splitTableRow(line);
+      const align = tableAlignments(lines[i + 1]);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim() !== '') {
+        rows.push(splitTableRow(lines[i]));
+        i++;
+      }
+      blocks.push({ type: 'table', header, align, rows });
+      continue;
+    }
+
+    const listItem = line.match(LIST_ITEM_PATTERN);
+    if (listItem) {
+      const ordered = /\d/.test(listItem[1]);
+      const items = [];
+      while (i < lines.length) {
+        const item = lines[i].match(LIST_ITEM_PATTERN);
+        if (item && /\d/.test(item[1]) === ordered) {
+          items.push(parseInline(item[2]));
+        } else if (items.length > 0 && /^\s+\S/.test(lines[i]) && !isBlockStart(lines[i], lines[i + 1])) {
+          // Indented continuation of the previous item
+          items[items.length - 1].push({ type: 'text', value: ' ' }, ...parseInline(lines[i].trim()));
+        } else {
+          break;
+        }
+        i++;
+      }
+      blocks.push({ type: 'list', ordered, start: ordered ? parseInt(listItem[1], 10) : 1, items });
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+        quoted.push(lines[i].match(QUOTE_PATTERN)[1]);
+        i++;
+      }
+      blocks.push({ type: 'quote', children: parseMarkdown(quoted.join('\n')) });
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() !== '' && (paragraph.length === 0 || !isBlockStart(lines[i], lines[i + 1]))) {
+      paragraph.push(parseInline(lines[i].trim()));
+      i++;
+    }
+    blocks.push({ type: 'paragraph', lines: paragraph });
+  }
+
+  return blocks;
+};
@@ -0,0 +1,14 @@
+import React from 'react';
+
+// --- Glass Card Component ---
+// Extra props (role, aria-*) go to the wrapping element
+const GlassCard = ({ children, className = "", ...rest }) => (
+  <div {...rest} className={`
+    backdrop-blur-xl bg-gray-800/30 border border-gray-600/30 rounded-xl shadow-lg
+    ${className}
+  `}>
+    {children}
+  </div>
+);
+
+export default GlassCard;
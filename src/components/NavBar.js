@@ -0,0 +1,44 @@
+import React from 'react';
+import { NavLink } from 'react-router-dom';
+import GlassCard from './GlassCard';
+import { ROUTES } from '../routes';
+import { useLanguage } from '../i18n/LanguageContext';
+
+// --- NavBar Component ---
+// `badges` maps a path to a count shown next to its link, e.g. unread alerts.
+const NavBar = ({ badges = {} }) => {
+  const { t } = useLanguage();
+
+  return (
+    <GlassCard className="p-2 mb-4">
+      <nav aria-label={t('nav.label')}>
+        <ul className="flex flex-wrap justify-center gap-1">
+          {ROUTES.map(({ path, labelKey, icon: Icon }) => (
+            <li key={path}>
+              <NavLink
+                to={path}
+                end={path === '/'}
+                className={({ isActive }) => `flex items-center px-3 py-1 rounded-lg text-sm border ${
+                  isActive
+                    ? 'bg-gray-700/60 text-gray-200 border-gray-500/40'
+                    : 'bg-gray-800/40 text-gray-400 border-gray-600/30 hover:text-gray-200'
+                }`}
+              >
+                <Icon size={14} className="mr-1" />
+                {t(labelKey)}
+                {badges[path] > 0 && (
+                  <span className="ml-1 px-1.5 rounded-full bg-gray-500/60 text-gray-100 text-xs">
+                    {badges[path]}
+                    <span className="sr-only"> {t('nav.new')}</span>
+                  </span>
+                )}
+              </NavLink>
+            </li>
+          ))}
+        </ul>
+      </nav>
+    </GlassCard>
+  );
+};
+
+export default NavBar;
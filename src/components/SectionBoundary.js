@@ -0,0 +1,76 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import GlassCard from './GlassCard';
+import { useLanguage } from '../i18n/LanguageContext';
+
+// --- SectionMessage Component ---
+// Stands in for a dashboard section that has nothing to show.
+export const SectionMessage = ({ title, message, action }) => (
+  <GlassCard className="p-4 text-center" role="group" aria-label={title}>
+    <h2 className="text-md font-medium text-gray-300 mb-2 flex items-center justify-center">
+      <AlertTriangle size={16} className="mr-2 text-gray-400" />
+      {title}
+    </h2>
+    <p className="text-sm text-gray-500">{message}</p>
+    {action}
+  </GlassCard>
+);
+
+// Shown by SectionBoundary after an error; a function component so it can use the
+// language hook
+const SectionError = ({ title, message, onRetry }) => {
+  const { t } = useLanguage();
+  return (
+    <SectionMessage
+      title={title}
+      message={message || t('section.error.message')}
+      action={(
+        <button
+          onClick={onRetry}
+          className="mt-3 px-3 py-1 bg-gray-700/60 text-gray-300 rounded-lg border border-gray-600/40 text-xs"
+        >
+          {t('section.error.tryAgain')}
+        </button>
+      )}
+    />
+  );
+};
+
+// --- SectionBoundary Component ---
+// Error boundary around one dashboard section, so a render error (e.g. from data the
+// schema check let through) only replaces that section. It resets itself when
+// `resetKey` changes, typically when fresh data arrives. React only supports error
+// boundaries as class components.
+class SectionBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    console.error(`Error rendering ${this.props.title}:`, error, info.componentStack);
+  }
+
+  componentDidUpdate(prevProps) {
+    if (this.state.error && prevProps.resetKey !== this.props.resetKey) {
+      this.setState({ error: null });
+    }
+  }
+
+  render() {
+    if (!this.state.error) return this.props.children;
+    return (
+      <SectionError
+        title={this.props.title}
+        message={this.props.message}
+        onRetry={() => this.setState({ error: null })}
+      />
+    );
+  }
+}
+
+export default SectionBoundary;
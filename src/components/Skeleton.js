@@ -0,0 +1,40 @@
+import React from 'react';
+import GlassCard from './GlassCard';
+
+// --- Skeleton Loaders ---
+// Pulsing placeholders in the shape of the content that's loading. The blocks are hidden
+// from assistive technology; each skeleton announces one "Loading" status instead.
+
+export const SkeletonBlock = ({ className = '' }) => (
+  <div className={`animate-pulse rounded bg-gray-700/40 ${className}`} aria-hidden="true" />
+);
+
+/** Placeholder for a headline summary card. */
+export const CardSkeleton = () => (
+  <GlassCard className="p-4 flex flex-col items-center">
+    <SkeletonBlock className="h-12 w-12 rounded-lg mb-3" />
+    <SkeletonBlock className="h-3 w-24 mb-2" />
+    <SkeletonBlock className="h-6 w-32 mb-2" />
+    <SkeletonBlock className="h-3 w-40" />
+  </GlassCard>
+);
+
+/** Placeholder for a section with a title and a chart or list; `label` makes it announce itself. */
+export const SectionSkeleton = ({ label, height = 'h-56' }) => (
+  <GlassCard className="p-4" role={label ? 'status' : undefined} aria-label={label}>
+    <SkeletonBlock className="h-4 w-48 mx-auto mb-4" />
+    <SkeletonBlock className={`w-full ${height}`} />
+  </GlassCard>
+);
+
+/** The overview layout, shown while the first financial summary loads. */
+export const DashboardSkeleton = ({ label }) => (
+  <div className="grid grid-cols-1 md:grid-cols-3 gap-4" role="status" aria-label={label}>
+    <CardSkeleton />
+    <CardSkeleton />
+    <CardSkeleton />
+    <div className="md:col-span-3">
+      <SectionSkeleton height="h-64" />
+    </div>
+  </div>
+);
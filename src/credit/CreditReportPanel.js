@@ -0,0 +1,226 @@
+import React, { useMemo } from 'react';
+import { AlertTriangle, Check, CreditCard } from 'lucide-react';
+import GlassCard from '../components/GlassCard';
+import { useMoney } from '../money/MoneyContext';
+import { usePrivacy } from '../privacy/PrivacyContext';
+import { useLanguage } from '../i18n/LanguageContext';
+import { parseCreditReport, SCORE_BANDS, SCORE_RANGE } from './creditReport';
+
+const formatPercent = (ratio, t) => (ratio === null ? t('card.notAvailable') : `${Math.round(ratio * 100)}%`);
+const formatDate = (date, { t, locale }) => (date ? date.toLocaleDateString(locale, { month: 'short', year: 'numeric' }) : t('card.notAvailable'));
+
+const FACTOR_STYLES = {
+  high: 'border-gray-400/50 text-gray-200',
+  medium: 'border-gray-600/40 text-gray-300',
+  positive: 'border-gray-600/20 text-gray-400',
+};
+
+const ACCOUNT_COLUMNS = ['lender', 'type', 'balance', 'limit', 'utilization', 'pastDue', 'paymentHistory'];
+
+const PAYMENT_STYLES = {
+  on_time: 'bg-gray-400/70',
+  late: 'bg-gray-100',
+  unknown: 'bg-gray-700/60',
+};
+
+// --- ScoreGauge Component ---
+// In privacy mode the score and its marker are hidden; the band stays.
+const ScoreGauge = ({ score, band }) => {
+  const { masked, mask } = usePrivacy();
+  const { t } = useLanguage();
+  const position = score && !masked
+    ? Math.min(100, Math.max(0, ((score - SCORE_RANGE.min) / (SCORE_RANGE.max - SCORE_RANGE.min)) * 100))
+    : null;
+  return (
+    <div>
+      <div className="flex items-baseline justify-between mb-2">
+        <span className="text-3xl font-bold text-gray-100">{score ? mask(score) : t('card.notAvailable')}</span>
+        <span className="text-sm text-gray-400">{band ? t(`credit.band.${band.id}`) : t('credit.noScore')}</span>
+      </div>
+      <div className="relative h-2 rounded-full bg-gradient-to-r from-gray-700 via-gray-500 to-gray-200">
+        {position !== null && (
+          <span
+            className="absolute -top-1 h-4 w-1 rounded bg-white shadow"
+            style={{ left: `calc(${position}% - 2px)` }}
+          />
+        )}
+      </div>
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>{SCORE_RANGE.min}</span>
+        {[...SCORE_BANDS].reverse().slice(1).map(scoreBand => <span key={scoreBand.id}>{scoreBand.min}</span>)}
+        <span>{SCORE_RANGE.max}</span>
+      </div>
+    </div>
+  );
+};
+
+// --- UtilizationBar Component ---
+const UtilizationBar = ({ ratio }) => {
+  const { t } = useLanguage();
+  return (
+    <div className="flex items-center gap-2">
+      <div className="h-1.5 w-16 rounded-full bg-gray-700/60 overflow-hidden">
+        <div
+          className={`h-full ${ratio > 0.5 ? 'bg-gray-100' : ratio > 0.3 ? 'bg-gray-300' : 'bg-gray-500'}`}
+          style={{ width: `${Math.min(100, ratio * 100)}%` }}
+        />
+      </div>
+      <span>{formatPercent(ratio, t)}</span>
+    </div>
+  );
+};
+
+// --- PaymentHistory Component ---
+// One square per month, most recent first, as reported by the bureau.
+const PaymentHistory = ({ months }) => {
+  const { t } = useLanguage();
+  if (months.length === 0) return <span className="text-gray-500">{t('card.notAvailable')}</span>;
+  return (
+    <div className="flex gap-0.5">
+      {months.map((month, index) => (
+        <span
+          key={index}
+          className={`h-3 w-2 rounded-sm ${PAYMENT_STYLES[month.status]}`}
+          title={month.status === 'late'
+            ? t('credit.payment.late', { days: month.daysLate })
+            : t(month.status === 'on_time' ? 'credit.payment.onTime' : 'credit.payment.unknown')}
+        />
+      ))}
+    </div>
+  );
+};
+
+// --- CreditReportPanel Component ---
+// Credit report deep-dive: score band, actionable factors, per-account utilization and
+// payment history, and recent enquiries.
+const CreditReportPanel = ({ creditReport }) => {
+  const { format } = useMoney();
+  const language = useLanguage();
+  const { t } = language;
+  const report = useMemo(
+    () => parseCreditReport(creditReport, { formatAmount: format, language }),
+    [creditReport, format, language]
+  );
+  const formatAmount = (value) => format(value, { maximumFractionDigits: 0 });
+
+  return (
+    <GlassCard className="p-4">
+      <h2 className="text-md font-medium text-gray-300 mb-3 text-center">{t('credit.title')}</h2>
+      <p className="text-gray-500 mb-4 text-center text-sm">{t('credit.subtitle')}</p>
+
+      {!report.hasDetails && !report.score ? (
+        <p className="py-6 text-center text-gray-500 text-sm">{t('credit.empty')}</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div className="p-3 bg-gray-800/40 rounded-lg border border-gray-600/30">
+              <ScoreGauge score={report.score} band={report.band} />
+              <div className="grid grid-cols-3 gap-2 mt-4 text-center">
+                {[
+                  { label: t('credit.cardUtilization'), value: formatPercent(report.cardUtilization, t) },
+                  { label: t('credit.outstanding'), value: formatAmount(report.totalOutstanding) },
+                  { label: t('credit.overdue'), value: formatAmount(report.totalPastDue) },
+                ].map(stat => (
+                  <div key={stat.label}>
+                    <p className="text-xs text-gray-500">{stat.label}</p>
+                    <p className="text-sm font-semibold text-gray-200">{stat.value}</p>
+                  </div>
+                ))}
+              </div>
+            </div>
+            <div>
+              <h3 className="text-sm font-medium text-gray-400 mb-2">{t('credit.actions')}</h3>
+              <ul className="space-y-2">
+                {report.factors.map(factor => (
+                  <li key={factor.id} className={`p-2 bg-gray-800/40 rounded-lg border ${FACTOR_STYLES[factor.severity]}`}>
+                    <p className="text-xs font-medium flex items-center">
+                      {factor.severity === 'positive'
+                        ? <Check size={12} className="mr-1 flex-shrink-0" />
+                        : <AlertTriangle size={12} className="mr-1 flex-shrink-0" />}
+                      {factor.title}
+                    </p>
+                    <p className="text-xs text-gray-500 mt-1">{factor.detail}</p>
+                  </li>
+                ))}
+                {report.factors.length === 0 && (
+                  <li className="text-xs text-gray-500 italic">{t('credit.noActions')}</li>
+                )}
+              </ul>
+            </div>
+          </div>
+
+          {report.accounts.length > 0 && (
+            <div className="mb-4">
+              <h3 className="text-sm font-medium text-gray-400 mb-2 flex items-center">
+                <CreditCard size={14} className="mr-1" />
+                {t('credit.accounts', { open: report.accounts.filter(account => account.isOpen).length, total: report.accounts.length })}
+              </h3>
+              <div className="overflow-x-auto">
+                <table className="min-w-full">
+                  <thead>
+                    <tr className="border-b border-gray-600/30">
+                      {ACCOUNT_COLUMNS.map(column => (
+                        <th key={column} className="py-2 px-3 text-left text-xs font-medium text-gray-400">{t(`credit.column.${column}`)}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.accounts.map(account => (
+                      <tr key={account.id} className={`border-b border-gray-600/20 ${account.isOpen ? '' : 'opacity-50'}`}>
+                        <td className="py-2 px-3 text-xs text-gray-300 font-medium">
+                          {account.lender}
+                          <span className="block text-gray-500 font-normal">
+                            {account.isOpen
+                              ? t('credit.openedOn', { date: formatDate(account.openedOn, language) })
+                              : t('credit.closedOn', { date: formatDate(account.closedOn, language) })}
+                          </span>
+                        </td>
+                        <td className="py-2 px-3 text-xs text-gray-400">{account.type}</td>
+                        <td className="py-2 px-3 text-xs text-gray-400">{formatAmount(account.balance)}</td>
+                        <td className="py-2 px-3 text-xs text-gray-400">{formatAmount(account.limit || account.sanctioned)}</td>
+                        <td className="py-2 px-3 text-xs text-gray-400">
+                          {account.utilization === null ? '—' : <UtilizationBar ratio={account.utilization} />}
+                        </td>
+                        <td className={`py-2 px-3 text-xs ${account.pastDue > 0 ? 'text-gray-100 font-semibold' : 'text-gray-400'}`}>
+                          {account.pastDue > 0 ? formatAmount(account.pastDue) : '—'}
+                        </td>
+                        <td className="py-2 px-3 text-xs">
+                          <PaymentHistory months={account.paymentHistory} />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          <div>
+            <h3 className="text-sm font-medium text-gray-400 mb-2">
+              {t('credit.enquiries', { count: report.recentEnquiryCount })}
+            </h3>
+            <ul className="space-y-2">
+              {report.enquiries.map((enquiry, index) => (
+                <li key={index} className="flex justify-between items-center p-2 bg-gray-800/40 rounded-lg border border-gray-600/30">
+                  <span className="text-xs text-gray-300">
+                    {enquiry.lender}
+                    <span className="text-gray-500"> · {enquiry.purpose}</span>
+                  </span>
+                  <span className="text-xs text-gray-400 whitespace-nowrap">
+                    {enquiry.amount > 0 && `${formatAmount(enquiry.amount)} · `}
+                    {enquiry.date ? enquiry.date.toLocaleDateString(language.locale) : t('card.notAvailable')}
+                  </span>
+                </li>
+              ))}
+              {report.enquiries.length === 0 && (
+                <li className="text-xs text-gray-500 italic">{t('credit.noEnquiries')}</li>
+              )}
+            </ul>
+          </div>
+        </>
+      )}
+    </GlassCard>
+  );
+};
+
+export default CreditReportPanel;
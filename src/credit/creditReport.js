@@ -0,0 +1,253 @@
+import { formatCurrency } from '../financeHelpers';
+import { moneyFromNumber } from '../money/money';
+import { ENGLISH } from '../i18n/translate';
+
+// --- Credit Report Parsing ---
+// Turns the bureau credit report payload (Experian-style `creditReportData`) into
+// accounts, card utilization, payment history, enquiries and actionable factors.
+// Accepts both `creditReport.creditReportData` and the raw `creditReports[0]` shape.
+// Account types and factors are written in `language`, English unless the caller passes
+// the { t } of useLanguage().
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECENT_ENQUIRY_DAYS = 90;
+const PAYMENT_HISTORY_MONTHS = 12;
+
+// Labelled by the credit.band.<id> and creditBand.<id> catalog keys
+export const SCORE_BANDS = [
+  { id: 'excellent', min: 800 },
+  { id: 'veryGood', min: 750 },
+  { id: 'good', min: 650 },
+  { id: 'fair', min: 550 },
+  { id: 'poor', min: 300 },
+];
+export const SCORE_RANGE = { min: 300, max: 900 };
+
+// Bureau account type codes, as credit.accountType.<name> catalog keys
+const ACCOUNT_TYPES = {
+  '01': 'autoLoan',
+  '02': 'housingLoan',
+  '03': 'propertyLoan',
+  '04': 'loanAgainstShares',
+  '05': 'personalLoan',
+  '06': 'consumerLoan',
+  '07': 'goldLoan',
+  '08': 'educationLoan',
+  '10': 'creditCard',
+  '13': 'twoWheelerLoan',
+  '15': 'loanAgainstFd',
+  '17': 'commercialVehicleLoan',
+  '31': 'securedCreditCard',
+  '32': 'usedCarLoan',
+  '51': 'businessLoan',
+};
+const CARD_TYPES = ['10', '31'];
+const CLOSED_STATUSES = ['13', '14', '15', '16', '17'];
+
+const toAmount = (value) => {
+  const amount = Number(value);
+  return Number.isFinite(amount) ? amount : 0;
+};
+
+/** Bureau dates come as "YYYYMMDD". Returns a Date or null. */
+export const parseBureauDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(String(value || ''));
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+export const scoreBand = (score) => {
+  const value = Number(score);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  return SCORE_BANDS.find(band => value >= band.min) || SCORE_BANDS[SCORE_BANDS.length - 1];
+};
+
+// paymentHistoryProfile has one character per month, most recent first:
+// 0 = paid on time, 1-6 = 30/60/.../180+ days late, S = standard, anything else unknown.
+const parsePaymentHistory = (profile) => String(profile || '')
+  .slice(0, PAYMENT_HISTORY_MONTHS)
+  .split('')
+  .map(code => {
+    if (code === '0' || code === 'S') return { code, status: 'on_time', daysLate: 0 };
+    if (/[1-6]/.test(code)) return { code, status: 'late', daysLate: Number(code) * 30 };
+    return { code, status: 'unknown', daysLate: null };
+  });
+
+const reportDataFrom = (creditReport) => creditReport?.creditReportData
+  || creditReport?.creditReports?.[0]?.creditReportData
+  || null;
+
+const parseAccount = (detail, index, { t }) => {
+  const typeCode = String(detail.accountType || '').padStart(2, '0');
+  const isCard = CARD_TYPES.includes(typeCode) || detail.portfolioType === 'R';
+  const limit = toAmount(detail.creditLimitAmount) || (isCard ? toAmount(detail.highestCreditOrOriginalLoanAmount) : 0);
+  const balance = toAmount(detail.currentBalance);
+  const isOpen = !CLOSED_STATUSES.includes(String(detail.accountStatus)) && !detail.dateClosed;
+
+  return {
+    id: `${detail.subscriberName || 'account'}-${index}`,
+    lender: detail.subscriberName || t('credit.unknownLender'),
+    type: t(`credit.accountType.${ACCOUNT_TYPES[typeCode] || (isCard ? 'creditCard' : 'loan')}`),
+    isCard,
+    isOpen,
+    openedOn: parseBureauDate(detail.openDate),
+    closedOn: parseBureauDate(detail.dateClosed),
+    sanctioned: toAmount(detail.highestCreditOrOriginalLoanAmount),
+    limit,
+    balance,
+    pastDue: toAmount(detail.amountPastDue),
+    utilization: isCard && isOpen && limit > 0 ? balance / limit : null,
+    paymentHistory: parsePaymentHistory(detail.paymentHistoryProfile),
+  };
+};
+
+const parseEnquiry = (enquiry, { t }) => ({
+  lender: enquiry.subscriberName || t('credit.unknownLender'),
+  date: parseBureauDate(enquiry.dateOfRequest),
+  purpose: t(`credit.accountType.${ACCOUNT_TYPES[String(enquiry.financePurpose || '').padStart(2, '0')] || 'credit'}`),
+  amount: toAmount(enquiry.amountFinanced),
+});
+
+const defaultFormatAmount = (amount) => formatCurrency(moneyFromNumber(amount));
+
+/**
+ * Actionable factors, most severe first. Severity is 'high', 'medium' or 'positive'.
+ * `formatAmount` formats rupee amounts in the text, which is written in `language`.
+ */
+export const deriveFactors = (
+  { accounts, enquiries, cardUtilization, totalPastDue, recentEnquiryCount },
+  { now = Date.now(), formatAmount = defaultFormatAmount, language: { t } = ENGLISH } = {}
+) => {
+  const factors = [];
+  const openAccounts = accounts.filter(account => account.isOpen);
+
+  if (totalPastDue > 0) {
+    const lenders = openAccounts.filter(account => account.pastDue > 0).map(account => account.lender);
+    factors.push({
+      id: 'overdue',
+      severity: 'high',
+      title: t('credit.factor.overdue.title'),
+      detail: lenders.length
+        ? t('credit.factor.overdue.detailWithLenders', { amount: formatAmount(totalPastDue), lenders: lenders.join(', ') })
+        : t('credit.factor.overdue.detail', { amount: formatAmount(totalPastDue) }),
+    });
+  }
+
+  if (cardUtilization !== null && cardUtilization > 0.3) {
+    factors.push({
+      id: 'utilization',
+      severity: cardUtilization > 0.5 ? 'high' : 'medium',
+      title: t('credit.factor.utilization.title'),
+      detail: t('credit.factor.utilization.detail', { percent: Math.round(cardUtilization * 100) }),
+    });
+  }
+  openAccounts
+    .filter(account => account.utilization !== null && account.utilization > 0.5)
+    .forEach(account => factors.push({
+      id: `card-utilization-${account.id}`,
+      severity: 'medium',
+      title: t('credit.factor.cardUtilization.title', { lender: account.lender, percent: Math.round(account.utilization * 100) }),
+      detail: t('credit.factor.cardUtilization.detail'),
+    }));
+
+  const latePayments = accounts.reduce((count, account) => count + account.paymentHistory.filter(month => month.status === 'late').length, 0);
+  if (latePayments > 0) {
+    factors.push({
+      id: 'late-payments',
+      severity: 'high',
+      title: t('credit.factor.latePayments.title'),
+      detail: t(latePayments === 1 ? 'credit.factor.latePayments.detailOne' : 'credit.factor.latePayments.detail', {
+        count: latePayments,
+        months: PAYMENT_HISTORY_MONTHS,
+      }),
+    });
+  }
+
+  if (recentEnquiryCount >= 2) {
+    factors.push({
+      id: 'enquiries',
+      severity: recentEnquiryCount >= 4 ? 'high' : 'medium',
+      title: t('credit.factor.enquiries.title'),
+      detail: t('credit.factor.enquiries.detail', { count: recentEnquiryCount, days: RECENT_ENQUIRY_DAYS }),
+    });
+  }
+
+  const oldest = accounts.map(account => account.openedOn).filter(Boolean).sort((a, b) => a - b)[0];
+  if (oldest && now - oldest.getTime() < 3 * 365 * DAY_MS) {
+    factors.push({
+      id: 'history-length',
+      severity: 'medium',
+      title: t('credit.factor.historyLength.title'),
+      detail: t('credit.factor.historyLength.detail'),
+    });
+  }
+
+  if (accounts.length > 0 && latePayments === 0 && totalPastDue === 0) {
+    factors.push({
+      id: 'on-time',
+      severity: 'positive',
+      title: t('credit.factor.onTime.title'),
+      detail: t('credit.factor.onTime.detail', { months: PAYMENT_HISTORY_MONTHS }),
+    });
+  }
+  if (cardUtilization !== null && cardUtilization <= 0.3) {
+    factors.push({
+      id: 'low-utilization',
+      severity: 'positive',
+      title: t('credit.factor.lowUtilization.title'),
+      detail: t('credit.factor.lowUtilization.detail', { percent: Math.round(cardUtilization * 100) }),
+    });
+  }
+  if (enquiries.length > 0 && recentEnquiryCount === 0) {
+    factors.push({
+      id: 'no-recent-enquiries',
+      severity: 'positive',
+      title: t('credit.factor.noRecentEnquiries.title'),
+      detail: t('credit.factor.noRecentEnquiries.detail', { days: RECENT_ENQUIRY_DAYS }),
+    });
+  }
+
+  const order = { high: 0, medium: 1, positive: 2 };
+  return factors.sort((a, b) => order[a.severity] - order[b.severity]);
+};
+
+/** Parses the credit report section of the financial summary. Options as for deriveFactors. */
+export const parseCreditReport = (creditReport, { now = Date.now(), formatAmount, language = ENGLISH } = {}) => {
+  const data = reportDataFrom(creditReport);
+  const score = Number(creditReport?.creditScore?.score ?? data?.score?.bureauScore) || null;
+
+  const accounts = (data?.creditAccount?.creditAccountDetails || []).map((detail, index) => parseAccount(detail, index, language));
+  const openCards = accounts.filter(account => account.isCard && account.isOpen && account.limit > 0);
+  const totalCardLimit = openCards.reduce((sum, account) => sum + account.limit, 0);
+  const totalCardBalance = openCards.reduce((sum, account) => sum + account.balance, 0);
+  const cardUtilization = totalCardLimit > 0 ? totalCardBalance / totalCardLimit : null;
+
+  const enquiries = (data?.caps?.capsApplicationDetailsArray || [])
+    .map(enquiry => parseEnquiry(enquiry, language))
+    .sort((a, b) => (b.date?.getTime() || 0) - (a.date?.getTime() || 0));
+  const recentFromList = enquiries.filter(enquiry => enquiry.date && now - enquiry.date.getTime() <= RECENT_ENQUIRY_DAYS * DAY_MS).length;
+  const recentEnquiryCount = Math.max(recentFromList, toAmount(data?.totalCapsSummary?.totalCapsLast90Days));
+
+  const totalPastDue = accounts.reduce((sum, account) => sum + account.pastDue, 0);
+  const totalOutstanding = toAmount(data?.creditAccount?.creditAccountSummary?.totalOutstandingBalance?.outstandingBalanceAll)
+    || accounts.filter(account => account.isOpen).reduce((sum, account) => sum + account.balance, 0);
+
+  const summary = { accounts, enquiries, cardUtilization, totalPastDue, recentEnquiryCount };
+
+  return {
+    score,
+    band: scoreBand(score),
+    hasDetails: Boolean(data),
+    accounts,
+    cards: openCards,
+    cardUtilization,
+    totalCardLimit,
+    totalCardBalance,
+    enquiries,
+    recentEnquiryCount,
+    totalPastDue,
+    totalOutstanding,
+    factors: deriveFactors(summary, { now, formatAmount, language }),
+  };
+};
@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { Download, Printer, X } from 'lucide-react';
+import GlassCard from '../components/GlassCard';
+import { listConversations } from '../chat/chatStore';
+import { useMoney } from '../money/MoneyContext';
+import { usePrivacy } from '../privacy/PrivacyContext';
+import { useLanguage } from '../i18n/LanguageContext';
+import {
+  assetLiabilityRows, schemeRows, snapshotRows, exportRows, ASSET_LIABILITY_COLUMNS, SCHEME_COLUMNS, SNAPSHOT_COLUMNS
+} from './exportData';
+import { qaPairsFromConversations, buildReportHtml, printReport } from './printReport';
+
+const buttonClassName = 'px-2 py-1 rounded text-xs border bg-gray-800/40 text-gray-400 border-gray-600/30 hover:text-gray-200 disabled:opacity-50';
+
+// --- ReportDialog Component ---
+// Lets the user pick which chat answers go into the printable report.
+const ReportDialog = ({ qaPairs, onPrint, onClose }) => {
+  const { t } = useLanguage();
+  const [selected, setSelected] = useState(() => new Set());
+
+  const toggle = (id) => setSelected(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    return next;
+  });
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center bg-gray-900/70 p-4">
+      <GlassCard className="w-full max-w-lg p-4 bg-gray-900/95">
+        <div className="flex justify-between items-center mb-3">
+          <h2 className="text-md font-medium text-gray-300">{t('export.reportDialog.title')}</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-300" title={t('export.reportDialog.close')}>
+            <X size={16} />
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 mb-3">
+          {t('export.reportDialog.intro')}
+        </p>
+        <div className="max-h-64 overflow-y-auto custom-scrollbar space-y-2 mb-3">
+          {qaPairs === null && <p className="text-xs text-gray-500 italic">{t('export.reportDialog.loading')}</p>}
+          {qaPairs?.length === 0 && <p className="text-xs text-gray-500 italic">{t('export.reportDialog.empty')}</p>}
+          {qaPairs?.map(pair => (
+            <label key={pair.id} className="flex items-start p-2 bg-gray-800/40 rounded-lg border border-gray-600/30 text-xs text-gray-300">
+              <input
+                type="checkbox"
+                className="mr-2 mt-0.5"
+                checked={selected.has(pair.id)}
+                onChange={() => toggle(pair.id)}
+              />
+              <span>
+                {pair.question}
+                <span className="block text-gray-500 truncate">{pair.answer}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+        <div className="flex justify-end">
+          <button
+            onClick={() => onPrint((qaPairs || []).filter(pair => selected.has(pair.id)))}
+            className="px-3 py-1 bg-gray-700/60 text-gray-200 rounded-lg border border-gray-500/40 text-xs flex items-center"
+          >
+            <Printer size={14} className="mr-1" />
+            {t('export.reportDialog.print')}
+          </button>
+        </div>
+      </GlassCard>
+    </div>
+  );
+};
+
+// --- ExportMenu Component ---
+// Header menu for CSV/JSON downloads and the printable report. Exporting is a deliberate
+// step, so every output carries full figures even in privacy mode; the menu says so
+// while privacy mode is on.
+// summaryCards: [{ label, value, description }] with unmasked values.
+const ExportMenu = ({ financialData, snapshots, summaryCards, getChartImage }) => {
+  const { formatUnmasked: format, total } = useMoney();
+  const { masked } = usePrivacy();
+  const language = useLanguage();
+  const { t, typeLabel } = language;
+  const [isOpen, setIsOpen] = useState(false);
+  const [qaPairs, setQaPairs] = useState(undefined);
+
+  const datasets = [
+    { id: 'net-worth', label: t('export.dataset.netWorth'), rows: () => assetLiabilityRows(financialData?.netWorth), columns: ASSET_LIABILITY_COLUMNS },
+    { id: 'mutual-funds', label: t('export.dataset.mutualFunds'), rows: () => schemeRows(financialData?.mfTransactions), columns: SCHEME_COLUMNS },
+    { id: 'history', label: t('export.dataset.history'), rows: () => snapshotRows(snapshots), columns: SNAPSHOT_COLUMNS },
+  ];
+
+  const openReportDialog = async () => {
+    setIsOpen(false);
+    setQaPairs(null);
+    try {
+      setQaPairs(qaPairsFromConversations(await listConversations()));
+    } catch (error) {
+      console.error('Error loading chat history for report:', error);
+      setQaPairs([]);
+    }
+  };
+
+  const handlePrint = (selectedPairs) => {
+    const netWorth = financialData?.netWorth;
+    const toItems = (items) => (items || []).map(item => ({
+      label: typeLabel(item.netWorthAttribute),
+      value: format(item.value),
+    }));
+    printReport(buildReportHtml({
+      cards: summaryCards,
+      breakdown: {
+        assets: toItems(netWorth?.assetValues),
+        liabilities: toItems(netWorth?.liabilityValues),
+        totalAssets: format(total((netWorth?.assetValues || []).map(asset => asset.value))),
+        totalLiabilities: format(total((netWorth?.liabilityValues || []).map(liability => liability.value))),
+      },
+      chartImage: getChartImage?.() || null,
+      qaPairs: selectedPairs,
+      language,
+    }));
+    setQaPairs(undefined);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="flex items-center text-xs text-gray-400 bg-gray-800/40 px-3 py-1 rounded-lg border border-gray-600/30 hover:text-gray-200"
+        title={t('export.title')}
+      >
+        <Download size={14} className="mr-1" />
+        <span className="font-medium">{t('export.button')}</span>
+      </button>
+      {isOpen && (
+        <GlassCard className="absolute right-0 mt-2 w-64 p-3 z-20 space-y-2 bg-gray-900/95">
+          {masked && (
+            <p className="text-xs text-gray-500">{t('export.privacyNotice')}</p>
+          )}
+          {datasets.map(dataset => (
+            <div key={dataset.id} className="flex justify-between items-center">
+              <span className="text-xs text-gray-300">{dataset.label}</span>
+              <div className="flex space-x-1">
+                {['csv', 'json'].map(fileFormat => (
+                  <button
+                    key={fileFormat}
+                    onClick={() => exportRows(dataset.id, dataset.rows(), dataset.columns, fileFormat)}
+                    className={buttonClassName}
+                  >
+                    {fileFormat.toUpperCase()}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+          <button
+            onClick={openReportDialog}
+            className="w-full flex items-center justify-center px-2 py-1 rounded-lg text-xs border bg-gray-700/60 text-gray-200 border-gray-500/40"
+          >
+            <Printer size={14} className="mr-1" />
+            {t('export.report')}
+          </button>
+        </GlassCard>
+      )}
+      {qaPairs !== undefined && (
+        <ReportDialog qaPairs={qaPairs} onPrint={handlePrint} onClose={() => setQaPairs(undefined)} />
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,84 @@
+import { moneyToDecimalString, currencyOf } from '../money/money';
+import { normalizeSchemes, humanizeEnum } from '../portfolio/portfolioAnalytics';
+
+// --- Data Export ---
+// Builds CSV/JSON files from the financial summary and snapshot history and hands them
+// to the browser as downloads. Nothing is sent anywhere.
+
+/** Each dataset is a list of flat rows plus the columns to write, in order. */
+export const assetLiabilityRows = (netWorth) => {
+  const toRow = (kind, prefix) => (item) => ({
+    kind,
+    type: item.netWorthAttribute,
+    label: humanizeEnum(String(item.netWorthAttribute || '').replace(prefix, '')),
+    currency: currencyOf(item.value),
+    amount: moneyToDecimalString(item.value),
+  });
+  return [
+    ...(netWorth?.assetValues || []).map(toRow('asset', 'ASSET_TYPE_')),
+    ...(netWorth?.liabilityValues || []).map(toRow('liability', 'LIABILITY_TYPE_')),
+  ];
+};
+export const ASSET_LIABILITY_COLUMNS = ['kind', 'type', 'label', 'currency', 'amount'];
+
+export const schemeRows = (mfTransactions) => normalizeSchemes(mfTransactions).map(scheme => ({
+  isin: scheme.isin,
+  name: scheme.name,
+  amc: scheme.amc,
+  assetClass: scheme.assetClass,
+  category: scheme.category,
+  invested: moneyToDecimalString(scheme.investedValue),
+  current: moneyToDecimalString(scheme.currentValue),
+  returns: moneyToDecimalString(scheme.absoluteReturns),
+  xirr: scheme.xirr,
+}));
+export const SCHEME_COLUMNS = ['isin', 'name', 'amc', 'assetClass', 'category', 'invested', 'current', 'returns', 'xirr'];
+
+export const snapshotRows = (snapshots) => snapshots.map(snapshot => ({
+  date: snapshot.date,
+  takenAt: new Date(snapshot.takenAt).toISOString(),
+  netWorth: snapshot.netWorth,
+  totalAssets: snapshot.totalAssets,
+  totalLiabilities: snapshot.totalLiabilities,
+  creditScore: snapshot.creditScore,
+  epfBalance: snapshot.epfBalance,
+}));
+export const SNAPSHOT_COLUMNS = ['date', 'takenAt', 'netWorth', 'totalAssets', 'totalLiabilities', 'creditScore', 'epfBalance'];
+
+// RFC 4180 quoting; formula-like cells are prefixed so spreadsheets don't evaluate them
+const escapeCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@]/.test(text) && Number.isNaN(Number(text))) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows, columns) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(column => escapeCsvCell(row[column])).join(',')),
+].join('\r\n');
+
+export const downloadFile = (content, filename, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke on the next tick so the download has started
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const fileStamp = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/** Downloads rows as `finsure-<name>-<date>.csv` or `.json`. */
+export const exportRows = (name, rows, columns, fileFormat) => {
+  const filename = `finsure-${name}-${fileStamp()}.${fileFormat}`;
+  if (fileFormat === 'csv') {
+    // Leading BOM so Excel opens the file as UTF-8 (₹, Hindi scheme names)
+    downloadFile(`\uFEFF${toCsv(rows, columns)}`, filename, 'text/csv;charset=utf-8');
+  } else {
+    downloadFile(JSON.stringify(rows, null, 2), filename, 'application/json');
+  }
+};
@@ -0,0 +1,143 @@
+import { ENGLISH } from '../i18n/translate';
+
+// --- Printable Report ---
+// The PDF report is an HTML document printed from a hidden iframe; the browser's print
+// dialog offers "Save as PDF", so no PDF library is needed and nothing leaves the device.
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/** Question/answer pairs from stored conversations, newest conversation first. */
+export const qaPairsFromConversations = (conversations) => conversations.flatMap(conversation => {
+  const pairs = [];
+  conversation.messages.forEach((message, index) => {
+    const reply = conversation.messages[index + 1];
+    if (message.sender === 'user' && reply?.sender === 'ai' && reply.text && !reply.stopped) {
+      pairs.push({
+        id: `${conversation.id}:${message.id ?? index}`,
+        conversationTitle: conversation.title,
+        question: message.text,
+        answer: reply.text,
+      });
+    }
+  });
+  return pairs;
+});
+
+const REPORT_STYLES = `
+  body { font-family: Inter, Arial, sans-serif; color: #111827; margin: 32px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 28px 0 8px; border-bottom: 1px solid #d1d5db; padding-bottom: 4px; }
+  .muted { color: #6b7280; font-size: 12px; }
+  .cards { display: flex; gap: 12px; }
+  .card { flex: 1; border: 1px solid #d1d5db; border-radius: 8px; padding: 12px; text-align: center; }
+  .card .value { font-size: 18px; font-weight: 600; margin: 4px 0; }
+  .columns { display: flex; gap: 24px; }
+  .columns > div { flex: 1; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  td, th { padding: 4px 6px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+  td.amount, th.amount { text-align: right; }
+  figure { margin: 0; background: #1f2937; border-radius: 8px; padding: 12px; }
+  figure img { width: 100%; }
+  .qa { page-break-inside: avoid; margin-bottom: 16px; font-size: 12px; }
+  .qa .question { font-weight: 600; }
+  .qa .answer { white-space: pre-wrap; margin-top: 4px; }
+  @page { margin: 16mm; }
+`;
+
+const renderRows = (items) => items
+  .map(item => `<tr><td>${escapeHtml(item.label)}</td><td class="amount">${escapeHtml(item.value)}</td></tr>`)
+  .join('');
+
+/**
+ * Builds the report document.
+ * cards: [{ label, value, description }]; breakdown: { assets, liabilities: [{ label, value }],
+ * totalAssets, totalLiabilities }; chartImage: data URL or null; qaPairs from
+ * qaPairsFromConversations; language: { t, locale } of useLanguage(), English by default.
+ */
+export const buildReportHtml = ({
+  generatedAt = new Date(), cards, breakdown, chartImage, qaPairs = [], language: { t, locale } = ENGLISH,
+}) => `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(t('report.title'))}</title>
+  <style>${REPORT_STYLES}</style>
+</head>
+<body>
+  <h1>${escapeHtml(t('report.title'))}</h1>
+  <p class="muted">${escapeHtml(t('report.generated', { date: generatedAt.toLocaleString(locale) }))}</p>
+
+  <h2>${escapeHtml(t('report.summary'))}</h2>
+  <div class="cards">
+    ${cards.map(card => `
+      <div class="card">
+        <div class="muted">${escapeHtml(card.label)}</div>
+        <div class="value">${escapeHtml(card.value)}</div>
+        <div class="muted">${escapeHtml(card.description)}</div>
+      </div>`).join('')}
+  </div>
+
+  <h2>${escapeHtml(t('report.breakdown'))}</h2>
+  <div class="columns">
+    <div>
+      <table>
+        <thead><tr><th>${escapeHtml(t('report.assets'))}</th><th class="amount">${escapeHtml(breakdown.totalAssets)}</th></tr></thead>
+        <tbody>${renderRows(breakdown.assets)}</tbody>
+      </table>
+    </div>
+    <div>
+      <table>
+        <thead><tr><th>${escapeHtml(t('report.liabilities'))}</th><th class="amount">${escapeHtml(breakdown.totalLiabilities)}</th></tr></thead>
+        <tbody>${renderRows(breakdown.liabilities)}</tbody>
+      </table>
+    </div>
+  </div>
+
+  ${chartImage ? `
+  <h2>${escapeHtml(t('report.chart'))}</h2>
+  <figure><img src="${escapeHtml(chartImage)}" alt="${escapeHtml(t('report.chartAlt'))}"></figure>` : ''}
+
+  ${qaPairs.length > 0 ? `
+  <h2>${escapeHtml(t('report.questions'))}</h2>
+  ${qaPairs.map(pair => `
+    <div class="qa">
+      <div class="question">${escapeHtml(t('report.question', { question: pair.question }))}</div>
+      <div class="answer">${escapeHtml(pair.answer)}</div>
+    </div>`).join('')}` : ''}
+</body>
+</html>`;
+
+/** Prints the report from a hidden iframe and cleans up once the dialog closes. */
+export const printReport = (html) => {
+  const frame = document.createElement('iframe');
+  frame.setAttribute('aria-hidden', 'true');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  document.body.appendChild(frame);
+
+  const frameWindow = frame.contentWindow;
+  frameWindow.document.open();
+  frameWindow.document.write(html);
+  frameWindow.document.close();
+
+  const cleanUp = () => setTimeout(() => frame.remove(), 0);
+  frameWindow.addEventListener('afterprint', cleanUp, { once: true });
+  // Wait for the chart image to decode before printing
+  const image = frameWindow.document.querySelector('img');
+  const print = () => {
+    frameWindow.focus();
+    frameWindow.print();
+  };
+  if (image && !image.complete) {
+    image.addEventListener('load', print, { once: true });
+    image.addEventListener('error', print, { once: true });
+  } else {
+    print();
+  }
+};
@@ -0,0 +1,38 @@
+import { BASE_CURRENCY, convertMoney, formatMoney, moneyToNumber, sumMoney } from './money/money';
+import { getExchangeRates } from './money/exchangeRates';
+
+export { moneyToNumber };
+
+// --- Helper Functions ---
+// Money values go through ./money/money for exact units+nanos math. Totals and chart
+// values are numbers in the base currency; components format them with useMoney().
+
+export const formatCurrency = (value, options) => formatMoney(value, options);
+
+// Exact total of `items[].value` in the base currency, as a number
+export const calculateTotal = (items, exchangeRates = getExchangeRates()) => {
+  return moneyToNumber(sumMoney(items.map(item => item.value), BASE_CURRENCY, exchangeRates));
+};
+
+const toBaseAmount = (value, exchangeRates) => moneyToNumber(convertMoney(value, BASE_CURRENCY, exchangeRates)) ?? 0;
+
+const enumLabel = (attribute) => attribute.replace(/^(ASSET|LIABILITY)_TYPE_/, '').replace(/_/g, ' ');
+
+// `labelFor` turns a netWorthAttribute into a chart label, e.g. useLanguage().typeLabel
+export const getAssetLiabilityData = (netWorthResponse, exchangeRates = getExchangeRates(), labelFor = enumLabel) => {
+  const assets = netWorthResponse.assetValues.map(a => ({
+    label: labelFor(a.netWorthAttribute),
+    value: toBaseAmount(a.value, exchangeRates)
+  }));
+  const liabilities = netWorthResponse.liabilityValues.map(l => ({
+    label: labelFor(l.netWorthAttribute),
+    value: toBaseAmount(l.value, exchangeRates)
+  }));
+
+  const assetLabels = assets.map(a => a.label);
+  const assetValues = assets.map(a => a.value);
+  const liabilityLabels = liabilities.map(l => l.label);
+  const liabilityValues = liabilities.map(l => l.value);
+
+  return { assetLabels, assetValues, liabilityLabels, liabilityValues };
+};
@@ -0,0 +1,116 @@
+import { formatCurrency, calculateTotal, getAssetLiabilityData } from './financeHelpers';
+
+const inr = (units, nanos = 0) => ({ currencyCode: 'INR', units, nanos });
+const RATES = { INR: 1, USD: 83.5 };
+
+describe('formatCurrency', () => {
+  test('formats units and nanos in Indian grouping', () => {
+    expect(formatCurrency(inr('1234567', 500000000))).toBe('₹12,34,567.5');
+    expect(formatCurrency(inr('0', 10000000))).toBe('₹0.01');
+    expect(formatCurrency(inr('42'))).toBe('₹42');
+  });
+
+  test('rounds nanos to two decimals by default', () => {
+    expect(formatCurrency(inr('10', 999999999))).toBe('₹11');
+    expect(formatCurrency(inr('10', 125000000), { maximumFractionDigits: 3 })).toBe('₹10.125');
+  });
+
+  test('formats negative amounts, whose nanos carry the same sign', () => {
+    expect(formatCurrency(inr('-2500', -750000000))).toBe('-₹2,500.75');
+    expect(formatCurrency(inr('0', -500000000))).toBe('-₹0.5');
+  });
+
+  test('accepts units as numbers and a missing nanos field', () => {
+    expect(formatCurrency({ currencyCode: 'INR', units: 1500 })).toBe('₹1,500');
+  });
+
+  test('treats a missing currency code as rupees', () => {
+    expect(formatCurrency({ units: '99' })).toBe('₹99');
+  });
+
+  test('shows N/A for missing values', () => {
+    expect(formatCurrency(undefined)).toBe('N/A');
+    expect(formatCurrency(null)).toBe('N/A');
+    expect(formatCurrency({ currencyCode: 'INR' })).toBe('N/A');
+    expect(formatCurrency({ currencyCode: 'INR', units: 'not a number' })).toBe('N/A');
+  });
+
+  test('formats other currencies in their own symbol', () => {
+    expect(formatCurrency({ currencyCode: 'USD', units: '1200', nanos: 500000000 })).toBe('$1,200.5');
+  });
+
+  test('supports compact lakh/crore and million notation', () => {
+    expect(formatCurrency(inr('2385610'), { compact: true })).toBe('₹23.86L');
+    expect(formatCurrency(inr('125000000'), { compact: true })).toBe('₹12.5Cr');
+    expect(formatCurrency(inr('2500000'), { compact: true, numbering: 'million' })).toBe('₹2.5M');
+    expect(formatCurrency(inr('950'), { compact: true })).toBe('₹950');
+  });
+});
+
+describe('calculateTotal', () => {
+  test('adds nanos exactly, without floating-point drift', () => {
+    const items = [{ value: inr('0', 100000000) }, { value: inr('0', 200000000) }];
+    expect(calculateTotal(items, RATES)).toBe(0.3);
+  });
+
+  test('carries nanos into units', () => {
+    const items = [{ value: inr('1', 600000000) }, { value: inr('2', 700000000) }];
+    expect(calculateTotal(items, RATES)).toBe(4.3);
+  });
+
+  test('nets negative values against positive ones', () => {
+    const items = [{ value: inr('1000', 250000000) }, { value: inr('-400', -750000000) }];
+    expect(calculateTotal(items, RATES)).toBe(599.5);
+  });
+
+  test('counts missing or malformed values as zero', () => {
+    const items = [{ value: inr('500') }, { value: null }, {}, { value: { currencyCode: 'INR' } }];
+    expect(calculateTotal(items, RATES)).toBe(500);
+  });
+
+  test('is zero for no items', () => {
+    expect(calculateTotal([], RATES)).toBe(0);
+  });
+
+  test('converts other currencies to rupees first', () => {
+    const items = [{ value: inr('1000') }, { value: { currencyCode: 'USD', units: '10' } }];
+    expect(calculateTotal(items, RATES)).toBe(1835);
+  });
+
+  test('throws for a currency without an exchange rate', () => {
+    expect(() => calculateTotal([{ value: { currencyCode: 'JPY', units: '100' } }], RATES)).toThrow('No exchange rate configured for JPY');
+  });
+});
+
+describe('getAssetLiabilityData', () => {
+  const netWorth = {
+    assetValues: [
+      { netWorthAttribute: 'ASSET_TYPE_MUTUAL_FUND', value: inr('84613', 200000000) },
+      { netWorthAttribute: 'ASSET_TYPE_INDIAN_SECURITIES', value: inr('1500') },
+      { netWorthAttribute: 'ASSET_TYPE_SAVINGS_ACCOUNTS', value: { currencyCode: 'USD', units: '100' } },
+      { netWorthAttribute: 'ASSET_TYPE_EPF' },
+    ],
+    liabilityValues: [
+      { netWorthAttribute: 'LIABILITY_TYPE_HOME_LOAN', value: inr('-2500000', -500000000) },
+      { netWorthAttribute: 'LIABILITY_TYPE_CREDIT_CARD_DUES', value: inr('12000') },
+    ],
+  };
+
+  test('strips the type prefix and replaces every underscore in labels', () => {
+    const { assetLabels, liabilityLabels } = getAssetLiabilityData(netWorth, RATES);
+    expect(assetLabels).toEqual(['MUTUAL FUND', 'INDIAN SECURITIES', 'SAVINGS ACCOUNTS', 'EPF']);
+    expect(liabilityLabels).toEqual(['HOME LOAN', 'CREDIT CARD DUES']);
+  });
+
+  test('converts values to rupee numbers, keeping sign and nanos', () => {
+    const { assetValues, liabilityValues } = getAssetLiabilityData(netWorth, RATES);
+    expect(assetValues).toEqual([84613.2, 1500, 8350, 0]);
+    expect(liabilityValues).toEqual([-2500000.5, 12000]);
+  });
+
+  test('returns empty series when there are no assets or liabilities', () => {
+    expect(getAssetLiabilityData({ assetValues: [], liabilityValues: [] }, RATES)).toEqual({
+      assetLabels: [], assetValues: [], liabilityLabels: [], liabilityValues: [],
+    });
+  });
+});
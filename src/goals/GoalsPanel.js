@@ -0,0 +1,450 @@
+import React, { useState, useMemo } from 'react';
+import { Target, Plus, Pencil, Trash2, Check, X } from 'lucide-react';
+import { Line } from 'react-chartjs-2';
+import '../charts/registerCharts';
+import AccessibleChart from '../charts/AccessibleChart';
+import GlassCard from '../components/GlassCard';
+import { moneyToNumber } from '../financeHelpers';
+import { useMoney } from '../money/MoneyContext';
+import { useChartTheme } from '../theme/ThemeContext';
+import { useLanguage } from '../i18n/LanguageContext';
+import useGoals from './useGoals';
+import {
+  GOAL_TYPES, FUNDING_SOURCES, MAX_EMI_TO_INCOME, goalStatus, estimateExistingEmi, loanAffordability, projectRetirement
+} from './goalPlanning';
+
+const formatDuration = (months, t) => {
+  if (months <= 0) return t('goals.dueNow');
+  const years = Math.floor(months / 12);
+  const rest = months % 12;
+  const duration = [years && t('goals.years', { count: years }), rest && t('goals.months', { count: rest })].filter(Boolean).join(' ');
+  return t('goals.timeLeft', { duration });
+};
+
+// Goals without a typed name go by their type, in the current language
+const goalName = (goal, t) => goal.name || t(GOAL_TYPES[goal.type]?.labelKey || 'goals.type.unknown');
+
+const inputClassName = 'w-full p-2 bg-gray-800/40 border border-gray-600/40 rounded-lg focus:outline-none focus:ring-1 focus:ring-gray-500 text-gray-300 text-xs';
+
+const EMPTY_GOAL = {
+  type: 'home',
+  name: '',
+  targetAmount: '',
+  targetDate: '',
+  fundingSource: 'manual',
+  savedAmount: '',
+  expectedReturn: '',
+};
+
+const TOOLS = [
+  { id: 'affordability', labelKey: 'goals.tool.affordability' },
+  { id: 'retirement', labelKey: 'goals.tool.retirement' },
+];
+
+// --- NumberField Component ---
+const NumberField = ({ label, value, onChange, step = 'any', placeholder }) => (
+  <label className="block text-xs text-gray-500">
+    {label}
+    <input
+      type="number"
+      min="0"
+      step={step}
+      className={`${inputClassName} mt-1`}
+      value={value}
+      placeholder={placeholder}
+      onChange={(e) => onChange(e.target.value)}
+    />
+  </label>
+);
+
+// --- GoalForm Component ---
+const GoalForm = ({ initialGoal, onSave, onCancel }) => {
+  const { t } = useLanguage();
+  const [goal, setGoal] = useState({ ...EMPTY_GOAL, ...initialGoal });
+  const setField = (field) => (value) => setGoal(prev => ({ ...prev, [field]: value }));
+  const isValid = Number(goal.targetAmount) > 0 && goal.targetDate;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!isValid) return;
+    onSave({
+      ...goal,
+      name: goal.name.trim(),
+      targetAmount: Number(goal.targetAmount),
+      savedAmount: Number(goal.savedAmount) || 0,
+      expectedReturn: goal.expectedReturn === '' ? '' : Number(goal.expectedReturn),
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-3 bg-gray-800/40 rounded-lg border border-gray-600/30 grid grid-cols-2 gap-2">
+      <label className="block text-xs text-gray-500">
+        {t('goals.form.type')}
+        <select className={`${inputClassName} mt-1`} value={goal.type} onChange={(e) => setField('type')(e.target.value)}>
+          {Object.entries(GOAL_TYPES).map(([id, type]) => <option key={id} value={id}>{t(type.labelKey)}</option>)}
+        </select>
+      </label>
+      <label className="block text-xs text-gray-500">
+        {t('goals.form.name')}
+        <input
+          type="text"
+          className={`${inputClassName} mt-1 placeholder-gray-500`}
+          placeholder={t(GOAL_TYPES[goal.type].labelKey)}
+          value={goal.name}
+          onChange={(e) => setField('name')(e.target.value)}
+        />
+      </label>
+      <NumberField label={t('goals.form.targetAmount')} value={goal.targetAmount} onChange={setField('targetAmount')} step="1000" />
+      <label className="block text-xs text-gray-500">
+        {t('goals.form.targetDate')}
+        <input
+          type="date"
+          className={`${inputClassName} mt-1`}
+          value={goal.targetDate}
+          onChange={(e) => setField('targetDate')(e.target.value)}
+        />
+      </label>
+      <label className="block text-xs text-gray-500">
+        {t('goals.form.fundingSource')}
+        <select className={`${inputClassName} mt-1`} value={goal.fundingSource} onChange={(e) => setField('fundingSource')(e.target.value)}>
+          {Object.entries(FUNDING_SOURCES).map(([id, labelKey]) => <option key={id} value={id}>{t(labelKey)}</option>)}
+        </select>
+      </label>
+      {goal.fundingSource === 'manual' ? (
+        <NumberField label={t('goals.form.savedAmount')} value={goal.savedAmount} onChange={setField('savedAmount')} step="1000" />
+      ) : <div />}
+      <NumberField
+        label={t('goals.form.expectedReturn')}
+        value={goal.expectedReturn}
+        onChange={setField('expectedReturn')}
+        step="0.5"
+        placeholder={String(GOAL_TYPES[goal.type].expectedReturn)}
+      />
+      <div className="flex items-end justify-end space-x-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="p-2 rounded-lg bg-gray-800/40 border border-gray-600/30 text-gray-400 hover:text-gray-200"
+          title={t('goals.form.cancel')}
+        >
+          <X size={14} />
+        </button>
+        <button
+          type="submit"
+          disabled={!isValid}
+          className="p-2 rounded-lg bg-gray-700/60 border border-gray-500/40 text-gray-200 disabled:opacity-50"
+          title={t('goals.form.save')}
+        >
+          <Check size={14} />
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// --- GoalRow Component ---
+const GoalRow = ({ goal, financialData, onEdit, onDelete }) => {
+  const { format } = useMoney();
+  const { t, locale } = useLanguage();
+  const status = goalStatus(goal, financialData);
+  return (
+    <li className="p-3 bg-gray-800/40 rounded-lg border border-gray-600/30">
+      <div className="flex justify-between items-start">
+        <div>
+          <p className="text-sm font-medium text-gray-300">{goalName(goal, t)}</p>
+          <p className="text-xs text-gray-500">
+            {t('goals.target', {
+              type: t(GOAL_TYPES[goal.type]?.labelKey || 'goals.type.unknown'),
+              amount: format(goal.targetAmount),
+              date: new Date(goal.targetDate).toLocaleDateString(locale, { month: 'short', year: 'numeric' }),
+            })}
+          </p>
+        </div>
+        <div className="flex space-x-1">
+          <button onClick={onEdit} className="p-1 text-gray-500 hover:text-gray-300" title={t('goals.edit')}><Pencil size={12} /></button>
+          <button onClick={onDelete} className="p-1 text-gray-500 hover:text-gray-300" title={t('goals.delete')}><Trash2 size={12} /></button>
+        </div>
+      </div>
+      <div className="mt-2 h-2 rounded-full bg-gray-700/60 overflow-hidden">
+        <div className="h-full bg-gray-300/80" style={{ width: `${status.progress * 100}%` }} />
+      </div>
+      <div className="flex justify-between mt-1 text-xs text-gray-400">
+        <span>{t('goals.saved', { amount: format(status.saved), percent: Math.round(status.progress * 100) })}</span>
+        <span>
+          {status.reached
+            ? t('goals.reached')
+            : `${Number.isFinite(status.sip) ? t('goals.sip', { amount: format(status.sip) }) : t('goals.pastTargetDate')} · ${formatDuration(status.months, t)}`}
+        </span>
+      </div>
+    </li>
+  );
+};
+
+// --- AffordabilityCalculator Component ---
+// Checks a new loan's EMI against take-home pay, on top of EMIs estimated from the
+// liabilities already in the net worth payload.
+const AffordabilityCalculator = ({ liabilityValues }) => {
+  const { format } = useMoney();
+  const { t } = useLanguage();
+  const estimatedEmi = useMemo(() => Math.round(estimateExistingEmi(liabilityValues)), [liabilityValues]);
+  const [inputs, setInputs] = useState({
+    loanAmount: '5000000',
+    annualRate: '8.5',
+    tenureYears: '20',
+    monthlyIncome: '',
+    existingEmi: '',
+  });
+  const setField = (field) => (value) => setInputs(prev => ({ ...prev, [field]: value }));
+
+  const existingEmi = inputs.existingEmi === '' ? estimatedEmi : Number(inputs.existingEmi);
+  const monthlyIncome = Number(inputs.monthlyIncome) || 0;
+  const result = loanAffordability({
+    loanAmount: Number(inputs.loanAmount) || 0,
+    annualRate: Number(inputs.annualRate) || 0,
+    tenureMonths: (Number(inputs.tenureYears) || 0) * 12,
+    monthlyIncome,
+    existingEmi,
+  });
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-2 mb-3">
+        <NumberField label={t('affordability.loanAmount')} value={inputs.loanAmount} onChange={setField('loanAmount')} step="100000" />
+        <NumberField label={t('affordability.interestRate')} value={inputs.annualRate} onChange={setField('annualRate')} step="0.1" />
+        <NumberField label={t('affordability.tenure')} value={inputs.tenureYears} onChange={setField('tenureYears')} step="1" />
+        <NumberField label={t('affordability.monthlyIncome')} value={inputs.monthlyIncome} onChange={setField('monthlyIncome')} step="1000" />
+        <NumberField
+          label={t('affordability.existingEmi')}
+          value={inputs.existingEmi}
+          onChange={setField('existingEmi')}
+          step="500"
+          placeholder={t('affordability.estimated', { amount: estimatedEmi })}
+        />
+      </div>
+      {monthlyIncome > 0 ? (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          {[
+            { label: t('affordability.newEmi'), value: format(result.newEmi) },
+            { label: t('affordability.totalEmi'), value: format(result.totalEmi) },
+            { label: t('affordability.emiToIncome'), value: `${Math.round(result.emiToIncome * 100)}%` },
+            { label: t('affordability.maxLoan'), value: format(result.maxLoan) },
+          ].map(stat => (
+            <div key={stat.label} className="p-3 bg-gray-800/40 rounded-lg border border-gray-600/30 text-center">
+              <p className="text-xs text-gray-500">{stat.label}</p>
+              <p className="text-sm font-semibold text-gray-200">{stat.value}</p>
+            </div>
+          ))}
+          <p className="col-span-2 md:col-span-4 text-xs text-gray-400 text-center">
+            {result.affordable
+              ? t('affordability.affordable', { percent: MAX_EMI_TO_INCOME * 100 })
+              : t('affordability.stretching', { percent: MAX_EMI_TO_INCOME * 100 })}
+          </p>
+        </div>
+      ) : (
+        <p className="py-4 text-center text-gray-500 text-xs">{t('affordability.needIncome')}</p>
+      )}
+    </div>
+  );
+};
+
+// --- RetirementPlanner Component ---
+// Projects EPF and other wealth to retirement, starting from today's real balances.
+const RetirementPlanner = ({ epfBalance, netWorth }) => {
+  const { format, formatCompact } = useMoney();
+  const { t } = useLanguage();
+  const chart = useChartTheme();
+  const [inputs, setInputs] = useState({
+    currentAge: '30',
+    retirementAge: '60',
+    monthlyContribution: '20000',
+    monthlyExpenses: '50000',
+    investmentReturn: '10',
+    inflation: '6',
+  });
+  const setField = (field) => (value) => setInputs(prev => ({ ...prev, [field]: value }));
+
+  const currentAge = Number(inputs.currentAge) || 0;
+  const projection = projectRetirement({
+    epfBalance,
+    netWorth,
+    currentAge,
+    retirementAge: Math.max(currentAge, Number(inputs.retirementAge) || 0),
+    monthlyContribution: Number(inputs.monthlyContribution) || 0,
+    monthlyExpenses: Number(inputs.monthlyExpenses) || 0,
+    investmentReturn: Number(inputs.investmentReturn) || 0,
+    inflation: Number(inputs.inflation) || 0,
+  });
+
+  const data = {
+    labels: projection.series.map(point => point.age),
+    datasets: [
+      {
+        label: t('retirement.epf'),
+        data: projection.series.map(point => point.epf),
+        borderColor: chart.series('400').line,
+        backgroundColor: chart.series('400').fill,
+        borderWidth: 2,
+        pointRadius: 0,
+        tension: 0.3,
+      },
+      {
+        label: t('retirement.totalCorpus'),
+        data: projection.series.map(point => point.total),
+        borderColor: chart.series('200').line,
+        backgroundColor: chart.series('200').fill,
+        borderWidth: 2,
+        pointRadius: 0,
+        tension: 0.3,
+      },
+      {
+        label: t('retirement.requiredCorpus'),
+        data: projection.series.map(() => projection.requiredCorpus),
+        borderColor: chart.color('500'),
+        borderDash: [6, 4],
+        borderWidth: 1,
+        pointRadius: 0,
+      },
+    ],
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: chart.legend({ size: 11 }),
+      tooltip: chart.tooltip({
+        title: (items) => t('retirement.ageTooltip', { age: items[0].label }),
+        label: (context) => `${context.dataset.label}: ${format(context.parsed.y)}`,
+      }),
+    },
+    scales: {
+      x: chart.categoryAxis({ maxTicksLimit: 8 }),
+      y: chart.valueAxis({ callback: formatCompact }),
+    },
+  };
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-2 mb-3">
+        <NumberField label={t('retirement.currentAge')} value={inputs.currentAge} onChange={setField('currentAge')} step="1" />
+        <NumberField label={t('retirement.retirementAge')} value={inputs.retirementAge} onChange={setField('retirementAge')} step="1" />
+        <NumberField label={t('retirement.monthlyContribution')} value={inputs.monthlyContribution} onChange={setField('monthlyContribution')} step="1000" />
+        <NumberField label={t('retirement.monthlyExpenses')} value={inputs.monthlyExpenses} onChange={setField('monthlyExpenses')} step="1000" />
+        <NumberField label={t('retirement.investmentReturn')} value={inputs.investmentReturn} onChange={setField('investmentReturn')} step="0.5" />
+        <NumberField label={t('retirement.inflation')} value={inputs.inflation} onChange={setField('inflation')} step="0.5" />
+      </div>
+      <p className="text-xs text-gray-500 mb-3">
+        {t('retirement.startingFrom', { epf: format(epfBalance), netWorth: format(netWorth) })}
+      </p>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-3">
+        {[
+          { label: t('retirement.projectedCorpus'), value: format(projection.projectedCorpus) },
+          { label: t('retirement.requiredCorpus'), value: format(projection.requiredCorpus) },
+          { label: t('retirement.shortfall'), value: format(projection.shortfall) },
+          { label: t('retirement.extraSip'), value: format(projection.additionalSip) },
+        ].map(stat => (
+          <div key={stat.label} className="p-3 bg-gray-800/40 rounded-lg border border-gray-600/30 text-center">
+            <p className="text-xs text-gray-500">{stat.label}</p>
+            <p className="text-sm font-semibold text-gray-200">{stat.value}</p>
+          </div>
+        ))}
+      </div>
+      {projection.years > 0 && (
+        <AccessibleChart
+          label={t('retirement.chartLabel')}
+          summary={t('retirement.chartSummary', {
+            projected: format(projection.projectedCorpus),
+            age: projection.series[projection.series.length - 1].age,
+            required: format(projection.requiredCorpus),
+          })}
+          columns={[t('retirement.age'), t('retirement.epf'), t('retirement.totalCorpus'), t('retirement.requiredCorpus')]}
+          rows={projection.series.map(point => [String(point.age), format(point.epf), format(point.total), format(projection.requiredCorpus)])}
+        >
+          <Line data={data} options={options} />
+        </AccessibleChart>
+      )}
+    </div>
+  );
+};
+
+// --- GoalsPanel Component ---
+// Goal tracking with required SIPs, plus loan affordability and retirement calculators.
+const GoalsPanel = ({ financialData }) => {
+  const { goals, addGoal, updateGoal, removeGoal } = useGoals();
+  const { t } = useLanguage();
+  const [editingId, setEditingId] = useState(null);
+  const [tool, setTool] = useState(TOOLS[0].id);
+
+  const epfBalance = moneyToNumber(financialData?.epfDetails?.currentBalance) || 0;
+  const netWorth = moneyToNumber(financialData?.netWorth?.totalNetWorthValue) || 0;
+
+  const handleSave = (goal) => {
+    if (editingId === 'new') addGoal(goal);
+    else updateGoal(editingId, goal);
+    setEditingId(null);
+  };
+
+  return (
+    <GlassCard className="p-4">
+      <div className="flex justify-between items-center mb-3">
+        <h2 className="text-md font-medium text-gray-300 flex items-center">
+          <Target size={16} className="mr-2" />
+          {t('goals.title')}
+        </h2>
+        <button
+          onClick={() => setEditingId('new')}
+          disabled={editingId !== null}
+          className="px-2 py-1 rounded-lg text-xs border bg-gray-800/40 text-gray-400 border-gray-600/30 hover:text-gray-200 flex items-center disabled:opacity-50"
+        >
+          <Plus size={12} className="mr-1" />
+          {t('goals.add')}
+        </button>
+      </div>
+
+      <ul className="space-y-2 mb-4">
+        {editingId === 'new' && (
+          <li><GoalForm onSave={handleSave} onCancel={() => setEditingId(null)} /></li>
+        )}
+        {goals.map(goal => (editingId === goal.id ? (
+          <li key={goal.id}>
+            <GoalForm initialGoal={goal} onSave={handleSave} onCancel={() => setEditingId(null)} />
+          </li>
+        ) : (
+          <GoalRow
+            key={goal.id}
+            goal={goal}
+            financialData={financialData}
+            onEdit={() => setEditingId(goal.id)}
+            onDelete={() => removeGoal(goal.id)}
+          />
+        )))}
+        {goals.length === 0 && editingId !== 'new' && (
+          <li className="py-4 text-center text-gray-500 text-xs">
+            {t('goals.empty')}
+          </li>
+        )}
+      </ul>
+
+      <div className="flex justify-center gap-1 mb-3">
+        {TOOLS.map(option => (
+          <button
+            key={option.id}
+            onClick={() => setTool(option.id)}
+            className={`px-2 py-1 rounded-lg text-xs border ${
+              option.id === tool
+                ? 'bg-gray-700/60 text-gray-200 border-gray-500/40'
+                : 'bg-gray-800/40 text-gray-400 border-gray-600/30'
+            }`}
+          >
+            {t(option.labelKey)}
+          </button>
+        ))}
+      </div>
+      {tool === 'affordability'
+        ? <AffordabilityCalculator liabilityValues={financialData?.netWorth?.liabilityValues} />
+        : <RetirementPlanner epfBalance={epfBalance} netWorth={netWorth} />}
+    </GlassCard>
+  );
+};
+
+export default GoalsPanel;
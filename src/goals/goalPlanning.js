@@ -0,0 +1,176 @@
+import { moneyToNumber } from '../financeHelpers';
+
+// --- Goal Planning Calculations ---
+// Required SIP, loan EMI affordability and retirement corpus projections. Amounts are
+// plain rupee numbers, rates are annual percentages and durations are in months.
+
+const MS_PER_MONTH = (365.25 / 12) * 24 * 60 * 60 * 1000;
+
+export const GOAL_TYPES = {
+  home: { labelKey: 'goals.type.home', expectedReturn: 10 },
+  retirement: { labelKey: 'goals.type.retirement', expectedReturn: 11 },
+  education: { labelKey: 'goals.type.education', expectedReturn: 10 },
+  other: { labelKey: 'goals.type.other', expectedReturn: 8 },
+};
+
+// Where a goal's saved amount comes from: a manual figure or a live balance
+export const FUNDING_SOURCES = {
+  manual: 'goals.funding.manual',
+  epf: 'goals.funding.epf',
+  netWorth: 'goals.funding.netWorth',
+};
+
+// Banks usually cap total EMIs at about half of take-home pay (FOIR)
+export const MAX_EMI_TO_INCOME = 0.5;
+// A corpus of 25x annual expenses supports a ~4% yearly withdrawal
+export const CORPUS_EXPENSE_MULTIPLE = 25;
+
+// Assumed rate (%) and remaining tenure (months) used to estimate EMIs on existing
+// liabilities, since the net worth payload only reports outstanding balances.
+const LIABILITY_EMI_ASSUMPTIONS = {
+  LIABILITY_TYPE_HOME_LOAN: { rate: 8.5, months: 180 },
+  LIABILITY_TYPE_VEHICLE_LOAN: { rate: 9.5, months: 48 },
+  LIABILITY_TYPE_EDUCATION_LOAN: { rate: 10, months: 84 },
+  LIABILITY_TYPE_PERSONAL_LOAN: { rate: 13, months: 36 },
+};
+const DEFAULT_LIABILITY_ASSUMPTION = { rate: 12, months: 36 };
+
+/** Assumed `{ rate, months }` for a liability type from the net worth payload. */
+export const liabilityAssumption = (attribute) => LIABILITY_EMI_ASSUMPTIONS[attribute] || DEFAULT_LIABILITY_ASSUMPTION;
+
+// Card balances are treated as a 5% minimum due
+const CARD_MINIMUM_DUE = 0.05;
+
+const monthlyRate = (annualPercent) => annualPercent / 100 / 12;
+
+export const monthsUntil = (date, now = new Date()) => {
+  const target = new Date(date).getTime();
+  if (Number.isNaN(target)) return 0;
+  return Math.max(0, Math.round((target - now.getTime()) / MS_PER_MONTH));
+};
+
+/** Value of a lump sum after `months` of monthly compounding. */
+export const futureValue = (presentValue, annualPercent, months) => presentValue * (1 + monthlyRate(annualPercent)) ** months;
+
+/** Value of `monthly` invested at the start of each month for `months`. */
+export const futureValueOfSip = (monthly, annualPercent, months) => {
+  const rate = monthlyRate(annualPercent);
+  if (rate === 0) return monthly * months;
+  return monthly * (((1 + rate) ** months - 1) / rate) * (1 + rate);
+};
+
+/**
+ * Monthly SIP needed to reach `target` in `months`, after letting `saved` grow at the
+ * same return. Returns 0 when the savings alone get there, Infinity when no time is left.
+ */
+export const requiredSip = (target, saved, annualPercent, months) => {
+  const shortfall = target - futureValue(saved, annualPercent, months);
+  if (shortfall <= 0) return 0;
+  if (months <= 0) return Infinity;
+  return shortfall / futureValueOfSip(1, annualPercent, months);
+};
+
+export const emi = (principal, annualPercent, months) => {
+  if (principal <= 0 || months <= 0) return 0;
+  const rate = monthlyRate(annualPercent);
+  if (rate === 0) return principal / months;
+  const growth = (1 + rate) ** months;
+  return (principal * rate * growth) / (growth - 1);
+};
+
+/** Largest loan whose EMI fits in `monthlyBudget`. */
+export const maxLoanForEmi = (monthlyBudget, annualPercent, months) => {
+  if (monthlyBudget <= 0 || months <= 0) return 0;
+  const rate = monthlyRate(annualPercent);
+  if (rate === 0) return monthlyBudget * months;
+  return (monthlyBudget * (1 - (1 + rate) ** -months)) / rate;
+};
+
+/** Rough monthly EMI on the liabilities in the net worth payload. */
+export const estimateExistingEmi = (liabilityValues = []) => liabilityValues.reduce((sum, liability) => {
+  const balance = moneyToNumber(liability.value) || 0;
+  const attribute = liability.netWorthAttribute;
+  if (attribute === 'LIABILITY_TYPE_CREDIT_CARD') return sum + balance * CARD_MINIMUM_DUE;
+  const { rate, months } = liabilityAssumption(attribute);
+  return sum + emi(balance, rate, months);
+}, 0);
+
+/** Whether a new loan fits alongside existing EMIs. */
+export const loanAffordability = ({ loanAmount, annualRate, tenureMonths, monthlyIncome, existingEmi }) => {
+  const newEmi = emi(loanAmount, annualRate, tenureMonths);
+  const totalEmi = newEmi + existingEmi;
+  const emiBudget = monthlyIncome * MAX_EMI_TO_INCOME - existingEmi;
+  return {
+    newEmi,
+    totalEmi,
+    emiToIncome: monthlyIncome > 0 ? totalEmi / monthlyIncome : null,
+    affordable: monthlyIncome > 0 && totalEmi <= monthlyIncome * MAX_EMI_TO_INCOME,
+    maxLoan: maxLoanForEmi(emiBudget, annualRate, tenureMonths),
+  };
+};
+
+/**
+ * Year-by-year corpus projection until retirement. EPF and the rest of net worth grow
+ * separately (EPF at its declared rate), and the monthly contribution is invested at
+ * `investmentReturn`. The target corpus is today's expenses inflated to retirement
+ * times CORPUS_EXPENSE_MULTIPLE.
+ */
+export const projectRetirement = ({
+  epfBalance, netWorth, currentAge, retirementAge, monthlyContribution,
+  monthlyExpenses, epfRate = 8.25, investmentReturn = 10, inflation = 6,
+}) => {
+  const years = Math.max(0, Math.round(retirementAge - currentAge));
+  const otherWealth = Math.max(0, netWorth - epfBalance);
+
+  const series = Array.from({ length: years + 1 }, (_, year) => {
+    const months = year * 12;
+    const epf = futureValue(epfBalance, epfRate, months);
+    const investments = futureValue(otherWealth, investmentReturn, months)
+      + futureValueOfSip(monthlyContribution, investmentReturn, months);
+    return { age: currentAge + year, epf, investments, total: epf + investments };
+  });
+
+  const projectedCorpus = series[series.length - 1].total;
+  const requiredCorpus = monthlyExpenses * 12 * (1 + inflation / 100) ** years * CORPUS_EXPENSE_MULTIPLE;
+  const shortfall = Math.max(0, requiredCorpus - projectedCorpus);
+
+  return {
+    years,
+    series,
+    projectedCorpus,
+    requiredCorpus,
+    shortfall,
+    // Extra SIP that would close the gap by retirement
+    additionalSip: shortfall > 0 ? requiredSip(shortfall, 0, investmentReturn, years * 12) : 0,
+  };
+};
+
+/** Saved amount for a goal, from its linked balance when it has one. */
+export const savedForGoal = (goal, financialData) => {
+  if (goal.fundingSource === 'epf') return moneyToNumber(financialData?.epfDetails?.currentBalance) || 0;
+  if (goal.fundingSource === 'netWorth') return moneyToNumber(financialData?.netWorth?.totalNetWorthValue) || 0;
+  return Number(goal.savedAmount) || 0;
+};
+
+// The goal's own return when set (0% included), otherwise its type's default
+const expectedReturnFor = (goal) => {
+  const own = goal.expectedReturn === null || goal.expectedReturn === undefined || goal.expectedReturn === ''
+    ? NaN
+    : Number(goal.expectedReturn);
+  return Number.isFinite(own) ? own : GOAL_TYPES[goal.type]?.expectedReturn || 0;
+};
+
+/** Progress and the monthly SIP still needed for a goal. */
+export const goalStatus = (goal, financialData, now = new Date()) => {
+  const saved = savedForGoal(goal, financialData);
+  const months = monthsUntil(goal.targetDate, now);
+  const target = Number(goal.targetAmount) || 0;
+  const expectedReturn = expectedReturnFor(goal);
+  return {
+    saved,
+    months,
+    progress: target > 0 ? Math.min(1, saved / target) : 0,
+    sip: requiredSip(target, saved, expectedReturn, months),
+    reached: saved >= target && target > 0,
+  };
+};
@@ -0,0 +1,19 @@
+import { goalStatus } from './goalPlanning';
+
+const NOW = new Date('2026-01-01');
+
+const goal = (fields) => ({
+  type: 'other', targetAmount: 120000, targetDate: '2027-01-01', fundingSource: 'manual', savedAmount: 0, ...fields,
+});
+
+describe('goalStatus', () => {
+  test('honours a 0% expected return', () => {
+    expect(goalStatus(goal({ expectedReturn: 0 }), null, NOW).sip).toBeCloseTo(10000, 6);
+  });
+
+  test('uses the goal type default when no return is set', () => {
+    const withDefault = goalStatus(goal({ expectedReturn: '' }), null, NOW).sip;
+    expect(withDefault).toBeLessThan(10000);
+    expect(goalStatus(goal({ expectedReturn: 8 }), null, NOW).sip).toBeCloseTo(withDefault, 6);
+  });
+});
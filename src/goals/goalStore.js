@@ -0,0 +1,39 @@
+// --- Goal Store ---
+// Financial goals are small and user-authored, so they live in localStorage
+// rather than IndexedDB.
+
+const GOALS_STORAGE_KEY = 'finsure.goals';
+
+export const loadGoals = () => {
+  try {
+    const goals = JSON.parse(localStorage.getItem(GOALS_STORAGE_KEY));
+    return Array.isArray(goals) ? goals : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const saveGoals = (goals) => {
+  try {
+    localStorage.setItem(GOALS_STORAGE_KEY, JSON.stringify(goals));
+  } catch (error) {
+    console.error('Error saving goals:', error);
+  }
+  return goals;
+};
+
+export const clearGoals = () => {
+  try {
+    localStorage.removeItem(GOALS_STORAGE_KEY);
+  } catch (error) {
+    console.error('Error clearing goals:', error);
+  }
+};
+
+export const createGoal = (fields) => ({
+  id: crypto.randomUUID(),
+  createdAt: Date.now(),
+  fundingSource: 'manual',
+  savedAmount: 0,
+  ...fields,
+});
@@ -0,0 +1,17 @@
+import { useState, useCallback } from 'react';
+import { loadGoals, saveGoals, createGoal } from './goalStore';
+
+/** Goals state kept in sync with localStorage. */
+export default function useGoals() {
+  const [goals, setGoals] = useState(loadGoals);
+
+  const update = useCallback((updater) => {
+    setGoals(prev => saveGoals(updater(prev)));
+  }, []);
+
+  const addGoal = useCallback((fields) => update(prev => [...prev, createGoal(fields)]), [update]);
+  const updateGoal = useCallback((id, fields) => update(prev => prev.map(goal => (goal.id === id ? { ...goal, ...fields } : goal))), [update]);
+  const removeGoal = useCallback((id) => update(prev => prev.filter(goal => goal.id !== id)), [update]);
+
+  return { goals, addGoal, updateGoal, removeGoal };
+}
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import '../charts/registerCharts';
+import AccessibleChart from '../charts/AccessibleChart';
+import GlassCard from '../components/GlassCard';
+import { useMoney } from '../money/MoneyContext';
+import { usePrivacy } from '../privacy/PrivacyContext';
+import { useChartTheme } from '../theme/ThemeContext';
+import { useLanguage } from '../i18n/LanguageContext';
+import { HISTORY_RANGES, snapshotsInRange } from './trends';
+
+// --- NetWorthHistory Component ---
+const HISTORY_METRICS = [
+  {
+    id: 'netWorth',
+    labelKey: 'history.metric.netWorth',
+    series: [{ key: 'netWorth', labelKey: 'history.metric.netWorth', step: '300' }],
+  },
+  {
+    id: 'assetsLiabilities',
+    labelKey: 'history.metric.assetsLiabilities',
+    series: [
+      { key: 'totalAssets', labelKey: 'history.series.totalAssets', step: '400' },
+      { key: 'totalLiabilities', labelKey: 'history.series.totalLiabilities', step: '500' },
+    ],
+  },
+  {
+    id: 'creditScore',
+    labelKey: 'history.metric.creditScore',
+    isScore: true,
+    series: [{ key: 'creditScore', labelKey: 'history.metric.creditScore', step: '300' }],
+  },
+  {
+    id: 'epfBalance',
+    labelKey: 'history.metric.epfBalance',
+    series: [{ key: 'epfBalance', labelKey: 'history.metric.epfBalance', step: '300' }],
+  },
+];
+
+const NetWorthHistory = ({ snapshots, range, onRangeChange }) => {
+  const { format, formatCompact } = useMoney();
+  const { mask } = usePrivacy();
+  const chart = useChartTheme();
+  const { t, locale } = useLanguage();
+  const [metricId, setMetricId] = useState(HISTORY_METRICS[0].id);
+  const metric = HISTORY_METRICS.find(m => m.id === metricId);
+  const points = snapshotsInRange(snapshots, range);
+
+  const labels = points.map(snapshot => new Date(snapshot.takenAt).toLocaleDateString(locale, { day: 'numeric', month: 'short', year: '2-digit' }));
+  const data = {
+    labels,
+    datasets: metric.series.map(series => ({
+      label: t(series.labelKey),
+      data: points.map(snapshot => snapshot[series.key]),
+      borderColor: chart.series(series.step).line,
+      backgroundColor: chart.series(series.step).fill,
+      borderWidth: 2,
+      pointRadius: points.length > 30 ? 0 : 3,
+      tension: 0.3,
+      spanGaps: true,
+    })),
+  };
+
+  const formatValue = (value) => (metric.isScore ? mask(String(Math.round(value))) : format(value));
+  const formatTick = (value) => (metric.isScore ? mask(String(Math.round(value))) : formatCompact(value));
+  const formatCell = (value) => (value === null || value === undefined ? t('card.notAvailable') : formatValue(value));
+
+  // Spoken summary: where the first series started and ended over the selected range
+  const describeRange = () => {
+    const { key, labelKey } = metric.series[0];
+    const first = points.find(snapshot => snapshot[key] !== null && snapshot[key] !== undefined);
+    const last = [...points].reverse().find(snapshot => snapshot[key] !== null && snapshot[key] !== undefined);
+    if (!first || !last) return '';
+    return t('history.summary', {
+      label: t(labelKey),
+      from: formatValue(first[key]),
+      fromDate: labels[points.indexOf(first)],
+      to: formatValue(last[key]),
+      toDate: labels[points.indexOf(last)],
+    });
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: chart.legend({ display: metric.series.length > 1 }),
+      tooltip: chart.tooltip({
+        label: (context) => `${context.dataset.label}: ${formatValue(context.parsed.y)}`,
+      }),
+    },
+    scales: {
+      x: chart.categoryAxis({ maxTicksLimit: 8 }),
+      y: chart.valueAxis({ beginAtZero: !metric.isScore, callback: formatTick }),
+    },
+  };
+
+  return (
+    <GlassCard className="p-4">
+      <div className="flex flex-col sm:flex-row justify-between items-center mb-3 gap-2">
+        <h2 className="text-md font-medium text-gray-300">{t('history.title')}</h2>
+        <div className="flex space-x-1">
+          {HISTORY_RANGES.map(option => (
+            <button
+              key={option.id}
+              onClick={() => onRangeChange(option.id)}
+              aria-pressed={option.id === range}
+              className={`px-2 py-1 rounded text-xs border ${
+                option.id === range
+                  ? 'bg-gray-600/60 text-gray-200 border-gray-500/40'
+                  : 'bg-gray-800/40 text-gray-400 border-gray-600/30'
+              }`}
+            >
+              {t(`history.range.${option.id}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="flex flex-wrap justify-center gap-1 mb-3">
+        {HISTORY_METRICS.map(option => (
+          <button
+            key={option.id}
+            onClick={() => setMetricId(option.id)}
+            aria-pressed={option.id === metricId}
+            className={`px-2 py-1 rounded-lg text-xs border ${
+              option.id === metricId
+                ? 'bg-gray-700/60 text-gray-200 border-gray-500/40'
+                : 'bg-gray-800/40 text-gray-400 border-gray-600/30'
+            }`}
+          >
+            {t(option.labelKey)}
+          </button>
+        ))}
+      </div>
+      {points.length < 2 ? (
+        <p className="py-10 text-center text-gray-500 text-sm">
+          {t('history.notEnough')}
+        </p>
+      ) : (
+        <AccessibleChart
+          label={t('history.chartLabel', { metric: t(metric.labelKey) })}
+          summary={describeRange()}
+          columns={[t('history.date'), ...metric.series.map(series => t(series.labelKey))]}
+          rows={points.map((snapshot, index) => [labels[index], ...metric.series.map(series => formatCell(snapshot[series.key]))])}
+          className="h-64"
+        >
+          <Line data={data} options={options} />
+        </AccessibleChart>
+      )}
+    </GlassCard>
+  );
+};
+
+export default NetWorthHistory;
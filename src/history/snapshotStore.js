@@ -0,0 +1,55 @@
+import { openDatabase, withStore } from '../storage/indexedDb';
+import { calculateTotal, moneyToNumber } from '../financeHelpers';
+
+// --- Financial Snapshot Store ---
+// Keeps one dated snapshot of the headline figures per day, taken from each
+// /getFinancialSummary result, so trends can be computed from real history.
+
+const DB_NAME = 'finsure-history';
+const DB_VERSION = 1;
+const STORE_NAME = 'snapshots';
+
+const openDb = () => openDatabase(DB_NAME, DB_VERSION, (db) => {
+  db.createObjectStore(STORE_NAME, { keyPath: 'date' });
+});
+
+const withSnapshots = (mode, operation) => withStore(openDb(), STORE_NAME, mode, operation);
+
+// Local calendar day, e.g. "2025-07-14"
+const toDateKey = (timestamp) => {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/** Reduces a financial summary to the figures tracked over time. */
+export const snapshotFromSummary = (financialData, takenAt = Date.now()) => {
+  const netWorth = financialData?.netWorth;
+  const score = Number(financialData?.creditReport?.creditScore?.score);
+  return {
+    date: toDateKey(takenAt),
+    takenAt,
+    netWorth: moneyToNumber(netWorth?.totalNetWorthValue),
+    totalAssets: netWorth?.assetValues ? calculateTotal(netWorth.assetValues) : null,
+    totalLiabilities: netWorth?.liabilityValues ? calculateTotal(netWorth.liabilityValues) : null,
+    creditScore: Number.isFinite(score) && score > 0 ? score : null,
+    epfBalance: moneyToNumber(financialData?.epfDetails?.currentBalance),
+  };
+};
+
+/** Stores today's snapshot, replacing an earlier one from the same day. */
+export const recordSnapshot = async (financialData) => {
+  const snapshot = snapshotFromSummary(financialData);
+  await withSnapshots('readwrite', store => store.put(snapshot));
+  return snapshot;
+};
+
+/** Returns every snapshot, oldest first. */
+export const listSnapshots = async () => {
+  const snapshots = await withSnapshots('readonly', store => store.getAll());
+  return (snapshots || []).sort((a, b) => a.takenAt - b.takenAt);
+};
+
+/** Deletes every snapshot, e.g. when the user logs out. */
+export const clearSnapshots = () => withSnapshots('readwrite', store => store.clear());
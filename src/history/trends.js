@@ -0,0 +1,77 @@
+import { ENGLISH } from '../i18n/translate';
+
+// --- Snapshot Trends ---
+// Range filtering and deltas between stored snapshots, used by the history chart
+// and the trend line on each summary card.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Labelled by the history.range.<id> catalog keys
+export const HISTORY_RANGES = [
+  { id: '1M', days: 30 },
+  { id: '6M', days: 182 },
+  { id: '1Y', days: 365 },
+  { id: 'ALL', days: null },
+];
+
+export const DEFAULT_HISTORY_RANGE = '1Y';
+
+const findRange = (rangeId) => HISTORY_RANGES.find(range => range.id === rangeId) || HISTORY_RANGES[HISTORY_RANGES.length - 1];
+
+/** Snapshots (oldest first) taken within the selected range. */
+export const snapshotsInRange = (snapshots, rangeId, now = Date.now()) => {
+  const { days } = findRange(rangeId);
+  if (!days) return snapshots;
+  const start = now - days * DAY_MS;
+  return snapshots.filter(snapshot => snapshot.takenAt >= start);
+};
+
+/**
+ * Change of one metric between the first and last snapshot in range that have a value
+ * for it. Returns null when there are fewer than two such snapshots.
+ */
+export const computeTrend = (snapshots, metric, rangeId, now = Date.now()) => {
+  const points = snapshotsInRange(snapshots, rangeId, now)
+    .filter(snapshot => typeof snapshot[metric] === 'number');
+  if (points.length < 2) return null;
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const change = last[metric] - first[metric];
+  return {
+    change,
+    percent: first[metric] !== 0 ? (change / Math.abs(first[metric])) * 100 : null,
+    since: first.takenAt,
+  };
+};
+
+// Trend text is English unless the caller passes the active language's `t` and `locale`
+const describePeriod = (rangeId, since, { t, locale }) => {
+  const { id, days } = findRange(rangeId);
+  return days
+    ? t(`trend.period.${id}`)
+    : t('trend.period.since', { date: new Date(since).toLocaleDateString(locale, { month: 'short', year: 'numeric' }) });
+};
+
+const signed = (value, digits, locale) => {
+  const number = value.toLocaleString(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  return `${value > 0 ? '+' : ''}${number}`;
+};
+
+/** Card trend text for a money metric, e.g. "+12.5% over the past year". */
+export const formatPercentTrend = (trend, rangeId, formatAmount, language = ENGLISH) => {
+  if (!trend) return null;
+  const amount = trend.percent !== null
+    ? `${signed(trend.percent, 1, language.locale)}%`
+    : `${trend.change > 0 ? '+' : ''}${formatAmount(trend.change)}`;
+  return language.t('trend.percent', { amount, period: describePeriod(rangeId, trend.since, language) });
+};
+
+/** Card trend text for a point-based metric, e.g. "Improved +15 pts over the past year". */
+export const formatPointsTrend = (trend, rangeId, language = ENGLISH) => {
+  if (!trend) return null;
+  const period = describePeriod(rangeId, trend.since, language);
+  if (trend.change === 0) return language.t('trend.points.noChange', { period });
+  const change = signed(trend.change, 0, language.locale);
+  return language.t(trend.change > 0 ? 'trend.points.improved' : 'trend.points.dropped', { change, period });
+};
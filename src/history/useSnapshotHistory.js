@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+import { recordSnapshot, listSnapshots } from './snapshotStore';
+
+/**
+ * Records a snapshot whenever new financial data arrives and returns the full
+ * snapshot history, oldest first.
+ */
+export default function useSnapshotHistory(financialData) {
+  const [snapshots, setSnapshots] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const syncHistory = async () => {
+      try {
+        if (financialData) {
+          await recordSnapshot(financialData);
+        }
+        const history = await listSnapshots();
+        if (!cancelled) setSnapshots(history);
+      } catch (error) {
+        console.error('Error updating snapshot history:', error);
+      }
+    };
+
+    syncHistory();
+    return () => { cancelled = true; };
+  }, [financialData]);
+
+  return snapshots;
+}
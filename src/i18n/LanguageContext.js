@@ -0,0 +1,58 @@
+import React, { createContext, useContext, useState, useMemo, useCallback, useLayoutEffect } from 'react';
+import { LANGUAGES, findLanguage, detectLanguage, createTranslator, netWorthTypeLabel } from './translate';
+
+// --- Language Preference ---
+// The interface language, shared through context. Besides the text it sets the locale
+// that money and dates are formatted in (unless the user picked a number format of their
+// own), the default speech recognition language and the language hint sent to /chat.
+
+const LANGUAGE_STORAGE_KEY = 'finsure.language';
+
+const loadLanguage = () => {
+  try {
+    const stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (stored && LANGUAGES.some(language => language.id === stored)) return stored;
+  } catch (error) {
+    // Storage can be unavailable (private mode); fall back to the browser's languages
+  }
+  return detectLanguage();
+};
+
+const LanguageContext = createContext(null);
+
+export const LanguageProvider = ({ children }) => {
+  const [languageId, setLanguageId] = useState(loadLanguage);
+  const language = findLanguage(languageId);
+
+  const setLanguage = useCallback((id) => {
+    setLanguageId(id);
+    try {
+      localStorage.setItem(LANGUAGE_STORAGE_KEY, id);
+    } catch (error) {
+      console.error('Error saving language:', error);
+    }
+  }, []);
+
+  // Screen readers pick their voice from the document language
+  useLayoutEffect(() => {
+    document.documentElement.lang = language.locale;
+  }, [language]);
+
+  const value = useMemo(() => ({
+    language: language.id,
+    /** BCP 47 tag ("hi-IN") for Intl formatting, speech and the /chat language hint. */
+    locale: language.locale,
+    setLanguage,
+    t: createTranslator(language.id),
+    /** Readable, translated label for an ASSET_TYPE_* / LIABILITY_TYPE_* attribute. */
+    typeLabel: (attribute) => netWorthTypeLabel(attribute, language.id),
+  }), [language, setLanguage]);
+
+  return <LanguageContext.Provider value={value}>{children}</LanguageContext.Provider>;
+};
+
+export const useLanguage = () => {
+  const context = useContext(LanguageContext);
+  if (!context) throw new Error('useLanguage must be used inside a LanguageProvider');
+  return context;
+};
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { Languages, X } from 'lucide-react';
+import GlassCard from '../components/GlassCard';
+import { LANGUAGES } from './translate';
+import { useLanguage } from './LanguageContext';
+
+// --- LanguageSettings Component ---
+// Header popover for the interface language. Each option is labelled in its own language
+// so it can be found whatever is currently selected.
+const LanguageSettings = () => {
+  const { language, setLanguage, t } = useLanguage();
+  const [isOpen, setIsOpen] = useState(false);
+  const current = LANGUAGES.find(option => option.id === language);
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="flex items-center text-xs text-gray-400 bg-gray-800/40 px-3 py-1 rounded-lg border border-gray-600/30 hover:text-gray-200"
+        title={t('language.title')}
+      >
+        <Languages size={14} className="mr-1" />
+        <span className="font-medium" lang={current.locale}>{current.label}</span>
+      </button>
+      {isOpen && (
+        <GlassCard className="absolute right-0 mt-2 w-64 p-4 z-20 space-y-3 bg-gray-900/95">
+          <div className="flex justify-between items-center">
+            <h2 className="text-sm font-medium text-gray-300">{t('language.title')}</h2>
+            <button onClick={() => setIsOpen(false)} className="text-gray-500 hover:text-gray-300" title={t('language.close')}>
+              <X size={14} />
+            </button>
+          </div>
+          <div className="grid grid-cols-1 gap-1" role="radiogroup" aria-label={t('language.title')}>
+            {LANGUAGES.map(option => {
+              const isSelected = option.id === language;
+              return (
+                <button
+                  key={option.id}
+                  role="radio"
+                  aria-checked={isSelected}
+                  lang={option.locale}
+                  onClick={() => setLanguage(option.id)}
+                  className={`p-2 rounded-lg text-xs text-left border ${
+                    isSelected
+                      ? 'bg-gray-700/60 text-gray-200 border-gray-500/40'
+                      : 'bg-gray-800/40 text-gray-400 border-gray-600/30 hover:text-gray-200'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              );
+            })}
+          </div>
+          <p className="text-xs text-gray-500">{t('language.hint')}</p>
+        </GlassCard>
+      )}
+    </div>
+  );
+};
+
+export default LanguageSettings;
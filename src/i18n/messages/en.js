@@ -0,0 +1,618 @@
+// --- English Messages ---
+// The reference catalog: every key the app uses is defined here, and any key missing
+// from another language falls back to this text. `{name}` placeholders are filled in by
+// t(key, { name }).
+
+const en = {
+  // App shell
+  'app.skipToContent': 'Skip to content',
+  'app.loading.title': 'Loading your personalized financial dashboard...',
+  'app.loading.detail': 'Connecting to Fi Money MCP...',
+  'app.loading.skeleton': 'Loading your financial dashboard',
+  'app.loading.page': 'Loading page',
+  'app.error.title': 'Error Loading Dashboard',
+  'app.error.tryAgain': 'Try Again',
+  'app.error.reload': 'Reload Page',
+  'app.error.offline': "You're offline; it will refresh once you reconnect.",
+  'app.error.loadFailed': 'Failed to load financial data: {message}',
+  'app.error.unknown': 'Unknown error',
+  'app.error.sessionInvalid': 'Session invalid. Please log in to Fi Money again. You might need to restart your backend server if it generated a new session ID. Error: {message}',
+  'app.signIn.title': 'Sign in to Fi Money',
+  'app.signIn.signedOut': 'You are signed out',
+  'app.signIn.waitingForPopup': 'Complete the Fi Money login in the popup window. Your dashboard will load once you are done.',
+  'app.signIn.prompt': 'Connect your Fi Money account to load your personalized financial dashboard.',
+  'app.signIn.button': 'Sign in with Fi Money',
+  'app.mockData': 'Mock data',
+  'app.mockData.title': 'Data comes from built-in fixtures, not your Fi Money account',
+  'app.refresh.title': 'Refresh data',
+  'app.refresh.refreshing': 'Refreshing...',
+  'app.refresh.updatedAt': 'Updated {time}',
+  'app.session': 'Session: {id}',
+  'app.logOut': 'Log out',
+  'app.logOut.title': 'Log Out',
+  'app.expired.waitingForPopup': 'Complete the Fi Money login in the popup window...',
+  'app.expired.message': 'Your Fi Money session has expired. Sign in again to refresh your data; your dashboard and chat stay as they are.',
+  'app.expired.signInAgain': 'Sign in again',
+  'app.stale.message': 'Showing data as of {time}; it may be out of date. {error}',
+  'app.stale.retry': 'Retry',
+  'app.pageError.title': 'Something went wrong',
+  'app.pageError.message': "This page couldn't be displayed. Try again, or pick another page above.",
+  'app.footer.copyright': '© {year} Fi AI Dashboard. Powered by Fi Money MCP and Google AI.',
+  'app.footer.secure': 'Secure',
+  'app.footer.realTime': 'Real-time',
+  'app.footer.aiPowered': 'AI-Powered',
+
+  // Navigation
+  'nav.label': 'Main',
+  'nav.overview': 'Overview',
+  'nav.investments': 'Investments',
+  'nav.credit': 'Credit',
+  'nav.goals': 'Goals',
+  'nav.whatIf': 'What-If',
+  'nav.alerts': 'Alerts',
+  'nav.chat': 'Chat',
+  'nav.new': 'new',
+
+  // Installing and updating the app
+  'pwa.install': 'Install',
+  'pwa.install.title': 'Install FinSure.Ai as an app',
+  'pwa.update.message': 'A new version of FinSure.Ai is available. Reload to start using it.',
+  'pwa.update.reload': 'Reload',
+
+  // Dashboard sections
+  'section.error.message': "This section couldn't be displayed. The rest of your dashboard is unaffected.",
+  'section.error.tryAgain': 'Try again',
+  'section.history': 'Your Financial History',
+  'section.assetsLiabilities': 'Assets and Liabilities',
+  'section.assetsLiabilities.missing': "Net worth details weren't included in the latest data from Fi Money.",
+  'section.cashFlow': 'Cash Flow',
+  'section.investments': 'Investment Performance Overview',
+  'section.investments.missing': "Mutual fund data wasn't included in the latest data from Fi Money.",
+  'section.credit': 'Credit Report',
+  'section.credit.missing': "Your credit report wasn't included in the latest data from Fi Money.",
+  'section.goals': 'Goals',
+  'section.whatIf': 'What-If Scenarios',
+  'notFound.title': 'Page Not Found',
+  'notFound.message': 'There is nothing at {path}.',
+  'notFound.back': 'Back to Overview',
+
+  // Language picker
+  'language.title': 'Language',
+  'language.close': 'Close',
+  'language.hint': 'Sets the app text, number and date formats, the voice input language and the language of AI replies.',
+
+  // Summary cards
+  'card.netWorth.title': 'Total Net Worth',
+  'card.netWorth.description': 'Your overall financial health',
+  'card.creditScore.title': 'Credit Score',
+  'card.creditScore.unavailable': 'No credit score available',
+  'card.epf.title': 'EPF Balance',
+  'card.epf.description': 'Your retirement corpus',
+  'card.notAvailable': 'N/A',
+  'card.trendingUp': 'Trending up: ',
+  'card.trendingDown': 'Trending down: ',
+  'creditBand.excellent': 'Excellent credit standing',
+  'creditBand.veryGood': 'Very good credit standing',
+  'creditBand.good': 'Good credit standing',
+  'creditBand.fair': 'Fair credit; room to improve',
+  'creditBand.poor': 'Poor credit; needs attention',
+
+  // Trend lines
+  'trend.period.1M': 'over the past month',
+  'trend.period.6M': 'over the past 6 months',
+  'trend.period.1Y': 'over the past year',
+  'trend.period.since': 'since {date}',
+  'trend.percent': '{amount} {period}',
+  'trend.points.noChange': 'No change {period}',
+  'trend.points.improved': 'Improved {change} pts {period}',
+  'trend.points.dropped': 'Dropped {change} pts {period}',
+
+  // Asset and liability breakdown
+  'breakdown.title': 'Your Financial Breakdown',
+  'breakdown.assets': 'Assets ({total})',
+  'breakdown.liabilities': 'Liabilities ({total})',
+
+  // Assets vs. liabilities chart
+  'assetChart.title': 'Assets vs. Liabilities Overview',
+  'assetChart.assets': 'Assets',
+  'assetChart.liabilities': 'Liabilities',
+  'assetChart.item': 'Item',
+  'assetChart.summary': 'Total assets {assets}, total liabilities {liabilities}.',
+
+  // Net worth types, keyed by the Fi Money netWorthAttribute
+  'netWorthType.ASSET_TYPE_MUTUAL_FUND': 'Mutual Funds',
+  'netWorthType.ASSET_TYPE_EPF': 'EPF',
+  'netWorthType.ASSET_TYPE_PPF': 'PPF',
+  'netWorthType.ASSET_TYPE_NPS': 'NPS',
+  'netWorthType.ASSET_TYPE_INDIAN_SECURITIES': 'Indian Stocks',
+  'netWorthType.ASSET_TYPE_US_SECURITIES': 'US Stocks',
+  'netWorthType.ASSET_TYPE_SAVINGS_ACCOUNTS': 'Savings Accounts',
+  'netWorthType.ASSET_TYPE_FIXED_DEPOSIT': 'Fixed Deposits',
+  'netWorthType.ASSET_TYPE_GOLD': 'Gold',
+  'netWorthType.LIABILITY_TYPE_HOME_LOAN': 'Home Loan',
+  'netWorthType.LIABILITY_TYPE_VEHICLE_LOAN': 'Vehicle Loan',
+  'netWorthType.LIABILITY_TYPE_EDUCATION_LOAN': 'Education Loan',
+  'netWorthType.LIABILITY_TYPE_PERSONAL_LOAN': 'Personal Loan',
+  'netWorthType.LIABILITY_TYPE_CREDIT_CARD': 'Credit Card',
+  'netWorthType.LIABILITY_TYPE_CREDIT_CARD_DUES': 'Credit Card Dues',
+  'netWorthType.LIABILITY_TYPE_OTHER_LOAN': 'Other Loans',
+
+  // Charts
+  'chart.showTable': 'Show table',
+  'chart.hideTable': 'Hide table',
+  'chart.tableLabel': '{label} data',
+  'chart.preparing': 'Preparing chart...',
+  'chart.defaultLabel': 'Chart',
+  'chart.labelColumn': 'Label',
+  'chart.series': 'Series {number}',
+
+  // Ask about this
+  'ask.about': 'Ask about {label}',
+  'ask.question.item': 'What should I know about my {label}?',
+  'ask.question.scheme': 'How is {name} doing, and should I keep investing in it?',
+  'ask.question.summary': 'Can you explain my {label}?',
+
+  // Mutual fund performance
+  'portfolio.title': 'Investment Performance Overview',
+  'portfolio.subtitle': 'Monitor your mutual fund performance and get AI-powered insights',
+  'portfolio.empty': 'No mutual fund data available.',
+  'portfolio.invested': 'Invested',
+  'portfolio.currentValue': 'Current Value',
+  'portfolio.returns': 'Returns',
+  'portfolio.xirr': 'Portfolio XIRR',
+  'portfolio.allocation': 'Allocation by Category',
+  'portfolio.category': 'Category',
+  'portfolio.value': 'Value',
+  'portfolio.share': 'Share',
+  'portfolio.underperformers': 'Underperformers ({count})',
+  'portfolio.benchmark': 'Benchmark XIRR (%)',
+  'portfolio.benchmarkDefault': 'Asset class default',
+  'portfolio.allBeatingBenchmark': 'All schemes are beating their benchmark.',
+  'portfolio.reason.negativeXirr': 'Negative XIRR',
+  'portfolio.reason.belowBenchmark': 'Below {benchmark}% benchmark',
+  'portfolio.search': 'Search schemes',
+  'portfolio.searchPlaceholder': 'Search schemes...',
+  'portfolio.filterAssetClass': 'Filter by asset class',
+  'portfolio.allAssetClasses': 'All asset classes',
+  'portfolio.filterAmc': 'Filter by AMC',
+  'portfolio.allAmcs': 'All AMCs',
+  'portfolio.tableCaption': 'Mutual fund schemes, {shown} of {total} shown. Column headers sort the table.',
+  'portfolio.column.name': 'Fund Name',
+  'portfolio.column.xirr': 'XIRR (%)',
+  'portfolio.showTransactions': 'Show Transactions',
+  'portfolio.hideTransactions': 'Hide Transactions',
+  'portfolio.noMatches': 'No schemes match your filters.',
+  'portfolio.transactionsFor': 'Transactions for {name}',
+  'portfolio.noTransactions': 'No transactions found for this scheme.',
+  'portfolio.date': 'Date',
+  'portfolio.type': 'Type',
+  'portfolio.amount': 'Amount',
+
+  // Exports and the printable report
+  'export.button': 'Export',
+  'export.title': 'Export data',
+  'export.privacyNotice': 'Privacy mode is on, but exports include your full figures and chat answers.',
+  'export.dataset.netWorth': 'Assets & liabilities',
+  'export.dataset.mutualFunds': 'Mutual funds',
+  'export.dataset.history': 'Snapshot history',
+  'export.report': 'PDF report...',
+  'export.reportDialog.title': 'PDF Report',
+  'export.reportDialog.close': 'Close',
+  'export.reportDialog.intro': 'The report includes your summary cards, breakdown and the assets vs. liabilities chart. Pick any chat answers to add, then choose "Save as PDF" in the print dialog.',
+  'export.reportDialog.loading': 'Loading chat history...',
+  'export.reportDialog.empty': 'No saved chat answers yet.',
+  'export.reportDialog.print': 'Print report',
+  'report.title': 'FinSure.Ai Financial Report',
+  'report.generated': 'Generated {date}',
+  'report.summary': 'Summary',
+  'report.breakdown': 'Financial Breakdown',
+  'report.assets': 'Assets',
+  'report.liabilities': 'Liabilities',
+  'report.chart': 'Assets vs. Liabilities',
+  'report.chartAlt': 'Bar chart of assets and liabilities by type',
+  'report.questions': 'Questions & Answers',
+  'report.question': 'Q: {question}',
+
+  // Goals and planners
+  'goals.title': 'Your Goals',
+  'goals.add': 'Add goal',
+  'goals.empty': 'No goals yet. Add a home, retirement or education goal to see the monthly SIP it needs.',
+  'goals.type.home': 'Home',
+  'goals.type.retirement': 'Retirement',
+  'goals.type.education': 'Education',
+  'goals.type.other': 'Other',
+  'goals.type.unknown': 'Goal',
+  'goals.funding.manual': 'Amount I enter',
+  'goals.funding.epf': 'EPF balance',
+  'goals.funding.netWorth': 'Net worth',
+  'goals.form.type': 'Goal type',
+  'goals.form.name': 'Name',
+  'goals.form.targetAmount': 'Target amount (₹)',
+  'goals.form.targetDate': 'Target date',
+  'goals.form.fundingSource': 'Saved so far',
+  'goals.form.savedAmount': 'Amount saved (₹)',
+  'goals.form.expectedReturn': 'Expected return (% p.a.)',
+  'goals.form.cancel': 'Cancel',
+  'goals.form.save': 'Save goal',
+  'goals.edit': 'Edit goal',
+  'goals.delete': 'Delete goal',
+  'goals.target': '{type} · {amount} by {date}',
+  'goals.saved': '{amount} saved ({percent}%)',
+  'goals.reached': 'Goal reached',
+  'goals.sip': '{amount}/month SIP',
+  'goals.pastTargetDate': 'Past target date',
+  'goals.dueNow': 'Due now',
+  'goals.years': '{count}y',
+  'goals.months': '{count}m',
+  'goals.timeLeft': '{duration} left',
+  'goals.tool.affordability': 'Loan Affordability',
+  'goals.tool.retirement': 'Retirement Corpus',
+  'affordability.loanAmount': 'Loan amount (₹)',
+  'affordability.interestRate': 'Interest rate (% p.a.)',
+  'affordability.tenure': 'Tenure (years)',
+  'affordability.monthlyIncome': 'Monthly take-home (₹)',
+  'affordability.existingEmi': 'Existing EMIs (₹/month)',
+  'affordability.estimated': 'Estimated {amount}',
+  'affordability.newEmi': 'New EMI',
+  'affordability.totalEmi': 'Total EMIs',
+  'affordability.emiToIncome': 'EMI / Income',
+  'affordability.maxLoan': 'Max Affordable Loan',
+  'affordability.affordable': 'Affordable: total EMIs stay within {percent}% of your take-home pay.',
+  'affordability.stretching': 'Stretching: total EMIs would exceed {percent}% of your take-home pay.',
+  'affordability.needIncome': 'Enter your monthly take-home pay to check affordability.',
+  'retirement.currentAge': 'Current age',
+  'retirement.retirementAge': 'Retirement age',
+  'retirement.monthlyContribution': 'Monthly investment (₹)',
+  'retirement.monthlyExpenses': 'Monthly expenses today (₹)',
+  'retirement.investmentReturn': 'Investment return (% p.a.)',
+  'retirement.inflation': 'Inflation (% p.a.)',
+  'retirement.startingFrom': 'Starting from your EPF balance of {epf} and net worth of {netWorth}.',
+  'retirement.projectedCorpus': 'Projected Corpus',
+  'retirement.requiredCorpus': 'Required Corpus',
+  'retirement.shortfall': 'Shortfall',
+  'retirement.extraSip': 'Extra SIP Needed',
+  'retirement.epf': 'EPF',
+  'retirement.totalCorpus': 'Total Corpus',
+  'retirement.age': 'Age',
+  'retirement.ageTooltip': 'Age {age}',
+  'retirement.chartLabel': 'Retirement corpus projection',
+  'retirement.chartSummary': 'Projected corpus of {projected} at age {age}, against {required} required.',
+
+  // Credit report
+  'credit.title': 'Credit Report',
+  'credit.subtitle': 'What is shaping your credit score and what you can do about it',
+  'credit.empty': 'No credit report available.',
+  'credit.noScore': 'No score',
+  'credit.band.excellent': 'Excellent',
+  'credit.band.veryGood': 'Very Good',
+  'credit.band.good': 'Good',
+  'credit.band.fair': 'Fair',
+  'credit.band.poor': 'Poor',
+  'credit.cardUtilization': 'Card Utilization',
+  'credit.outstanding': 'Outstanding',
+  'credit.overdue': 'Overdue',
+  'credit.actions': 'What you can do',
+  'credit.noActions': 'Not enough report detail to suggest actions.',
+  'credit.accounts': 'Accounts ({open} open of {total})',
+  'credit.column.lender': 'Lender',
+  'credit.column.type': 'Type',
+  'credit.column.balance': 'Balance',
+  'credit.column.limit': 'Limit / Sanctioned',
+  'credit.column.utilization': 'Utilization',
+  'credit.column.pastDue': 'Past Due',
+  'credit.column.paymentHistory': 'Last 12 Months',
+  'credit.openedOn': 'Since {date}',
+  'credit.closedOn': 'Closed {date}',
+  'credit.payment.late': '{days}+ days late',
+  'credit.payment.onTime': 'Paid on time',
+  'credit.payment.unknown': 'Not reported',
+  'credit.enquiries': 'Enquiries ({count} in the last 90 days)',
+  'credit.noEnquiries': 'No enquiries on record.',
+  'credit.unknownLender': 'Unknown lender',
+  'credit.accountType.loan': 'Loan',
+  'credit.accountType.credit': 'Credit',
+  'credit.accountType.autoLoan': 'Auto Loan',
+  'credit.accountType.housingLoan': 'Housing Loan',
+  'credit.accountType.propertyLoan': 'Property Loan',
+  'credit.accountType.loanAgainstShares': 'Loan Against Shares',
+  'credit.accountType.personalLoan': 'Personal Loan',
+  'credit.accountType.consumerLoan': 'Consumer Loan',
+  'credit.accountType.goldLoan': 'Gold Loan',
+  'credit.accountType.educationLoan': 'Education Loan',
+  'credit.accountType.creditCard': 'Credit Card',
+  'credit.accountType.twoWheelerLoan': 'Two-Wheeler Loan',
+  'credit.accountType.loanAgainstFd': 'Loan Against FD',
+  'credit.accountType.commercialVehicleLoan': 'Commercial Vehicle Loan',
+  'credit.accountType.securedCreditCard': 'Secured Credit Card',
+  'credit.accountType.usedCarLoan': 'Used Car Loan',
+  'credit.accountType.businessLoan': 'Business Loan',
+  'credit.factor.overdue.title': 'Overdue payments',
+  'credit.factor.overdue.detail': '{amount} is past due. Clearing it quickly stops further damage to your score.',
+  'credit.factor.overdue.detailWithLenders': '{amount} is past due with {lenders}. Clearing it quickly stops further damage to your score.',
+  'credit.factor.utilization.title': 'High credit card utilization',
+  'credit.factor.utilization.detail': 'You are using {percent}% of your total card limit. Keeping it under 30% helps your score.',
+  'credit.factor.cardUtilization.title': '{lender} card is {percent}% used',
+  'credit.factor.cardUtilization.detail': 'Paying this card down, or spreading spend across cards, lowers per-card utilization.',
+  'credit.factor.latePayments.title': 'Late payments on record',
+  'credit.factor.latePayments.detailOne': '1 late payment in the last {months} months. Setting up auto-pay avoids missed due dates.',
+  'credit.factor.latePayments.detail': '{count} late payments in the last {months} months. Setting up auto-pay avoids missed due dates.',
+  'credit.factor.enquiries.title': 'Recent hard enquiries',
+  'credit.factor.enquiries.detail': '{count} lenders checked your report in the last {days} days. Space out new credit applications.',
+  'credit.factor.historyLength.title': 'Short credit history',
+  'credit.factor.historyLength.detail': 'Your oldest account is under 3 years old. Keeping old accounts open lengthens your history.',
+  'credit.factor.onTime.title': 'Payments on time',
+  'credit.factor.onTime.detail': 'Every recorded payment in the last {months} months was on time.',
+  'credit.factor.lowUtilization.title': 'Healthy card utilization',
+  'credit.factor.lowUtilization.detail': 'You are using {percent}% of your card limits.',
+  'credit.factor.noRecentEnquiries.title': 'No recent enquiries',
+  'credit.factor.noRecentEnquiries.detail': 'No hard enquiries in the last {days} days.',
+
+  // What-if scenarios
+  'scenario.title': 'What-If Scenarios',
+  'scenario.reset': 'Reset',
+  'scenario.assumptions': "Starting from today's net worth of {netWorth}. Assumed returns: {returns} a year; existing loans keep paying their usual EMI.",
+  'scenario.assetClass.equity': 'equity',
+  'scenario.assetClass.debt': 'debt',
+  'scenario.assetClass.cash': 'cash',
+  'scenario.assetClass.other': 'other',
+  'scenario.equityShock': 'Equity shock (%)',
+  'scenario.debtShock': 'Debt shock (%)',
+  'scenario.monthlySip': 'Monthly SIP (₹)',
+  'scenario.years': 'Years to project',
+  'scenario.prepayLiability': 'Prepay a liability',
+  'scenario.noPrepayment': 'None',
+  'scenario.prepayAmount': 'Prepayment (₹)',
+  'scenario.loanAmount': 'New loan (₹)',
+  'scenario.loanRate': 'Rate (% p.a.)',
+  'scenario.loanYears': 'Tenure (years)',
+  'scenario.prepayShortfall': 'Prepayments come out of cash, so only {amount} can be prepaid.',
+  'scenario.baselineIn': 'Baseline in {years}y',
+  'scenario.scenarioIn': 'This Scenario in {years}y',
+  'scenario.difference': 'Difference',
+  'scenario.baseline': 'Baseline',
+  'scenario.thisScenario': 'This scenario',
+  'scenario.now': 'Now',
+  'scenario.year': 'Year {year}',
+  'scenario.yearColumn': 'Year',
+  'scenario.chartLabel': 'Projected net worth',
+  'scenario.chartSummary': 'In {years} years: {scenario} in this scenario against {baseline} for the baseline.',
+  'scenario.chartSummaryComparedOne': 'In {years} years: {scenario} in this scenario against {baseline} for the baseline, compared with 1 saved scenario.',
+  'scenario.chartSummaryCompared': 'In {years} years: {scenario} in this scenario against {baseline} for the baseline, compared with {count} saved scenarios.',
+  'scenario.name': 'Scenario name',
+  'scenario.save': 'Save scenario',
+  'scenario.compare': 'Compare {name}',
+  'scenario.savedResult': '{amount} in {years}y ({difference} vs baseline)',
+  'scenario.loadTitle': 'Load into the editor',
+  'scenario.load': 'Load {name}',
+  'scenario.deleteTitle': 'Delete scenario',
+  'scenario.delete': 'Delete {name}',
+  'scenario.empty': 'No saved scenarios yet. Save one to compare it with others on the chart.',
+  'scenario.describe.equity': 'Equity {change}',
+  'scenario.describe.debt': 'Debt {change}',
+  'scenario.describe.prepay': 'Prepay {amount} of {liability}',
+  'scenario.describe.loan': 'New loan {amount} over {years}y at {rate}%',
+  'scenario.describe.sip': 'SIP {amount}/month',
+  'scenario.describe.none': 'No changes',
+
+  // Financial history
+  'history.title': 'Your Financial History',
+  'history.range.1M': '1M',
+  'history.range.6M': '6M',
+  'history.range.1Y': '1Y',
+  'history.range.ALL': 'All',
+  'history.metric.netWorth': 'Net Worth',
+  'history.metric.assetsLiabilities': 'Assets & Liabilities',
+  'history.metric.creditScore': 'Credit Score',
+  'history.metric.epfBalance': 'EPF Balance',
+  'history.series.totalAssets': 'Total Assets',
+  'history.series.totalLiabilities': 'Total Liabilities',
+  'history.notEnough': 'Not enough history yet. A snapshot is saved each day you open the dashboard, so trends appear from your second visit.',
+  'history.chartLabel': '{metric} history',
+  'history.date': 'Date',
+  'history.summary': '{label} went from {from} on {fromDate} to {to} on {toDate}.',
+
+  // Cash flow
+  'cashflow.category.salary': 'Salary',
+  'cashflow.category.rent': 'Rent',
+  'cashflow.category.emi': 'EMI',
+  'cashflow.category.food': 'Food',
+  'cashflow.category.investments': 'Investments',
+  'cashflow.category.subscriptions': 'Subscriptions',
+  'cashflow.category.bills': 'Bills & Utilities',
+  'cashflow.category.shopping': 'Shopping',
+  'cashflow.category.transport': 'Transport',
+  'cashflow.category.other': 'Other',
+  'cashflow.direction.any': 'Any',
+  'cashflow.direction.credit': 'Money in',
+  'cashflow.direction.debit': 'Money out',
+  'cashflow.recurrence.weekly': 'Weekly',
+  'cashflow.recurrence.monthly': 'Monthly',
+  'cashflow.recurrence.quarterly': 'Quarterly',
+  'cashflow.recurrence.yearly': 'Yearly',
+  'cashflow.rules': 'Rules',
+  'cashflow.reload': 'Reload transactions',
+  'cashflow.loading': 'Loading bank transactions',
+  'cashflow.loadError': "Couldn't load bank transactions: {error}",
+  'cashflow.empty': 'No bank transactions available.',
+  'cashflow.avgIncome': 'Avg. Monthly Income',
+  'cashflow.avgExpenses': 'Avg. Monthly Expenses',
+  'cashflow.savingsRate': 'Savings Rate',
+  'cashflow.recurringMonthly': 'Recurring / Month',
+  'cashflow.incomeVsExpenses': 'Income vs. Expenses',
+  'cashflow.spendingByCategory': 'Spending by Category',
+  'cashflow.topMerchants': 'Top Merchants',
+  'cashflow.paymentsOne': '1 payment',
+  'cashflow.payments': '{count} payments',
+  'cashflow.recurringPayments': 'Recurring Payments ({count})',
+  'cashflow.nextDate': 'next ~{date}',
+  'cashflow.noRecurring': 'No recurring payments detected yet.',
+  'cashflow.chart.incomeExpense': 'Income vs. expenses by month',
+  'cashflow.chart.month': 'Month',
+  'cashflow.chart.income': 'Income',
+  'cashflow.chart.expenses': 'Expenses',
+  'cashflow.chart.net': 'Net',
+  'cashflow.chart.netTooltip': 'Net: {amount}',
+  'cashflow.chart.spending': 'Spending by category',
+  'cashflow.chart.category': 'Category',
+  'cashflow.chart.amount': 'Amount',
+  'cashflow.chart.share': 'Share',
+  'cashflow.rules.title': 'Categorization Rules',
+  'cashflow.rules.restore': 'Restore defaults',
+  'cashflow.rules.help': 'A transaction gets the category of the first rule with a keyword found in its description. Anything unmatched is "{other}".',
+  'cashflow.rules.keywordsPlaceholder': 'Keywords, comma separated',
+  'cashflow.rules.keywords': 'Keywords',
+  'cashflow.rules.direction': 'Direction',
+  'cashflow.rules.category': 'Category',
+  'cashflow.rules.moveUp': 'Move up',
+  'cashflow.rules.moveDown': 'Move down',
+  'cashflow.rules.delete': 'Delete rule',
+  'cashflow.rules.examplePlaceholder': 'e.g. starbucks, chaayos',
+  'cashflow.rules.newKeywords': 'New rule keywords',
+  'cashflow.rules.newDirection': 'New rule direction',
+  'cashflow.rules.newCategory': 'New rule category',
+  'cashflow.rules.add': 'Add rule',
+
+  // Alerts
+  'alerts.unit.percent': '%',
+  'alerts.unit.points': 'points',
+  'alerts.rule.netWorthDrop': 'Net worth drops',
+  'alerts.rule.netWorthDrop.describe': 'Net worth falls more than {threshold}% below its recent high',
+  'alerts.rule.creditScoreChange': 'Credit score changes',
+  'alerts.rule.creditScoreChange.describeOne': 'Credit score moves by 1 point or more',
+  'alerts.rule.creditScoreChange.describe': 'Credit score moves by {threshold} points or more',
+  'alerts.rule.negativeXirr': "A fund's XIRR turns negative",
+  'alerts.rule.negativeXirr.describe': "A mutual fund's XIRR drops below zero",
+  'alerts.rule.liabilityRatio': 'Liabilities exceed a share of assets',
+  'alerts.rule.liabilityRatio.describe': 'Liabilities go above {threshold}% of assets',
+  'alerts.netWorthDrop.title': 'Net worth dropped',
+  'alerts.netWorthDrop.message': 'Net worth fell {drop}% to {amount}, from a high of {high}.',
+  'alerts.netWorthDrop.maskedMessage': 'Net worth fell {drop}% from its recent high.',
+  'alerts.creditScoreUp.title': 'Credit score went up',
+  'alerts.creditScoreDown.title': 'Credit score went down',
+  'alerts.creditScore.message': 'Your credit score moved from {from} to {to}.',
+  'alerts.creditScore.maskedMessageOne': 'Your credit score moved by 1 point.',
+  'alerts.creditScore.maskedMessage': 'Your credit score moved by {change} points.',
+  'alerts.negativeXirr.title': 'Fund returns turned negative',
+  'alerts.negativeXirr.message': '{fund} now has an XIRR of {xirr}%.',
+  'alerts.liabilityRatio.title': 'Liabilities are high',
+  'alerts.liabilityRatio.message': 'Liabilities are {ratio}% of your assets, above your {threshold}% limit.',
+  'alerts.rulesTitle': 'Alert Rules',
+  'alerts.rulesHelp': 'Rules are checked each time your financial summary refreshes, and each one alerts you once when its condition starts to hold. Changes add up across refreshes until a rule alerts; reset a rule to measure from the next refresh instead.',
+  'alerts.enableRule': 'Enable rule: {rule}',
+  'alerts.threshold': 'Threshold ({unit})',
+  'alerts.resetTitle': 'Reset rule',
+  'alerts.reset': 'Reset rule: {rule}',
+  'alerts.deleteTitle': 'Delete rule',
+  'alerts.delete': 'Delete rule: {rule}',
+  'alerts.noRules': 'No rules yet. Add one below to be alerted when something changes.',
+  'alerts.newRule': 'New rule',
+  'alerts.addRule': 'Add rule',
+  'alerts.enableNotifications': 'Enable browser notifications',
+  'alerts.permission.granted': 'Browser notifications are on.',
+  'alerts.permission.denied': 'Browser notifications are blocked. Allow them in your browser settings to get alerts outside this tab.',
+  'alerts.permission.unsupported': "This browser doesn't support notifications; alerts only show on the dashboard.",
+  'alerts.historyTitle': 'Alert History',
+  'alerts.markAllRead': 'Mark all read',
+  'alerts.clear': 'Clear',
+  'alerts.new': 'New: ',
+  'alerts.noAlerts': 'No alerts yet.',
+  'alerts.viewAlerts': 'View alerts',
+  'alerts.dismissTitle': 'Dismiss',
+  'alerts.dismiss': 'Dismiss {title}',
+
+  // Settings popovers
+  'settings.close': 'Close',
+  'settings.matchAppLanguage': 'Match app language',
+  'money.buttonTitle': 'Currency and number format',
+  'money.title': 'Currency & Format',
+  'money.displayCurrency': 'Display currency',
+  'money.locale': 'Locale',
+  'money.numbering': 'Compact units',
+  'money.numbering.lakh': 'Lakh / Crore',
+  'money.numbering.million': 'Million / Billion',
+  'money.compact': 'Use compact amounts ({example})',
+  'money.exchangeRates': 'Exchange rates ({currency} per unit)',
+  'voice.unsupported': 'This browser has no built-in speech recognition, so voice input is unavailable. Spoken replies still work where supported.',
+  'voice.language': 'Language',
+  'voice.mode': 'Microphone mode',
+  'voice.mode.push': 'Push to talk',
+  'voice.mode.dictation': 'Continuous dictation',
+  'voice.mode.push.hint': 'Hold the mic button (or Space while it is focused) and release to finish.',
+  'voice.mode.dictation.hint': 'Click the mic to start dictating and click again when you are done.',
+  'voice.autoSend': 'Send automatically when I stop speaking',
+  'voice.speakReplies': 'Read replies aloud',
+  'voice.voice': 'Voice',
+  'voice.browserDefault': 'Browser default',
+  'voice.rate': 'Speaking rate ({rate}x)',
+  'voice.sample': 'This is how your replies will sound.',
+  'voice.test': 'Test voice',
+  'theme.title': 'Theme',
+  'theme.heading': 'Appearance',
+  'theme.mode.system': 'Match system',
+  'theme.mode.light': 'Light',
+  'theme.mode.dark': 'Dark',
+  'theme.contrast': 'Contrast',
+  'theme.contrast.system': 'Match system',
+  'theme.contrast.normal': 'Standard',
+  'theme.contrast.high': 'High contrast',
+  'privacy.show': 'Show sensitive values',
+  'privacy.hide': 'Hide sensitive values',
+  'privacy.settings': 'Privacy Settings',
+  'privacy.title': 'Privacy',
+  'privacy.help': 'Privacy mode hides amounts, credit scores and your session ID, for when your screen is shared.',
+  'privacy.autoLock': 'Turn on automatically when idle',
+  'privacy.autoLock.never': 'Never',
+  'privacy.autoLock.afterOne': 'After 1 minute',
+  'privacy.autoLock.after': 'After {minutes} minutes',
+
+  // Chat
+  'chat.title': 'Chat with your AI Financial Agent',
+  'chat.history': 'Conversation History',
+  'chat.voiceSettings': 'Voice Settings',
+  'chat.newConversation': 'New Conversation',
+  'chat.conversation': 'Conversation',
+  'chat.sender.user': 'You',
+  'chat.sender.ai': 'FinSure AI',
+  'chat.sender.system': 'Notice',
+  'chat.empty': 'Start by asking me about your finances!',
+  'chat.starter.netWorth': "How's my net worth?",
+  'chat.starter.creditScore': "What's my credit score?",
+  'chat.starter.homeLoan': 'Can I afford a ₹50L home loan?',
+  'chat.suggestedQuestions': 'Suggested questions',
+  'chat.suggestedFollowUps': 'Suggested follow-up questions',
+  'chat.thinking': 'Thinking...',
+  'chat.about': 'About: {label}',
+  'chat.queued': "Waiting to send when you're back online",
+  'chat.queuedAnnouncement': "You're offline. Your message will be sent when you reconnect.",
+  'chat.offline': "You're offline. You can still read earlier conversations, and new questions will be sent when you reconnect.",
+  'chat.stopped': 'Response stopped',
+  'chat.readAloud': 'Read Aloud',
+  'chat.askingAbout': 'Asking about: {label}',
+  'chat.removeContext': 'Remove',
+  'chat.stopAskingAbout': 'Stop asking about {label}',
+  'chat.input.label': 'Ask your financial question',
+  'chat.input.placeholder': 'Ask your financial question...',
+  'chat.input.listening': 'Listening...',
+  'chat.send': 'Send Message',
+  'chat.stop': 'Stop Response',
+  'chat.error.generic': 'Oops! Something went wrong. Please try again.',
+  'chat.error.loginRequired': 'Authentication required with Fi Money. Use "Sign in again" above to log in without losing this conversation, or open this link: {url}',
+  'chat.error.sessionInvalid': 'Session invalid. Please sign in to Fi Money again. Error: {message}',
+  'chat.error.message': 'Error: {message}',
+  'chat.mic.unsupported': 'Voice input is not supported in this browser',
+  'chat.mic.hold': 'Hold to Talk',
+  'chat.mic.startDictation': 'Start Dictation',
+  'chat.mic.stopDictation': 'Stop Dictation',
+  'chat.mic.blocked': 'Microphone access was blocked. Allow it in your browser settings to use voice input.',
+  'chat.mic.error': 'Speech recognition error: {code}. Please try again.',
+  'chat.historyPanel.title': 'Conversations',
+  'chat.historyPanel.close': 'Close History',
+  'chat.historyPanel.search': 'Search past answers...',
+  'chat.historyPanel.noMatches': 'No messages match your search.',
+  'chat.historyPanel.saveTitle': 'Save Title',
+  'chat.historyPanel.rename': 'Rename Conversation',
+  'chat.historyPanel.delete': 'Delete Conversation',
+  'chat.historyPanel.empty': 'No saved conversations yet.',
+};
+
+export default en;
@@ -0,0 +1,616 @@
+// --- Hindi Messages ---
+// Product names (Fi Money, FinSure AI, MCP) and acronyms (EPF, PPF, NPS) stay as they are.
+
+const hi = {
+  // App shell
+  'app.skipToContent': 'मुख्य सामग्री पर जाएँ',
+  'app.loading.title': 'आपका व्यक्तिगत वित्तीय डैशबोर्ड लोड हो रहा है...',
+  'app.loading.detail': 'Fi Money MCP से कनेक्ट हो रहा है...',
+  'app.loading.skeleton': 'आपका वित्तीय डैशबोर्ड लोड हो रहा है',
+  'app.loading.page': 'पेज लोड हो रहा है',
+  'app.error.title': 'डैशबोर्ड लोड करने में त्रुटि',
+  'app.error.tryAgain': 'फिर से कोशिश करें',
+  'app.error.reload': 'पेज रीलोड करें',
+  'app.error.offline': 'आप ऑफ़लाइन हैं; दोबारा कनेक्ट होते ही डेटा रीफ़्रेश हो जाएगा।',
+  'app.error.loadFailed': 'वित्तीय डेटा लोड नहीं हो सका: {message}',
+  'app.error.unknown': 'अज्ञात त्रुटि',
+  'app.error.sessionInvalid': 'सेशन अमान्य है। कृपया Fi Money में फिर से लॉग इन करें। अगर आपके बैकएंड सर्वर ने नया सेशन ID बनाया है, तो उसे रीस्टार्ट करना पड़ सकता है। त्रुटि: {message}',
+  'app.signIn.title': 'Fi Money में साइन इन करें',
+  'app.signIn.signedOut': 'आप साइन आउट हो चुके हैं',
+  'app.signIn.waitingForPopup': 'पॉपअप विंडो में Fi Money लॉग इन पूरा करें। इसके बाद आपका डैशबोर्ड लोड हो जाएगा।',
+  'app.signIn.prompt': 'अपना व्यक्तिगत वित्तीय डैशबोर्ड लोड करने के लिए अपना Fi Money खाता कनेक्ट करें।',
+  'app.signIn.button': 'Fi Money से साइन इन करें',
+  'app.mockData': 'नमूना डेटा',
+  'app.mockData.title': 'डेटा ऐप के अंदर के नमूनों से आ रहा है, आपके Fi Money खाते से नहीं',
+  'app.refresh.title': 'डेटा रीफ़्रेश करें',
+  'app.refresh.refreshing': 'रीफ़्रेश हो रहा है...',
+  'app.refresh.updatedAt': '{time} पर अपडेट किया गया',
+  'app.session': 'सेशन: {id}',
+  'app.logOut': 'लॉग आउट',
+  'app.logOut.title': 'लॉग आउट करें',
+  'app.expired.waitingForPopup': 'पॉपअप विंडो में Fi Money लॉग इन पूरा करें...',
+  'app.expired.message': 'आपका Fi Money सेशन समाप्त हो गया है। डेटा रीफ़्रेश करने के लिए फिर से साइन इन करें; आपका डैशबोर्ड और चैट जैसे हैं वैसे ही रहेंगे।',
+  'app.expired.signInAgain': 'फिर से साइन इन करें',
+  'app.stale.message': '{time} तक का डेटा दिखाया जा रहा है; यह पुराना हो सकता है। {error}',
+  'app.stale.retry': 'फिर से कोशिश करें',
+  'app.pageError.title': 'कुछ गलत हो गया',
+  'app.pageError.message': 'यह पेज दिखाया नहीं जा सका। फिर से कोशिश करें, या ऊपर से कोई दूसरा पेज चुनें।',
+  'app.footer.copyright': '© {year} Fi AI Dashboard. Fi Money MCP और Google AI द्वारा संचालित।',
+  'app.footer.secure': 'सुरक्षित',
+  'app.footer.realTime': 'रियल-टाइम',
+  'app.footer.aiPowered': 'AI-संचालित',
+
+  // Navigation
+  'nav.label': 'मुख्य',
+  'nav.overview': 'ओवरव्यू',
+  'nav.investments': 'निवेश',
+  'nav.credit': 'क्रेडिट',
+  'nav.goals': 'लक्ष्य',
+  'nav.whatIf': 'क्या-अगर',
+  'nav.alerts': 'अलर्ट',
+  'nav.chat': 'चैट',
+  'nav.new': 'नए',
+
+  // Installing and updating the app
+  'pwa.install': 'इंस्टॉल करें',
+  'pwa.install.title': 'FinSure.Ai को ऐप के रूप में इंस्टॉल करें',
+  'pwa.update.message': 'FinSure.Ai का नया वर्ज़न उपलब्ध है। इसे इस्तेमाल करने के लिए पेज फिर से लोड करें।',
+  'pwa.update.reload': 'फिर से लोड करें',
+
+  // Dashboard sections
+  'section.error.message': 'यह हिस्सा दिखाया नहीं जा सका। आपके डैशबोर्ड का बाकी हिस्सा ठीक है।',
+  'section.error.tryAgain': 'फिर से कोशिश करें',
+  'section.history': 'आपका वित्तीय इतिहास',
+  'section.assetsLiabilities': 'संपत्तियाँ और देनदारियाँ',
+  'section.assetsLiabilities.missing': 'Fi Money के ताज़ा डेटा में नेट वर्थ का ब्योरा शामिल नहीं था।',
+  'section.cashFlow': 'कैश फ़्लो',
+  'section.investments': 'निवेश प्रदर्शन का सारांश',
+  'section.investments.missing': 'Fi Money के ताज़ा डेटा में म्यूचुअल फंड का डेटा शामिल नहीं था।',
+  'section.credit': 'क्रेडिट रिपोर्ट',
+  'section.credit.missing': 'Fi Money के ताज़ा डेटा में आपकी क्रेडिट रिपोर्ट शामिल नहीं थी।',
+  'section.goals': 'लक्ष्य',
+  'section.whatIf': 'क्या-होगा-अगर परिदृश्य',
+  'notFound.title': 'पेज नहीं मिला',
+  'notFound.message': '{path} पर कुछ नहीं है।',
+  'notFound.back': 'ओवरव्यू पर वापस जाएँ',
+
+  // Language picker
+  'language.title': 'भाषा',
+  'language.close': 'बंद करें',
+  'language.hint': 'इससे ऐप का टेक्स्ट, संख्या और तारीख़ का फ़ॉर्मैट, वॉइस इनपुट की भाषा और AI जवाबों की भाषा तय होती है।',
+
+  // Summary cards
+  'card.netWorth.title': 'कुल नेट वर्थ',
+  'card.netWorth.description': 'आपकी कुल वित्तीय स्थिति',
+  'card.creditScore.title': 'क्रेडिट स्कोर',
+  'card.creditScore.unavailable': 'कोई क्रेडिट स्कोर उपलब्ध नहीं है',
+  'card.epf.title': 'EPF बैलेंस',
+  'card.epf.description': 'आपकी रिटायरमेंट निधि',
+  'card.notAvailable': 'उपलब्ध नहीं',
+  'card.trendingUp': 'बढ़त: ',
+  'card.trendingDown': 'गिरावट: ',
+  'creditBand.excellent': 'बहुत अच्छी क्रेडिट स्थिति',
+  'creditBand.veryGood': 'काफ़ी अच्छी क्रेडिट स्थिति',
+  'creditBand.good': 'अच्छी क्रेडिट स्थिति',
+  'creditBand.fair': 'ठीक-ठाक क्रेडिट; सुधार की गुंजाइश है',
+  'creditBand.poor': 'कमज़ोर क्रेडिट; ध्यान देने की ज़रूरत है',
+
+  // Trend lines
+  'trend.period.1M': 'पिछले एक महीने में',
+  'trend.period.6M': 'पिछले 6 महीनों में',
+  'trend.period.1Y': 'पिछले एक साल में',
+  'trend.period.since': '{date} से',
+  'trend.percent': '{period} {amount}',
+  'trend.points.noChange': '{period} कोई बदलाव नहीं',
+  'trend.points.improved': '{period} {change} अंकों का सुधार',
+  'trend.points.dropped': '{period} {change} अंकों की गिरावट',
+
+  // Asset and liability breakdown
+  'breakdown.title': 'आपका वित्तीय ब्योरा',
+  'breakdown.assets': 'संपत्तियाँ ({total})',
+  'breakdown.liabilities': 'देनदारियाँ ({total})',
+
+  // Assets vs. liabilities chart
+  'assetChart.title': 'संपत्तियाँ बनाम देनदारियाँ',
+  'assetChart.assets': 'संपत्तियाँ',
+  'assetChart.liabilities': 'देनदारियाँ',
+  'assetChart.item': 'मद',
+  'assetChart.summary': 'कुल संपत्तियाँ {assets}, कुल देनदारियाँ {liabilities}।',
+
+  // Net worth types, keyed by the Fi Money netWorthAttribute
+  'netWorthType.ASSET_TYPE_MUTUAL_FUND': 'म्यूचुअल फंड',
+  'netWorthType.ASSET_TYPE_EPF': 'EPF',
+  'netWorthType.ASSET_TYPE_PPF': 'PPF',
+  'netWorthType.ASSET_TYPE_NPS': 'NPS',
+  'netWorthType.ASSET_TYPE_INDIAN_SECURITIES': 'भारतीय शेयर',
+  'netWorthType.ASSET_TYPE_US_SECURITIES': 'अमेरिकी शेयर',
+  'netWorthType.ASSET_TYPE_SAVINGS_ACCOUNTS': 'बचत खाते',
+  'netWorthType.ASSET_TYPE_FIXED_DEPOSIT': 'सावधि जमा (FD)',
+  'netWorthType.ASSET_TYPE_GOLD': 'सोना',
+  'netWorthType.LIABILITY_TYPE_HOME_LOAN': 'होम लोन',
+  'netWorthType.LIABILITY_TYPE_VEHICLE_LOAN': 'वाहन लोन',
+  'netWorthType.LIABILITY_TYPE_EDUCATION_LOAN': 'शिक्षा लोन',
+  'netWorthType.LIABILITY_TYPE_PERSONAL_LOAN': 'पर्सनल लोन',
+  'netWorthType.LIABILITY_TYPE_CREDIT_CARD': 'क्रेडिट कार्ड',
+  'netWorthType.LIABILITY_TYPE_CREDIT_CARD_DUES': 'क्रेडिट कार्ड बकाया',
+  'netWorthType.LIABILITY_TYPE_OTHER_LOAN': 'अन्य लोन',
+
+  // Charts
+  'chart.showTable': 'तालिका दिखाएँ',
+  'chart.hideTable': 'तालिका छिपाएँ',
+  'chart.tableLabel': '{label} डेटा',
+  'chart.preparing': 'चार्ट तैयार हो रहा है...',
+  'chart.defaultLabel': 'चार्ट',
+  'chart.labelColumn': 'लेबल',
+  'chart.series': 'सीरीज़ {number}',
+
+  // Ask about this
+  'ask.about': '{label} के बारे में पूछें',
+  'ask.question.item': 'मुझे अपने {label} के बारे में क्या जानना चाहिए?',
+  'ask.question.scheme': '{name} कैसा चल रहा है, और क्या मुझे इसमें निवेश जारी रखना चाहिए?',
+  'ask.question.summary': 'क्या आप मेरा {label} समझा सकते हैं?',
+
+  // Mutual fund performance
+  'portfolio.title': 'निवेश प्रदर्शन का सारांश',
+  'portfolio.subtitle': 'अपने म्यूचुअल फंड के प्रदर्शन पर नज़र रखें और AI से सुझाव पाएँ',
+  'portfolio.empty': 'म्यूचुअल फंड का कोई डेटा उपलब्ध नहीं है।',
+  'portfolio.invested': 'निवेश की गई राशि',
+  'portfolio.currentValue': 'मौजूदा मूल्य',
+  'portfolio.returns': 'रिटर्न',
+  'portfolio.xirr': 'पोर्टफोलियो XIRR',
+  'portfolio.allocation': 'श्रेणी के अनुसार आवंटन',
+  'portfolio.category': 'श्रेणी',
+  'portfolio.value': 'मूल्य',
+  'portfolio.share': 'हिस्सा',
+  'portfolio.underperformers': 'कमज़ोर प्रदर्शन वाले फंड ({count})',
+  'portfolio.benchmark': 'बेंचमार्क XIRR (%)',
+  'portfolio.benchmarkDefault': 'एसेट क्लास का डिफ़ॉल्ट',
+  'portfolio.allBeatingBenchmark': 'सभी स्कीमें अपने बेंचमार्क से आगे हैं।',
+  'portfolio.reason.negativeXirr': 'नकारात्मक XIRR',
+  'portfolio.reason.belowBenchmark': '{benchmark}% बेंचमार्क से कम',
+  'portfolio.search': 'स्कीमें खोजें',
+  'portfolio.searchPlaceholder': 'स्कीमें खोजें...',
+  'portfolio.filterAssetClass': 'एसेट क्लास से छाँटें',
+  'portfolio.allAssetClasses': 'सभी एसेट क्लास',
+  'portfolio.filterAmc': 'AMC से छाँटें',
+  'portfolio.allAmcs': 'सभी AMC',
+  'portfolio.tableCaption': 'म्यूचुअल फंड स्कीमें, {total} में से {shown} दिखाई गईं। कॉलम शीर्षक तालिका को क्रमबद्ध करते हैं।',
+  'portfolio.column.name': 'फंड का नाम',
+  'portfolio.column.xirr': 'XIRR (%)',
+  'portfolio.showTransactions': 'लेन-देन दिखाएँ',
+  'portfolio.hideTransactions': 'लेन-देन छिपाएँ',
+  'portfolio.noMatches': 'आपके फ़िल्टर से कोई स्कीम मेल नहीं खाती।',
+  'portfolio.transactionsFor': '{name} के लेन-देन',
+  'portfolio.noTransactions': 'इस स्कीम का कोई लेन-देन नहीं मिला।',
+  'portfolio.date': 'तारीख़',
+  'portfolio.type': 'प्रकार',
+  'portfolio.amount': 'राशि',
+
+  // Exports and the printable report
+  'export.button': 'एक्सपोर्ट',
+  'export.title': 'डेटा एक्सपोर्ट करें',
+  'export.privacyNotice': 'प्राइवेसी मोड चालू है, फिर भी एक्सपोर्ट में आपके पूरे आँकड़े और चैट के जवाब शामिल होते हैं।',
+  'export.dataset.netWorth': 'संपत्तियाँ और देनदारियाँ',
+  'export.dataset.mutualFunds': 'म्यूचुअल फंड',
+  'export.dataset.history': 'स्नैपशॉट इतिहास',
+  'export.report': 'PDF रिपोर्ट...',
+  'export.reportDialog.title': 'PDF रिपोर्ट',
+  'export.reportDialog.close': 'बंद करें',
+  'export.reportDialog.intro': 'रिपोर्ट में आपके सारांश कार्ड, ब्योरा और संपत्तियाँ बनाम देनदारियाँ चार्ट शामिल हैं। जोड़ने के लिए चैट के जवाब चुनें, फिर प्रिंट डायलॉग में "Save as PDF" चुनें।',
+  'export.reportDialog.loading': 'चैट इतिहास लोड हो रहा है...',
+  'export.reportDialog.empty': 'अभी तक चैट का कोई जवाब सहेजा नहीं गया है।',
+  'export.reportDialog.print': 'रिपोर्ट प्रिंट करें',
+  'report.title': 'FinSure.Ai वित्तीय रिपोर्ट',
+  'report.generated': '{date} को बनाई गई',
+  'report.summary': 'सारांश',
+  'report.breakdown': 'वित्तीय ब्योरा',
+  'report.assets': 'संपत्तियाँ',
+  'report.liabilities': 'देनदारियाँ',
+  'report.chart': 'संपत्तियाँ बनाम देनदारियाँ',
+  'report.chartAlt': 'प्रकार के अनुसार संपत्तियों और देनदारियों का बार चार्ट',
+  'report.questions': 'सवाल और जवाब',
+  'report.question': 'सवाल: {question}',
+
+  // Goals and planners
+  'goals.title': 'आपके लक्ष्य',
+  'goals.add': 'लक्ष्य जोड़ें',
+  'goals.empty': 'अभी कोई लक्ष्य नहीं है। घर, रिटायरमेंट या शिक्षा का लक्ष्य जोड़ें और देखें कि उसके लिए हर महीने कितनी SIP चाहिए।',
+  'goals.type.home': 'घर',
+  'goals.type.retirement': 'रिटायरमेंट',
+  'goals.type.education': 'शिक्षा',
+  'goals.type.other': 'अन्य',
+  'goals.type.unknown': 'लक्ष्य',
+  'goals.funding.manual': 'मेरे द्वारा दर्ज राशि',
+  'goals.funding.epf': 'EPF बैलेंस',
+  'goals.funding.netWorth': 'नेट वर्थ',
+  'goals.form.type': 'लक्ष्य का प्रकार',
+  'goals.form.name': 'नाम',
+  'goals.form.targetAmount': 'लक्ष्य राशि (₹)',
+  'goals.form.targetDate': 'लक्ष्य की तारीख़',
+  'goals.form.fundingSource': 'अब तक की बचत',
+  'goals.form.savedAmount': 'बचाई गई राशि (₹)',
+  'goals.form.expectedReturn': 'अपेक्षित रिटर्न (% सालाना)',
+  'goals.form.cancel': 'रद्द करें',
+  'goals.form.save': 'लक्ष्य सहेजें',
+  'goals.edit': 'लक्ष्य बदलें',
+  'goals.delete': 'लक्ष्य हटाएँ',
+  'goals.target': '{type} · {date} तक {amount}',
+  'goals.saved': '{amount} बचाए गए ({percent}%)',
+  'goals.reached': 'लक्ष्य पूरा हुआ',
+  'goals.sip': '{amount}/महीना SIP',
+  'goals.pastTargetDate': 'लक्ष्य की तारीख़ निकल गई',
+  'goals.dueNow': 'अभी देय',
+  'goals.years': '{count} साल',
+  'goals.months': '{count} महीने',
+  'goals.timeLeft': '{duration} बाकी',
+  'goals.tool.affordability': 'लोन की क्षमता',
+  'goals.tool.retirement': 'रिटायरमेंट कोष',
+  'affordability.loanAmount': 'लोन राशि (₹)',
+  'affordability.interestRate': 'ब्याज दर (% सालाना)',
+  'affordability.tenure': 'अवधि (साल)',
+  'affordability.monthlyIncome': 'मासिक टेक-होम वेतन (₹)',
+  'affordability.existingEmi': 'मौजूदा EMI (₹/महीना)',
+  'affordability.estimated': 'अनुमानित {amount}',
+  'affordability.newEmi': 'नई EMI',
+  'affordability.totalEmi': 'कुल EMI',
+  'affordability.emiToIncome': 'EMI / आय',
+  'affordability.maxLoan': 'अधिकतम संभव लोन',
+  'affordability.affordable': 'संभव: कुल EMI आपके टेक-होम वेतन के {percent}% के भीतर रहती हैं।',
+  'affordability.stretching': 'भारी: कुल EMI आपके टेक-होम वेतन के {percent}% से ज़्यादा हो जाएँगी।',
+  'affordability.needIncome': 'क्षमता जाँचने के लिए अपना मासिक टेक-होम वेतन दर्ज करें।',
+  'retirement.currentAge': 'मौजूदा उम्र',
+  'retirement.retirementAge': 'रिटायरमेंट की उम्र',
+  'retirement.monthlyContribution': 'मासिक निवेश (₹)',
+  'retirement.monthlyExpenses': 'आज का मासिक खर्च (₹)',
+  'retirement.investmentReturn': 'निवेश रिटर्न (% सालाना)',
+  'retirement.inflation': 'महँगाई (% सालाना)',
+  'retirement.startingFrom': 'आपके {epf} के EPF बैलेंस और {netWorth} की नेट वर्थ से शुरू करते हुए।',
+  'retirement.projectedCorpus': 'अनुमानित कोष',
+  'retirement.requiredCorpus': 'ज़रूरी कोष',
+  'retirement.shortfall': 'कमी',
+  'retirement.extraSip': 'ज़रूरी अतिरिक्त SIP',
+  'retirement.epf': 'EPF',
+  'retirement.totalCorpus': 'कुल कोष',
+  'retirement.age': 'उम्र',
+  'retirement.ageTooltip': 'उम्र {age}',
+  'retirement.chartLabel': 'रिटायरमेंट कोष का अनुमान',
+  'retirement.chartSummary': '{age} की उम्र पर {projected} का अनुमानित कोष, जबकि {required} ज़रूरी है।',
+
+  // Credit report
+  'credit.title': 'क्रेडिट रिपोर्ट',
+  'credit.subtitle': 'आपके क्रेडिट स्कोर पर क्या असर डाल रहा है और आप क्या कर सकते हैं',
+  'credit.empty': 'कोई क्रेडिट रिपोर्ट उपलब्ध नहीं है।',
+  'credit.noScore': 'कोई स्कोर नहीं',
+  'credit.band.excellent': 'बहुत अच्छा',
+  'credit.band.veryGood': 'काफ़ी अच्छा',
+  'credit.band.good': 'अच्छा',
+  'credit.band.fair': 'ठीक-ठाक',
+  'credit.band.poor': 'कमज़ोर',
+  'credit.cardUtilization': 'कार्ड उपयोग',
+  'credit.outstanding': 'बकाया',
+  'credit.overdue': 'अतिदेय',
+  'credit.actions': 'आप क्या कर सकते हैं',
+  'credit.noActions': 'सुझाव देने के लिए रिपोर्ट में पर्याप्त जानकारी नहीं है।',
+  'credit.accounts': 'खाते ({total} में से {open} चालू)',
+  'credit.column.lender': 'ऋणदाता',
+  'credit.column.type': 'प्रकार',
+  'credit.column.balance': 'बैलेंस',
+  'credit.column.limit': 'सीमा / स्वीकृत राशि',
+  'credit.column.utilization': 'उपयोग',
+  'credit.column.pastDue': 'अतिदेय राशि',
+  'credit.column.paymentHistory': 'पिछले 12 महीने',
+  'credit.openedOn': '{date} से',
+  'credit.closedOn': '{date} को बंद',
+  'credit.payment.late': '{days}+ दिन देर से',
+  'credit.payment.onTime': 'समय पर भुगतान',
+  'credit.payment.unknown': 'रिपोर्ट नहीं किया गया',
+  'credit.enquiries': 'पूछताछ (पिछले 90 दिनों में {count})',
+  'credit.noEnquiries': 'कोई पूछताछ दर्ज नहीं है।',
+  'credit.unknownLender': 'अज्ञात ऋणदाता',
+  'credit.accountType.loan': 'लोन',
+  'credit.accountType.credit': 'क्रेडिट',
+  'credit.accountType.autoLoan': 'ऑटो लोन',
+  'credit.accountType.housingLoan': 'होम लोन',
+  'credit.accountType.propertyLoan': 'प्रॉपर्टी लोन',
+  'credit.accountType.loanAgainstShares': 'शेयरों पर लोन',
+  'credit.accountType.personalLoan': 'पर्सनल लोन',
+  'credit.accountType.consumerLoan': 'कंज़्यूमर लोन',
+  'credit.accountType.goldLoan': 'गोल्ड लोन',
+  'credit.accountType.educationLoan': 'शिक्षा लोन',
+  'credit.accountType.creditCard': 'क्रेडिट कार्ड',
+  'credit.accountType.twoWheelerLoan': 'दोपहिया लोन',
+  'credit.accountType.loanAgainstFd': 'FD पर लोन',
+  'credit.accountType.commercialVehicleLoan': 'व्यावसायिक वाहन लोन',
+  'credit.accountType.securedCreditCard': 'सिक्योर्ड क्रेडिट कार्ड',
+  'credit.accountType.usedCarLoan': 'पुरानी कार का लोन',
+  'credit.accountType.businessLoan': 'बिज़नेस लोन',
+  'credit.factor.overdue.title': 'अतिदेय भुगतान',
+  'credit.factor.overdue.detail': '{amount} का भुगतान बाकी है। इसे जल्दी चुकाने से आपके स्कोर को और नुकसान नहीं होगा।',
+  'credit.factor.overdue.detailWithLenders': '{lenders} के साथ {amount} का भुगतान बाकी है। इसे जल्दी चुकाने से आपके स्कोर को और नुकसान नहीं होगा।',
+  'credit.factor.utilization.title': 'क्रेडिट कार्ड का ज़्यादा उपयोग',
+  'credit.factor.utilization.detail': 'आप अपनी कुल कार्ड सीमा का {percent}% इस्तेमाल कर रहे हैं। इसे 30% से कम रखना आपके स्कोर के लिए अच्छा है।',
+  'credit.factor.cardUtilization.title': '{lender} कार्ड का {percent}% इस्तेमाल हो चुका है',
+  'credit.factor.cardUtilization.detail': 'इस कार्ड का बकाया घटाने या खर्च को कई कार्डों में बाँटने से प्रति कार्ड उपयोग कम होता है।',
+  'credit.factor.latePayments.title': 'देर से किए गए भुगतान दर्ज हैं',
+  'credit.factor.latePayments.detailOne': 'पिछले {months} महीनों में 1 भुगतान देर से हुआ। ऑटो-पे सेट करने से कोई देय तारीख़ नहीं छूटती।',
+  'credit.factor.latePayments.detail': 'पिछले {months} महीनों में {count} भुगतान देर से हुए। ऑटो-पे सेट करने से कोई देय तारीख़ नहीं छूटती।',
+  'credit.factor.enquiries.title': 'हाल की हार्ड पूछताछ',
+  'credit.factor.enquiries.detail': 'पिछले {days} दिनों में {count} ऋणदाताओं ने आपकी रिपोर्ट देखी। नए क्रेडिट के आवेदन के बीच अंतर रखें।',
+  'credit.factor.historyLength.title': 'छोटा क्रेडिट इतिहास',
+  'credit.factor.historyLength.detail': 'आपका सबसे पुराना खाता 3 साल से कम पुराना है। पुराने खाते चालू रखने से आपका इतिहास लंबा होता है।',
+  'credit.factor.onTime.title': 'समय पर भुगतान',
+  'credit.factor.onTime.detail': 'पिछले {months} महीनों का हर दर्ज भुगतान समय पर हुआ।',
+  'credit.factor.lowUtilization.title': 'कार्ड का सही उपयोग',
+  'credit.factor.lowUtilization.detail': 'आप अपनी कार्ड सीमाओं का {percent}% इस्तेमाल कर रहे हैं।',
+  'credit.factor.noRecentEnquiries.title': 'हाल में कोई पूछताछ नहीं',
+  'credit.factor.noRecentEnquiries.detail': 'पिछले {days} दिनों में कोई हार्ड पूछताछ नहीं हुई।',
+
+  // What-if scenarios
+  'scenario.title': 'क्या-होगा-अगर परिदृश्य',
+  'scenario.reset': 'रीसेट करें',
+  'scenario.assumptions': 'आज की {netWorth} की नेट वर्थ से शुरू करते हुए। अनुमानित सालाना रिटर्न: {returns}; मौजूदा लोन अपनी सामान्य EMI चुकाते रहेंगे।',
+  'scenario.assetClass.equity': 'इक्विटी',
+  'scenario.assetClass.debt': 'डेट',
+  'scenario.assetClass.cash': 'नकद',
+  'scenario.assetClass.other': 'अन्य',
+  'scenario.equityShock': 'इक्विटी झटका (%)',
+  'scenario.debtShock': 'डेट झटका (%)',
+  'scenario.monthlySip': 'मासिक SIP (₹)',
+  'scenario.years': 'अनुमान के साल',
+  'scenario.prepayLiability': 'किसी देनदारी का पूर्व-भुगतान',
+  'scenario.noPrepayment': 'कोई नहीं',
+  'scenario.prepayAmount': 'पूर्व-भुगतान (₹)',
+  'scenario.loanAmount': 'नया लोन (₹)',
+  'scenario.loanRate': 'दर (% सालाना)',
+  'scenario.loanYears': 'अवधि (साल)',
+  'scenario.prepayShortfall': 'पूर्व-भुगतान नकद से होता है, इसलिए केवल {amount} का पूर्व-भुगतान हो सकता है।',
+  'scenario.baselineIn': '{years} साल में बेसलाइन',
+  'scenario.scenarioIn': '{years} साल में यह परिदृश्य',
+  'scenario.difference': 'अंतर',
+  'scenario.baseline': 'बेसलाइन',
+  'scenario.thisScenario': 'यह परिदृश्य',
+  'scenario.now': 'अभी',
+  'scenario.year': 'साल {year}',
+  'scenario.yearColumn': 'साल',
+  'scenario.chartLabel': 'अनुमानित नेट वर्थ',
+  'scenario.chartSummary': '{years} साल में: इस परिदृश्य में {scenario}, जबकि बेसलाइन में {baseline}।',
+  'scenario.chartSummaryComparedOne': '{years} साल में: इस परिदृश्य में {scenario}, जबकि बेसलाइन में {baseline}, 1 सहेजे गए परिदृश्य से तुलना के साथ।',
+  'scenario.chartSummaryCompared': '{years} साल में: इस परिदृश्य में {scenario}, जबकि बेसलाइन में {baseline}, {count} सहेजे गए परिदृश्यों से तुलना के साथ।',
+  'scenario.name': 'परिदृश्य का नाम',
+  'scenario.save': 'परिदृश्य सहेजें',
+  'scenario.compare': '{name} की तुलना करें',
+  'scenario.savedResult': '{years} साल में {amount} (बेसलाइन की तुलना में {difference})',
+  'scenario.loadTitle': 'एडिटर में लोड करें',
+  'scenario.load': '{name} लोड करें',
+  'scenario.deleteTitle': 'परिदृश्य हटाएँ',
+  'scenario.delete': '{name} हटाएँ',
+  'scenario.empty': 'अभी कोई परिदृश्य सहेजा नहीं गया है। चार्ट पर दूसरों से तुलना करने के लिए एक सहेजें।',
+  'scenario.describe.equity': 'इक्विटी {change}',
+  'scenario.describe.debt': 'डेट {change}',
+  'scenario.describe.prepay': '{liability} का {amount} पूर्व-भुगतान',
+  'scenario.describe.loan': '{years} साल के लिए {rate}% पर {amount} का नया लोन',
+  'scenario.describe.sip': 'SIP {amount}/महीना',
+  'scenario.describe.none': 'कोई बदलाव नहीं',
+
+  // Financial history
+  'history.title': 'आपका वित्तीय इतिहास',
+  'history.range.1M': '1 माह',
+  'history.range.6M': '6 माह',
+  'history.range.1Y': '1 साल',
+  'history.range.ALL': 'सभी',
+  'history.metric.netWorth': 'नेट वर्थ',
+  'history.metric.assetsLiabilities': 'संपत्तियाँ और देनदारियाँ',
+  'history.metric.creditScore': 'क्रेडिट स्कोर',
+  'history.metric.epfBalance': 'EPF बैलेंस',
+  'history.series.totalAssets': 'कुल संपत्तियाँ',
+  'history.series.totalLiabilities': 'कुल देनदारियाँ',
+  'history.notEnough': 'अभी पर्याप्त इतिहास नहीं है। हर दिन डैशबोर्ड खोलने पर एक स्नैपशॉट सहेजा जाता है, इसलिए रुझान आपकी दूसरी विज़िट से दिखेंगे।',
+  'history.chartLabel': '{metric} का इतिहास',
+  'history.date': 'तारीख़',
+  'history.summary': '{label} {fromDate} को {from} से बदलकर {toDate} को {to} हो गया।',
+
+  // Cash flow
+  'cashflow.category.salary': 'वेतन',
+  'cashflow.category.rent': 'किराया',
+  'cashflow.category.emi': 'EMI',
+  'cashflow.category.food': 'खाना',
+  'cashflow.category.investments': 'निवेश',
+  'cashflow.category.subscriptions': 'सब्सक्रिप्शन',
+  'cashflow.category.bills': 'बिल और यूटिलिटी',
+  'cashflow.category.shopping': 'खरीदारी',
+  'cashflow.category.transport': 'यातायात',
+  'cashflow.category.other': 'अन्य',
+  'cashflow.direction.any': 'कोई भी',
+  'cashflow.direction.credit': 'आने वाला पैसा',
+  'cashflow.direction.debit': 'जाने वाला पैसा',
+  'cashflow.recurrence.weekly': 'साप्ताहिक',
+  'cashflow.recurrence.monthly': 'मासिक',
+  'cashflow.recurrence.quarterly': 'तिमाही',
+  'cashflow.recurrence.yearly': 'वार्षिक',
+  'cashflow.rules': 'नियम',
+  'cashflow.reload': 'लेन-देन फिर से लोड करें',
+  'cashflow.loading': 'बैंक लेन-देन लोड हो रहे हैं',
+  'cashflow.loadError': 'बैंक लेन-देन लोड नहीं हो सके: {error}',
+  'cashflow.empty': 'कोई बैंक लेन-देन उपलब्ध नहीं है।',
+  'cashflow.avgIncome': 'औसत मासिक आय',
+  'cashflow.avgExpenses': 'औसत मासिक खर्च',
+  'cashflow.savingsRate': 'बचत दर',
+  'cashflow.recurringMonthly': 'आवर्ती / महीना',
+  'cashflow.incomeVsExpenses': 'आय बनाम खर्च',
+  'cashflow.spendingByCategory': 'श्रेणी के अनुसार खर्च',
+  'cashflow.topMerchants': 'प्रमुख व्यापारी',
+  'cashflow.paymentsOne': '1 भुगतान',
+  'cashflow.payments': '{count} भुगतान',
+  'cashflow.recurringPayments': 'आवर्ती भुगतान ({count})',
+  'cashflow.nextDate': 'अगला ~{date}',
+  'cashflow.noRecurring': 'अभी तक कोई आवर्ती भुगतान नहीं मिला।',
+  'cashflow.chart.incomeExpense': 'महीने के अनुसार आय बनाम खर्च',
+  'cashflow.chart.month': 'महीना',
+  'cashflow.chart.income': 'आय',
+  'cashflow.chart.expenses': 'खर्च',
+  'cashflow.chart.net': 'शुद्ध',
+  'cashflow.chart.netTooltip': 'शुद्ध: {amount}',
+  'cashflow.chart.spending': 'श्रेणी के अनुसार खर्च',
+  'cashflow.chart.category': 'श्रेणी',
+  'cashflow.chart.amount': 'राशि',
+  'cashflow.chart.share': 'हिस्सा',
+  'cashflow.rules.title': 'श्रेणी नियम',
+  'cashflow.rules.restore': 'डिफ़ॉल्ट बहाल करें',
+  'cashflow.rules.help': 'किसी लेन-देन को उस पहले नियम की श्रेणी मिलती है जिसका कोई कीवर्ड उसके विवरण में हो। जो किसी से मेल नहीं खाता, वह "{other}" है।',
+  'cashflow.rules.keywordsPlaceholder': 'कीवर्ड, कॉमा से अलग',
+  'cashflow.rules.keywords': 'कीवर्ड',
+  'cashflow.rules.direction': 'दिशा',
+  'cashflow.rules.category': 'श्रेणी',
+  'cashflow.rules.moveUp': 'ऊपर ले जाएँ',
+  'cashflow.rules.moveDown': 'नीचे ले जाएँ',
+  'cashflow.rules.delete': 'नियम हटाएँ',
+  'cashflow.rules.examplePlaceholder': 'जैसे starbucks, chaayos',
+  'cashflow.rules.newKeywords': 'नए नियम के कीवर्ड',
+  'cashflow.rules.newDirection': 'नए नियम की दिशा',
+  'cashflow.rules.newCategory': 'नए नियम की श्रेणी',
+  'cashflow.rules.add': 'नियम जोड़ें',
+
+  // Alerts
+  'alerts.unit.percent': '%',
+  'alerts.unit.points': 'अंक',
+  'alerts.rule.netWorthDrop': 'नेट वर्थ गिरती है',
+  'alerts.rule.netWorthDrop.describe': 'नेट वर्थ अपने हाल के उच्चतम स्तर से {threshold}% से ज़्यादा गिरती है',
+  'alerts.rule.creditScoreChange': 'क्रेडिट स्कोर बदलता है',
+  'alerts.rule.creditScoreChange.describeOne': 'क्रेडिट स्कोर 1 अंक या उससे ज़्यादा बदलता है',
+  'alerts.rule.creditScoreChange.describe': 'क्रेडिट स्कोर {threshold} अंक या उससे ज़्यादा बदलता है',
+  'alerts.rule.negativeXirr': 'किसी फ़ंड का XIRR नकारात्मक होता है',
+  'alerts.rule.negativeXirr.describe': 'किसी म्यूचुअल फ़ंड का XIRR शून्य से नीचे जाता है',
+  'alerts.rule.liabilityRatio': 'देनदारियाँ संपत्ति के एक हिस्से से ज़्यादा होती हैं',
+  'alerts.rule.liabilityRatio.describe': 'देनदारियाँ संपत्ति के {threshold}% से ऊपर जाती हैं',
+  'alerts.netWorthDrop.title': 'नेट वर्थ गिरी',
+  'alerts.netWorthDrop.message': 'नेट वर्थ {drop}% गिरकर {amount} हो गई, जो {high} के उच्चतम स्तर पर थी।',
+  'alerts.netWorthDrop.maskedMessage': 'नेट वर्थ अपने हाल के उच्चतम स्तर से {drop}% गिरी।',
+  'alerts.creditScoreUp.title': 'क्रेडिट स्कोर बढ़ा',
+  'alerts.creditScoreDown.title': 'क्रेडिट स्कोर घटा',
+  'alerts.creditScore.message': 'आपका क्रेडिट स्कोर {from} से {to} हो गया।',
+  'alerts.creditScore.maskedMessageOne': 'आपका क्रेडिट स्कोर 1 अंक बदला।',
+  'alerts.creditScore.maskedMessage': 'आपका क्रेडिट स्कोर {change} अंक बदला।',
+  'alerts.negativeXirr.title': 'फ़ंड का रिटर्न नकारात्मक हुआ',
+  'alerts.negativeXirr.message': '{fund} का XIRR अब {xirr}% है।',
+  'alerts.liabilityRatio.title': 'देनदारियाँ ज़्यादा हैं',
+  'alerts.liabilityRatio.message': 'देनदारियाँ आपकी संपत्ति का {ratio}% हैं, जो आपकी {threshold}% की सीमा से ऊपर है।',
+  'alerts.rulesTitle': 'अलर्ट नियम',
+  'alerts.rulesHelp': 'हर बार आपका वित्तीय सारांश रीफ़्रेश होने पर नियम जाँचे जाते हैं, और हर नियम अपनी शर्त पूरी होना शुरू होने पर एक बार अलर्ट करता है। नियम के अलर्ट करने तक बदलाव रीफ़्रेश के पार जुड़ते रहते हैं; अगले रीफ़्रेश से मापने के लिए नियम रीसेट करें।',
+  'alerts.enableRule': 'नियम चालू करें: {rule}',
+  'alerts.threshold': 'सीमा ({unit})',
+  'alerts.resetTitle': 'नियम रीसेट करें',
+  'alerts.reset': 'नियम रीसेट करें: {rule}',
+  'alerts.deleteTitle': 'नियम हटाएँ',
+  'alerts.delete': 'नियम हटाएँ: {rule}',
+  'alerts.noRules': 'अभी कोई नियम नहीं है। कुछ बदलने पर अलर्ट पाने के लिए नीचे एक जोड़ें।',
+  'alerts.newRule': 'नया नियम',
+  'alerts.addRule': 'नियम जोड़ें',
+  'alerts.enableNotifications': 'ब्राउज़र सूचनाएँ चालू करें',
+  'alerts.permission.granted': 'ब्राउज़र सूचनाएँ चालू हैं।',
+  'alerts.permission.denied': 'ब्राउज़र सूचनाएँ ब्लॉक हैं। इस टैब के बाहर अलर्ट पाने के लिए अपने ब्राउज़र की सेटिंग्स में इन्हें अनुमति दें।',
+  'alerts.permission.unsupported': 'यह ब्राउज़र सूचनाओं का समर्थन नहीं करता; अलर्ट केवल डैशबोर्ड पर दिखते हैं।',
+  'alerts.historyTitle': 'अलर्ट इतिहास',
+  'alerts.markAllRead': 'सभी को पढ़ा हुआ चिह्नित करें',
+  'alerts.clear': 'साफ़ करें',
+  'alerts.new': 'नया: ',
+  'alerts.noAlerts': 'अभी कोई अलर्ट नहीं है।',
+  'alerts.viewAlerts': 'अलर्ट देखें',
+  'alerts.dismissTitle': 'हटाएँ',
+  'alerts.dismiss': '{title} हटाएँ',
+
+  // Settings popovers
+  'settings.close': 'बंद करें',
+  'settings.matchAppLanguage': 'ऐप की भाषा के अनुसार',
+  'money.buttonTitle': 'मुद्रा और संख्या प्रारूप',
+  'money.title': 'मुद्रा और प्रारूप',
+  'money.displayCurrency': 'दिखाई जाने वाली मुद्रा',
+  'money.locale': 'लोकेल',
+  'money.numbering': 'संक्षिप्त इकाइयाँ',
+  'money.numbering.lakh': 'लाख / करोड़',
+  'money.numbering.million': 'मिलियन / बिलियन',
+  'money.compact': 'संक्षिप्त राशियाँ दिखाएँ ({example})',
+  'money.exchangeRates': 'विनिमय दरें (प्रति इकाई {currency})',
+  'voice.unsupported': 'इस ब्राउज़र में बिल्ट-इन वाक् पहचान नहीं है, इसलिए आवाज़ से इनपुट उपलब्ध नहीं है। जहाँ समर्थित हो, बोले गए जवाब फिर भी काम करते हैं।',
+  'voice.language': 'भाषा',
+  'voice.mode': 'माइक्रोफ़ोन मोड',
+  'voice.mode.push': 'दबाकर बोलें',
+  'voice.mode.dictation': 'लगातार डिक्टेशन',
+  'voice.mode.push.hint': 'माइक बटन (या उस पर फ़ोकस होने पर Space) दबाए रखें और समाप्त करने के लिए छोड़ दें।',
+  'voice.mode.dictation.hint': 'बोलना शुरू करने के लिए माइक पर क्लिक करें और पूरा होने पर फिर से क्लिक करें।',
+  'voice.autoSend': 'बोलना बंद करने पर अपने-आप भेजें',
+  'voice.speakReplies': 'जवाब पढ़कर सुनाएँ',
+  'voice.voice': 'आवाज़',
+  'voice.browserDefault': 'ब्राउज़र डिफ़ॉल्ट',
+  'voice.rate': 'बोलने की गति ({rate}x)',
+  'voice.sample': 'आपके जवाब ऐसे सुनाई देंगे।',
+  'voice.test': 'आवाज़ जाँचें',
+  'theme.title': 'थीम',
+  'theme.heading': 'रूप-रंग',
+  'theme.mode.system': 'सिस्टम के अनुसार',
+  'theme.mode.light': 'हल्की',
+  'theme.mode.dark': 'गहरी',
+  'theme.contrast': 'कंट्रास्ट',
+  'theme.contrast.system': 'सिस्टम के अनुसार',
+  'theme.contrast.normal': 'सामान्य',
+  'theme.contrast.high': 'उच्च कंट्रास्ट',
+  'privacy.show': 'संवेदनशील जानकारी दिखाएँ',
+  'privacy.hide': 'संवेदनशील जानकारी छिपाएँ',
+  'privacy.settings': 'गोपनीयता सेटिंग्स',
+  'privacy.title': 'गोपनीयता',
+  'privacy.help': 'स्क्रीन शेयर करते समय के लिए, गोपनीयता मोड राशियाँ, क्रेडिट स्कोर और आपकी सत्र ID छिपा देता है।',
+  'privacy.autoLock': 'निष्क्रिय रहने पर अपने-आप चालू करें',
+  'privacy.autoLock.never': 'कभी नहीं',
+  'privacy.autoLock.afterOne': '1 मिनट बाद',
+  'privacy.autoLock.after': '{minutes} मिनट बाद',
+
+  // Chat
+  'chat.title': 'अपने AI वित्तीय सहायक से बात करें',
+  'chat.history': 'बातचीत का इतिहास',
+  'chat.voiceSettings': 'वॉइस सेटिंग्स',
+  'chat.newConversation': 'नई बातचीत',
+  'chat.conversation': 'बातचीत',
+  'chat.sender.user': 'आप',
+  'chat.sender.ai': 'FinSure AI',
+  'chat.sender.system': 'सूचना',
+  'chat.empty': 'अपने वित्त के बारे में कुछ भी पूछकर शुरू करें!',
+  'chat.starter.netWorth': 'मेरी नेट वर्थ कैसी है?',
+  'chat.starter.creditScore': 'मेरा क्रेडिट स्कोर क्या है?',
+  'chat.starter.homeLoan': 'क्या मैं ₹50L का होम लोन ले सकता हूँ?',
+  'chat.suggestedQuestions': 'सुझाए गए सवाल',
+  'chat.suggestedFollowUps': 'आगे पूछने के लिए सुझाए गए सवाल',
+  'chat.thinking': 'सोच रहा है...',
+  'chat.about': 'विषय: {label}',
+  'chat.queued': 'ऑनलाइन होते ही भेजा जाएगा',
+  'chat.queuedAnnouncement': 'आप ऑफ़लाइन हैं। दोबारा कनेक्ट होते ही आपका संदेश भेज दिया जाएगा।',
+  'chat.offline': 'आप ऑफ़लाइन हैं। आप पुरानी बातचीत पढ़ सकते हैं, और नए सवाल दोबारा कनेक्ट होते ही भेज दिए जाएँगे।',
+  'chat.stopped': 'जवाब रोक दिया गया',
+  'chat.readAloud': 'पढ़कर सुनाएँ',
+  'chat.askingAbout': 'इसके बारे में पूछ रहे हैं: {label}',
+  'chat.removeContext': 'हटाएँ',
+  'chat.stopAskingAbout': '{label} के बारे में पूछना बंद करें',
+  'chat.input.label': 'अपना वित्तीय सवाल पूछें',
+  'chat.input.placeholder': 'अपना वित्तीय सवाल पूछें...',
+  'chat.input.listening': 'सुन रहा है...',
+  'chat.send': 'संदेश भेजें',
+  'chat.stop': 'जवाब रोकें',
+  'chat.error.generic': 'माफ़ कीजिए! कुछ गलत हो गया। कृपया फिर से कोशिश करें।',
+  'chat.error.loginRequired': 'Fi Money में प्रमाणीकरण ज़रूरी है। यह बातचीत खोए बिना लॉग इन करने के लिए ऊपर "फिर से साइन इन करें" का इस्तेमाल करें, या यह लिंक खोलें: {url}',
+  'chat.error.sessionInvalid': 'सेशन अमान्य है। कृपया Fi Money में फिर से साइन इन करें। त्रुटि: {message}',
+  'chat.error.message': 'त्रुटि: {message}',
+  'chat.mic.unsupported': 'इस ब्राउज़र में वॉइस इनपुट उपलब्ध नहीं है',
+  'chat.mic.hold': 'बोलने के लिए दबाए रखें',
+  'chat.mic.startDictation': 'डिक्टेशन शुरू करें',
+  'chat.mic.stopDictation': 'डिक्टेशन रोकें',
+  'chat.mic.blocked': 'माइक्रोफ़ोन की अनुमति ब्लॉक है। वॉइस इनपुट इस्तेमाल करने के लिए ब्राउज़र सेटिंग्स में इसकी अनुमति दें।',
+  'chat.mic.error': 'स्पीच रिकग्निशन में त्रुटि: {code}। कृपया फिर से कोशिश करें।',
+  'chat.historyPanel.title': 'बातचीत',
+  'chat.historyPanel.close': 'इतिहास बंद करें',
+  'chat.historyPanel.search': 'पिछले जवाब खोजें...',
+  'chat.historyPanel.noMatches': 'आपकी खोज से कोई संदेश मेल नहीं खाता।',
+  'chat.historyPanel.saveTitle': 'शीर्षक सहेजें',
+  'chat.historyPanel.rename': 'बातचीत का नाम बदलें',
+  'chat.historyPanel.delete': 'बातचीत हटाएँ',
+  'chat.historyPanel.empty': 'अभी कोई सहेजी गई बातचीत नहीं है।',
+};
+
+export default hi;
@@ -0,0 +1,616 @@
+// --- Tamil Messages ---
+// Product names (Fi Money, FinSure AI, MCP) and acronyms (EPF, PPF, NPS) stay as they are.
+
+const ta = {
+  // App shell
+  'app.skipToContent': 'முதன்மை உள்ளடக்கத்துக்குச் செல்',
+  'app.loading.title': 'உங்கள் தனிப்பட்ட நிதி டாஷ்போர்டு ஏற்றப்படுகிறது...',
+  'app.loading.detail': 'Fi Money MCP உடன் இணைக்கப்படுகிறது...',
+  'app.loading.skeleton': 'உங்கள் நிதி டாஷ்போர்டு ஏற்றப்படுகிறது',
+  'app.loading.page': 'பக்கம் ஏற்றப்படுகிறது',
+  'app.error.title': 'டாஷ்போர்டை ஏற்றுவதில் பிழை',
+  'app.error.tryAgain': 'மீண்டும் முயல்க',
+  'app.error.reload': 'பக்கத்தை மீண்டும் ஏற்று',
+  'app.error.offline': 'நீங்கள் ஆஃப்லைனில் உள்ளீர்கள்; மீண்டும் இணைந்ததும் தரவு புதுப்பிக்கப்படும்.',
+  'app.error.loadFailed': 'நிதித் தரவை ஏற்ற முடியவில்லை: {message}',
+  'app.error.unknown': 'அறியப்படாத பிழை',
+  'app.error.sessionInvalid': 'அமர்வு செல்லாது. Fi Money-இல் மீண்டும் உள்நுழையவும். உங்கள் பேக்எண்ட் சர்வர் புதிய அமர்வு ID-ஐ உருவாக்கியிருந்தால், அதை மறுதொடக்கம் செய்ய வேண்டியிருக்கலாம். பிழை: {message}',
+  'app.signIn.title': 'Fi Money-இல் உள்நுழைக',
+  'app.signIn.signedOut': 'நீங்கள் வெளியேறிவிட்டீர்கள்',
+  'app.signIn.waitingForPopup': 'பாப்அப் சாளரத்தில் Fi Money உள்நுழைவை முடிக்கவும். அதன் பிறகு உங்கள் டாஷ்போர்டு ஏற்றப்படும்.',
+  'app.signIn.prompt': 'உங்கள் தனிப்பட்ட நிதி டாஷ்போர்டை ஏற்ற உங்கள் Fi Money கணக்கை இணைக்கவும்.',
+  'app.signIn.button': 'Fi Money மூலம் உள்நுழைக',
+  'app.mockData': 'மாதிரித் தரவு',
+  'app.mockData.title': 'தரவு உங்கள் Fi Money கணக்கிலிருந்து அல்ல, செயலியில் உள்ள மாதிரிகளிலிருந்து வருகிறது',
+  'app.refresh.title': 'தரவைப் புதுப்பி',
+  'app.refresh.refreshing': 'புதுப்பிக்கப்படுகிறது...',
+  'app.refresh.updatedAt': '{time} அன்று புதுப்பிக்கப்பட்டது',
+  'app.session': 'அமர்வு: {id}',
+  'app.logOut': 'வெளியேறு',
+  'app.logOut.title': 'வெளியேறு',
+  'app.expired.waitingForPopup': 'பாப்அப் சாளரத்தில் Fi Money உள்நுழைவை முடிக்கவும்...',
+  'app.expired.message': 'உங்கள் Fi Money அமர்வு காலாவதியாகிவிட்டது. தரவைப் புதுப்பிக்க மீண்டும் உள்நுழையவும்; உங்கள் டாஷ்போர்டும் உரையாடலும் அப்படியே இருக்கும்.',
+  'app.expired.signInAgain': 'மீண்டும் உள்நுழைக',
+  'app.stale.message': '{time} வரையிலான தரவு காட்டப்படுகிறது; இது பழையதாக இருக்கலாம். {error}',
+  'app.stale.retry': 'மீண்டும் முயல்க',
+  'app.pageError.title': 'ஏதோ தவறு நடந்துவிட்டது',
+  'app.pageError.message': 'இந்தப் பக்கத்தைக் காட்ட முடியவில்லை. மீண்டும் முயலவும், அல்லது மேலே வேறு பக்கத்தைத் தேர்ந்தெடுக்கவும்.',
+  'app.footer.copyright': '© {year} Fi AI Dashboard. Fi Money MCP மற்றும் Google AI மூலம் இயங்குகிறது.',
+  'app.footer.secure': 'பாதுகாப்பானது',
+  'app.footer.realTime': 'நிகழ்நேரம்',
+  'app.footer.aiPowered': 'AI மூலம் இயங்குகிறது',
+
+  // Navigation
+  'nav.label': 'முதன்மை',
+  'nav.overview': 'மேலோட்டம்',
+  'nav.investments': 'முதலீடுகள்',
+  'nav.credit': 'கடன்',
+  'nav.goals': 'இலக்குகள்',
+  'nav.whatIf': 'என்ன நடந்தால்',
+  'nav.alerts': 'விழிப்பூட்டல்கள்',
+  'nav.chat': 'அரட்டை',
+  'nav.new': 'புதியவை',
+
+  // Installing and updating the app
+  'pwa.install': 'நிறுவு',
+  'pwa.install.title': 'FinSure.Ai-ஐ செயலியாக நிறுவவும்',
+  'pwa.update.message': 'FinSure.Ai-இன் புதிய பதிப்பு கிடைக்கிறது. அதைப் பயன்படுத்த மீண்டும் ஏற்றவும்.',
+  'pwa.update.reload': 'மீண்டும் ஏற்று',
+
+  // Dashboard sections
+  'section.error.message': 'இந்தப் பகுதியைக் காட்ட முடியவில்லை. உங்கள் டாஷ்போர்டின் மற்ற பகுதிகள் பாதிக்கப்படவில்லை.',
+  'section.error.tryAgain': 'மீண்டும் முயல்க',
+  'section.history': 'உங்கள் நிதி வரலாறு',
+  'section.assetsLiabilities': 'சொத்துகள் மற்றும் கடன்கள்',
+  'section.assetsLiabilities.missing': 'Fi Money-இன் சமீபத்திய தரவில் நிகர மதிப்பு விவரங்கள் சேர்க்கப்படவில்லை.',
+  'section.cashFlow': 'பணப்புழக்கம்',
+  'section.investments': 'முதலீட்டுச் செயல்திறன் கண்ணோட்டம்',
+  'section.investments.missing': 'Fi Money-இன் சமீபத்திய தரவில் மியூச்சுவல் ஃபண்ட் தரவு சேர்க்கப்படவில்லை.',
+  'section.credit': 'கடன் அறிக்கை',
+  'section.credit.missing': 'Fi Money-இன் சமீபத்திய தரவில் உங்கள் கடன் அறிக்கை சேர்க்கப்படவில்லை.',
+  'section.goals': 'இலக்குகள்',
+  'section.whatIf': 'என்ன-ஆனால் சூழ்நிலைகள்',
+  'notFound.title': 'பக்கம் கிடைக்கவில்லை',
+  'notFound.message': '{path} இல் எதுவும் இல்லை.',
+  'notFound.back': 'மேலோட்டத்துக்குத் திரும்பு',
+
+  // Language picker
+  'language.title': 'மொழி',
+  'language.close': 'மூடு',
+  'language.hint': 'இது செயலியின் உரை, எண் மற்றும் தேதி வடிவங்கள், குரல் உள்ளீட்டு மொழி மற்றும் AI பதில்களின் மொழியை அமைக்கிறது.',
+
+  // Summary cards
+  'card.netWorth.title': 'மொத்த நிகர மதிப்பு',
+  'card.netWorth.description': 'உங்கள் ஒட்டுமொத்த நிதி நிலை',
+  'card.creditScore.title': 'கடன் மதிப்பெண்',
+  'card.creditScore.unavailable': 'கடன் மதிப்பெண் எதுவும் இல்லை',
+  'card.epf.title': 'EPF இருப்பு',
+  'card.epf.description': 'உங்கள் ஓய்வூதிய நிதி',
+  'card.notAvailable': 'கிடைக்கவில்லை',
+  'card.trendingUp': 'உயர்வு: ',
+  'card.trendingDown': 'சரிவு: ',
+  'creditBand.excellent': 'மிகச் சிறந்த கடன் நிலை',
+  'creditBand.veryGood': 'மிக நல்ல கடன் நிலை',
+  'creditBand.good': 'நல்ல கடன் நிலை',
+  'creditBand.fair': 'சுமாரான கடன் நிலை; மேம்படுத்த வாய்ப்புள்ளது',
+  'creditBand.poor': 'மோசமான கடன் நிலை; கவனம் தேவை',
+
+  // Trend lines
+  'trend.period.1M': 'கடந்த ஒரு மாதத்தில்',
+  'trend.period.6M': 'கடந்த 6 மாதங்களில்',
+  'trend.period.1Y': 'கடந்த ஓராண்டில்',
+  'trend.period.since': '{date} முதல்',
+  'trend.percent': '{period} {amount}',
+  'trend.points.noChange': '{period} மாற்றம் இல்லை',
+  'trend.points.improved': '{period} {change} புள்ளிகள் உயர்வு',
+  'trend.points.dropped': '{period} {change} புள்ளிகள் சரிவு',
+
+  // Asset and liability breakdown
+  'breakdown.title': 'உங்கள் நிதி விவரம்',
+  'breakdown.assets': 'சொத்துகள் ({total})',
+  'breakdown.liabilities': 'கடன்கள் ({total})',
+
+  // Assets vs. liabilities chart
+  'assetChart.title': 'சொத்துகள் மற்றும் கடன்கள் கண்ணோட்டம்',
+  'assetChart.assets': 'சொத்துகள்',
+  'assetChart.liabilities': 'கடன்கள்',
+  'assetChart.item': 'உருப்படி',
+  'assetChart.summary': 'மொத்தச் சொத்துகள் {assets}, மொத்தக் கடன்கள் {liabilities}.',
+
+  // Net worth types, keyed by the Fi Money netWorthAttribute
+  'netWorthType.ASSET_TYPE_MUTUAL_FUND': 'மியூச்சுவல் ஃபண்டுகள்',
+  'netWorthType.ASSET_TYPE_EPF': 'EPF',
+  'netWorthType.ASSET_TYPE_PPF': 'PPF',
+  'netWorthType.ASSET_TYPE_NPS': 'NPS',
+  'netWorthType.ASSET_TYPE_INDIAN_SECURITIES': 'இந்தியப் பங்குகள்',
+  'netWorthType.ASSET_TYPE_US_SECURITIES': 'அமெரிக்கப் பங்குகள்',
+  'netWorthType.ASSET_TYPE_SAVINGS_ACCOUNTS': 'சேமிப்புக் கணக்குகள்',
+  'netWorthType.ASSET_TYPE_FIXED_DEPOSIT': 'நிலை வைப்புகள் (FD)',
+  'netWorthType.ASSET_TYPE_GOLD': 'தங்கம்',
+  'netWorthType.LIABILITY_TYPE_HOME_LOAN': 'வீட்டுக் கடன்',
+  'netWorthType.LIABILITY_TYPE_VEHICLE_LOAN': 'வாகனக் கடன்',
+  'netWorthType.LIABILITY_TYPE_EDUCATION_LOAN': 'கல்விக் கடன்',
+  'netWorthType.LIABILITY_TYPE_PERSONAL_LOAN': 'தனிநபர் கடன்',
+  'netWorthType.LIABILITY_TYPE_CREDIT_CARD': 'கிரெடிட் கார்டு',
+  'netWorthType.LIABILITY_TYPE_CREDIT_CARD_DUES': 'கிரெடிட் கார்டு நிலுவை',
+  'netWorthType.LIABILITY_TYPE_OTHER_LOAN': 'பிற கடன்கள்',
+
+  // Charts
+  'chart.showTable': 'அட்டவணையைக் காட்டு',
+  'chart.hideTable': 'அட்டவணையை மறை',
+  'chart.tableLabel': '{label} தரவு',
+  'chart.preparing': 'விளக்கப்படம் தயாராகிறது...',
+  'chart.defaultLabel': 'விளக்கப்படம்',
+  'chart.labelColumn': 'லேபிள்',
+  'chart.series': 'தொடர் {number}',
+
+  // Ask about this
+  'ask.about': '{label} பற்றிக் கேளுங்கள்',
+  'ask.question.item': 'என் {label} பற்றி நான் என்ன தெரிந்துகொள்ள வேண்டும்?',
+  'ask.question.scheme': '{name} எப்படிச் செயல்படுகிறது, அதில் நான் தொடர்ந்து முதலீடு செய்யலாமா?',
+  'ask.question.summary': 'என் {label} பற்றி விளக்க முடியுமா?',
+
+  // Mutual fund performance
+  'portfolio.title': 'முதலீட்டுச் செயல்திறன் கண்ணோட்டம்',
+  'portfolio.subtitle': 'உங்கள் மியூச்சுவல் ஃபண்ட் செயல்திறனைக் கண்காணித்து AI பரிந்துரைகளைப் பெறுங்கள்',
+  'portfolio.empty': 'மியூச்சுவல் ஃபண்ட் தரவு எதுவும் இல்லை.',
+  'portfolio.invested': 'முதலீடு செய்தது',
+  'portfolio.currentValue': 'தற்போதைய மதிப்பு',
+  'portfolio.returns': 'வருமானம்',
+  'portfolio.xirr': 'போர்ட்ஃபோலியோ XIRR',
+  'portfolio.allocation': 'வகை வாரியான ஒதுக்கீடு',
+  'portfolio.category': 'வகை',
+  'portfolio.value': 'மதிப்பு',
+  'portfolio.share': 'பங்கு',
+  'portfolio.underperformers': 'பின்தங்கும் ஃபண்டுகள் ({count})',
+  'portfolio.benchmark': 'அளவுகோல் XIRR (%)',
+  'portfolio.benchmarkDefault': 'சொத்து வகையின் இயல்புநிலை',
+  'portfolio.allBeatingBenchmark': 'எல்லாத் திட்டங்களும் அவற்றின் அளவுகோலை விஞ்சுகின்றன.',
+  'portfolio.reason.negativeXirr': 'எதிர்மறை XIRR',
+  'portfolio.reason.belowBenchmark': '{benchmark}% அளவுகோலுக்குக் கீழே',
+  'portfolio.search': 'திட்டங்களைத் தேடு',
+  'portfolio.searchPlaceholder': 'திட்டங்களைத் தேடு...',
+  'portfolio.filterAssetClass': 'சொத்து வகைப்படி வடிகட்டு',
+  'portfolio.allAssetClasses': 'எல்லாச் சொத்து வகைகளும்',
+  'portfolio.filterAmc': 'AMC வாரியாக வடிகட்டு',
+  'portfolio.allAmcs': 'எல்லா AMC-களும்',
+  'portfolio.tableCaption': 'மியூச்சுவல் ஃபண்ட் திட்டங்கள், {total} இல் {shown} காட்டப்படுகின்றன. நெடுவரிசைத் தலைப்புகள் அட்டவணையை வரிசைப்படுத்தும்.',
+  'portfolio.column.name': 'ஃபண்டின் பெயர்',
+  'portfolio.column.xirr': 'XIRR (%)',
+  'portfolio.showTransactions': 'பரிவர்த்தனைகளைக் காட்டு',
+  'portfolio.hideTransactions': 'பரிவர்த்தனைகளை மறை',
+  'portfolio.noMatches': 'உங்கள் வடிகட்டிகளுக்குப் பொருந்தும் திட்டம் எதுவும் இல்லை.',
+  'portfolio.transactionsFor': '{name} பரிவர்த்தனைகள்',
+  'portfolio.noTransactions': 'இந்தத் திட்டத்துக்குப் பரிவர்த்தனைகள் எதுவும் இல்லை.',
+  'portfolio.date': 'தேதி',
+  'portfolio.type': 'வகை',
+  'portfolio.amount': 'தொகை',
+
+  // Exports and the printable report
+  'export.button': 'ஏற்றுமதி',
+  'export.title': 'தரவை ஏற்றுமதி செய்',
+  'export.privacyNotice': 'தனியுரிமைப் பயன்முறை இயக்கத்தில் உள்ளது, ஆனாலும் ஏற்றுமதிகளில் உங்கள் முழு எண்ணிக்கைகளும் அரட்டைப் பதில்களும் இருக்கும்.',
+  'export.dataset.netWorth': 'சொத்துகள் & கடன்கள்',
+  'export.dataset.mutualFunds': 'மியூச்சுவல் ஃபண்டுகள்',
+  'export.dataset.history': 'ஸ்னாப்ஷாட் வரலாறு',
+  'export.report': 'PDF அறிக்கை...',
+  'export.reportDialog.title': 'PDF அறிக்கை',
+  'export.reportDialog.close': 'மூடு',
+  'export.reportDialog.intro': 'அறிக்கையில் உங்கள் சுருக்க அட்டைகள், விவரம், சொத்துகள் மற்றும் கடன்கள் விளக்கப்படம் இருக்கும். சேர்க்க வேண்டிய அரட்டைப் பதில்களைத் தேர்ந்தெடுத்து, அச்சு உரையாடலில் "Save as PDF" என்பதைத் தேர்வுசெய்யுங்கள்.',
+  'export.reportDialog.loading': 'அரட்டை வரலாறு ஏற்றப்படுகிறது...',
+  'export.reportDialog.empty': 'சேமித்த அரட்டைப் பதில்கள் இன்னும் இல்லை.',
+  'export.reportDialog.print': 'அறிக்கையை அச்சிடு',
+  'report.title': 'FinSure.Ai நிதி அறிக்கை',
+  'report.generated': '{date} அன்று உருவாக்கப்பட்டது',
+  'report.summary': 'சுருக்கம்',
+  'report.breakdown': 'நிதி விவரம்',
+  'report.assets': 'சொத்துகள்',
+  'report.liabilities': 'கடன்கள்',
+  'report.chart': 'சொத்துகள் மற்றும் கடன்கள்',
+  'report.chartAlt': 'வகை வாரியாகச் சொத்துகள் மற்றும் கடன்களின் பட்ட விளக்கப்படம்',
+  'report.questions': 'கேள்விகள் & பதில்கள்',
+  'report.question': 'கே: {question}',
+
+  // Goals and planners
+  'goals.title': 'உங்கள் இலக்குகள்',
+  'goals.add': 'இலக்கைச் சேர்',
+  'goals.empty': 'இலக்குகள் இன்னும் இல்லை. வீடு, ஓய்வு அல்லது கல்வி இலக்கைச் சேர்த்து, அதற்கு மாதம் எவ்வளவு SIP தேவை என்று பாருங்கள்.',
+  'goals.type.home': 'வீடு',
+  'goals.type.retirement': 'ஓய்வு',
+  'goals.type.education': 'கல்வி',
+  'goals.type.other': 'மற்றவை',
+  'goals.type.unknown': 'இலக்கு',
+  'goals.funding.manual': 'நான் உள்ளிடும் தொகை',
+  'goals.funding.epf': 'EPF இருப்பு',
+  'goals.funding.netWorth': 'நிகர மதிப்பு',
+  'goals.form.type': 'இலக்கு வகை',
+  'goals.form.name': 'பெயர்',
+  'goals.form.targetAmount': 'இலக்குத் தொகை (₹)',
+  'goals.form.targetDate': 'இலக்குத் தேதி',
+  'goals.form.fundingSource': 'இதுவரை சேமித்தது',
+  'goals.form.savedAmount': 'சேமித்த தொகை (₹)',
+  'goals.form.expectedReturn': 'எதிர்பார்க்கும் வருமானம் (% ஆண்டுக்கு)',
+  'goals.form.cancel': 'ரத்துசெய்',
+  'goals.form.save': 'இலக்கைச் சேமி',
+  'goals.edit': 'இலக்கைத் திருத்து',
+  'goals.delete': 'இலக்கை நீக்கு',
+  'goals.target': '{type} · {date} க்குள் {amount}',
+  'goals.saved': '{amount} சேமிப்பு ({percent}%)',
+  'goals.reached': 'இலக்கு எட்டப்பட்டது',
+  'goals.sip': '{amount}/மாதம் SIP',
+  'goals.pastTargetDate': 'இலக்குத் தேதி கடந்துவிட்டது',
+  'goals.dueNow': 'இப்போது நிலுவை',
+  'goals.years': '{count} ஆ',
+  'goals.months': '{count} மா',
+  'goals.timeLeft': '{duration} மீதம்',
+  'goals.tool.affordability': 'கடன் தாங்கும் திறன்',
+  'goals.tool.retirement': 'ஓய்வூதியத் தொகுப்பு',
+  'affordability.loanAmount': 'கடன் தொகை (₹)',
+  'affordability.interestRate': 'வட்டி விகிதம் (% ஆண்டுக்கு)',
+  'affordability.tenure': 'காலம் (ஆண்டுகள்)',
+  'affordability.monthlyIncome': 'மாதக் கைச்சம்பளம் (₹)',
+  'affordability.existingEmi': 'தற்போதைய EMI-கள் (₹/மாதம்)',
+  'affordability.estimated': 'மதிப்பீடு {amount}',
+  'affordability.newEmi': 'புதிய EMI',
+  'affordability.totalEmi': 'மொத்த EMI-கள்',
+  'affordability.emiToIncome': 'EMI / வருமானம்',
+  'affordability.maxLoan': 'அதிகபட்சக் கடன்',
+  'affordability.affordable': 'தாங்கக்கூடியது: மொத்த EMI-கள் உங்கள் கைச்சம்பளத்தின் {percent}% க்குள் இருக்கும்.',
+  'affordability.stretching': 'சிரமம்: மொத்த EMI-கள் உங்கள் கைச்சம்பளத்தின் {percent}% ஐத் தாண்டும்.',
+  'affordability.needIncome': 'தாங்கும் திறனைச் சரிபார்க்க உங்கள் மாதக் கைச்சம்பளத்தை உள்ளிடுங்கள்.',
+  'retirement.currentAge': 'தற்போதைய வயது',
+  'retirement.retirementAge': 'ஓய்வு பெறும் வயது',
+  'retirement.monthlyContribution': 'மாத முதலீடு (₹)',
+  'retirement.monthlyExpenses': 'இன்றைய மாதச் செலவு (₹)',
+  'retirement.investmentReturn': 'முதலீட்டு வருமானம் (% ஆண்டுக்கு)',
+  'retirement.inflation': 'பணவீக்கம் (% ஆண்டுக்கு)',
+  'retirement.startingFrom': 'உங்கள் EPF இருப்பு {epf}, நிகர மதிப்பு {netWorth} இலிருந்து தொடங்குகிறது.',
+  'retirement.projectedCorpus': 'கணிக்கப்பட்ட தொகுப்பு',
+  'retirement.requiredCorpus': 'தேவையான தொகுப்பு',
+  'retirement.shortfall': 'பற்றாக்குறை',
+  'retirement.extraSip': 'கூடுதல் SIP தேவை',
+  'retirement.epf': 'EPF',
+  'retirement.totalCorpus': 'மொத்தத் தொகுப்பு',
+  'retirement.age': 'வயது',
+  'retirement.ageTooltip': 'வயது {age}',
+  'retirement.chartLabel': 'ஓய்வூதியத் தொகுப்புக் கணிப்பு',
+  'retirement.chartSummary': '{age} வயதில் கணிக்கப்பட்ட தொகுப்பு {projected}, தேவை {required}.',
+
+  // Credit report
+  'credit.title': 'கடன் அறிக்கை',
+  'credit.subtitle': 'உங்கள் கடன் மதிப்பெண்ணை எது பாதிக்கிறது, நீங்கள் என்ன செய்யலாம்',
+  'credit.empty': 'கடன் அறிக்கை எதுவும் இல்லை.',
+  'credit.noScore': 'மதிப்பெண் இல்லை',
+  'credit.band.excellent': 'மிகச் சிறப்பு',
+  'credit.band.veryGood': 'மிக நன்று',
+  'credit.band.good': 'நன்று',
+  'credit.band.fair': 'சுமார்',
+  'credit.band.poor': 'மோசம்',
+  'credit.cardUtilization': 'கார்டு பயன்பாடு',
+  'credit.outstanding': 'நிலுவை',
+  'credit.overdue': 'தவணை தவறியது',
+  'credit.actions': 'நீங்கள் என்ன செய்யலாம்',
+  'credit.noActions': 'பரிந்துரைகள் தர அறிக்கையில் போதிய விவரம் இல்லை.',
+  'credit.accounts': 'கணக்குகள் ({total} இல் {open} செயலில்)',
+  'credit.column.lender': 'கடன் வழங்குநர்',
+  'credit.column.type': 'வகை',
+  'credit.column.balance': 'இருப்பு',
+  'credit.column.limit': 'வரம்பு / அனுமதித்த தொகை',
+  'credit.column.utilization': 'பயன்பாடு',
+  'credit.column.pastDue': 'தவறிய தொகை',
+  'credit.column.paymentHistory': 'கடந்த 12 மாதங்கள்',
+  'credit.openedOn': '{date} முதல்',
+  'credit.closedOn': '{date} அன்று மூடப்பட்டது',
+  'credit.payment.late': '{days}+ நாட்கள் தாமதம்',
+  'credit.payment.onTime': 'சரியான நேரத்தில் செலுத்தப்பட்டது',
+  'credit.payment.unknown': 'தெரிவிக்கப்படவில்லை',
+  'credit.enquiries': 'விசாரணைகள் (கடந்த 90 நாட்களில் {count})',
+  'credit.noEnquiries': 'பதிவான விசாரணைகள் இல்லை.',
+  'credit.unknownLender': 'அறியப்படாத கடன் வழங்குநர்',
+  'credit.accountType.loan': 'கடன்',
+  'credit.accountType.credit': 'கடன் வசதி',
+  'credit.accountType.autoLoan': 'வாகனக் கடன்',
+  'credit.accountType.housingLoan': 'வீட்டுக் கடன்',
+  'credit.accountType.propertyLoan': 'சொத்துக் கடன்',
+  'credit.accountType.loanAgainstShares': 'பங்குகள் மீதான கடன்',
+  'credit.accountType.personalLoan': 'தனிநபர் கடன்',
+  'credit.accountType.consumerLoan': 'நுகர்வோர் கடன்',
+  'credit.accountType.goldLoan': 'நகைக் கடன்',
+  'credit.accountType.educationLoan': 'கல்விக் கடன்',
+  'credit.accountType.creditCard': 'கிரெடிட் கார்டு',
+  'credit.accountType.twoWheelerLoan': 'இருசக்கர வாகனக் கடன்',
+  'credit.accountType.loanAgainstFd': 'FD மீதான கடன்',
+  'credit.accountType.commercialVehicleLoan': 'வணிக வாகனக் கடன்',
+  'credit.accountType.securedCreditCard': 'பாதுகாப்பு கிரெடிட் கார்டு',
+  'credit.accountType.usedCarLoan': 'பழைய கார் கடன்',
+  'credit.accountType.businessLoan': 'தொழில் கடன்',
+  'credit.factor.overdue.title': 'தவறிய தவணைகள்',
+  'credit.factor.overdue.detail': '{amount} செலுத்த வேண்டியுள்ளது. விரைவில் செலுத்தினால் மதிப்பெண் மேலும் பாதிக்கப்படாது.',
+  'credit.factor.overdue.detailWithLenders': '{lenders} இடம் {amount} செலுத்த வேண்டியுள்ளது. விரைவில் செலுத்தினால் மதிப்பெண் மேலும் பாதிக்கப்படாது.',
+  'credit.factor.utilization.title': 'அதிகக் கிரெடிட் கார்டு பயன்பாடு',
+  'credit.factor.utilization.detail': 'உங்கள் மொத்தக் கார்டு வரம்பில் {percent}% பயன்படுத்துகிறீர்கள். 30% க்குக் கீழ் வைத்தால் மதிப்பெண்ணுக்கு நல்லது.',
+  'credit.factor.cardUtilization.title': '{lender} கார்டு {percent}% பயன்படுத்தப்பட்டுள்ளது',
+  'credit.factor.cardUtilization.detail': 'இந்தக் கார்டின் நிலுவையைக் குறைத்தால் அல்லது செலவைப் பல கார்டுகளில் பிரித்தால் ஒவ்வொரு கார்டின் பயன்பாடும் குறையும்.',
+  'credit.factor.latePayments.title': 'தாமதமான தவணைகள் பதிவில் உள்ளன',
+  'credit.factor.latePayments.detailOne': 'கடந்த {months} மாதங்களில் 1 தவணை தாமதமானது. ஆட்டோ-பே அமைத்தால் கெடு தேதிகள் தவறாது.',
+  'credit.factor.latePayments.detail': 'கடந்த {months} மாதங்களில் {count} தவணைகள் தாமதமாயின. ஆட்டோ-பே அமைத்தால் கெடு தேதிகள் தவறாது.',
+  'credit.factor.enquiries.title': 'சமீபத்திய கடுமையான விசாரணைகள்',
+  'credit.factor.enquiries.detail': 'கடந்த {days} நாட்களில் {count} கடன் வழங்குநர்கள் உங்கள் அறிக்கையைப் பார்த்தனர். புதிய கடன் விண்ணப்பங்களுக்கு இடைவெளி விடுங்கள்.',
+  'credit.factor.historyLength.title': 'குறுகிய கடன் வரலாறு',
+  'credit.factor.historyLength.detail': 'உங்கள் பழைய கணக்கு 3 ஆண்டுகளுக்கும் குறைவானது. பழைய கணக்குகளைத் தொடர்ந்து வைத்திருந்தால் வரலாறு நீளும்.',
+  'credit.factor.onTime.title': 'சரியான நேரத்தில் தவணைகள்',
+  'credit.factor.onTime.detail': 'கடந்த {months} மாதங்களில் பதிவான ஒவ்வொரு தவணையும் சரியான நேரத்தில் செலுத்தப்பட்டது.',
+  'credit.factor.lowUtilization.title': 'சீரான கார்டு பயன்பாடு',
+  'credit.factor.lowUtilization.detail': 'உங்கள் கார்டு வரம்புகளில் {percent}% பயன்படுத்துகிறீர்கள்.',
+  'credit.factor.noRecentEnquiries.title': 'சமீபத்திய விசாரணைகள் இல்லை',
+  'credit.factor.noRecentEnquiries.detail': 'கடந்த {days} நாட்களில் கடுமையான விசாரணைகள் இல்லை.',
+
+  // What-if scenarios
+  'scenario.title': 'என்ன-ஆனால் சூழ்நிலைகள்',
+  'scenario.reset': 'மீட்டமை',
+  'scenario.assumptions': 'இன்றைய நிகர மதிப்பு {netWorth} இலிருந்து தொடங்குகிறது. கணிக்கப்பட்ட ஆண்டு வருமானம்: {returns}; தற்போதைய கடன்கள் வழக்கமான EMI-யைத் தொடர்ந்து செலுத்தும்.',
+  'scenario.assetClass.equity': 'பங்கு',
+  'scenario.assetClass.debt': 'கடன்பத்திரம்',
+  'scenario.assetClass.cash': 'ரொக்கம்',
+  'scenario.assetClass.other': 'மற்றவை',
+  'scenario.equityShock': 'பங்குச் சரிவு (%)',
+  'scenario.debtShock': 'கடன்பத்திரச் சரிவு (%)',
+  'scenario.monthlySip': 'மாத SIP (₹)',
+  'scenario.years': 'கணிப்பு ஆண்டுகள்',
+  'scenario.prepayLiability': 'ஒரு கடனை முன்கூட்டியே செலுத்து',
+  'scenario.noPrepayment': 'எதுவுமில்லை',
+  'scenario.prepayAmount': 'முன்செலுத்தல் (₹)',
+  'scenario.loanAmount': 'புதிய கடன் (₹)',
+  'scenario.loanRate': 'வட்டி (% ஆண்டுக்கு)',
+  'scenario.loanYears': 'காலம் (ஆண்டுகள்)',
+  'scenario.prepayShortfall': 'முன்செலுத்தல் ரொக்கத்திலிருந்து வருவதால், {amount} மட்டுமே முன்கூட்டியே செலுத்த முடியும்.',
+  'scenario.baselineIn': '{years} ஆண்டுகளில் அடிப்படை',
+  'scenario.scenarioIn': '{years} ஆண்டுகளில் இந்தச் சூழ்நிலை',
+  'scenario.difference': 'வித்தியாசம்',
+  'scenario.baseline': 'அடிப்படை',
+  'scenario.thisScenario': 'இந்தச் சூழ்நிலை',
+  'scenario.now': 'இப்போது',
+  'scenario.year': 'ஆண்டு {year}',
+  'scenario.yearColumn': 'ஆண்டு',
+  'scenario.chartLabel': 'கணிக்கப்பட்ட நிகர மதிப்பு',
+  'scenario.chartSummary': '{years} ஆண்டுகளில்: இந்தச் சூழ்நிலையில் {scenario}, அடிப்படையில் {baseline}.',
+  'scenario.chartSummaryComparedOne': '{years} ஆண்டுகளில்: இந்தச் சூழ்நிலையில் {scenario}, அடிப்படையில் {baseline}; சேமித்த 1 சூழ்நிலையுடன் ஒப்பிடப்பட்டது.',
+  'scenario.chartSummaryCompared': '{years} ஆண்டுகளில்: இந்தச் சூழ்நிலையில் {scenario}, அடிப்படையில் {baseline}; சேமித்த {count} சூழ்நிலைகளுடன் ஒப்பிடப்பட்டது.',
+  'scenario.name': 'சூழ்நிலையின் பெயர்',
+  'scenario.save': 'சூழ்நிலையைச் சேமி',
+  'scenario.compare': '{name} ஐ ஒப்பிடு',
+  'scenario.savedResult': '{years} ஆண்டுகளில் {amount} (அடிப்படையுடன் {difference})',
+  'scenario.loadTitle': 'திருத்தியில் ஏற்று',
+  'scenario.load': '{name} ஐ ஏற்று',
+  'scenario.deleteTitle': 'சூழ்நிலையை நீக்கு',
+  'scenario.delete': '{name} ஐ நீக்கு',
+  'scenario.empty': 'சேமித்த சூழ்நிலைகள் இன்னும் இல்லை. விளக்கப்படத்தில் மற்றவற்றுடன் ஒப்பிட ஒன்றைச் சேமியுங்கள்.',
+  'scenario.describe.equity': 'பங்கு {change}',
+  'scenario.describe.debt': 'கடன்பத்திரம் {change}',
+  'scenario.describe.prepay': '{liability} இல் {amount} முன்செலுத்தல்',
+  'scenario.describe.loan': '{rate}% வட்டியில் {years} ஆண்டுகளுக்கு {amount} புதிய கடன்',
+  'scenario.describe.sip': 'SIP {amount}/மாதம்',
+  'scenario.describe.none': 'மாற்றங்கள் இல்லை',
+
+  // Financial history
+  'history.title': 'உங்கள் நிதி வரலாறு',
+  'history.range.1M': '1 மாதம்',
+  'history.range.6M': '6 மாதம்',
+  'history.range.1Y': '1 ஆண்டு',
+  'history.range.ALL': 'அனைத்தும்',
+  'history.metric.netWorth': 'நிகர மதிப்பு',
+  'history.metric.assetsLiabilities': 'சொத்துகள் & கடன்கள்',
+  'history.metric.creditScore': 'கடன் மதிப்பெண்',
+  'history.metric.epfBalance': 'EPF இருப்பு',
+  'history.series.totalAssets': 'மொத்தச் சொத்துகள்',
+  'history.series.totalLiabilities': 'மொத்தக் கடன்கள்',
+  'history.notEnough': 'போதிய வரலாறு இன்னும் இல்லை. நீங்கள் டாஷ்போர்டைத் திறக்கும் ஒவ்வொரு நாளும் ஒரு ஸ்னாப்ஷாட் சேமிக்கப்படுகிறது, எனவே உங்கள் இரண்டாவது வருகையிலிருந்து போக்குகள் தெரியும்.',
+  'history.chartLabel': '{metric} வரலாறு',
+  'history.date': 'தேதி',
+  'history.summary': '{label} {fromDate} அன்று {from} இலிருந்து {toDate} அன்று {to} ஆக மாறியது.',
+
+  // Cash flow
+  'cashflow.category.salary': 'சம்பளம்',
+  'cashflow.category.rent': 'வாடகை',
+  'cashflow.category.emi': 'EMI',
+  'cashflow.category.food': 'உணவு',
+  'cashflow.category.investments': 'முதலீடுகள்',
+  'cashflow.category.subscriptions': 'சந்தாக்கள்',
+  'cashflow.category.bills': 'பில்கள் & பயன்பாடுகள்',
+  'cashflow.category.shopping': 'ஷாப்பிங்',
+  'cashflow.category.transport': 'போக்குவரத்து',
+  'cashflow.category.other': 'மற்றவை',
+  'cashflow.direction.any': 'எதுவும்',
+  'cashflow.direction.credit': 'வரவு',
+  'cashflow.direction.debit': 'செலவு',
+  'cashflow.recurrence.weekly': 'வாராந்திர',
+  'cashflow.recurrence.monthly': 'மாதாந்திர',
+  'cashflow.recurrence.quarterly': 'காலாண்டு',
+  'cashflow.recurrence.yearly': 'ஆண்டு',
+  'cashflow.rules': 'விதிகள்',
+  'cashflow.reload': 'பரிவர்த்தனைகளை மீண்டும் ஏற்று',
+  'cashflow.loading': 'வங்கிப் பரிவர்த்தனைகள் ஏற்றப்படுகின்றன',
+  'cashflow.loadError': 'வங்கிப் பரிவர்த்தனைகளை ஏற்ற முடியவில்லை: {error}',
+  'cashflow.empty': 'வங்கிப் பரிவர்த்தனைகள் எதுவும் இல்லை.',
+  'cashflow.avgIncome': 'சராசரி மாத வருமானம்',
+  'cashflow.avgExpenses': 'சராசரி மாதச் செலவு',
+  'cashflow.savingsRate': 'சேமிப்பு விகிதம்',
+  'cashflow.recurringMonthly': 'தொடர் செலவு / மாதம்',
+  'cashflow.incomeVsExpenses': 'வருமானம் vs. செலவு',
+  'cashflow.spendingByCategory': 'வகை வாரியான செலவு',
+  'cashflow.topMerchants': 'முன்னணி வணிகர்கள்',
+  'cashflow.paymentsOne': '1 பணம் செலுத்துதல்',
+  'cashflow.payments': '{count} பணம் செலுத்துதல்கள்',
+  'cashflow.recurringPayments': 'தொடர் செலுத்துதல்கள் ({count})',
+  'cashflow.nextDate': 'அடுத்து ~{date}',
+  'cashflow.noRecurring': 'தொடர் செலுத்துதல்கள் இன்னும் கண்டறியப்படவில்லை.',
+  'cashflow.chart.incomeExpense': 'மாத வாரியாக வருமானம் vs. செலவு',
+  'cashflow.chart.month': 'மாதம்',
+  'cashflow.chart.income': 'வருமானம்',
+  'cashflow.chart.expenses': 'செலவு',
+  'cashflow.chart.net': 'நிகரம்',
+  'cashflow.chart.netTooltip': 'நிகரம்: {amount}',
+  'cashflow.chart.spending': 'வகை வாரியான செலவு',
+  'cashflow.chart.category': 'வகை',
+  'cashflow.chart.amount': 'தொகை',
+  'cashflow.chart.share': 'பங்கு',
+  'cashflow.rules.title': 'வகைப்படுத்தல் விதிகள்',
+  'cashflow.rules.restore': 'இயல்புநிலைகளை மீட்டமை',
+  'cashflow.rules.help': 'ஒரு பரிவர்த்தனையின் விவரத்தில் உள்ள முக்கியச்சொல்லைக் கொண்ட முதல் விதியின் வகை அதற்குக் கிடைக்கும். எதிலும் பொருந்தாதவை "{other}".',
+  'cashflow.rules.keywordsPlaceholder': 'முக்கியச்சொற்கள், காற்புள்ளியால் பிரிக்கவும்',
+  'cashflow.rules.keywords': 'முக்கியச்சொற்கள்',
+  'cashflow.rules.direction': 'திசை',
+  'cashflow.rules.category': 'வகை',
+  'cashflow.rules.moveUp': 'மேலே நகர்த்து',
+  'cashflow.rules.moveDown': 'கீழே நகர்த்து',
+  'cashflow.rules.delete': 'விதியை நீக்கு',
+  'cashflow.rules.examplePlaceholder': 'எ.கா. starbucks, chaayos',
+  'cashflow.rules.newKeywords': 'புதிய விதியின் முக்கியச்சொற்கள்',
+  'cashflow.rules.newDirection': 'புதிய விதியின் திசை',
+  'cashflow.rules.newCategory': 'புதிய விதியின் வகை',
+  'cashflow.rules.add': 'விதியைச் சேர்',
+
+  // Alerts
+  'alerts.unit.percent': '%',
+  'alerts.unit.points': 'புள்ளிகள்',
+  'alerts.rule.netWorthDrop': 'நிகர மதிப்பு குறைகிறது',
+  'alerts.rule.netWorthDrop.describe': 'நிகர மதிப்பு அதன் சமீபத்திய உச்சத்திலிருந்து {threshold}%-க்கு மேல் குறைகிறது',
+  'alerts.rule.creditScoreChange': 'கிரெடிட் ஸ்கோர் மாறுகிறது',
+  'alerts.rule.creditScoreChange.describeOne': 'கிரெடிட் ஸ்கோர் 1 புள்ளி அல்லது அதற்கு மேல் மாறுகிறது',
+  'alerts.rule.creditScoreChange.describe': 'கிரெடிட் ஸ்கோர் {threshold} புள்ளிகள் அல்லது அதற்கு மேல் மாறுகிறது',
+  'alerts.rule.negativeXirr': 'ஒரு ஃபண்டின் XIRR எதிர்மறையாகிறது',
+  'alerts.rule.negativeXirr.describe': 'ஒரு மியூச்சுவல் ஃபண்டின் XIRR பூஜ்ஜியத்திற்குக் கீழே செல்கிறது',
+  'alerts.rule.liabilityRatio': 'கடன்கள் சொத்துகளின் ஒரு பங்கை மீறுகின்றன',
+  'alerts.rule.liabilityRatio.describe': 'கடன்கள் சொத்துகளின் {threshold}%-க்கு மேல் செல்கின்றன',
+  'alerts.netWorthDrop.title': 'நிகர மதிப்பு குறைந்தது',
+  'alerts.netWorthDrop.message': 'நிகர மதிப்பு {high} என்ற உச்சத்திலிருந்து {drop}% குறைந்து {amount} ஆனது.',
+  'alerts.netWorthDrop.maskedMessage': 'நிகர மதிப்பு அதன் சமீபத்திய உச்சத்திலிருந்து {drop}% குறைந்தது.',
+  'alerts.creditScoreUp.title': 'கிரெடிட் ஸ்கோர் உயர்ந்தது',
+  'alerts.creditScoreDown.title': 'கிரெடிட் ஸ்கோர் குறைந்தது',
+  'alerts.creditScore.message': 'உங்கள் கிரெடிட் ஸ்கோர் {from}-இலிருந்து {to} ஆக மாறியது.',
+  'alerts.creditScore.maskedMessageOne': 'உங்கள் கிரெடிட் ஸ்கோர் 1 புள்ளி மாறியது.',
+  'alerts.creditScore.maskedMessage': 'உங்கள் கிரெடிட் ஸ்கோர் {change} புள்ளிகள் மாறியது.',
+  'alerts.negativeXirr.title': 'ஃபண்ட் வருமானம் எதிர்மறையானது',
+  'alerts.negativeXirr.message': '{fund}-இன் XIRR இப்போது {xirr}%.',
+  'alerts.liabilityRatio.title': 'கடன்கள் அதிகமாக உள்ளன',
+  'alerts.liabilityRatio.message': 'கடன்கள் உங்கள் சொத்துகளில் {ratio}%, உங்கள் {threshold}% வரம்புக்கு மேல்.',
+  'alerts.rulesTitle': 'எச்சரிக்கை விதிகள்',
+  'alerts.rulesHelp': 'உங்கள் நிதிச் சுருக்கம் புதுப்பிக்கப்படும் ஒவ்வொரு முறையும் விதிகள் சரிபார்க்கப்படும்; ஒவ்வொரு விதியும் அதன் நிபந்தனை பொருந்தத் தொடங்கும்போது ஒருமுறை எச்சரிக்கும். ஒரு விதி எச்சரிக்கும் வரை மாற்றங்கள் புதுப்பிப்புகளுக்கு இடையே கூடிக்கொண்டே போகும்; அடுத்த புதுப்பிப்பிலிருந்து அளவிட விதியை மீட்டமைக்கவும்.',
+  'alerts.enableRule': 'விதியை இயக்கு: {rule}',
+  'alerts.threshold': 'வரம்பு ({unit})',
+  'alerts.resetTitle': 'விதியை மீட்டமை',
+  'alerts.reset': 'விதியை மீட்டமை: {rule}',
+  'alerts.deleteTitle': 'விதியை நீக்கு',
+  'alerts.delete': 'விதியை நீக்கு: {rule}',
+  'alerts.noRules': 'இன்னும் விதிகள் இல்லை. ஏதாவது மாறும்போது எச்சரிக்கை பெற கீழே ஒன்றைச் சேர்க்கவும்.',
+  'alerts.newRule': 'புதிய விதி',
+  'alerts.addRule': 'விதியைச் சேர்',
+  'alerts.enableNotifications': 'உலாவி அறிவிப்புகளை இயக்கு',
+  'alerts.permission.granted': 'உலாவி அறிவிப்புகள் இயக்கத்தில் உள்ளன.',
+  'alerts.permission.denied': 'உலாவி அறிவிப்புகள் தடுக்கப்பட்டுள்ளன. இந்தத் தாவலுக்கு வெளியே எச்சரிக்கைகளைப் பெற உலாவி அமைப்புகளில் அனுமதிக்கவும்.',
+  'alerts.permission.unsupported': 'இந்த உலாவி அறிவிப்புகளை ஆதரிக்கவில்லை; எச்சரிக்கைகள் டாஷ்போர்டில் மட்டுமே தோன்றும்.',
+  'alerts.historyTitle': 'எச்சரிக்கை வரலாறு',
+  'alerts.markAllRead': 'அனைத்தையும் படித்ததாகக் குறி',
+  'alerts.clear': 'அழி',
+  'alerts.new': 'புதியது: ',
+  'alerts.noAlerts': 'இன்னும் எச்சரிக்கைகள் இல்லை.',
+  'alerts.viewAlerts': 'எச்சரிக்கைகளைக் காண்க',
+  'alerts.dismissTitle': 'மூடு',
+  'alerts.dismiss': '{title} மூடு',
+
+  // Settings popovers
+  'settings.close': 'மூடு',
+  'settings.matchAppLanguage': 'செயலியின் மொழியைப் பின்பற்று',
+  'money.buttonTitle': 'நாணயம் மற்றும் எண் வடிவம்',
+  'money.title': 'நாணயம் & வடிவம்',
+  'money.displayCurrency': 'காட்டப்படும் நாணயம்',
+  'money.locale': 'மொழிப்பகுதி',
+  'money.numbering': 'சுருக்க அலகுகள்',
+  'money.numbering.lakh': 'லட்சம் / கோடி',
+  'money.numbering.million': 'மில்லியன் / பில்லியன்',
+  'money.compact': 'சுருக்கமான தொகைகளைப் பயன்படுத்து ({example})',
+  'money.exchangeRates': 'மாற்று விகிதங்கள் (ஒரு அலகுக்கு {currency})',
+  'voice.unsupported': 'இந்த உலாவியில் உள்ளமைந்த பேச்சு அறிதல் இல்லை, எனவே குரல் உள்ளீடு கிடைக்காது. ஆதரிக்கப்படும் இடங்களில் பேசும் பதில்கள் இன்னும் செயல்படும்.',
+  'voice.language': 'மொழி',
+  'voice.mode': 'மைக்ரோஃபோன் முறை',
+  'voice.mode.push': 'அழுத்திப் பேசு',
+  'voice.mode.dictation': 'தொடர் டிக்டேஷன்',
+  'voice.mode.push.hint': 'மைக் பொத்தானை (அல்லது அதில் கவனம் இருக்கும்போது Space) அழுத்திப் பிடித்து, முடிக்க விடுவிக்கவும்.',
+  'voice.mode.dictation.hint': 'பேசத் தொடங்க மைக்கைக் கிளிக் செய்து, முடிந்ததும் மீண்டும் கிளிக் செய்யவும்.',
+  'voice.autoSend': 'நான் பேசி முடித்ததும் தானாக அனுப்பு',
+  'voice.speakReplies': 'பதில்களை உரக்கப் படி',
+  'voice.voice': 'குரல்',
+  'voice.browserDefault': 'உலாவி இயல்புநிலை',
+  'voice.rate': 'பேசும் வேகம் ({rate}x)',
+  'voice.sample': 'உங்கள் பதில்கள் இப்படித்தான் ஒலிக்கும்.',
+  'voice.test': 'குரலைச் சோதி',
+  'theme.title': 'தீம்',
+  'theme.heading': 'தோற்றம்',
+  'theme.mode.system': 'கணினியைப் பின்பற்று',
+  'theme.mode.light': 'வெளிர்',
+  'theme.mode.dark': 'இருண்ட',
+  'theme.contrast': 'மாறுபாடு',
+  'theme.contrast.system': 'கணினியைப் பின்பற்று',
+  'theme.contrast.normal': 'நிலையானது',
+  'theme.contrast.high': 'உயர் மாறுபாடு',
+  'privacy.show': 'முக்கியத் தகவல்களைக் காட்டு',
+  'privacy.hide': 'முக்கியத் தகவல்களை மறை',
+  'privacy.settings': 'தனியுரிமை அமைப்புகள்',
+  'privacy.title': 'தனியுரிமை',
+  'privacy.help': 'உங்கள் திரை பகிரப்படும்போது, தனியுரிமை முறை தொகைகள், கிரெடிட் ஸ்கோர்கள் மற்றும் உங்கள் அமர்வு ID-ஐ மறைக்கும்.',
+  'privacy.autoLock': 'செயலற்ற நிலையில் தானாக இயக்கு',
+  'privacy.autoLock.never': 'ஒருபோதும் இல்லை',
+  'privacy.autoLock.afterOne': '1 நிமிடத்திற்குப் பிறகு',
+  'privacy.autoLock.after': '{minutes} நிமிடங்களுக்குப் பிறகு',
+
+  // Chat
+  'chat.title': 'உங்கள் AI நிதி உதவியாளருடன் உரையாடுங்கள்',
+  'chat.history': 'உரையாடல் வரலாறு',
+  'chat.voiceSettings': 'குரல் அமைப்புகள்',
+  'chat.newConversation': 'புதிய உரையாடல்',
+  'chat.conversation': 'உரையாடல்',
+  'chat.sender.user': 'நீங்கள்',
+  'chat.sender.ai': 'FinSure AI',
+  'chat.sender.system': 'அறிவிப்பு',
+  'chat.empty': 'உங்கள் நிதி பற்றி என்னிடம் கேட்டுத் தொடங்குங்கள்!',
+  'chat.starter.netWorth': 'என் நிகர மதிப்பு எப்படி உள்ளது?',
+  'chat.starter.creditScore': 'என் கடன் மதிப்பெண் என்ன?',
+  'chat.starter.homeLoan': '₹50L வீட்டுக் கடன் வாங்க என்னால் முடியுமா?',
+  'chat.suggestedQuestions': 'பரிந்துரைக்கப்பட்ட கேள்விகள்',
+  'chat.suggestedFollowUps': 'பரிந்துரைக்கப்பட்ட தொடர் கேள்விகள்',
+  'chat.thinking': 'யோசிக்கிறது...',
+  'chat.about': 'இது பற்றி: {label}',
+  'chat.queued': 'மீண்டும் ஆன்லைனுக்கு வந்ததும் அனுப்பப்படும்',
+  'chat.queuedAnnouncement': 'நீங்கள் ஆஃப்லைனில் உள்ளீர்கள். மீண்டும் இணைந்ததும் உங்கள் செய்தி அனுப்பப்படும்.',
+  'chat.offline': 'நீங்கள் ஆஃப்லைனில் உள்ளீர்கள். முந்தைய உரையாடல்களைப் படிக்கலாம்; புதிய கேள்விகள் மீண்டும் இணைந்ததும் அனுப்பப்படும்.',
+  'chat.stopped': 'பதில் நிறுத்தப்பட்டது',
+  'chat.readAloud': 'சத்தமாகப் படி',
+  'chat.askingAbout': 'இது பற்றிக் கேட்கிறீர்கள்: {label}',
+  'chat.removeContext': 'நீக்கு',
+  'chat.stopAskingAbout': '{label} பற்றிக் கேட்பதை நிறுத்து',
+  'chat.input.label': 'உங்கள் நிதிக் கேள்வியைக் கேளுங்கள்',
+  'chat.input.placeholder': 'உங்கள் நிதிக் கேள்வியைக் கேளுங்கள்...',
+  'chat.input.listening': 'கேட்கிறது...',
+  'chat.send': 'செய்தியை அனுப்பு',
+  'chat.stop': 'பதிலை நிறுத்து',
+  'chat.error.generic': 'அச்சச்சோ! ஏதோ தவறு நடந்துவிட்டது. மீண்டும் முயலவும்.',
+  'chat.error.loginRequired': 'Fi Money அங்கீகாரம் தேவை. இந்த உரையாடலை இழக்காமல் உள்நுழைய மேலே உள்ள "மீண்டும் உள்நுழைக" பொத்தானைப் பயன்படுத்தவும், அல்லது இந்த இணைப்பைத் திறக்கவும்: {url}',
+  'chat.error.sessionInvalid': 'அமர்வு செல்லாது. Fi Money-இல் மீண்டும் உள்நுழையவும். பிழை: {message}',
+  'chat.error.message': 'பிழை: {message}',
+  'chat.mic.unsupported': 'இந்த உலாவியில் குரல் உள்ளீடு ஆதரிக்கப்படவில்லை',
+  'chat.mic.hold': 'பேச அழுத்திப் பிடிக்கவும்',
+  'chat.mic.startDictation': 'சொல்வதை எழுதத் தொடங்கு',
+  'chat.mic.stopDictation': 'சொல்வதை எழுதுவதை நிறுத்து',
+  'chat.mic.blocked': 'மைக்ரோஃபோன் அனுமதி தடுக்கப்பட்டுள்ளது. குரல் உள்ளீட்டைப் பயன்படுத்த உலாவி அமைப்புகளில் அனுமதிக்கவும்.',
+  'chat.mic.error': 'பேச்சு அறிதலில் பிழை: {code}. மீண்டும் முயலவும்.',
+  'chat.historyPanel.title': 'உரையாடல்கள்',
+  'chat.historyPanel.close': 'வரலாற்றை மூடு',
+  'chat.historyPanel.search': 'முந்தைய பதில்களைத் தேடு...',
+  'chat.historyPanel.noMatches': 'உங்கள் தேடலுக்குப் பொருந்தும் செய்திகள் இல்லை.',
+  'chat.historyPanel.saveTitle': 'தலைப்பைச் சேமி',
+  'chat.historyPanel.rename': 'உரையாடலின் பெயரை மாற்று',
+  'chat.historyPanel.delete': 'உரையாடலை நீக்கு',
+  'chat.historyPanel.empty': 'சேமிக்கப்பட்ட உரையாடல்கள் இன்னும் இல்லை.',
+};
+
+export default ta;
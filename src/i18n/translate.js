@@ -0,0 +1,68 @@
+import { humanizeEnum } from '../portfolio/portfolioAnalytics';
+import en from './messages/en';
+import hi from './messages/hi';
+import ta from './messages/ta';
+
+// --- Translation ---
+// Message catalogs and the t(key, params) lookup. Each language also names the BCP 47
+// locale used for number and date formatting, speech recognition and the language hint
+// sent to /chat. To add a language, add its catalog under ./messages and list it here;
+// keys it leaves out are shown in English.
+
+export const LANGUAGES = [
+  { id: 'en', label: 'English', locale: 'en-IN', messages: en },
+  { id: 'hi', label: 'हिन्दी', locale: 'hi-IN', messages: hi },
+  { id: 'ta', label: 'தமிழ்', locale: 'ta-IN', messages: ta },
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const findLanguage = (id) => LANGUAGES.find(language => language.id === id)
+  || LANGUAGES.find(language => language.id === DEFAULT_LANGUAGE);
+
+/** The first of the browser's preferred languages we have a catalog for. */
+export const detectLanguage = () => {
+  const preferred = typeof navigator === 'undefined' ? [] : navigator.languages || [navigator.language];
+  const match = preferred
+    .map(tag => String(tag || '').split('-')[0].toLowerCase())
+    .find(id => LANGUAGES.some(language => language.id === id));
+  return match || DEFAULT_LANGUAGE;
+};
+
+const lookup = (messages, key) => messages[key] ?? en[key];
+
+const interpolate = (template, params) => template.replace(/\{(\w+)\}/g, (placeholder, name) => (
+  params[name] === undefined || params[name] === null ? placeholder : String(params[name])
+));
+
+/** t(key, params) for one language. An unknown key is logged and shown as-is. */
+export const createTranslator = (languageId) => {
+  const { messages } = findLanguage(languageId);
+  return (key, params = {}) => {
+    const template = lookup(messages, key);
+    if (template === undefined) {
+      console.warn(`Missing translation for "${key}"`);
+      return key;
+    }
+    return interpolate(template, params);
+  };
+};
+
+/**
+ * Label for an ASSET_TYPE_* / LIABILITY_TYPE_* netWorthAttribute. Types without a
+ * catalog entry are spelled out from the enum name ("ASSET_TYPE_REIT" -> "Reit").
+ */
+export const netWorthTypeLabel = (attribute, languageId = DEFAULT_LANGUAGE) => {
+  const known = lookup(findLanguage(languageId).messages, `netWorthType.${attribute}`);
+  return known ?? humanizeEnum(String(attribute || '').replace(/^(ASSET|LIABILITY)_TYPE_/, ''));
+};
+
+/**
+ * English text and formatting: the default `language` argument for helpers that write
+ * text outside React. Components pass the active one from useLanguage() instead.
+ */
+export const ENGLISH = {
+  t: createTranslator(DEFAULT_LANGUAGE),
+  locale: findLanguage(DEFAULT_LANGUAGE).locale,
+  typeLabel: (attribute) => netWorthTypeLabel(attribute),
+};
@@ -0,0 +1,65 @@
+import { LANGUAGES, createTranslator, detectLanguage, netWorthTypeLabel } from './translate';
+import en from './messages/en';
+
+const placeholders = (template) => (template.match(/\{\w+\}/g) || []).sort();
+
+describe('catalogs', () => {
+  test.each(LANGUAGES.map(language => [language.id, language.messages]))('%s translates every English key and no others', (id, messages) => {
+    expect(Object.keys(messages).sort()).toEqual(Object.keys(en).sort());
+  });
+
+  test.each(LANGUAGES.map(language => [language.id, language.messages]))('%s keeps the placeholders of each message', (id, messages) => {
+    Object.entries(en).forEach(([key, template]) => {
+      expect([key, placeholders(messages[key])]).toEqual([key, placeholders(template)]);
+    });
+  });
+});
+
+describe('createTranslator', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  test('fills in placeholders', () => {
+    expect(createTranslator('en')('chat.about', { label: 'Home Loan' })).toBe('About: Home Loan');
+    expect(createTranslator('hi')('app.session', { id: 'abc' })).toBe('सेशन: abc');
+  });
+
+  test('leaves placeholders without a value as they are', () => {
+    expect(createTranslator('en')('chat.error.message')).toBe('Error: {message}');
+  });
+
+  test('falls back to English for an unknown language', () => {
+    expect(createTranslator('fr')('chat.send')).toBe('Send Message');
+  });
+
+  test('shows and reports a key that no catalog defines', () => {
+    expect(createTranslator('ta')('chat.missing')).toBe('chat.missing');
+    expect(console.warn).toHaveBeenCalledWith('Missing translation for "chat.missing"');
+  });
+});
+
+describe('netWorthTypeLabel', () => {
+  test('uses the catalog label for known types', () => {
+    expect(netWorthTypeLabel('ASSET_TYPE_MUTUAL_FUND')).toBe('Mutual Funds');
+    expect(netWorthTypeLabel('LIABILITY_TYPE_HOME_LOAN', 'hi')).toBe('होम लोन');
+    expect(netWorthTypeLabel('LIABILITY_TYPE_CREDIT_CARD_DUES', 'ta')).toBe('கிரெடிட் கார்டு நிலுவை');
+  });
+
+  test('spells out types the catalogs do not know', () => {
+    expect(netWorthTypeLabel('ASSET_TYPE_SOVEREIGN_GOLD_BONDS', 'hi')).toBe('Sovereign Gold Bonds');
+    expect(netWorthTypeLabel('LIABILITY_TYPE_GOLD_LOAN')).toBe('Gold Loan');
+  });
+});
+
+describe('detectLanguage', () => {
+  test('picks the first browser language with a catalog', () => {
+    jest.spyOn(navigator, 'languages', 'get').mockReturnValue(['fr-FR', 'ta-IN', 'hi']);
+    expect(detectLanguage()).toBe('ta');
+  });
+
+  test('defaults to English', () => {
+    jest.spyOn(navigator, 'languages', 'get').mockReturnValue(['de-DE']);
+    expect(detectLanguage()).toBe('en');
+  });
+});
@@ -2,6 +2,11 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { registerServiceWorker } from './pwa/serviceWorker';
+import { listenForInstallPrompt } from './pwa/installPrompt';
+
+// The install prompt can fire before the app has rendered, so start listening first
+listenForInstallPrompt();
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -10,3 +15,4 @@ root.render(
   </React.StrictMode>
 );
 
+registerServiceWorker();
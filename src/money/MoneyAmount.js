@@ -0,0 +1,17 @@
+import React from 'react';
+import { useMoney } from './MoneyContext';
+
+// --- MoneyAmount Component ---
+// A Money value in the display currency, with the original amount when it differs.
+const MoneyAmount = ({ value }) => {
+  const { format, formatOriginal, displayCurrency } = useMoney();
+  const isConverted = value?.currencyCode && value.currencyCode !== displayCurrency;
+  return (
+    <span className="font-medium text-gray-300 text-sm text-right">
+      {format(value)}
+      {isConverted && <span className="block text-xs text-gray-500">{formatOriginal(value)}</span>}
+    </span>
+  );
+};
+
+export default MoneyAmount;
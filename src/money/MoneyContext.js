@@ -0,0 +1,115 @@
+import React, { createContext, useContext, useState, useMemo, useCallback } from 'react';
+import {
+  BASE_CURRENCY, convertMoney, formatMoney, moneyFromNumber, moneyToNumber, sumMoney
+} from './money';
+import { getExchangeRates } from './exchangeRates';
+import { usePrivacy } from '../privacy/PrivacyContext';
+import { MASKED_VALUE } from '../privacy/masking';
+import { useLanguage } from '../i18n/LanguageContext';
+
+// --- Money Preferences ---
+// Display currency, locale and notation are chosen by the user and shared through
+// context, so every total, chart tick and table cell formats the same way. In privacy
+// mode every formatted amount comes out masked. Until the user picks a locale, amounts
+// follow the interface language.
+
+const PREFERENCES_STORAGE_KEY = 'finsure.moneyPreferences';
+
+// Locales are named in their own language; only the first entry comes from the catalogs
+export const LOCALES = [
+  { id: '', labelKey: 'settings.matchAppLanguage' },
+  { id: 'en-IN', label: 'English (India)' },
+  { id: 'hi-IN', label: 'हिन्दी (भारत)' },
+  { id: 'en-US', label: 'English (US)' },
+  { id: 'en-GB', label: 'English (UK)' },
+];
+
+export const DEFAULT_MONEY_PREFERENCES = {
+  locale: '',
+  displayCurrency: BASE_CURRENCY,
+  compact: false,
+  numbering: 'lakh',
+  rateOverrides: {},
+};
+
+const loadPreferences = () => {
+  try {
+    return { ...DEFAULT_MONEY_PREFERENCES, ...JSON.parse(localStorage.getItem(PREFERENCES_STORAGE_KEY)) };
+  } catch (error) {
+    return DEFAULT_MONEY_PREFERENCES;
+  }
+};
+
+const MoneyContext = createContext(null);
+
+export const MoneyProvider = ({ children }) => {
+  const [preferences, setPreferences] = useState(loadPreferences);
+  const { masked } = usePrivacy();
+  const { t, locale: languageLocale } = useLanguage();
+
+  const updatePreferences = useCallback((changes) => {
+    setPreferences(prev => {
+      const next = { ...prev, ...changes };
+      try {
+        localStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify(next));
+      } catch (error) {
+        console.error('Error saving money preferences:', error);
+      }
+      return next;
+    });
+  }, []);
+
+  const value = useMemo(() => {
+    const exchangeRates = getExchangeRates(preferences.rateOverrides);
+    // Fall back to the base currency if the chosen one lost its rate
+    const displayCurrency = exchangeRates[preferences.displayCurrency] ? preferences.displayCurrency : BASE_CURRENCY;
+    const locale = preferences.locale || languageLocale;
+    const formatOptions = {
+      locale, compact: preferences.compact, numbering: preferences.numbering, notAvailable: t('card.notAvailable'),
+    };
+
+    // Money values keep their own currency; plain numbers are base-currency amounts
+    const toMoney = (value) => (typeof value === 'number' ? moneyFromNumber(value, BASE_CURRENCY) : value);
+    const toDisplay = (value) => {
+      const money = toMoney(value);
+      try {
+        return convertMoney(money, displayCurrency, exchangeRates);
+      } catch (error) {
+        console.error('Error converting money:', error);
+        return money;
+      }
+    };
+
+    const formatMasked = (value, options) => (masked ? MASKED_VALUE : formatMoney(value, options));
+
+    return {
+      preferences,
+      updatePreferences,
+      /** The locale amounts are formatted in. */
+      locale,
+      exchangeRates,
+      displayCurrency,
+      toDisplay,
+      /** Formats Money or a base-currency number in the display currency. */
+      format: (value, options = {}) => formatMasked(toDisplay(value), { ...formatOptions, ...options }),
+      /** Always-compact variant for chart ticks and tight spaces. */
+      formatCompact: (value) => formatMasked(toDisplay(value), { ...formatOptions, compact: true }),
+      /** Formats Money in its original currency, ignoring the display currency. */
+      formatOriginal: (value, options = {}) => formatMasked(toMoney(value), { ...formatOptions, ...options }),
+      /** Like `format` but never masked, for text stored or sent on to be masked where it is shown. */
+      formatUnmasked: (value, options = {}) => formatMoney(toDisplay(value), { ...formatOptions, ...options }),
+      /** Exact total of Money values, in the display currency. */
+      total: (values) => sumMoney(values, displayCurrency, exchangeRates),
+      /** Display-currency number for charts. */
+      toNumber: (value) => moneyToNumber(toDisplay(value)),
+    };
+  }, [preferences, updatePreferences, masked, t, languageLocale]);
+
+  return <MoneyContext.Provider value={value}>{children}</MoneyContext.Provider>;
+};
+
+export const useMoney = () => {
+  const context = useContext(MoneyContext);
+  if (!context) throw new Error('useMoney must be used inside a MoneyProvider');
+  return context;
+};
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { Coins, X } from 'lucide-react';
+import GlassCard from '../components/GlassCard';
+import { BASE_CURRENCY, NUMBERING_SYSTEMS } from './money';
+import { getExchangeRates } from './exchangeRates';
+import { LOCALES, useMoney } from './MoneyContext';
+import { useLanguage } from '../i18n/LanguageContext';
+
+const selectClassName = 'w-full mt-1 p-2 bg-gray-800/40 border border-gray-600/40 rounded-lg focus:outline-none focus:ring-1 focus:ring-gray-500 text-gray-300 text-xs';
+
+// --- MoneySettings Component ---
+// Header popover for display currency, locale, compact notation and exchange rates.
+const MoneySettings = () => {
+  const { t } = useLanguage();
+  const { preferences, updatePreferences, exchangeRates, displayCurrency, format } = useMoney();
+  const [isOpen, setIsOpen] = useState(false);
+  const configuredRates = getExchangeRates();
+  const currencies = Object.keys(exchangeRates);
+
+  const setRateOverride = (code, value) => {
+    const { [code]: removed, ...rest } = preferences.rateOverrides;
+    updatePreferences({ rateOverrides: value === '' ? rest : { ...rest, [code]: Number(value) } });
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="flex items-center text-xs text-gray-400 bg-gray-800/40 px-3 py-1 rounded-lg border border-gray-600/30 hover:text-gray-200"
+        title={t('money.buttonTitle')}
+      >
+        <Coins size={14} className="mr-1" />
+        <span className="font-medium">{displayCurrency}</span>
+      </button>
+      {isOpen && (
+        <GlassCard className="absolute right-0 mt-2 w-72 p-4 z-20 space-y-3 bg-gray-900/95">
+          <div className="flex justify-between items-center">
+            <h2 className="text-sm font-medium text-gray-300">{t('money.title')}</h2>
+            <button onClick={() => setIsOpen(false)} className="text-gray-500 hover:text-gray-300" title={t('settings.close')}>
+              <X size={14} />
+            </button>
+          </div>
+          <label className="block text-xs text-gray-500">
+            {t('money.displayCurrency')}
+            <select
+              className={selectClassName}
+              value={displayCurrency}
+              onChange={(e) => updatePreferences({ displayCurrency: e.target.value })}
+            >
+              {currencies.map(code => <option key={code} value={code}>{code}</option>)}
+            </select>
+          </label>
+          <label className="block text-xs text-gray-500">
+            {t('money.locale')}
+            <select
+              className={selectClassName}
+              value={preferences.locale}
+              onChange={(e) => updatePreferences({ locale: e.target.value })}
+            >
+              {LOCALES.map(locale => <option key={locale.id} value={locale.id}>{locale.labelKey ? t(locale.labelKey) : locale.label}</option>)}
+            </select>
+          </label>
+          <label className="block text-xs text-gray-500">
+            {t('money.numbering')}
+            <select
+              className={selectClassName}
+              value={preferences.numbering}
+              onChange={(e) => updatePreferences({ numbering: e.target.value })}
+            >
+              {Object.entries(NUMBERING_SYSTEMS).map(([id, system]) => <option key={id} value={id}>{t(system.labelKey)}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center text-xs text-gray-400">
+            <input
+              type="checkbox"
+              className="mr-2"
+              checked={preferences.compact}
+              onChange={(e) => updatePreferences({ compact: e.target.checked })}
+            />
+            {t('money.compact', { example: format(2385610.5, { compact: true }) })}
+          </label>
+          <div>
+            <p className="text-xs text-gray-500 mb-1">{t('money.exchangeRates', { currency: BASE_CURRENCY })}</p>
+            <div className="grid grid-cols-2 gap-2">
+              {currencies.filter(code => code !== BASE_CURRENCY).map(code => (
+                <label key={code} className="flex items-center text-xs text-gray-400">
+                  <span className="w-10">{code}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    className="w-full p-1 bg-gray-800/40 border border-gray-600/40 rounded text-gray-300 text-xs"
+                    placeholder={String(configuredRates[code] ?? '')}
+                    value={preferences.rateOverrides[code] ?? ''}
+                    onChange={(e) => setRateOverride(code, e.target.value)}
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+        </GlassCard>
+      )}
+    </div>
+  );
+};
+
+export default MoneySettings;
@@ -0,0 +1,43 @@
+import { BASE_CURRENCY } from './money';
+
+// --- Exchange Rates ---
+// Rates are units of the base currency (INR) per unit of each currency. Defaults are
+// indicative only; deployments can override them at runtime with
+// `window.__FINSURE_CONFIG__ = { exchangeRates: { USD: 83.4 } }` or at build time with
+// REACT_APP_EXCHANGE_RATES='{"USD":83.4}', and users can override them in settings.
+
+export const DEFAULT_EXCHANGE_RATES = {
+  [BASE_CURRENCY]: 1,
+  USD: 83.5,
+  EUR: 90.5,
+  GBP: 106,
+  AED: 22.7,
+  SGD: 62,
+};
+
+const sanitizeRates = (rates) => Object.fromEntries(
+  Object.entries(rates || {})
+    .map(([code, rate]) => [code.toUpperCase(), Number(rate)])
+    .filter(([, rate]) => Number.isFinite(rate) && rate > 0)
+);
+
+const parseEnvRates = () => {
+  try {
+    return JSON.parse(process.env.REACT_APP_EXCHANGE_RATES || '{}');
+  } catch (error) {
+    console.error('Ignoring invalid REACT_APP_EXCHANGE_RATES:', error);
+    return {};
+  }
+};
+
+/** Configured rate table, with any user overrides applied last. */
+export const getExchangeRates = (overrides = {}) => {
+  const runtime = (typeof window !== 'undefined' && window.__FINSURE_CONFIG__) || {};
+  return {
+    ...DEFAULT_EXCHANGE_RATES,
+    ...sanitizeRates(parseEnvRates()),
+    ...sanitizeRates(runtime.exchangeRates),
+    ...sanitizeRates(overrides),
+    [BASE_CURRENCY]: 1,
+  };
+};
@@ -0,0 +1,157 @@
+/* global BigInt */
+// --- Money ---
+// Exact arithmetic and formatting for google.type.Money values
+// ({ currencyCode, units, nanos }). Amounts are added and converted as BigInt nanos, so
+// totals never pick up floating-point drift; numbers only appear at the display edge.
+
+export const BASE_CURRENCY = 'INR';
+
+const NANOS_PER_UNIT = 1_000_000_000n;
+const NANO_DIGITS = 9;
+
+export const NUMBERING_SYSTEMS = {
+  lakh: { labelKey: 'money.numbering.lakh', scales: [{ value: 1e7, suffix: 'Cr' }, { value: 1e5, suffix: 'L' }, { value: 1e3, suffix: 'K' }] },
+  million: { labelKey: 'money.numbering.million', scales: [{ value: 1e9, suffix: 'B' }, { value: 1e6, suffix: 'M' }, { value: 1e3, suffix: 'K' }] },
+};
+
+const absBigInt = (value) => (value < 0n ? -value : value);
+
+// Integer division rounding half away from zero
+const divideRounded = (dividend, divisor) => {
+  const quotient = dividend / divisor;
+  const remainder = dividend % divisor;
+  if (2n * absBigInt(remainder) < absBigInt(divisor)) return quotient;
+  return (dividend < 0n) === (divisor < 0n) ? quotient + 1n : quotient - 1n;
+};
+
+/** "-12.3456" -> -12345600000n nanos. Digits past the ninth decimal are rounded. */
+export const decimalToNanos = (value) => {
+  const match = /^([+-])?(\d*)(?:\.(\d*))?$/.exec(String(value).trim());
+  if (!match || (!match[2] && !match[3])) return null;
+  const [, sign, whole, fraction = ''] = match;
+  const padded = fraction.padEnd(NANO_DIGITS + 1, '0');
+  let nanos = BigInt(whole || '0') * NANOS_PER_UNIT + BigInt(padded.slice(0, NANO_DIGITS));
+  if (Number(padded[NANO_DIGITS]) >= 5) nanos += 1n;
+  return sign === '-' ? -nanos : nanos;
+};
+
+/** Total nanos of a Money value, or null when it has no units. */
+export const toNanos = (money) => {
+  if (!money || money.units === undefined || money.units === null) return null;
+  const units = decimalToNanos(money.units);
+  if (units === null) return null;
+  return units + BigInt(Math.trunc(Number(money.nanos) || 0));
+};
+
+/** Builds a Money value from nanos; `nanos` carries the same sign as `units`. */
+export const fromNanos = (nanos, currencyCode = BASE_CURRENCY) => ({
+  currencyCode,
+  units: String(nanos / NANOS_PER_UNIT),
+  nanos: Number(nanos % NANOS_PER_UNIT),
+});
+
+export const moneyFromNumber = (amount, currencyCode = BASE_CURRENCY) => {
+  // toFixed switches to exponent notation past 1e21, which decimalToNanos rejects
+  const nanos = Number.isFinite(amount) ? decimalToNanos(amount.toFixed(NANO_DIGITS)) : null;
+  return nanos === null ? null : fromNanos(nanos, currencyCode);
+};
+
+export const currencyOf = (money) => money?.currencyCode || BASE_CURRENCY;
+
+/** Exact decimal string ("-1234.5"), or null when the value is missing. */
+export const moneyToDecimalString = (money) => {
+  const nanos = toNanos(money);
+  if (nanos === null) return null;
+  const sign = nanos < 0n ? '-' : '';
+  const abs = absBigInt(nanos);
+  const fraction = String(abs % NANOS_PER_UNIT).padStart(NANO_DIGITS, '0').replace(/0+$/, '');
+  return `${sign}${abs / NANOS_PER_UNIT}${fraction ? `.${fraction}` : ''}`;
+};
+
+// Converts a Money value to a number, or null when it is missing
+export const moneyToNumber = (money) => {
+  const decimal = moneyToDecimalString(money);
+  return decimal === null ? null : Number(decimal);
+};
+
+// Rates are "units of the base currency per unit", scaled to nanos for BigInt math
+const scaledRate = (currencyCode, exchangeRates) => {
+  if (currencyCode === BASE_CURRENCY) return NANOS_PER_UNIT;
+  const rate = Number(exchangeRates?.[currencyCode]);
+  if (!Number.isFinite(rate) || rate <= 0) {
+    throw new Error(`No exchange rate configured for ${currencyCode}`);
+  }
+  return decimalToNanos(rate.toFixed(NANO_DIGITS));
+};
+
+/** Converts Money into another currency through a base-currency rate table. */
+export const convertMoney = (money, toCurrency, exchangeRates) => {
+  const nanos = toNanos(money);
+  if (nanos === null) return null;
+  const fromCurrency = currencyOf(money);
+  if (fromCurrency === toCurrency) return fromNanos(nanos, toCurrency);
+  const converted = divideRounded(nanos * scaledRate(fromCurrency, exchangeRates), scaledRate(toCurrency, exchangeRates));
+  return fromNanos(converted, toCurrency);
+};
+
+/**
+ * Exact sum of Money values in `currencyCode`; values in other currencies are converted
+ * first. Missing values count as zero.
+ */
+export const sumMoney = (values, currencyCode = BASE_CURRENCY, exchangeRates = {}) => {
+  const total = values.reduce((sum, money) => {
+    const converted = convertMoney(money, currencyCode, exchangeRates);
+    return converted ? sum + toNanos(converted) : sum;
+  }, 0n);
+  return fromNanos(total, currencyCode);
+};
+
+export const subtractMoney = (left, right, exchangeRates = {}) => {
+  const currencyCode = currencyOf(left);
+  const rightNanos = toNanos(convertMoney(right, currencyCode, exchangeRates)) ?? 0n;
+  return fromNanos((toNanos(left) ?? 0n) - rightNanos, currencyCode);
+};
+
+const insertSuffix = (formatter, value, suffix) => {
+  if (!suffix) return formatter.format(value);
+  const parts = formatter.formatToParts(value);
+  const lastNumberPart = parts.reduce((last, part, index) => (['integer', 'fraction'].includes(part.type) ? index : last), -1);
+  return parts
+    .map((part, index) => (index === lastNumberPart ? `${part.value}${suffix}` : part.value))
+    .join('');
+};
+
+/**
+ * Formats Money in its own currency.
+ * options: { locale = 'en-IN', compact = false, numbering = 'lakh', maximumFractionDigits = 2, notAvailable = 'N/A' }
+ * Compact notation uses lakh/crore or million/billion regardless of locale. A missing
+ * amount comes out as `notAvailable`.
+ */
+export const formatMoney = (money, {
+  locale = 'en-IN', compact = false, numbering = 'lakh', maximumFractionDigits = 2, notAvailable = 'N/A',
+} = {}) => {
+  const decimal = moneyToDecimalString(money);
+  if (decimal === null) return notAvailable;
+  const currency = currencyOf(money);
+
+  if (!compact) {
+    // Intl formats decimal strings exactly where supported and falls back to Number
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency,
+      maximumFractionDigits,
+      minimumFractionDigits: 0,
+    }).format(decimal);
+  }
+
+  const amount = Number(decimal);
+  const scales = (NUMBERING_SYSTEMS[numbering] || NUMBERING_SYSTEMS.lakh).scales;
+  const scale = scales.find(option => Math.abs(amount) >= option.value);
+  const formatter = new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency,
+    maximumFractionDigits: scale ? 2 : 0,
+    minimumFractionDigits: 0,
+  });
+  return insertSuffix(formatter, scale ? amount / scale.value : amount, scale?.suffix);
+};
@@ -0,0 +1,85 @@
+import React from 'react';
+import { Bar } from 'react-chartjs-2';
+import '../charts/registerCharts';
+import AccessibleChart from '../charts/AccessibleChart';
+import GlassCard from '../components/GlassCard';
+import { useMoney } from '../money/MoneyContext';
+import { useChartTheme } from '../theme/ThemeContext';
+import { useLanguage } from '../i18n/LanguageContext';
+
+// --- AssetLiabilityChart Component ---
+const AssetLiabilityChart = ({ assetData, liabilityData, chartRef }) => {
+  const { format, formatCompact } = useMoney();
+  const { t } = useLanguage();
+  const chart = useChartTheme();
+  const assetColors = chart.series('400');
+  const liabilityColors = chart.series('500');
+  const data = {
+    labels: assetData.labels.concat(liabilityData.labels),
+    datasets: [
+      {
+        label: t('assetChart.assets'),
+        data: assetData.values,
+        backgroundColor: assetColors.fill,
+        borderColor: assetColors.line,
+        borderWidth: 1,
+        borderRadius: 4,
+      },
+      {
+        label: t('assetChart.liabilities'),
+        data: liabilityData.values,
+        backgroundColor: liabilityColors.fill,
+        borderColor: liabilityColors.line,
+        borderWidth: 1,
+        borderRadius: 4,
+      },
+    ],
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: chart.legend(),
+      tooltip: chart.tooltip({
+        label: function(context) {
+          let label = context.dataset.label || '';
+          if (label) {
+            label += ': ';
+          }
+          if (context.parsed.y !== null) {
+            label += format(context.parsed.y);
+          }
+          return label;
+        }
+      }),
+    },
+    scales: {
+      x: chart.categoryAxis(),
+      y: chart.valueAxis({ callback: formatCompact }),
+    },
+  };
+
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+  const rows = [
+    ...assetData.labels.map((label, index) => [label, format(assetData.values[index]), '']),
+    ...liabilityData.labels.map((label, index) => [label, '', format(liabilityData.values[index])]),
+  ];
+
+  return (
+    <GlassCard className="p-4">
+      <h3 className="text-md font-medium text-gray-300 mb-3 text-center">{t('assetChart.title')}</h3>
+      <AccessibleChart
+        label={t('assetChart.title')}
+        summary={t('assetChart.summary', { assets: format(sum(assetData.values)), liabilities: format(sum(liabilityData.values)) })}
+        columns={[t('assetChart.item'), t('assetChart.assets'), t('assetChart.liabilities')]}
+        rows={rows}
+        className="h-64"
+      >
+        <Bar ref={chartRef} data={data} options={options} />
+      </AccessibleChart>
+    </GlassCard>
+  );
+};
+
+export default AssetLiabilityChart;
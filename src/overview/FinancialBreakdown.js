@@ -0,0 +1,62 @@
+import React from 'react';
+import { TrendingUp, CreditCard } from 'lucide-react';
+import GlassCard from '../components/GlassCard';
+import MoneyAmount from '../money/MoneyAmount';
+import { useMoney } from '../money/MoneyContext';
+import { useLanguage } from '../i18n/LanguageContext';
+import AskAboutButton from '../chat/AskAboutButton';
+import { assetContext, liabilityContext } from '../chat/askContext';
+
+// --- FinancialBreakdown Component ---
+// Every asset and liability from the net worth response, with their totals. Each row
+// can open the chat with that item attached.
+const FinancialBreakdown = ({ netWorth }) => {
+  const { format, total } = useMoney();
+  const { t, typeLabel } = useLanguage();
+  const totalAssets = total(netWorth.assetValues.map(asset => asset.value));
+  const totalLiabilities = total(netWorth.liabilityValues.map(liability => liability.value));
+
+  return (
+    <GlassCard className="p-4">
+      <h2 className="text-md font-medium text-gray-300 mb-4 text-center">{t('breakdown.title')}</h2>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <h3 className="text-sm font-medium text-gray-400 mb-3 flex items-center">
+            <TrendingUp className="mr-1" size={16} />
+            {t('breakdown.assets', { total: format(totalAssets) })}
+          </h3>
+          <ul className="space-y-2">
+            {netWorth.assetValues.map((asset, index) => (
+              <li key={index} className="flex justify-between items-center p-2 bg-gray-800/40 rounded-lg border border-gray-600/30">
+                <span className="font-medium text-gray-400 text-sm">{typeLabel(asset.netWorthAttribute)}</span>
+                <span className="flex items-center">
+                  <MoneyAmount value={asset.value} />
+                  <AskAboutButton context={assetContext(asset, { t, typeLabel })} className="ml-1" />
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+        <div>
+          <h3 className="text-sm font-medium text-gray-400 mb-3 flex items-center">
+            <CreditCard className="mr-1" size={16} />
+            {t('breakdown.liabilities', { total: format(totalLiabilities) })}
+          </h3>
+          <ul className="space-y-2">
+            {netWorth.liabilityValues.map((liability, index) => (
+              <li key={index} className="flex justify-between items-center p-2 bg-gray-800/40 rounded-lg border border-gray-600/30">
+                <span className="font-medium text-gray-400 text-sm">{typeLabel(liability.netWorthAttribute)}</span>
+                <span className="flex items-center">
+                  <MoneyAmount value={liability.value} />
+                  <AskAboutButton context={liabilityContext(liability, { t, typeLabel })} className="ml-1" />
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </GlassCard>
+  );
+};
+
+export default FinancialBreakdown;
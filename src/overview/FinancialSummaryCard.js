@@ -0,0 +1,39 @@
+import React from 'react';
+import { TrendingUp, TrendingDown } from 'lucide-react';
+import GlassCard from '../components/GlassCard';
+import AskAboutButton from '../chat/AskAboutButton';
+import { useLanguage } from '../i18n/LanguageContext';
+
+// --- FinancialSummaryCard Component ---
+// Each card is a labelled group, so screen readers announce the title with the figure.
+// With an `askContext` the card also offers to open the chat about its figure.
+const FinancialSummaryCard = ({ title, value, icon: Icon, description, trend, trendDown = false, askContext }) => {
+  const { t } = useLanguage();
+
+  return (
+    <GlassCard className="relative p-4 flex flex-col items-center text-center" role="group" aria-label={title}>
+      {askContext && <AskAboutButton context={askContext} className="absolute top-2 right-2" />}
+      <div className="p-3 bg-gray-700/40 rounded-lg mb-3">
+        <Icon className="text-gray-300" size={24} />
+      </div>
+      <h3 className="text-sm font-medium text-gray-400 mb-1">{title}</h3>
+      <p className="text-xl font-semibold text-gray-200 mb-1">
+        {value}
+      </p>
+      <p className="text-xs text-gray-500">{description}</p>
+      {trend && (
+        <div className="mt-2 flex items-center">
+          {trendDown
+            ? <TrendingDown className="text-gray-400 mr-1" size={12} />
+            : <TrendingUp className="text-gray-400 mr-1" size={12} />}
+          <span className="text-gray-400 text-xs">
+            <span className="sr-only">{t(trendDown ? 'card.trendingDown' : 'card.trendingUp')}</span>
+            {trend}
+          </span>
+        </div>
+      )}
+    </GlassCard>
+  );
+};
+
+export default FinancialSummaryCard;
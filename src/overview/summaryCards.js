@@ -0,0 +1,60 @@
+import { DollarSign, CreditCard, Briefcase } from 'lucide-react';
+import { scoreBand } from '../credit/creditReport';
+import { computeTrend, formatPercentTrend, formatPointsTrend } from '../history/trends';
+import { summaryContext } from '../chat/askContext';
+import { createTranslator, DEFAULT_LANGUAGE } from '../i18n/translate';
+
+/**
+ * The headline cards (net worth, credit score, EPF) with trends from stored snapshots in
+ * the selected range. Shared by the overview page and the export menu so both show the
+ * same values. `askContext` carries the raw figure for "ask about this". `format` masks
+ * amounts in privacy mode; `mask` hides the credit score, its band and its change. `language` is
+ * the { t, locale } of the interface language; the ask context keeps its label and
+ * details in English for the backend.
+ */
+export const buildSummaryCards = ({
+  financialData, snapshots, historyRange, format, mask = (value) => value,
+  language = { t: createTranslator(DEFAULT_LANGUAGE), locale: 'en-IN' },
+}) => {
+  const { t } = language;
+  const netWorth = financialData?.netWorth?.totalNetWorthValue;
+  const creditScore = financialData?.creditReport?.creditScore?.score;
+  const creditBand = scoreBand(creditScore);
+  const epfBalance = financialData?.epfDetails?.currentBalance;
+
+  // Card trends come from the real change between stored snapshots in the selected range
+  const netWorthTrend = computeTrend(snapshots, 'netWorth', historyRange);
+  const creditScoreTrend = computeTrend(snapshots, 'creditScore', historyRange);
+  const epfTrend = computeTrend(snapshots, 'epfBalance', historyRange);
+
+  return [
+    {
+      title: t('card.netWorth.title'),
+      value: format(netWorth),
+      icon: DollarSign,
+      description: t('card.netWorth.description'),
+      trend: formatPercentTrend(netWorthTrend, historyRange, format, language),
+      trendDown: netWorthTrend?.change < 0,
+      askContext: netWorth ? summaryContext('card.netWorth.title', { totalNetWorthValue: netWorth, trend: netWorthTrend }, language) : null,
+    },
+    {
+      title: t('card.creditScore.title'),
+      value: creditScore ? mask(creditScore) : t('card.notAvailable'),
+      icon: CreditCard,
+      // The band gives away roughly what the score is
+      description: creditBand ? mask(t(`creditBand.${creditBand.id}`)) : t('card.creditScore.unavailable'),
+      trend: creditScoreTrend && mask(formatPointsTrend(creditScoreTrend, historyRange, language)),
+      trendDown: creditScoreTrend?.change < 0,
+      askContext: creditScore ? summaryContext('card.creditScore.title', { score: creditScore, band: creditBand?.label ?? null, trend: creditScoreTrend }, language) : null,
+    },
+    {
+      title: t('card.epf.title'),
+      value: format(epfBalance),
+      icon: Briefcase,
+      description: t('card.epf.description'),
+      trend: formatPercentTrend(epfTrend, historyRange, format, language),
+      trendDown: epfTrend?.change < 0,
+      askContext: epfBalance ? summaryContext('card.epf.title', { currentBalance: epfBalance, trend: epfTrend }, language) : null,
+    },
+  ];
+};
@@ -0,0 +1,16 @@
+import React, { useEffect } from 'react';
+import { useOutletContext } from 'react-router-dom';
+import AlertsPanel from '../alerts/AlertsPanel';
+
+// --- AlertsPage Component ---
+const AlertsPage = () => {
+  const { alerts } = useOutletContext();
+  const { markAllRead } = alerts;
+
+  // New alerts stay highlighted while the page is open and count as read once it's left
+  useEffect(() => markAllRead, [markAllRead]);
+
+  return <AlertsPanel alerts={alerts} />;
+};
+
+export default AlertsPage;
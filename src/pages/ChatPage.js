@@ -0,0 +1,23 @@
+import React from 'react';
+import { useOutletContext, useLocation } from 'react-router-dom';
+import ChatInterface from '../chat/ChatInterface';
+
+// --- ChatPage Component ---
+// Navigation state can ask it to focus the message box or attach a dashboard item.
+const ChatPage = () => {
+  const { userId, onLoginRequired, onSessionActive } = useOutletContext();
+  const location = useLocation();
+  return (
+    <div className="h-[75vh] flex flex-col">
+      <ChatInterface
+        userId={userId}
+        onLoginRequired={onLoginRequired}
+        onSessionActive={onSessionActive}
+        focusOnMount={Boolean(location.state?.focusChat)}
+        askContext={location.state?.askContext}
+      />
+    </div>
+  );
+};
+
+export default ChatPage;
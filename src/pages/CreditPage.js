@@ -0,0 +1,21 @@
+import React from 'react';
+import { useOutletContext } from 'react-router-dom';
+import { useLanguage } from '../i18n/LanguageContext';
+import SectionBoundary, { SectionMessage } from '../components/SectionBoundary';
+import CreditReportPanel from '../credit/CreditReportPanel';
+
+// --- CreditPage Component ---
+const CreditPage = () => {
+  const { financialData, lastUpdated } = useOutletContext();
+  const { t } = useLanguage();
+  if (!financialData.creditReport) {
+    return <SectionMessage title={t('section.credit')} message={t('section.credit.missing')} />;
+  }
+  return (
+    <SectionBoundary title={t('section.credit')} resetKey={lastUpdated}>
+      <CreditReportPanel creditReport={financialData.creditReport} />
+    </SectionBoundary>
+  );
+};
+
+export default CreditPage;
@@ -0,0 +1,18 @@
+import React from 'react';
+import { useOutletContext } from 'react-router-dom';
+import { useLanguage } from '../i18n/LanguageContext';
+import SectionBoundary from '../components/SectionBoundary';
+import GoalsPanel from '../goals/GoalsPanel';
+
+// --- GoalsPage Component ---
+const GoalsPage = () => {
+  const { financialData, lastUpdated } = useOutletContext();
+  const { t } = useLanguage();
+  return (
+    <SectionBoundary title={t('section.goals')} resetKey={lastUpdated}>
+      <GoalsPanel financialData={financialData} />
+    </SectionBoundary>
+  );
+};
+
+export default GoalsPage;
@@ -0,0 +1,21 @@
+import React from 'react';
+import { useOutletContext } from 'react-router-dom';
+import { useLanguage } from '../i18n/LanguageContext';
+import SectionBoundary, { SectionMessage } from '../components/SectionBoundary';
+import PortfolioView from '../portfolio/PortfolioView';
+
+// --- InvestmentsPage Component ---
+const InvestmentsPage = () => {
+  const { financialData, lastUpdated } = useOutletContext();
+  const { t } = useLanguage();
+  if (!financialData.mfTransactions) {
+    return <SectionMessage title={t('section.investments')} message={t('section.investments.missing')} />;
+  }
+  return (
+    <SectionBoundary title={t('section.investments')} resetKey={lastUpdated}>
+      <PortfolioView mfTransactions={financialData.mfTransactions} />
+    </SectionBoundary>
+  );
+};
+
+export default InvestmentsPage;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import GlassCard from '../components/GlassCard';
+import { useLanguage } from '../i18n/LanguageContext';
+
+// --- NotFoundPage Component ---
+// Shown for unknown paths inside the app; the hosting-level 404 is public/404.html.
+const NotFoundPage = () => {
+  const { pathname } = useLocation();
+  const { t } = useLanguage();
+  // The path is shown as code, so the message is split where it leaves {path} unfilled
+  const [beforePath, afterPath] = t('notFound.message').split('{path}');
+  return (
+    <GlassCard className="p-6 text-center">
+      <h2 className="text-lg font-medium mb-3 text-gray-300">{t('notFound.title')}</h2>
+      <p className="mb-4 text-gray-400 text-sm">{beforePath}<code>{pathname}</code>{afterPath}</p>
+      <Link
+        to="/"
+        className="inline-block px-4 py-2 bg-gray-700/60 text-gray-300 rounded-lg border border-gray-600/40 text-sm"
+      >
+        {t('notFound.back')}
+      </Link>
+    </GlassCard>
+  );
+};
+
+export default NotFoundPage;
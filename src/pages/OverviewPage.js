@@ -0,0 +1,79 @@
+import React from 'react';
+import { useOutletContext } from 'react-router-dom';
+import { getAssetLiabilityData } from '../financeHelpers';
+import { useMoney } from '../money/MoneyContext';
+import { useLanguage } from '../i18n/LanguageContext';
+import SectionBoundary, { SectionMessage } from '../components/SectionBoundary';
+import FinancialSummaryCard from '../overview/FinancialSummaryCard';
+import FinancialBreakdown from '../overview/FinancialBreakdown';
+import AssetLiabilityChart from '../overview/AssetLiabilityChart';
+import NetWorthHistory from '../history/NetWorthHistory';
+import CashFlowPanel from '../cashflow/CashFlowPanel';
+
+// --- AssetLiabilitySections Component ---
+// The breakdown and chart both read the net worth section of the summary.
+const AssetLiabilitySections = ({ netWorth, chartRef }) => {
+  const { exchangeRates } = useMoney();
+  const { typeLabel } = useLanguage();
+  const { assetLabels, assetValues, liabilityLabels, liabilityValues } = getAssetLiabilityData(netWorth, exchangeRates, typeLabel);
+
+  return (
+    <div className="space-y-4">
+      {/* Asset/Liability Breakdown */}
+      <FinancialBreakdown netWorth={netWorth} />
+
+      {/* Assets vs Liabilities Chart */}
+      <AssetLiabilityChart
+        chartRef={chartRef}
+        assetData={{ labels: assetLabels, values: assetValues }}
+        liabilityData={{ labels: liabilityLabels, values: liabilityValues }}
+      />
+    </div>
+  );
+};
+
+// --- OverviewPage Component ---
+// Headline cards, snapshot history, the asset/liability breakdown and cash flow. Each
+// section fails on its own, so a bad or missing part of the summary leaves the rest up.
+const OverviewPage = () => {
+  const {
+    financialData, snapshots, historyRange, setHistoryRange, summaryCards, assetChartRef, userId, onLoginRequired, lastUpdated
+  } = useOutletContext();
+  const { t } = useLanguage();
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      {summaryCards.map(card => (
+        <SectionBoundary key={card.title} title={card.title} resetKey={lastUpdated}>
+          <FinancialSummaryCard {...card} />
+        </SectionBoundary>
+      ))}
+
+      {/* Snapshot History */}
+      <div className="md:col-span-3">
+        <SectionBoundary title={t('section.history')} resetKey={lastUpdated}>
+          <NetWorthHistory snapshots={snapshots} range={historyRange} onRangeChange={setHistoryRange} />
+        </SectionBoundary>
+      </div>
+
+      <div className="md:col-span-3">
+        {financialData.netWorth ? (
+          <SectionBoundary title={t('section.assetsLiabilities')} resetKey={lastUpdated}>
+            <AssetLiabilitySections netWorth={financialData.netWorth} chartRef={assetChartRef} />
+          </SectionBoundary>
+        ) : (
+          <SectionMessage title={t('section.assetsLiabilities')} message={t('section.assetsLiabilities.missing')} />
+        )}
+      </div>
+
+      {/* Cash Flow */}
+      <div className="md:col-span-3">
+        <SectionBoundary title={t('section.cashFlow')} resetKey={lastUpdated}>
+          <CashFlowPanel userId={userId} onLoginRequired={onLoginRequired} />
+        </SectionBoundary>
+      </div>
+    </div>
+  );
+};
+
+export default OverviewPage;
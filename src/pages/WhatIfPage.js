@@ -0,0 +1,21 @@
+import React from 'react';
+import { useOutletContext } from 'react-router-dom';
+import { useLanguage } from '../i18n/LanguageContext';
+import SectionBoundary, { SectionMessage } from '../components/SectionBoundary';
+import ScenarioPanel from '../scenarios/ScenarioPanel';
+
+// --- WhatIfPage Component ---
+const WhatIfPage = () => {
+  const { financialData, lastUpdated } = useOutletContext();
+  const { t } = useLanguage();
+  if (!financialData.netWorth) {
+    return <SectionMessage title={t('section.whatIf')} message={t('section.assetsLiabilities.missing')} />;
+  }
+  return (
+    <SectionBoundary title={t('section.whatIf')} resetKey={lastUpdated}>
+      <ScenarioPanel netWorth={financialData.netWorth} />
+    </SectionBoundary>
+  );
+};
+
+export default WhatIfPage;
@@ -0,0 +1,313 @@
+import React, { useState, useMemo } from 'react';
+import { ChevronDown, ChevronRight, AlertTriangle, ArrowUp, ArrowDown, ArrowUpDown } from 'lucide-react';
+import { Doughnut } from 'react-chartjs-2';
+import '../charts/registerCharts';
+import AccessibleChart from '../charts/AccessibleChart';
+import GlassCard from '../components/GlassCard';
+import AskAboutButton from '../chat/AskAboutButton';
+import { schemeContext } from '../chat/askContext';
+import { useMoney } from '../money/MoneyContext';
+import { useChartTheme } from '../theme/ThemeContext';
+import { useLanguage } from '../i18n/LanguageContext';
+import {
+  normalizeSchemes, portfolioXirr, portfolioTotals, allocationBy, filterSchemes, sortSchemes,
+  underperformanceReason, humanizeEnum
+} from './portfolioAnalytics';
+
+const COLUMNS = [
+  { key: 'name', labelKey: 'portfolio.column.name' },
+  { key: 'invested', labelKey: 'portfolio.invested' },
+  { key: 'current', labelKey: 'portfolio.currentValue' },
+  { key: 'xirr', labelKey: 'portfolio.column.xirr' },
+  { key: 'returns', labelKey: 'portfolio.returns' },
+];
+
+const formatPercent = (value, t) => (value === null ? t('card.notAvailable') : `${value.toFixed(2)}%`);
+const shareOf = (value, total, t) => (total > 0 ? `${((value / total) * 100).toFixed(1)}%` : t('card.notAvailable'));
+
+const selectClassName = 'p-2 bg-gray-800/40 border border-gray-600/40 rounded-lg focus:outline-none focus:ring-1 focus:ring-gray-500 text-gray-300 text-xs';
+
+// --- AllocationChart Component ---
+const AllocationChart = ({ allocation }) => {
+  const { format } = useMoney();
+  const { t } = useLanguage();
+  const chart = useChartTheme();
+  const data = {
+    labels: allocation.map(slice => slice.label),
+    datasets: [{
+      data: allocation.map(slice => slice.value),
+      backgroundColor: chart.palette(allocation.length, 0.7),
+      borderColor: chart.sliceBorder,
+      borderWidth: 1,
+    }],
+  };
+  const total = allocation.reduce((sum, slice) => sum + slice.value, 0);
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: chart.legend({ position: 'right', size: 11 }),
+      tooltip: chart.tooltip({
+        label: (context) => {
+          const share = total > 0 ? ` (${((context.parsed / total) * 100).toFixed(1)}%)` : '';
+          return `${context.label}: ${format(context.parsed)}${share}`;
+        },
+      }),
+    },
+  };
+
+  return (
+    <AccessibleChart
+      label={t('portfolio.allocation')}
+      columns={[t('portfolio.category'), t('portfolio.value'), t('portfolio.share')]}
+      rows={allocation.map(slice => [slice.label, format(slice.value), shareOf(slice.value, total, t)])}
+    >
+      <Doughnut data={data} options={options} />
+    </AccessibleChart>
+  );
+};
+
+// --- TransactionHistory Component ---
+const TransactionHistory = ({ transactions, caption }) => {
+  const { format } = useMoney();
+  const { t, locale } = useLanguage();
+  if (transactions.length === 0) {
+    return <p className="py-2 text-center text-gray-500 text-xs">{t('portfolio.noTransactions')}</p>;
+  }
+  return (
+    <table className="min-w-full">
+      <caption className="sr-only">{caption}</caption>
+      <thead>
+        <tr className="border-b border-gray-600/30">
+          <th scope="col" className="py-2 px-3 text-left text-xs font-medium text-gray-500">{t('portfolio.date')}</th>
+          <th scope="col" className="py-2 px-3 text-left text-xs font-medium text-gray-500">{t('portfolio.type')}</th>
+          <th scope="col" className="py-2 px-3 text-left text-xs font-medium text-gray-500">{t('portfolio.amount')}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {transactions.map((transaction, index) => (
+          <tr key={index} className="border-b border-gray-600/10">
+            <td className="py-2 px-3 text-xs text-gray-400">{new Date(transaction.date).toLocaleDateString(locale)}</td>
+            <td className="py-2 px-3 text-xs text-gray-400">{humanizeEnum(transaction.type)}</td>
+            <td className="py-2 px-3 text-xs text-gray-400">{format(transaction.amount)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+// --- PortfolioView Component ---
+// Mutual fund analytics: totals with portfolio XIRR, allocation by category, and a
+// sortable/filterable scheme table whose rows expand into their transaction history.
+const PortfolioView = ({ mfTransactions }) => {
+  const { format } = useMoney();
+  const language = useLanguage();
+  const { t } = language;
+  const schemes = useMemo(() => normalizeSchemes(mfTransactions), [mfTransactions]);
+  const [filters, setFilters] = useState({ query: '', assetClass: '', amc: '' });
+  const [sort, setSort] = useState({ key: 'current', direction: 'desc' });
+  const [benchmark, setBenchmark] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+
+  const assetClasses = useMemo(() => [...new Set(schemes.map(s => s.assetClass).filter(Boolean))].sort(), [schemes]);
+  const amcs = useMemo(() => [...new Set(schemes.map(s => s.amc).filter(Boolean))].sort(), [schemes]);
+  const totals = useMemo(() => portfolioTotals(schemes), [schemes]);
+  const overallXirr = useMemo(() => portfolioXirr(schemes), [schemes]);
+  const allocation = useMemo(() => allocationBy(schemes, 'category'), [schemes]);
+
+  const benchmarkOverride = benchmark === '' ? undefined : Number(benchmark);
+  const visibleSchemes = sortSchemes(filterSchemes(schemes, filters), sort.key, sort.direction);
+  const underperformerCount = schemes.filter(scheme => underperformanceReason(scheme, benchmarkOverride, language)).length;
+
+  const toggleSort = (key) => {
+    setSort(prev => (prev.key === key
+      ? { key, direction: prev.direction === 'asc' ? 'desc' : 'asc' }
+      : { key, direction: key === 'name' ? 'asc' : 'desc' }));
+  };
+
+  const updateFilter = (field) => (e) => setFilters(prev => ({ ...prev, [field]: e.target.value }));
+
+  const renderSortIcon = (column) => {
+    if (sort.key !== column) return <ArrowUpDown size={12} className="ml-1 opacity-50" />;
+    return sort.direction === 'asc' ? <ArrowUp size={12} className="ml-1" /> : <ArrowDown size={12} className="ml-1" />;
+  };
+
+  return (
+    <GlassCard className="p-4">
+      <h2 className="text-md font-medium text-gray-300 mb-3 text-center">{t('portfolio.title')}</h2>
+      <p className="text-gray-500 mb-4 text-center text-sm">{t('portfolio.subtitle')}</p>
+
+      {schemes.length === 0 ? (
+        <p className="py-6 text-center text-gray-500 text-sm">{t('portfolio.empty')}</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+            {[
+              { label: t('portfolio.invested'), value: format(totals.invested) },
+              { label: t('portfolio.currentValue'), value: format(totals.current) },
+              { label: t('portfolio.returns'), value: format(totals.returns) },
+              { label: t('portfolio.xirr'), value: formatPercent(overallXirr, t) },
+            ].map(stat => (
+              <div key={stat.label} className="p-3 bg-gray-800/40 rounded-lg border border-gray-600/30 text-center">
+                <p className="text-xs text-gray-500">{stat.label}</p>
+                <p className="text-sm font-semibold text-gray-200">{stat.value}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <h3 className="text-sm font-medium text-gray-400 mb-2">{t('portfolio.allocation')}</h3>
+              <AllocationChart allocation={allocation} />
+            </div>
+            <div>
+              <h3 className="text-sm font-medium text-gray-400 mb-2 flex items-center">
+                <AlertTriangle size={14} className="mr-1" />
+                {t('portfolio.underperformers', { count: underperformerCount })}
+              </h3>
+              <label className="flex items-center justify-between text-xs text-gray-500 mb-2">
+                {t('portfolio.benchmark')}
+                <input
+                  type="number"
+                  step="0.5"
+                  className={`${selectClassName} w-32`}
+                  placeholder={t('portfolio.benchmarkDefault')}
+                  value={benchmark}
+                  onChange={(e) => setBenchmark(e.target.value)}
+                />
+              </label>
+              <ul className="space-y-2">
+                {schemes
+                  .map(scheme => ({ scheme, reason: underperformanceReason(scheme, benchmarkOverride, language) }))
+                  .filter(({ reason }) => reason)
+                  .map(({ scheme, reason }) => (
+                    <li key={scheme.id} className="flex justify-between items-center p-2 bg-gray-800/40 rounded-lg border border-gray-600/30">
+                      <span className="text-xs text-gray-300 truncate mr-2">{scheme.name}</span>
+                      <span className="text-xs text-gray-400 whitespace-nowrap">{formatPercent(scheme.xirr, t)} · {reason}</span>
+                    </li>
+                  ))}
+                {underperformerCount === 0 && (
+                  <li className="text-xs text-gray-500 italic">{t('portfolio.allBeatingBenchmark')}</li>
+                )}
+              </ul>
+            </div>
+          </div>
+
+          <div className="flex flex-col sm:flex-row gap-2 mb-3">
+            <input
+              type="search"
+              aria-label={t('portfolio.search')}
+              className={`${selectClassName} flex-grow placeholder-gray-500`}
+              placeholder={t('portfolio.searchPlaceholder')}
+              value={filters.query}
+              onChange={updateFilter('query')}
+            />
+            <select aria-label={t('portfolio.filterAssetClass')} className={selectClassName} value={filters.assetClass} onChange={updateFilter('assetClass')}>
+              <option value="">{t('portfolio.allAssetClasses')}</option>
+              {assetClasses.map(value => <option key={value} value={value}>{humanizeEnum(value)}</option>)}
+            </select>
+            <select aria-label={t('portfolio.filterAmc')} className={selectClassName} value={filters.amc} onChange={updateFilter('amc')}>
+              <option value="">{t('portfolio.allAmcs')}</option>
+              {amcs.map(value => <option key={value} value={value}>{humanizeEnum(value)}</option>)}
+            </select>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full">
+              <caption className="sr-only">
+                {t('portfolio.tableCaption', { shown: visibleSchemes.length, total: schemes.length })}
+              </caption>
+              <thead>
+                <tr className="border-b border-gray-600/30">
+                  {COLUMNS.map(column => (
+                    <th
+                      key={column.key}
+                      scope="col"
+                      aria-sort={sort.key === column.key ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                      className="py-3 px-3 text-left text-xs font-medium text-gray-400"
+                    >
+                      <button onClick={() => toggleSort(column.key)} className="flex items-center hover:text-gray-200">
+                        {t(column.labelKey)}
+                        {renderSortIcon(column.key)}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {visibleSchemes.map(scheme => {
+                  const reason = underperformanceReason(scheme, benchmarkOverride, language);
+                  const isExpanded = expandedId === scheme.id;
+                  const transactionsId = `scheme-transactions-${scheme.id}`;
+                  return (
+                    <React.Fragment key={scheme.id}>
+                      <tr className="border-b border-gray-600/20">
+                        <th scope="row" className="py-3 px-3 text-left text-xs text-gray-300 font-medium">
+                          <div className="flex items-start justify-between">
+                            <button
+                              onClick={() => setExpandedId(isExpanded ? null : scheme.id)}
+                              className="flex items-start text-left hover:text-gray-100"
+                              title={t(isExpanded ? 'portfolio.hideTransactions' : 'portfolio.showTransactions')}
+                              aria-expanded={isExpanded}
+                              aria-controls={isExpanded ? transactionsId : undefined}
+                            >
+                              {isExpanded ? <ChevronDown size={14} className="mr-1 flex-shrink-0" /> : <ChevronRight size={14} className="mr-1 flex-shrink-0" />}
+                              <span>
+                                {scheme.name}
+                                <span className="block text-gray-500 font-normal">
+                                  {humanizeEnum(scheme.category)} · {humanizeEnum(scheme.amc)}
+                                </span>
+                              </span>
+                            </button>
+                            <AskAboutButton context={schemeContext(scheme, language)} className="ml-2 flex-shrink-0" />
+                          </div>
+                        </th>
+                        <td className="py-3 px-3 text-xs text-gray-400">{format(scheme.investedValue)}</td>
+                        <td className="py-3 px-3 text-xs text-gray-400">{format(scheme.currentValue)}</td>
+                        <td className="py-3 px-3 text-xs font-medium">
+                          <span
+                            className={`px-2 py-1 rounded text-xs inline-flex items-center ${
+                              reason
+                                ? 'bg-gray-700/40 text-gray-400 border border-gray-600/30'
+                                : 'bg-gray-600/40 text-gray-300 border border-gray-500/30'
+                            }`}
+                            title={reason || undefined}
+                          >
+                            {reason && <AlertTriangle size={10} className="mr-1" />}
+                            {formatPercent(scheme.xirr, t)}
+                            {reason && <span className="sr-only">, {reason}</span>}
+                          </span>
+                        </td>
+                        <td className="py-3 px-3 text-xs font-medium">
+                          <span className={scheme.returns < 0 ? 'text-gray-400' : 'text-gray-300'}>
+                            {format(scheme.absoluteReturns)}
+                          </span>
+                        </td>
+                      </tr>
+                      {isExpanded && (
+                        <tr id={transactionsId} className="border-b border-gray-600/20 bg-gray-900/30">
+                          <td colSpan={COLUMNS.length} className="px-6 py-2">
+                            <TransactionHistory transactions={scheme.transactions} caption={t('portfolio.transactionsFor', { name: scheme.name })} />
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  );
+                })}
+                {visibleSchemes.length === 0 && (
+                  <tr>
+                    <td colSpan={COLUMNS.length} className="py-6 text-center text-gray-500 text-sm">{t('portfolio.noMatches')}</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </GlassCard>
+  );
+};
+
+export default PortfolioView;
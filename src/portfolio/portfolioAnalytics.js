@@ -0,0 +1,187 @@
+import { moneyToNumber } from '../financeHelpers';
+import { ENGLISH } from '../i18n/translate';
+
+// --- Mutual Fund Portfolio Analytics ---
+// Flattens the backend's mfSchemeAnalytics/transactions into scheme rows and derives
+// allocation, portfolio XIRR and underperformer flags from them.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const XIRR_MAX_ITERATIONS = 100;
+const XIRR_TOLERANCE = 1e-7;
+
+// Default benchmark XIRR (%) per asset class, used when the user hasn't set one
+export const DEFAULT_BENCHMARKS = {
+  EQUITY: 12,
+  DEBT: 7,
+  HYBRID: 9,
+  OTHERS: 8,
+};
+const FALLBACK_BENCHMARK = 8;
+
+/** "LARGE_CAP_FUND" -> "Large Cap Fund" */
+export const humanizeEnum = (value) => {
+  if (!value) return 'Unknown';
+  return String(value)
+    .split('_')
+    .filter(Boolean)
+    .map(word => word.charAt(0) + word.slice(1).toLowerCase())
+    .join(' ');
+};
+
+const toNumberOrNull = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+// Purchases are money going out of the investor's pocket, redemptions money coming back
+const OUTFLOW_TYPES = ['BUY', 'PURCHASE', 'SIP', 'SWITCH_IN'];
+
+const normalizeTransaction = (transaction) => {
+  const amount = moneyToNumber(transaction.transactionAmount) ?? 0;
+  const type = String(transaction.orderType || transaction.externalOrderType || '').toUpperCase();
+  return {
+    date: transaction.transactionDate,
+    type: type || 'UNKNOWN',
+    amount,
+    // Signed from the investor's point of view, as XIRR expects
+    cashflow: OUTFLOW_TYPES.includes(type) ? -amount : amount,
+  };
+};
+
+/** Turns the mfTransactions payload into one row per scheme, with its transactions. */
+export const normalizeSchemes = (mfTransactions) => {
+  const transactions = mfTransactions?.transactions || [];
+  return (mfTransactions?.mfSchemeAnalytics || []).map((mf, index) => {
+    const detail = mf.schemeDetail || {};
+    const analytics = mf.enrichedAnalytics?.analytics?.schemeDetails || {};
+    const isin = mf.isinNumber || detail.isinNumber || null;
+    const invested = moneyToNumber(analytics.investedValue);
+    const current = moneyToNumber(analytics.currentValue);
+
+    return {
+      id: isin || `scheme-${index}`,
+      isin,
+      name: detail.nameData?.longName || 'Unnamed scheme',
+      amc: detail.amc || null,
+      assetClass: detail.assetClass || null,
+      category: detail.categoryName || null,
+      invested,
+      current,
+      xirr: toNumberOrNull(analytics.XIRR),
+      returns: moneyToNumber(analytics.absoluteReturns) ?? (invested !== null && current !== null ? current - invested : null),
+      investedValue: analytics.investedValue,
+      currentValue: analytics.currentValue,
+      absoluteReturns: analytics.absoluteReturns,
+      transactions: isin
+        ? transactions
+          .filter(transaction => transaction.isinNumber === isin)
+          .map(normalizeTransaction)
+          .sort((a, b) => new Date(a.date) - new Date(b.date))
+        : [],
+    };
+  });
+};
+
+/**
+ * Annualised internal rate of return (as a percentage) for dated cashflows, where
+ * investments are negative and redemptions/current value positive. Uses Newton's
+ * method and falls back to bisection; returns null if there is no sign change.
+ */
+export const xirr = (cashflows) => {
+  const flows = cashflows
+    .filter(flow => flow.amount !== 0 && !Number.isNaN(new Date(flow.date).getTime()))
+    .map(flow => ({ amount: flow.amount, time: new Date(flow.date).getTime() }));
+  if (!flows.some(flow => flow.amount < 0) || !flows.some(flow => flow.amount > 0)) return null;
+
+  const start = Math.min(...flows.map(flow => flow.time));
+  const years = flows.map(flow => (flow.time - start) / (365 * DAY_MS));
+  const npv = (rate) => flows.reduce((sum, flow, i) => sum + flow.amount / (1 + rate) ** years[i], 0);
+  const derivative = (rate) => flows.reduce((sum, flow, i) => sum - (years[i] * flow.amount) / (1 + rate) ** (years[i] + 1), 0);
+
+  let rate = 0.1;
+  for (let i = 0; i < XIRR_MAX_ITERATIONS; i++) {
+    const value = npv(rate);
+    const slope = derivative(rate);
+    if (Math.abs(value) < XIRR_TOLERANCE) return rate * 100;
+    if (slope === 0 || !Number.isFinite(slope)) break;
+    const next = rate - value / slope;
+    if (!Number.isFinite(next) || next <= -1) break;
+    if (Math.abs(next - rate) < XIRR_TOLERANCE) return next * 100;
+    rate = next;
+  }
+
+  // Bisection between -99.99% and 10000%
+  let low = -0.9999;
+  let high = 100;
+  if (npv(low) * npv(high) > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const value = npv(mid);
+    if (Math.abs(value) < XIRR_TOLERANCE || high - low < XIRR_TOLERANCE) return mid * 100;
+    if (npv(low) * value < 0) high = mid;
+    else low = mid;
+  }
+  return ((low + high) / 2) * 100;
+};
+
+/**
+ * Portfolio XIRR from every transaction plus today's value as the final inflow. Only
+ * schemes with transaction history count: a holding whose purchases we can't see would
+ * otherwise add its whole value as gain.
+ */
+export const portfolioXirr = (schemes, asOf = new Date()) => {
+  const tracked = schemes.filter(scheme => scheme.transactions.length > 0);
+  const cashflows = tracked.flatMap(scheme => scheme.transactions.map(t => ({ date: t.date, amount: t.cashflow })));
+  if (cashflows.length === 0) return null;
+  const currentValue = tracked.reduce((sum, scheme) => sum + (scheme.current || 0), 0);
+  return xirr([...cashflows, { date: asOf, amount: currentValue }]);
+};
+
+export const portfolioTotals = (schemes) => {
+  const invested = schemes.reduce((sum, scheme) => sum + (scheme.invested || 0), 0);
+  const current = schemes.reduce((sum, scheme) => sum + (scheme.current || 0), 0);
+  return { invested, current, returns: current - invested };
+};
+
+/** Current value grouped by a scheme field (e.g. 'category'), largest first. */
+export const allocationBy = (schemes, field) => {
+  const totals = schemes.reduce((groups, scheme) => {
+    const key = humanizeEnum(scheme[field]);
+    groups[key] = (groups[key] || 0) + (scheme.current || 0);
+    return groups;
+  }, {});
+  return Object.entries(totals)
+    .map(([label, value]) => ({ label, value }))
+    .sort((a, b) => b.value - a.value);
+};
+
+export const benchmarkFor = (scheme, override) => {
+  if (typeof override === 'number' && Number.isFinite(override)) return override;
+  return DEFAULT_BENCHMARKS[scheme.assetClass] ?? FALLBACK_BENCHMARK;
+};
+
+/** Why a scheme underperforms, in `language` (English by default), or null if it doesn't. */
+export const underperformanceReason = (scheme, benchmarkOverride, { t } = ENGLISH) => {
+  if (scheme.xirr === null) return null;
+  if (scheme.xirr < 0) return t('portfolio.reason.negativeXirr');
+  const benchmark = benchmarkFor(scheme, benchmarkOverride);
+  if (scheme.xirr < benchmark) return t('portfolio.reason.belowBenchmark', { benchmark });
+  return null;
+};
+
+export const filterSchemes = (schemes, { query = '', assetClass = '', amc = '' } = {}) => {
+  const needle = query.trim().toLowerCase();
+  return schemes.filter(scheme => (!needle || scheme.name.toLowerCase().includes(needle))
+    && (!assetClass || scheme.assetClass === assetClass)
+    && (!amc || scheme.amc === amc));
+};
+
+/** Sorts by a scheme field; missing values always go last. */
+export const sortSchemes = (schemes, key, direction = 'asc') => {
+  const factor = direction === 'asc' ? 1 : -1;
+  return [...schemes].sort((a, b) => {
+    const left = a[key];
+    const right = b[key];
+    if (left === null || left === undefined) return 1;
+    if (right === null || right === undefined) return -1;
+    if (typeof left === 'string') return left.localeCompare(right) * factor;
+    return (left - right) * factor;
+  });
+};
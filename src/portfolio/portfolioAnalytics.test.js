@@ -0,0 +1,33 @@
+import { portfolioXirr, xirr } from './portfolioAnalytics';
+
+const BOUGHT = '2025-01-01';
+const AS_OF = new Date('2026-01-01');
+
+const scheme = (current, transactions = []) => ({ current, transactions });
+const purchase = (amount, date = BOUGHT) => ({ date, type: 'BUY', amount, cashflow: -amount });
+
+describe('xirr', () => {
+  test('is the annual rate for a one-year holding', () => {
+    expect(xirr([{ date: BOUGHT, amount: -100000 }, { date: AS_OF, amount: 110000 }])).toBeCloseTo(10, 4);
+  });
+
+  test('is null without both money in and money out', () => {
+    expect(xirr([{ date: BOUGHT, amount: -100000 }])).toBeNull();
+  });
+});
+
+describe('portfolioXirr', () => {
+  test('uses every scheme when all have transaction history', () => {
+    const schemes = [scheme(110000, [purchase(100000)]), scheme(55000, [purchase(50000)])];
+    expect(portfolioXirr(schemes, AS_OF)).toBeCloseTo(10, 4);
+  });
+
+  test('leaves out holdings without transaction history instead of counting them as gain', () => {
+    const schemes = [scheme(110000, [purchase(100000)]), scheme(50000)];
+    expect(portfolioXirr(schemes, AS_OF)).toBeCloseTo(10, 4);
+  });
+
+  test('is null when no scheme has transactions', () => {
+    expect(portfolioXirr([scheme(50000), scheme(20000)], AS_OF)).toBeNull();
+  });
+});
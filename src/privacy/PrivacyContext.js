@@ -0,0 +1,95 @@
+import React, { createContext, useContext, useState, useMemo, useCallback, useEffect, useRef } from 'react';
+import { MASKED_VALUE, maskSensitiveText } from './masking';
+
+// --- Privacy Mode ---
+// Hides amounts, credit scores and identifiers for when the dashboard is on a shared
+// screen. Money formatting reads `masked` through MoneyProvider, so anything formatted
+// with useMoney() is covered; other sensitive values go through `mask` or `maskText`.
+// Privacy mode also switches itself on after a stretch of inactivity.
+
+const PRIVACY_STORAGE_KEY = 'finsure.privacy';
+
+// Minutes without input before privacy mode switches on; 0 never does
+export const AUTO_LOCK_OPTIONS = [0, 1, 5, 15, 30];
+
+export const DEFAULT_PRIVACY_PREFERENCES = {
+  masked: false,
+  autoLockMinutes: 5,
+};
+
+// Any of these counts as the user being at the screen
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+const CHECK_INTERVAL_MS = 15 * 1000;
+
+const loadPreferences = () => {
+  try {
+    return { ...DEFAULT_PRIVACY_PREFERENCES, ...JSON.parse(localStorage.getItem(PRIVACY_STORAGE_KEY)) };
+  } catch (error) {
+    return DEFAULT_PRIVACY_PREFERENCES;
+  }
+};
+
+const PrivacyContext = createContext(null);
+
+export const PrivacyProvider = ({ children }) => {
+  const [preferences, setPreferences] = useState(loadPreferences);
+  const lastActivityRef = useRef(Date.now());
+
+  const updatePreferences = useCallback((changes) => {
+    setPreferences(prev => {
+      const next = { ...prev, ...changes };
+      try {
+        localStorage.setItem(PRIVACY_STORAGE_KEY, JSON.stringify(next));
+      } catch (error) {
+        console.error('Error saving privacy preferences:', error);
+      }
+      return next;
+    });
+  }, []);
+
+  const { masked, autoLockMinutes } = preferences;
+
+  useEffect(() => {
+    if (masked || !autoLockMinutes) return undefined;
+    lastActivityRef.current = Date.now();
+
+    const recordActivity = () => {
+      lastActivityRef.current = Date.now();
+    };
+    // Timers are throttled in background tabs, so coming back checks straight away
+    const lockIfIdle = () => {
+      if (Date.now() - lastActivityRef.current >= autoLockMinutes * 60 * 1000) {
+        updatePreferences({ masked: true });
+      }
+    };
+
+    ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, recordActivity, { passive: true }));
+    document.addEventListener('visibilitychange', lockIfIdle);
+    const timer = setInterval(lockIfIdle, CHECK_INTERVAL_MS);
+    return () => {
+      ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, recordActivity));
+      document.removeEventListener('visibilitychange', lockIfIdle);
+      clearInterval(timer);
+    };
+  }, [masked, autoLockMinutes, updatePreferences]);
+
+  const value = useMemo(() => ({
+    preferences,
+    updatePreferences,
+    masked,
+    setMasked: (next) => updatePreferences({ masked: next }),
+    toggleMasked: () => updatePreferences({ masked: !masked }),
+    /** MASKED_VALUE in privacy mode, otherwise `value` unchanged. */
+    mask: (value) => (masked ? MASKED_VALUE : value),
+    /** Free text with its amounts and scores masked in privacy mode. */
+    maskText: (text) => (masked ? maskSensitiveText(text) : text),
+  }), [preferences, updatePreferences, masked]);
+
+  return <PrivacyContext.Provider value={value}>{children}</PrivacyContext.Provider>;
+};
+
+export const usePrivacy = () => {
+  const context = useContext(PrivacyContext);
+  if (!context) throw new Error('usePrivacy must be used inside a PrivacyProvider');
+  return context;
+};
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { Eye, EyeOff, ChevronDown, X } from 'lucide-react';
+import GlassCard from '../components/GlassCard';
+import { KEYBOARD_SHORTCUTS } from '../shortcuts/keyboardShortcuts';
+import { AUTO_LOCK_OPTIONS, usePrivacy } from './PrivacyContext';
+import { useLanguage } from '../i18n/LanguageContext';
+
+const selectClassName = 'w-full mt-1 p-2 bg-gray-800/40 border border-gray-600/40 rounded-lg focus:outline-none focus:ring-1 focus:ring-gray-500 text-gray-300 text-xs';
+
+const autoLockLabel = (minutes, t) => {
+  if (minutes === 0) return t('privacy.autoLock.never');
+  return minutes === 1 ? t('privacy.autoLock.afterOne') : t('privacy.autoLock.after', { minutes });
+};
+
+// --- PrivacySettings Component ---
+// Header toggle for privacy mode, with a popover for the inactivity auto-lock.
+const PrivacySettings = () => {
+  const { t } = useLanguage();
+  const { preferences, updatePreferences, masked, toggleMasked } = usePrivacy();
+  const [isOpen, setIsOpen] = useState(false);
+  const { keys } = KEYBOARD_SHORTCUTS.togglePrivacy;
+  const label = masked ? t('privacy.show') : t('privacy.hide');
+
+  return (
+    <div className="relative flex items-center text-xs text-gray-400 bg-gray-800/40 rounded-lg border border-gray-600/30">
+      <button
+        onClick={toggleMasked}
+        className="px-3 py-1 hover:text-gray-200"
+        title={`${label} (${keys})`}
+        aria-label={label}
+        aria-pressed={masked}
+        aria-keyshortcuts={keys}
+      >
+        {masked ? <EyeOff size={14} /> : <Eye size={14} />}
+      </button>
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="pr-2 py-1 hover:text-gray-200"
+        title={t('privacy.settings')}
+        aria-label={t('privacy.settings')}
+        aria-expanded={isOpen}
+      >
+        <ChevronDown size={12} />
+      </button>
+      {isOpen && (
+        <GlassCard className="absolute right-0 top-full mt-2 w-64 p-4 z-20 space-y-3 bg-gray-900/95">
+          <div className="flex justify-between items-center">
+            <h2 className="text-sm font-medium text-gray-300">{t('privacy.title')}</h2>
+            <button onClick={() => setIsOpen(false)} className="text-gray-500 hover:text-gray-300" title={t('settings.close')}>
+              <X size={14} />
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">
+            {t('privacy.help')}
+          </p>
+          <label className="block text-xs text-gray-500">
+            {t('privacy.autoLock')}
+            <select
+              className={selectClassName}
+              value={preferences.autoLockMinutes}
+              onChange={(e) => updatePreferences({ autoLockMinutes: Number(e.target.value) })}
+            >
+              {AUTO_LOCK_OPTIONS.map(minutes => <option key={minutes} value={minutes}>{autoLockLabel(minutes, t)}</option>)}
+            </select>
+          </label>
+        </GlassCard>
+      )}
+    </div>
+  );
+};
+
+export default PrivacySettings;
@@ -0,0 +1,16 @@
+// --- Sensitive Value Masking ---
+// What privacy mode shows instead of amounts, scores and identifiers. Structured values
+// are swapped for MASKED_VALUE where they're formatted; free text such as chat replies
+// goes through maskSensitiveText, which catches the amounts and scores written in it.
+
+export const MASKED_VALUE = '••••••';
+
+// "₹23,85,610", "Rs. 1.2 lakh", "$1,200.50", "₹50L", "INR 4 crore"
+const AMOUNT_PATTERN = /(?:₹|\bRs\.?|\bINR|\$|€|£)\s?\d[\d,]*(?:\.\d+)?(?:\s?(?:lakhs?|crores?|L|Cr|K|M|B)\b)?/gi;
+// A three-digit number shortly after "score" or "CIBIL", e.g. "score is **762**"
+const SCORE_PATTERN = /\b(score|cibil)(\W[^\d\n]{0,20}?)\b([3-9]\d{2})\b/gi;
+
+/** `text` with money amounts and credit scores replaced by MASKED_VALUE. */
+export const maskSensitiveText = (text) => String(text ?? '')
+  .replace(AMOUNT_PATTERN, MASKED_VALUE)
+  .replace(SCORE_PATTERN, (match, word, between) => `${word}${between}${MASKED_VALUE}`);
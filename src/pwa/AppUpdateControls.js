@@ -0,0 +1,58 @@
+import React, { useState, useEffect } from 'react';
+import { Download, RefreshCw } from 'lucide-react';
+import GlassCard from '../components/GlassCard';
+import { useLanguage } from '../i18n/LanguageContext';
+import { isUpdateAvailable, applyUpdate, subscribeToUpdates } from './serviceWorker';
+import { canInstall, promptInstall, subscribeToInstallPrompt } from './installPrompt';
+
+// Re-renders the caller whenever a pwa module reports a change
+const useSubscription = (subscribe, read) => {
+  const [value, setValue] = useState(read);
+  useEffect(() => {
+    setValue(read());
+    return subscribe(() => setValue(read()));
+  }, [subscribe, read]);
+  return value;
+};
+
+// --- InstallAppButton Component ---
+// Header button shown only while the browser offers to install the dashboard.
+export const InstallAppButton = () => {
+  const installable = useSubscription(subscribeToInstallPrompt, canInstall);
+  const { t } = useLanguage();
+  if (!installable) return null;
+
+  return (
+    <button
+      onClick={() => promptInstall().catch(error => console.error('Error showing install prompt:', error))}
+      className="flex items-center text-xs text-gray-400 bg-gray-800/40 px-3 py-1 rounded-lg border border-gray-600/30 hover:text-gray-200"
+      title={t('pwa.install.title')}
+    >
+      <Download size={14} className="mr-1" />
+      <span className="font-medium">{t('pwa.install')}</span>
+    </button>
+  );
+};
+
+// --- UpdateBanner Component ---
+// Shown once a newly deployed build has been downloaded; reloading switches to it.
+export const UpdateBanner = () => {
+  const updateAvailable = useSubscription(subscribeToUpdates, isUpdateAvailable);
+  const { t } = useLanguage();
+  if (!updateAvailable) return null;
+
+  return (
+    <GlassCard className="flex flex-col sm:flex-row justify-between items-center p-3 mb-4 text-sm" role="status">
+      <p className="flex items-center text-gray-400 mb-2 sm:mb-0">
+        <RefreshCw size={16} className="mr-2 flex-shrink-0" />
+        <span>{t('pwa.update.message')}</span>
+      </p>
+      <button
+        onClick={applyUpdate}
+        className="px-3 py-1 bg-gray-700/60 text-gray-300 rounded-lg border border-gray-600/40 text-xs"
+      >
+        {t('pwa.update.reload')}
+      </button>
+    </GlassCard>
+  );
+};
@@ -0,0 +1,42 @@
+// --- Install Prompt ---
+// Browsers that can install the dashboard as an app fire `beforeinstallprompt` once,
+// early in the page load. The event is held on to here so the header's install button
+// can show the browser's prompt later.
+
+let deferredPrompt = null;
+const listeners = new Set();
+
+const notify = () => listeners.forEach(listener => listener());
+
+/** Starts capturing the install prompt; call once before the app renders. */
+export const listenForInstallPrompt = () => {
+  window.addEventListener('beforeinstallprompt', (event) => {
+    event.preventDefault();
+    deferredPrompt = event;
+    notify();
+  });
+  window.addEventListener('appinstalled', () => {
+    deferredPrompt = null;
+    notify();
+  });
+};
+
+export const canInstall = () => Boolean(deferredPrompt);
+
+/** Shows the browser's install prompt; resolves with 'accepted', 'dismissed' or 'unavailable'. */
+export const promptInstall = async () => {
+  const prompt = deferredPrompt;
+  if (!prompt) return 'unavailable';
+  // Each captured event can only be prompted once
+  deferredPrompt = null;
+  notify();
+  await prompt.prompt();
+  const { outcome } = await prompt.userChoice;
+  return outcome;
+};
+
+/** Calls `listener` when installing becomes possible or stops being; returns an unsubscribe function. */
+export const subscribeToInstallPrompt = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
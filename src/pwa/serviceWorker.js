@@ -0,0 +1,43 @@
+import { Workbox } from 'workbox-window';
+
+// --- Service Worker Registration ---
+// Registers the service worker built from src/service-worker.js (production builds only;
+// the dev server has none). When a newly deployed build has installed and is waiting,
+// subscribers are told so the page can offer to reload into it.
+
+// Long-lived dashboard tabs look for a new deployment this often
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+let workbox = null;
+let updateAvailable = false;
+const listeners = new Set();
+
+const notify = () => listeners.forEach(listener => listener());
+
+export const registerServiceWorker = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  workbox = new Workbox(`${process.env.PUBLIC_URL}/service-worker.js`);
+  workbox.addEventListener('waiting', () => {
+    updateAvailable = true;
+    notify();
+  });
+  workbox.register()
+    .then(() => setInterval(() => workbox.update(), UPDATE_CHECK_INTERVAL_MS))
+    .catch(error => console.error('Error registering service worker:', error));
+};
+
+export const isUpdateAvailable = () => updateAvailable;
+
+/** Lets the waiting service worker take over, then reloads into the new build. */
+export const applyUpdate = () => {
+  if (!workbox || !updateAvailable) return;
+  workbox.addEventListener('controlling', () => window.location.reload());
+  workbox.messageSkipWaiting();
+};
+
+/** Calls `listener` when an update becomes available; returns an unsubscribe function. */
+export const subscribeToUpdates = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,18 @@
+import { useState, useEffect } from 'react';
+
+/** Whether the browser reports a network connection, updated as it comes and goes. */
+export default function useOnlineStatus() {
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine !== false);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return online;
+}
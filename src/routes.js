@@ -0,0 +1,19 @@
+import { lazy } from 'react';
+import { Home, TrendingUp, CreditCard, Target, FlaskConical, Bell, MessageSquare } from 'lucide-react';
+
+// --- Routes ---
+// One entry per feature page, in navigation order. Pages are code-split so the first
+// load only ships the shell; each page's charts and panels arrive when it is opened.
+// `labelKey` is the nav label's translation key. Keep firebase.json's rewrites in step
+// when adding a path.
+export const ROUTES = [
+  { path: '/', labelKey: 'nav.overview', icon: Home, component: lazy(() => import('./pages/OverviewPage')) },
+  { path: '/investments', labelKey: 'nav.investments', icon: TrendingUp, component: lazy(() => import('./pages/InvestmentsPage')) },
+  { path: '/credit', labelKey: 'nav.credit', icon: CreditCard, component: lazy(() => import('./pages/CreditPage')) },
+  { path: '/goals', labelKey: 'nav.goals', icon: Target, component: lazy(() => import('./pages/GoalsPage')) },
+  { path: '/what-if', labelKey: 'nav.whatIf', icon: FlaskConical, component: lazy(() => import('./pages/WhatIfPage')) },
+  { path: '/alerts', labelKey: 'nav.alerts', icon: Bell, component: lazy(() => import('./pages/AlertsPage')) },
+  { path: '/chat', labelKey: 'nav.chat', icon: MessageSquare, component: lazy(() => import('./pages/ChatPage')) },
+];
+
+export const NotFoundPage = lazy(() => import('./pages/NotFoundPage'));
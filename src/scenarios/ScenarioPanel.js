@@ -0,0 +1,300 @@
+import React, { useState, useMemo } from 'react';
+import { FlaskConical, RotateCcw, Save, Upload, Trash2 } from 'lucide-react';
+import { Line } from 'react-chartjs-2';
+import '../charts/registerCharts';
+import AccessibleChart from '../charts/AccessibleChart';
+import GlassCard from '../components/GlassCard';
+import { useMoney } from '../money/MoneyContext';
+import { useChartTheme } from '../theme/ThemeContext';
+import { useLanguage } from '../i18n/LanguageContext';
+import useScenarios from './useScenarios';
+import {
+  ASSET_CLASSES, BASELINE_SCENARIO, DEFAULT_PROJECTION_YEARS, MAX_PROJECTION_YEARS,
+  scenarioHoldings, projectScenario, describeScenario
+} from './scenarioModel';
+
+const inputClassName = 'w-full p-2 bg-gray-800/40 border border-gray-600/40 rounded-lg focus:outline-none focus:ring-1 focus:ring-gray-500 text-gray-300 text-xs';
+
+const NUMBER_FIELDS = ['equityShock', 'debtShock', 'prepayAmount', 'loanAmount', 'loanRate', 'loanYears', 'monthlySip'];
+
+// The form edits strings so fields can be cleared while typing
+const toInputs = (scenario) => ({
+  ...Object.fromEntries(NUMBER_FIELDS.map(field => [field, String(scenario[field] ?? BASELINE_SCENARIO[field])])),
+  prepayAttribute: scenario.prepayAttribute || '',
+});
+
+const toScenario = (inputs) => {
+  const number = (field, min = 0) => Math.max(min, Number(inputs[field]) || 0);
+  return {
+    equityShock: number('equityShock', -100),
+    debtShock: number('debtShock', -100),
+    prepayAttribute: inputs.prepayAttribute,
+    prepayAmount: number('prepayAmount'),
+    loanAmount: number('loanAmount'),
+    loanRate: number('loanRate'),
+    loanYears: Math.max(1, number('loanYears')),
+    monthlySip: number('monthlySip'),
+  };
+};
+
+const yearLabel = (year, t) => (year === 0 ? t('scenario.now') : t('scenario.year', { year }));
+
+// --- NumberField Component ---
+const NumberField = ({ label, value, onChange, step = 'any', min = '0' }) => (
+  <label className="block text-xs text-gray-500">
+    {label}
+    <input
+      type="number"
+      min={min}
+      step={step}
+      className={`${inputClassName} mt-1`}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    />
+  </label>
+);
+
+// --- ScenarioPanel Component ---
+// Shocks, prepayments, new loans and SIPs applied to today's net worth, projected against
+// the baseline. Saved scenarios can be reloaded and drawn alongside for comparison.
+const ScenarioPanel = ({ netWorth }) => {
+  const { format, formatCompact, exchangeRates } = useMoney();
+  const chart = useChartTheme();
+  const language = useLanguage();
+  const { t } = language;
+  const { scenarios, addScenario, updateScenario, removeScenario } = useScenarios();
+  const [inputs, setInputs] = useState(() => toInputs(BASELINE_SCENARIO));
+  const [yearsInput, setYearsInput] = useState(String(DEFAULT_PROJECTION_YEARS));
+  const [name, setName] = useState('');
+  const setField = (field) => (value) => setInputs(prev => ({ ...prev, [field]: value }));
+
+  const holdings = useMemo(() => scenarioHoldings(netWorth, exchangeRates, language), [netWorth, exchangeRates, language]);
+  const years = Math.min(MAX_PROJECTION_YEARS, Math.max(1, Math.round(Number(yearsInput)) || DEFAULT_PROJECTION_YEARS));
+  const scenario = toScenario(inputs);
+  // Only typed names are stored; an unnamed scenario is described when shown, so its
+  // amounts follow privacy mode and the display currency
+  const scenarioName = (saved) => saved.name || describeScenario(saved, holdings, format, language);
+
+  const baseline = projectScenario(holdings, BASELINE_SCENARIO, years);
+  const draft = projectScenario(holdings, scenario, years);
+  const compared = scenarios
+    .filter(saved => saved.compared)
+    .map(saved => ({ saved, projection: projectScenario(holdings, saved, years) }));
+  const difference = draft.final.netWorth - baseline.final.netWorth;
+  const prepayShortfall = scenario.prepayAttribute && draft.prepaid < scenario.prepayAmount;
+
+  const lineColors = chart.palette(compared.length, 1);
+  const data = {
+    labels: baseline.series.map(point => yearLabel(point.year, t)),
+    datasets: [
+      {
+        label: t('scenario.baseline'),
+        data: baseline.series.map(point => point.netWorth),
+        borderColor: chart.color('500'),
+        borderDash: [6, 4],
+        borderWidth: 1,
+        pointRadius: 0,
+      },
+      {
+        label: t('scenario.thisScenario'),
+        data: draft.series.map(point => point.netWorth),
+        borderColor: chart.series('200').line,
+        backgroundColor: chart.series('200').fill,
+        borderWidth: 2,
+        pointRadius: 0,
+        tension: 0.3,
+      },
+      ...compared.map(({ saved, projection }, index) => ({
+        label: scenarioName(saved),
+        data: projection.series.map(point => point.netWorth),
+        borderColor: lineColors[index],
+        backgroundColor: lineColors[index],
+        borderWidth: 1.5,
+        pointRadius: 0,
+        tension: 0.3,
+      })),
+    ],
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: chart.legend({ size: 11 }),
+      tooltip: chart.tooltip({
+        label: (context) => `${context.dataset.label}: ${format(context.parsed.y)}`,
+      }),
+    },
+    scales: {
+      x: chart.categoryAxis({ maxTicksLimit: 8 }),
+      y: chart.valueAxis({ beginAtZero: false, callback: formatCompact }),
+    },
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    addScenario({ ...scenario, name: name.trim(), compared: true });
+    setName('');
+  };
+
+  return (
+    <GlassCard className="p-4">
+      <div className="flex justify-between items-center mb-3">
+        <h2 className="text-md font-medium text-gray-300 flex items-center">
+          <FlaskConical size={16} className="mr-2" />
+          {t('scenario.title')}
+        </h2>
+        <button
+          onClick={() => setInputs(toInputs(BASELINE_SCENARIO))}
+          className="px-2 py-1 rounded-lg text-xs border bg-gray-800/40 text-gray-400 border-gray-600/30 hover:text-gray-200 flex items-center"
+        >
+          <RotateCcw size={12} className="mr-1" />
+          {t('scenario.reset')}
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mb-3">
+        {t('scenario.assumptions', {
+          netWorth: format(baseline.series[0].netWorth),
+          returns: Object.entries(ASSET_CLASSES)
+            .map(([id, assetClass]) => `${t(`scenario.assetClass.${id}`)} ${assetClass.expectedReturn}%`)
+            .join(', '),
+        })}
+      </p>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-3">
+        <NumberField label={t('scenario.equityShock')} value={inputs.equityShock} onChange={setField('equityShock')} step="5" min="-100" />
+        <NumberField label={t('scenario.debtShock')} value={inputs.debtShock} onChange={setField('debtShock')} step="1" min="-100" />
+        <NumberField label={t('scenario.monthlySip')} value={inputs.monthlySip} onChange={setField('monthlySip')} step="1000" />
+        <NumberField label={t('scenario.years')} value={yearsInput} onChange={setYearsInput} step="1" min="1" />
+        <label className="block text-xs text-gray-500">
+          {t('scenario.prepayLiability')}
+          <select className={`${inputClassName} mt-1`} value={inputs.prepayAttribute} onChange={(e) => setField('prepayAttribute')(e.target.value)}>
+            <option value="">{t('scenario.noPrepayment')}</option>
+            {holdings.liabilities.map(liability => (
+              <option key={liability.attribute} value={liability.attribute}>{liability.label} ({format(liability.amount)})</option>
+            ))}
+          </select>
+        </label>
+        <NumberField label={t('scenario.prepayAmount')} value={inputs.prepayAmount} onChange={setField('prepayAmount')} step="10000" />
+        <NumberField label={t('scenario.loanAmount')} value={inputs.loanAmount} onChange={setField('loanAmount')} step="100000" />
+        <div className="grid grid-cols-2 gap-2">
+          <NumberField label={t('scenario.loanRate')} value={inputs.loanRate} onChange={setField('loanRate')} step="0.1" />
+          <NumberField label={t('scenario.loanYears')} value={inputs.loanYears} onChange={setField('loanYears')} step="1" min="1" />
+        </div>
+      </div>
+      {prepayShortfall && (
+        <p className="text-xs text-gray-400 mb-3">
+          {t('scenario.prepayShortfall', { amount: format(draft.prepaid) })}
+        </p>
+      )}
+
+      <div className="grid grid-cols-3 gap-3 mb-3">
+        {[
+          { label: t('scenario.baselineIn', { years }), value: format(baseline.final.netWorth) },
+          { label: t('scenario.scenarioIn', { years }), value: format(draft.final.netWorth) },
+          { label: t('scenario.difference'), value: `${difference > 0 ? '+' : ''}${format(difference)}` },
+        ].map(stat => (
+          <div key={stat.label} className="p-3 bg-gray-800/40 rounded-lg border border-gray-600/30 text-center">
+            <p className="text-xs text-gray-500">{stat.label}</p>
+            <p className="text-sm font-semibold text-gray-200">{stat.value}</p>
+          </div>
+        ))}
+      </div>
+
+      <AccessibleChart
+        label={t('scenario.chartLabel')}
+        summary={t(
+          compared.length === 0 ? 'scenario.chartSummary'
+            : compared.length === 1 ? 'scenario.chartSummaryComparedOne' : 'scenario.chartSummaryCompared',
+          { years, scenario: format(draft.final.netWorth), baseline: format(baseline.final.netWorth), count: compared.length }
+        )}
+        columns={[
+          t('scenario.yearColumn'), t('scenario.baseline'), t('scenario.thisScenario'),
+          ...compared.map(({ saved }) => scenarioName(saved)),
+        ]}
+        rows={baseline.series.map((point, index) => [
+          yearLabel(point.year, t),
+          format(point.netWorth),
+          format(draft.series[index].netWorth),
+          ...compared.map(({ projection }) => format(projection.series[index].netWorth)),
+        ])}
+      >
+        <Line data={data} options={options} />
+      </AccessibleChart>
+
+      <form onSubmit={handleSave} className="flex items-center space-x-2 mt-4 mb-3">
+        <input
+          type="text"
+          aria-label={t('scenario.name')}
+          placeholder={describeScenario(scenario, holdings, format, language)}
+          className={`${inputClassName} placeholder-gray-500`}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button
+          type="submit"
+          className="px-2 py-2 rounded-lg text-xs border bg-gray-700/60 text-gray-200 border-gray-500/40 flex items-center whitespace-nowrap"
+        >
+          <Save size={12} className="mr-1" />
+          {t('scenario.save')}
+        </button>
+      </form>
+
+      <ul className="space-y-2">
+        {scenarios.map(saved => {
+          const projection = projectScenario(holdings, saved, years);
+          const savedDifference = projection.final.netWorth - baseline.final.netWorth;
+          return (
+            <li key={saved.id} className="p-3 bg-gray-800/40 rounded-lg border border-gray-600/30 flex justify-between items-start">
+              <label className="flex items-start text-xs text-gray-300">
+                <input
+                  type="checkbox"
+                  className="mt-0.5 mr-2"
+                  aria-label={t('scenario.compare', { name: scenarioName(saved) })}
+                  checked={Boolean(saved.compared)}
+                  onChange={(e) => updateScenario(saved.id, { compared: e.target.checked })}
+                />
+                <span>
+                  <span className="block font-medium">{scenarioName(saved)}</span>
+                  {saved.name && <span className="block text-gray-500">{describeScenario(saved, holdings, format, language)}</span>}
+                  <span className="block text-gray-400">
+                    {t('scenario.savedResult', {
+                      amount: format(projection.final.netWorth),
+                      years,
+                      difference: `${savedDifference > 0 ? '+' : ''}${format(savedDifference)}`,
+                    })}
+                  </span>
+                </span>
+              </label>
+              <div className="flex space-x-1">
+                <button
+                  onClick={() => setInputs(toInputs(saved))}
+                  className="p-1 text-gray-500 hover:text-gray-300"
+                  title={t('scenario.loadTitle')}
+                  aria-label={t('scenario.load', { name: scenarioName(saved) })}
+                >
+                  <Upload size={12} />
+                </button>
+                <button
+                  onClick={() => removeScenario(saved.id)}
+                  className="p-1 text-gray-500 hover:text-gray-300"
+                  title={t('scenario.deleteTitle')}
+                  aria-label={t('scenario.delete', { name: scenarioName(saved) })}
+                >
+                  <Trash2 size={12} />
+                </button>
+              </div>
+            </li>
+          );
+        })}
+        {scenarios.length === 0 && (
+          <li className="py-4 text-center text-gray-500 text-xs">
+            {t('scenario.empty')}
+          </li>
+        )}
+      </ul>
+    </GlassCard>
+  );
+};
+
+export default ScenarioPanel;
@@ -0,0 +1,68 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { LanguageProvider } from '../i18n/LanguageContext';
+import { ThemeProvider } from '../theme/ThemeContext';
+import { PrivacyProvider } from '../privacy/PrivacyContext';
+import { MoneyProvider } from '../money/MoneyContext';
+import { MASKED_VALUE } from '../privacy/masking';
+import { financialSummaryFixture } from '../api/mock/fixtures';
+import ScenarioPanel from './ScenarioPanel';
+
+// Canvas drawing isn't available in jsdom
+jest.mock('react-chartjs-2', () => ({ Line: () => null }));
+
+const renderPanel = () => render(
+  <LanguageProvider>
+    <ThemeProvider>
+      <PrivacyProvider>
+        <MoneyProvider>
+          <ScenarioPanel netWorth={financialSummaryFixture.netWorth} />
+        </MoneyProvider>
+      </PrivacyProvider>
+    </ThemeProvider>
+  </LanguageProvider>
+);
+
+const storedScenarios = () => JSON.parse(localStorage.getItem('finsure.scenarios'));
+
+beforeAll(() => {
+  global.crypto = { randomUUID: () => Math.random().toString(36).slice(2) };
+});
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('ScenarioPanel', () => {
+  test('describes an unnamed scenario when shown, so privacy mode masks its amounts', () => {
+    localStorage.setItem('finsure.privacy', JSON.stringify({ masked: true }));
+    renderPanel();
+
+    fireEvent.change(screen.getByLabelText('Monthly SIP (₹)'), { target: { value: '10000' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save scenario' }));
+
+    expect(storedScenarios()[0].name).toBe('');
+    expect(screen.getByRole('checkbox', { name: `Compare SIP ${MASKED_VALUE}/month` })).toBeChecked();
+    expect(screen.queryByText(/10,000/)).not.toBeInTheDocument();
+  });
+
+  test('keeps a name the user typed', () => {
+    renderPanel();
+
+    fireEvent.change(screen.getByLabelText('Scenario name'), { target: { value: 'Retire early' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save scenario' }));
+
+    expect(storedScenarios()[0].name).toBe('Retire early');
+    expect(screen.getByRole('checkbox', { name: 'Compare Retire early' })).toBeInTheDocument();
+  });
+
+  test('describes unnamed scenarios in the interface language', () => {
+    localStorage.setItem('finsure.language', 'hi');
+    renderPanel();
+
+    fireEvent.change(screen.getByLabelText('मासिक SIP (₹)'), { target: { value: '10000' } });
+    fireEvent.click(screen.getByRole('button', { name: 'परिदृश्य सहेजें' }));
+
+    expect(screen.getByRole('checkbox', { name: /^SIP .+\/महीना की तुलना करें$/ })).toBeChecked();
+  });
+});
@@ -0,0 +1,157 @@
+import { BASE_CURRENCY, convertMoney, moneyToNumber } from '../money/money';
+import { ENGLISH } from '../i18n/translate';
+import { emi, futureValue, futureValueOfSip, liabilityAssumption } from '../goals/goalPlanning';
+
+// --- Net Worth Scenarios ---
+// What-if projections built from the net worth payload. Amounts are plain numbers in the
+// base currency, rates are annual percentages and shocks are percentage changes. The
+// model is deliberately simple:
+// - each asset compounds at its class's expected return, starting from today's value
+//   after any market shock;
+// - existing loans keep paying their estimated EMI from income, so their balance runs
+//   down; card balances revolve and stay where they are;
+// - a prepayment is paid out of cash and keeps the EMI, so the loan closes sooner;
+// - a new loan's proceeds are spent, and its EMI is also paid from income;
+// - a monthly SIP is new money invested in equity.
+// Labels and descriptions are English unless the caller passes the active language.
+
+// Labelled by the scenario.assetClass.<id> catalog keys
+export const ASSET_CLASSES = {
+  equity: { expectedReturn: 11 },
+  debt: { expectedReturn: 7 },
+  cash: { expectedReturn: 3.5 },
+  other: { expectedReturn: 6 },
+};
+
+const ASSET_TYPE_CLASSES = {
+  ASSET_TYPE_MUTUAL_FUND: 'equity',
+  ASSET_TYPE_INDIAN_SECURITIES: 'equity',
+  ASSET_TYPE_US_SECURITIES: 'equity',
+  ASSET_TYPE_EPF: 'debt',
+  ASSET_TYPE_PPF: 'debt',
+  ASSET_TYPE_FIXED_DEPOSIT: 'debt',
+  ASSET_TYPE_SAVINGS_ACCOUNTS: 'cash',
+};
+
+// EPF earns its declared rate rather than the generic debt return
+const ASSET_TYPE_RETURNS = { ASSET_TYPE_EPF: 8.25 };
+
+const REVOLVING_LIABILITIES = ['LIABILITY_TYPE_CREDIT_CARD'];
+
+export const DEFAULT_PROJECTION_YEARS = 10;
+export const MAX_PROJECTION_YEARS = 40;
+
+/** A scenario that changes nothing; projecting it gives the baseline. */
+export const BASELINE_SCENARIO = {
+  equityShock: 0,
+  debtShock: 0,
+  prepayAttribute: '',
+  prepayAmount: 0,
+  loanAmount: 0,
+  loanRate: 10,
+  loanYears: 5,
+  monthlySip: 0,
+};
+
+const toAmount = (value, exchangeRates) => moneyToNumber(convertMoney(value, BASE_CURRENCY, exchangeRates)) ?? 0;
+
+/** Today's assets and liabilities with the growth and repayment assumptions above. */
+export const scenarioHoldings = (netWorth, exchangeRates, { typeLabel } = ENGLISH) => ({
+  assets: (netWorth?.assetValues || []).map(asset => {
+    const attribute = asset.netWorthAttribute;
+    const assetClass = ASSET_TYPE_CLASSES[attribute] || 'other';
+    return {
+      attribute,
+      label: typeLabel(attribute),
+      assetClass,
+      expectedReturn: ASSET_TYPE_RETURNS[attribute] ?? ASSET_CLASSES[assetClass].expectedReturn,
+      amount: toAmount(asset.value, exchangeRates),
+    };
+  }),
+  liabilities: (netWorth?.liabilityValues || []).map(liability => {
+    const attribute = liability.netWorthAttribute;
+    const amount = toAmount(liability.value, exchangeRates);
+    const revolving = REVOLVING_LIABILITIES.includes(attribute);
+    const { rate, months } = liabilityAssumption(attribute);
+    return {
+      attribute,
+      label: typeLabel(attribute),
+      amount,
+      rate,
+      payment: revolving ? 0 : emi(amount, rate, months),
+      revolving,
+    };
+  }),
+});
+
+/** Balance left on a loan after `months` of paying `payment` a month. */
+const outstandingAfter = ({ amount, rate, payment, revolving }, months) => {
+  if (revolving || amount <= 0) return amount;
+  const monthly = rate / 100 / 12;
+  if (monthly === 0) return Math.max(0, amount - payment * months);
+  const growth = (1 + monthly) ** months;
+  return Math.max(0, amount * growth - (payment * (growth - 1)) / monthly);
+};
+
+/**
+ * Year-by-year projection of `holdings` under `scenario` (fields as in
+ * BASELINE_SCENARIO) for `years` years. Year 0 already reflects the shocks, prepayment
+ * and new loan. `prepaid` is the prepayment actually made, which is capped by the cash
+ * available and the loan's balance.
+ */
+export const projectScenario = (holdings, scenario, years) => {
+  const shocks = { equity: scenario.equityShock, debt: scenario.debtShock };
+  const cash = holdings.assets
+    .filter(asset => asset.assetClass === 'cash')
+    .reduce((sum, asset) => sum + asset.amount, 0);
+  const target = holdings.liabilities.find(liability => liability.attribute === scenario.prepayAttribute);
+  const prepaid = target ? Math.max(0, Math.min(scenario.prepayAmount, target.amount, cash)) : 0;
+
+  const assets = holdings.assets.map(asset => {
+    const shocked = asset.amount * (1 + (shocks[asset.assetClass] || 0) / 100);
+    // The prepayment drains each cash balance in proportion to its size
+    const spent = asset.assetClass === 'cash' && cash > 0 ? prepaid * (asset.amount / cash) : 0;
+    return { ...asset, amount: Math.max(0, shocked - spent) };
+  });
+  const liabilities = holdings.liabilities.map(liability => (
+    liability === target ? { ...liability, amount: liability.amount - prepaid } : liability
+  ));
+  if (scenario.loanAmount > 0) {
+    liabilities.push({
+      attribute: 'NEW_LOAN',
+      amount: scenario.loanAmount,
+      rate: scenario.loanRate,
+      payment: emi(scenario.loanAmount, scenario.loanRate, scenario.loanYears * 12),
+      revolving: false,
+    });
+  }
+
+  const series = Array.from({ length: years + 1 }, (_, year) => {
+    const months = year * 12;
+    const assetTotal = assets.reduce((sum, asset) => sum + futureValue(asset.amount, asset.expectedReturn, months), 0)
+      + futureValueOfSip(scenario.monthlySip, ASSET_CLASSES.equity.expectedReturn, months);
+    const liabilityTotal = liabilities.reduce((sum, liability) => sum + outstandingAfter(liability, months), 0);
+    return { year, assets: assetTotal, liabilities: liabilityTotal, netWorth: assetTotal - liabilityTotal };
+  });
+
+  return { series, prepaid, final: series[series.length - 1] };
+};
+
+/** Short description of what a scenario changes, e.g. "Equity -20% · SIP ₹10,000/month". */
+export const describeScenario = (scenario, holdings, format, { t } = ENGLISH) => {
+  const signed = (value) => `${value > 0 ? '+' : ''}${value}%`;
+  const prepayTarget = holdings.liabilities.find(liability => liability.attribute === scenario.prepayAttribute);
+  const parts = [
+    scenario.equityShock && t('scenario.describe.equity', { change: signed(scenario.equityShock) }),
+    scenario.debtShock && t('scenario.describe.debt', { change: signed(scenario.debtShock) }),
+    prepayTarget && scenario.prepayAmount > 0
+      && t('scenario.describe.prepay', { amount: format(scenario.prepayAmount), liability: prepayTarget.label }),
+    scenario.loanAmount > 0 && t('scenario.describe.loan', {
+      amount: format(scenario.loanAmount),
+      years: scenario.loanYears,
+      rate: scenario.loanRate,
+    }),
+    scenario.monthlySip > 0 && t('scenario.describe.sip', { amount: format(scenario.monthlySip) }),
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(' · ') : t('scenario.describe.none');
+};
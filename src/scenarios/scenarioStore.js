@@ -0,0 +1,40 @@
+import { BASELINE_SCENARIO } from './scenarioModel';
+
+// --- Scenario Store ---
+// Saved what-if scenarios keep only their inputs, in localStorage like goals; they are
+// projected again from the latest net worth whenever they're shown.
+
+const SCENARIOS_STORAGE_KEY = 'finsure.scenarios';
+
+export const loadScenarios = () => {
+  try {
+    const scenarios = JSON.parse(localStorage.getItem(SCENARIOS_STORAGE_KEY));
+    return Array.isArray(scenarios) ? scenarios : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const saveScenarios = (scenarios) => {
+  try {
+    localStorage.setItem(SCENARIOS_STORAGE_KEY, JSON.stringify(scenarios));
+  } catch (error) {
+    console.error('Error saving scenarios:', error);
+  }
+  return scenarios;
+};
+
+export const clearScenarios = () => {
+  try {
+    localStorage.removeItem(SCENARIOS_STORAGE_KEY);
+  } catch (error) {
+    console.error('Error clearing scenarios:', error);
+  }
+};
+
+export const createScenario = (fields) => ({
+  ...BASELINE_SCENARIO,
+  id: crypto.randomUUID(),
+  createdAt: Date.now(),
+  ...fields,
+});
@@ -0,0 +1,17 @@
+import { useState, useCallback } from 'react';
+import { loadScenarios, saveScenarios, createScenario } from './scenarioStore';
+
+/** Saved scenarios kept in sync with localStorage. */
+export default function useScenarios() {
+  const [scenarios, setScenarios] = useState(loadScenarios);
+
+  const update = useCallback((updater) => {
+    setScenarios(prev => saveScenarios(updater(prev)));
+  }, []);
+
+  const addScenario = useCallback((fields) => update(prev => [...prev, createScenario(fields)]), [update]);
+  const updateScenario = useCallback((id, fields) => update(prev => prev.map(scenario => (scenario.id === id ? { ...scenario, ...fields } : scenario))), [update]);
+  const removeScenario = useCallback((id) => update(prev => prev.filter(scenario => scenario.id !== id)), [update]);
+
+  return { scenarios, addScenario, updateScenario, removeScenario };
+}
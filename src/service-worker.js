@@ -0,0 +1,57 @@
+/* eslint-disable no-restricted-globals */
+
+// --- Service Worker ---
+// Built by react-scripts (Workbox InjectManifest) in production builds only. It precaches
+// the app shell so the dashboard opens without a network; the data itself comes from the
+// summary cache and chat history in IndexedDB. A new build waits until the page asks it
+// to take over (the "update available" banner), so a tab never runs mixed versions.
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+// Every file emitted by the build; the manifest is injected here at build time
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Page navigations get the precached index.html, which routes on the client. Firebase's
+// reserved /__/ paths and requests for actual files are left to the network.
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate'
+    && !url.pathname.startsWith('/__/')
+    && !url.pathname.match(fileExtensionRegexp),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Images from public/ that aren't part of the build, such as the logo
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(?:png|jpe?g|ico|svg)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+// Sent by the update banner once the user chooses to reload into the new version
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// Alert notifications open the alert history, in an existing tab when there is one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const alertsUrl = `${self.location.origin}${process.env.PUBLIC_URL}/alerts`;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const existing = windows.find(client => client.url.startsWith(self.location.origin));
+      if (!existing) return self.clients.openWindow(alertsUrl);
+      return existing.focus().then(client => client.navigate(alertsUrl));
+    })
+  );
+});
@@ -0,0 +1,116 @@
+// --- Session Manager ---
+// Keeps the backend session ID stable across reloads and the Fi Money MCP login
+// round-trip. The session is stored in localStorage together with its expiry, which
+// slides forward every time the backend accepts a request.
+
+const SESSION_STORAGE_KEY = 'finsure.session';
+const LEGACY_REDIRECT_FLAG = 'mcpRedirecting';
+
+export const SESSION_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours of inactivity
+
+const LOGIN_POPUP_NAME = 'fi-money-login';
+const LOGIN_POPUP_FEATURES = 'width=480,height=720,menubar=no,toolbar=no';
+const POPUP_POLL_INTERVAL_MS = 500;
+
+// A login callback page can post this message to its opener to finish the popup flow early.
+export const LOGIN_COMPLETE_MESSAGE = 'finsure:login-complete';
+
+const readSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+    return session && typeof session.id === 'string' ? session : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const writeSession = (session) => {
+  localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+  return session;
+};
+
+export const isSessionExpired = (session, now = Date.now()) => !session || session.expiresAt <= now;
+
+export const createSession = () => {
+  const now = Date.now();
+  localStorage.removeItem(LEGACY_REDIRECT_FLAG);
+  return writeSession({
+    id: crypto.randomUUID(),
+    createdAt: now,
+    expiresAt: now + SESSION_TTL_MS,
+    loginPending: false,
+  });
+};
+
+/**
+ * Returns the stored session if it is still valid, otherwise starts a new one.
+ * Sessions left behind by a login redirect are always restored so the backend
+ * sees the same ID it issued the login URL for.
+ */
+export const restoreSession = () => {
+  const session = readSession();
+  if (session && (session.loginPending || !isSessionExpired(session))) {
+    return session;
+  }
+  return createSession();
+};
+
+/** Extends the session's expiry after the backend accepted a request. */
+export const touchSession = (session) => {
+  if (!session) return session;
+  return writeSession({ ...session, expiresAt: Date.now() + SESSION_TTL_MS });
+};
+
+/** Flags the session before a full-page redirect to the Fi Money login. */
+export const markLoginPending = (session) => writeSession({ ...session, loginPending: true });
+
+/** Clears the login flag once we are back from the redirect. Returns whether it was set. */
+export const consumeLoginPending = (session) => {
+  if (!session?.loginPending) return false;
+  writeSession({ ...session, loginPending: false });
+  return true;
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(SESSION_STORAGE_KEY);
+  localStorage.removeItem(LEGACY_REDIRECT_FLAG);
+};
+
+/**
+ * Opens an empty login popup. Call this synchronously from a click handler, before any
+ * await, so the browser doesn't block it. Returns null when popups are blocked.
+ */
+export const reserveLoginPopup = () => {
+  try {
+    return window.open('', LOGIN_POPUP_NAME, LOGIN_POPUP_FEATURES);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Navigates a reserved popup to the login URL and resolves once the user closes it or the
+ * callback page posts LOGIN_COMPLETE_MESSAGE. The popup is closed when the promise settles.
+ */
+export const waitForLoginPopup = (popup, loginUrl) => new Promise((resolve) => {
+  if (loginUrl) {
+    popup.location.href = loginUrl;
+  }
+  popup.focus?.();
+
+  let timer = null;
+  const finish = () => {
+    clearInterval(timer);
+    window.removeEventListener('message', onMessage);
+    if (!popup.closed) popup.close();
+    resolve();
+  };
+  const onMessage = (event) => {
+    if (event.source === popup && event.data?.type === LOGIN_COMPLETE_MESSAGE) finish();
+  };
+
+  window.addEventListener('message', onMessage);
+  timer = setInterval(() => {
+    if (popup.closed) finish();
+  }, POPUP_POLL_INTERVAL_MS);
+});
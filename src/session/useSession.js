@@ -0,0 +1,55 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  restoreSession, createSession, touchSession, markLoginPending, consumeLoginPending, clearSession, isSessionExpired
+} from './sessionManager';
+
+/**
+ * React binding for the session manager. Restores the persisted session on mount and
+ * flips `expired` once its expiry passes, so the UI can ask the user to sign in again.
+ */
+export default function useSession() {
+  // Whether this page load is the return leg of a login redirect
+  const [{ restored, returningFromLogin }] = useState(() => {
+    const stored = restoreSession();
+    const wasPending = consumeLoginPending(stored);
+    return { restored: { ...stored, loginPending: false }, returningFromLogin: wasPending };
+  });
+  const [session, setSession] = useState(restored);
+  const [expired, setExpired] = useState(false);
+  const sessionRef = useRef(session);
+
+  // Storage writes happen synchronously so a redirect right after can't lose them
+  const updateSession = useCallback((next) => {
+    sessionRef.current = next;
+    setSession(next);
+    return next;
+  }, []);
+
+  useEffect(() => {
+    if (!session) return;
+    if (isSessionExpired(session)) {
+      setExpired(true);
+      return;
+    }
+    setExpired(false);
+    const timer = setTimeout(() => setExpired(true), session.expiresAt - Date.now());
+    return () => clearTimeout(timer);
+  }, [session]);
+
+  const touch = useCallback(() => {
+    if (sessionRef.current) updateSession(touchSession(sessionRef.current));
+  }, [updateSession]);
+
+  const renew = useCallback(() => updateSession(createSession()), [updateSession]);
+
+  const prepareLoginRedirect = useCallback(() => {
+    if (sessionRef.current) updateSession(markLoginPending(sessionRef.current));
+  }, [updateSession]);
+
+  const logout = useCallback(() => {
+    clearSession();
+    updateSession(null);
+  }, [updateSession]);
+
+  return { session, expired, returningFromLogin, touch, renew, prepareLoginRedirect, logout };
+}
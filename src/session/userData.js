@@ -0,0 +1,24 @@
+import { clearCachedSummary } from '../api/summaryCache';
+import { clearConversations } from '../chat/chatStore';
+import { writeActiveConversationId } from '../chat/activeConversation';
+import { clearSnapshots } from '../history/snapshotStore';
+import { clearGoals } from '../goals/goalStore';
+import { clearScenarios } from '../scenarios/scenarioStore';
+import { resetRules } from '../cashflow/categorize';
+
+// --- Per-User Data ---
+// Everything the dashboard keeps about the signed-in user's finances, so the next person
+// to sign in on this browser starts clean. Display preferences (theme, language, money
+// format, privacy, voice) and alert rules belong to the browser and stay. Alert history
+// and baselines are cleared through useAlerts, which also holds them in memory.
+
+/** Clears the stored per-user data; failures are logged, not thrown. */
+export const clearUserData = () => {
+  clearCachedSummary().catch(error => console.error('Error clearing cached financial summary:', error));
+  clearConversations().catch(error => console.error('Error clearing chat history:', error));
+  clearSnapshots().catch(error => console.error('Error clearing snapshot history:', error));
+  writeActiveConversationId(null);
+  clearGoals();
+  clearScenarios();
+  resetRules();
+};
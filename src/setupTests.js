@@ -0,0 +1,10 @@
+// jest-dom adds custom jest matchers for asserting on DOM nodes.
+// allows you to do things like:
+// expect(element).toHaveTextContent(/react/i)
+// learn more: https://github.com/testing-library/jest-dom
+import '@testing-library/jest-dom';
+
+// jest-axe adds toHaveNoViolations() for the accessibility suite
+import { toHaveNoViolations } from 'jest-axe';
+
+expect.extend(toHaveNoViolations);
@@ -0,0 +1,34 @@
+// --- Keyboard Shortcuts ---
+// App-wide shortcuts. `keys` uses the aria-keyshortcuts syntax ("Alt+M"), so the same
+// string can be put on the control a shortcut drives. Letters match on the physical key
+// (event.code) because Alt+letter types a symbol on some layouts, e.g. "µ" on macOS.
+
+export const KEYBOARD_SHORTCUTS = {
+  focusChat: { keys: '/', label: 'Focus the chat box' },
+  toggleMic: { keys: 'Alt+M', label: 'Start or stop voice input' },
+  togglePrivacy: { keys: 'Alt+H', label: 'Hide or show sensitive values' },
+};
+
+const MODIFIERS = { Alt: 'altKey', Control: 'ctrlKey', Meta: 'metaKey' };
+
+const parseKeys = (keys) => {
+  const parts = keys.split('+');
+  return { key: parts.pop(), modifiers: parts };
+};
+
+/** True when the shortcut needs Alt, Control or Meta held. */
+export const hasModifier = (keys) => parseKeys(keys).modifiers.length > 0;
+
+/** Whether a keydown event is the given shortcut. Shift is ignored, as "/" needs it on some layouts. */
+export const matchesShortcut = (event, keys) => {
+  const { key, modifiers } = parseKeys(keys);
+  const modifiersMatch = Object.entries(MODIFIERS)
+    .every(([name, property]) => Boolean(event[property]) === modifiers.includes(name));
+  if (!modifiersMatch) return false;
+  return /^[A-Z]$/.test(key) ? event.code === `Key${key}` : event.key === key;
+};
+
+/** Form fields keep plain keys for typing; only modifier shortcuts fire inside them. */
+export const isEditableTarget = (target) => Boolean(target) && (
+  target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+);
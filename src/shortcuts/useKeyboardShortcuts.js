@@ -0,0 +1,32 @@
+import { useEffect, useRef } from 'react';
+import { KEYBOARD_SHORTCUTS, hasModifier, matchesShortcut, isEditableTarget } from './keyboardShortcuts';
+
+// --- useKeyboardShortcuts Hook ---
+// Binds handlers to shortcuts from KEYBOARD_SHORTCUTS, e.g. `{ toggleMic: () => ... }`,
+// for as long as the calling component is mounted. A handled shortcut calls
+// preventDefault(), and already-handled events are skipped: child effects subscribe
+// before their parents', so a component deeper in the tree (the chat) can take a
+// shortcut that the app shell otherwise falls back on.
+const useKeyboardShortcuts = (handlers) => {
+  // Read through a ref so callers can pass a fresh object every render
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.defaultPrevented || event.repeat) return;
+      const match = Object.entries(handlersRef.current).find(([id]) => {
+        const { keys } = KEYBOARD_SHORTCUTS[id];
+        return matchesShortcut(event, keys) && (hasModifier(keys) || !isEditableTarget(event.target));
+      });
+      if (!match) return;
+      event.preventDefault();
+      match[1](event);
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+};
+
+export default useKeyboardShortcuts;
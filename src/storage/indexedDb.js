@@ -0,0 +1,42 @@
+// --- IndexedDB Helpers ---
+// Small promise wrappers shared by the local stores (chat history, snapshots).
+// Every call rejects if IndexedDB is unavailable, so callers can degrade gracefully.
+
+const connections = {};
+
+/**
+ * Opens (and caches) a database. `upgrade(db, oldVersion)` runs on version changes and
+ * should create the object stores and indexes the version needs.
+ */
+export const openDatabase = (name, version, upgrade) => {
+  if (connections[name]) return connections[name];
+
+  const connection = new Promise((resolve, reject) => {
+    if (typeof window === 'undefined' || !window.indexedDB) {
+      reject(new Error('IndexedDB is not available in this browser.'));
+      return;
+    }
+
+    const request = window.indexedDB.open(name, version);
+    request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later call to retry if opening failed
+  connection.catch(() => { delete connections[name]; });
+  connections[name] = connection;
+  return connection;
+};
+
+/** Runs `operation` against one object store and resolves with its request result. */
+export const withStore = async (dbPromise, storeName, mode, operation) => {
+  const db = await dbPromise;
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
@@ -0,0 +1,103 @@
+import React, { createContext, useContext, useState, useMemo, useCallback, useEffect, useLayoutEffect } from 'react';
+import { themeFor, cssVariables } from './tokens';
+import { createChartTheme } from './chartTheme';
+
+// --- Theme Preferences ---
+// Light, dark or follow-the-system, plus an optional high-contrast variant. The resolved
+// theme's tokens are written to the document root as CSS variables, and chart components
+// read the same tokens through useChartTheme().
+
+const THEME_STORAGE_KEY = 'finsure.theme';
+
+export const THEME_MODES = {
+  system: 'theme.mode.system',
+  light: 'theme.mode.light',
+  dark: 'theme.mode.dark',
+};
+
+export const CONTRAST_MODES = {
+  system: 'theme.contrast.system',
+  normal: 'theme.contrast.normal',
+  high: 'theme.contrast.high',
+};
+
+export const DEFAULT_THEME_PREFERENCES = {
+  mode: 'system',
+  contrast: 'system',
+};
+
+const loadPreferences = () => {
+  try {
+    return { ...DEFAULT_THEME_PREFERENCES, ...JSON.parse(localStorage.getItem(THEME_STORAGE_KEY)) };
+  } catch (error) {
+    return DEFAULT_THEME_PREFERENCES;
+  }
+};
+
+const matchesMedia = (query) => typeof window !== 'undefined' && Boolean(window.matchMedia?.(query).matches);
+
+// Tracks a media query so "Match system" follows OS changes while the app is open
+const useMediaQuery = (query) => {
+  const [matches, setMatches] = useState(() => matchesMedia(query));
+
+  useEffect(() => {
+    if (typeof window === 'undefined' || !window.matchMedia) return undefined;
+    const mediaQuery = window.matchMedia(query);
+    const update = () => setMatches(mediaQuery.matches);
+    update();
+    mediaQuery.addEventListener('change', update);
+    return () => mediaQuery.removeEventListener('change', update);
+  }, [query]);
+
+  return matches;
+};
+
+const ThemeContext = createContext(null);
+
+export const ThemeProvider = ({ children }) => {
+  const [preferences, setPreferences] = useState(loadPreferences);
+  const systemPrefersLight = useMediaQuery('(prefers-color-scheme: light)');
+  const systemPrefersContrast = useMediaQuery('(prefers-contrast: more)');
+
+  const updatePreferences = useCallback((changes) => {
+    setPreferences(prev => {
+      const next = { ...prev, ...changes };
+      try {
+        localStorage.setItem(THEME_STORAGE_KEY, JSON.stringify(next));
+      } catch (error) {
+        console.error('Error saving theme preferences:', error);
+      }
+      return next;
+    });
+  }, []);
+
+  const scheme = preferences.mode === 'system' ? (systemPrefersLight ? 'light' : 'dark') : preferences.mode;
+  const highContrast = preferences.contrast === 'system' ? systemPrefersContrast : preferences.contrast === 'high';
+  const theme = themeFor(scheme, highContrast);
+
+  // Before paint, so switching themes never flashes the old colors
+  useLayoutEffect(() => {
+    const root = document.documentElement;
+    Object.entries(cssVariables(theme)).forEach(([name, value]) => root.style.setProperty(name, value));
+    root.dataset.theme = theme.id;
+    root.style.colorScheme = theme.scheme;
+  }, [theme]);
+
+  const value = useMemo(() => ({
+    preferences,
+    updatePreferences,
+    theme,
+    chart: createChartTheme(theme),
+  }), [preferences, updatePreferences, theme]);
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+};
+
+export const useTheme = () => {
+  const context = useContext(ThemeContext);
+  if (!context) throw new Error('useTheme must be used inside a ThemeProvider');
+  return context;
+};
+
+/** Chart.js option builders bound to the active theme. */
+export const useChartTheme = () => useTheme().chart;
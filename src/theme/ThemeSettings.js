@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { Sun, Moon, Monitor, Contrast, X } from 'lucide-react';
+import GlassCard from '../components/GlassCard';
+import { THEME_MODES, CONTRAST_MODES, useTheme } from './ThemeContext';
+import { useLanguage } from '../i18n/LanguageContext';
+
+const MODE_ICONS = { system: Monitor, light: Sun, dark: Moon };
+
+const selectClassName = 'w-full mt-1 p-2 bg-gray-800/40 border border-gray-600/40 rounded-lg focus:outline-none focus:ring-1 focus:ring-gray-500 text-gray-300 text-xs';
+
+// --- ThemeSettings Component ---
+// Header popover for light/dark/system mode and the high-contrast variant.
+const ThemeSettings = () => {
+  const { t } = useLanguage();
+  const { preferences, updatePreferences, theme } = useTheme();
+  const [isOpen, setIsOpen] = useState(false);
+  const ButtonIcon = theme.scheme === 'light' ? Sun : Moon;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="flex items-center text-xs text-gray-400 bg-gray-800/40 px-3 py-1 rounded-lg border border-gray-600/30 hover:text-gray-200"
+        title={t('theme.title')}
+      >
+        <ButtonIcon size={14} />
+        {theme.highContrast && <Contrast size={14} className="ml-1" />}
+      </button>
+      {isOpen && (
+        <GlassCard className="absolute right-0 mt-2 w-64 p-4 z-20 space-y-3 bg-gray-900/95">
+          <div className="flex justify-between items-center">
+            <h2 className="text-sm font-medium text-gray-300">{t('theme.heading')}</h2>
+            <button onClick={() => setIsOpen(false)} className="text-gray-500 hover:text-gray-300" title={t('settings.close')}>
+              <X size={14} />
+            </button>
+          </div>
+          <div className="grid grid-cols-3 gap-1" role="radiogroup" aria-label={t('theme.title')}>
+            {Object.entries(THEME_MODES).map(([id, labelKey]) => {
+              const Icon = MODE_ICONS[id];
+              const isSelected = preferences.mode === id;
+              return (
+                <button
+                  key={id}
+                  role="radio"
+                  aria-checked={isSelected}
+                  onClick={() => updatePreferences({ mode: id })}
+                  className={`flex flex-col items-center p-2 rounded-lg text-xs border ${
+                    isSelected
+                      ? 'bg-gray-700/60 text-gray-200 border-gray-500/40'
+                      : 'bg-gray-800/40 text-gray-400 border-gray-600/30 hover:text-gray-200'
+                  }`}
+                >
+                  <Icon size={16} className="mb-1" />
+                  {t(labelKey)}
+                </button>
+              );
+            })}
+          </div>
+          <label className="block text-xs text-gray-500">
+            {t('theme.contrast')}
+            <select
+              className={selectClassName}
+              value={preferences.contrast}
+              onChange={(e) => updatePreferences({ contrast: e.target.value })}
+            >
+              {Object.entries(CONTRAST_MODES).map(([id, labelKey]) => <option key={id} value={id}>{t(labelKey)}</option>)}
+            </select>
+          </label>
+        </GlassCard>
+      )}
+    </div>
+  );
+};
+
+export default ThemeSettings;
@@ -0,0 +1,65 @@
+import { tokenColor } from './tokens';
+
+// --- Chart Option Builders ---
+// Chart.js takes literal colors, so chart components build their legend, tooltip and axis
+// options through these helpers instead of hard-coding them. The builders are bound to the
+// active theme by useChartTheme(), and a theme change re-renders every chart with new colors.
+
+const FONT_FAMILY = 'Inter';
+
+// Ramp steps used for data series, in the order categorical charts hand them out
+const SERIES_STEPS = ['300', '400', '500', '600', '700', '200'];
+
+export const createChartTheme = (theme) => {
+  const color = (step, alpha = 1) => tokenColor(theme, step, alpha);
+  const font = (size) => ({ family: FONT_FAMILY, size });
+
+  return {
+    theme,
+    color,
+    /** Fill and outline for a series drawn in the given ramp step. */
+    series: (step) => ({ fill: color(step, theme.fillAlpha), line: color(step) }),
+    /** `count` distinct fills for doughnut slices; each lap through the series steps is fainter. */
+    palette: (count, alpha = theme.fillAlpha) => Array.from({ length: count }, (_, index) => {
+      const lap = Math.floor(index / SERIES_STEPS.length);
+      return color(SERIES_STEPS[index % SERIES_STEPS.length], alpha * 0.6 ** lap);
+    }),
+    /** Separator drawn between doughnut slices, matching the card behind them. */
+    sliceBorder: color('800'),
+
+    legend: ({ size = 12, ...rest } = {}) => ({
+      position: 'top',
+      ...rest,
+      labels: {
+        font: font(size),
+        color: color('300'),
+        usePointStyle: true,
+        pointStyle: 'circle',
+      },
+    }),
+
+    tooltip: (callbacks = {}) => ({
+      backgroundColor: color('800', 0.9),
+      titleColor: color('100'),
+      bodyColor: color('100'),
+      footerColor: color('100'),
+      borderColor: color('500', theme.highContrast ? 1 : 0.3),
+      borderWidth: 1,
+      cornerRadius: 8,
+      callbacks,
+    }),
+
+    /** The labelled x axis of bar and line charts. */
+    categoryAxis: ({ size = 11, ...ticks } = {}) => ({
+      grid: { display: false },
+      ticks: { font: font(size), color: color('400'), ...ticks },
+    }),
+
+    /** The value axis, with gridlines and formatted ticks. */
+    valueAxis: ({ size = 11, beginAtZero = true, ...ticks } = {}) => ({
+      beginAtZero,
+      grid: { color: color('500', theme.gridAlpha) },
+      ticks: { font: font(size), color: color('400'), ...ticks },
+    }),
+  };
+};
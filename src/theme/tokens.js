@@ -0,0 +1,84 @@
+// --- Design Tokens ---
+// The UI is drawn from one neutral ramp (gray 50-900). Each theme supplies its own values
+// for the ramp; they are published as CSS variables that Tailwind's `gray` palette reads
+// (see tailwind.config.js), so every `bg-gray-800/30` or `text-gray-300` follows the
+// theme. Charts can't use CSS classes, so they take the same values from here through
+// tokenColor() and the builders in ./chartTheme.
+
+export const NEUTRAL_STEPS = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900'];
+
+// Space-separated RGB channels, the form Tailwind's `<alpha-value>` placeholder expects
+const DARK_NEUTRALS = {
+  50: '249 250 251',
+  100: '243 244 246',
+  200: '229 231 235',
+  300: '209 213 219',
+  400: '156 163 175',
+  500: '107 114 128',
+  600: '75 85 99',
+  700: '55 65 81',
+  800: '31 41 55',
+  900: '17 24 39',
+};
+
+// The ramp flips: 900 is the page background and 50 the strongest text
+const LIGHT_NEUTRALS = {
+  50: '17 24 39',
+  100: '31 41 55',
+  200: '31 41 55',
+  300: '55 65 81',
+  400: '75 85 99',
+  500: '107 114 128',
+  600: '209 213 219',
+  700: '229 231 235',
+  800: '243 244 246',
+  900: '249 250 251',
+};
+
+// High contrast pushes text to the extremes and makes borders and gridlines visible
+const DARK_CONTRAST_NEUTRALS = {
+  50: '255 255 255',
+  100: '255 255 255',
+  200: '255 255 255',
+  300: '243 244 246',
+  400: '229 231 235',
+  500: '209 213 219',
+  600: '156 163 175',
+  700: '75 85 99',
+  800: '17 24 39',
+  900: '0 0 0',
+};
+
+const LIGHT_CONTRAST_NEUTRALS = {
+  50: '0 0 0',
+  100: '0 0 0',
+  200: '0 0 0',
+  300: '17 24 39',
+  400: '31 41 55',
+  500: '55 65 81',
+  600: '75 85 99',
+  700: '209 213 219',
+  800: '255 255 255',
+  900: '255 255 255',
+};
+
+/**
+ * `scheme` drives the browser's own controls (color-scheme); `gridAlpha` and
+ * `fillAlpha` are the chart gridline and series fill opacities.
+ */
+export const THEMES = {
+  dark: { id: 'dark', scheme: 'dark', highContrast: false, neutrals: DARK_NEUTRALS, gridAlpha: 0.2, fillAlpha: 0.6 },
+  light: { id: 'light', scheme: 'light', highContrast: false, neutrals: LIGHT_NEUTRALS, gridAlpha: 0.2, fillAlpha: 0.6 },
+  'dark-contrast': { id: 'dark-contrast', scheme: 'dark', highContrast: true, neutrals: DARK_CONTRAST_NEUTRALS, gridAlpha: 0.5, fillAlpha: 0.85 },
+  'light-contrast': { id: 'light-contrast', scheme: 'light', highContrast: true, neutrals: LIGHT_CONTRAST_NEUTRALS, gridAlpha: 0.5, fillAlpha: 0.85 },
+};
+
+export const themeFor = (scheme, highContrast) => THEMES[highContrast ? `${scheme}-contrast` : scheme] || THEMES.dark;
+
+/** `rgba(...)` for a ramp step, for places that need a literal color (Chart.js). */
+export const tokenColor = (theme, step, alpha = 1) => `rgba(${theme.neutrals[step].split(' ').join(', ')}, ${alpha})`;
+
+/** The CSS custom properties that back Tailwind's gray palette. */
+export const cssVariables = (theme) => Object.fromEntries(
+  NEUTRAL_STEPS.map(step => [`--gray-${step}`, theme.neutrals[step]])
+);
@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from 'react';
+import { X } from 'lucide-react';
+import { VOICE_LANGUAGES, VOICE_MODES, resolveVoiceLang } from './useVoicePreferences';
+import { isSpeechSynthesisSupported, speak, voicesForLanguage } from './speech';
+import { useLanguage } from '../i18n/LanguageContext';
+
+const selectClassName = 'w-full mt-1 p-2 bg-gray-800/40 border border-gray-600/40 rounded-lg focus:outline-none focus:ring-1 focus:ring-gray-500 text-gray-300 text-xs';
+
+// Voices load asynchronously in most browsers and arrive with `voiceschanged`
+const useSynthesisVoices = () => {
+  const [voices, setVoices] = useState(() => (isSpeechSynthesisSupported() ? window.speechSynthesis.getVoices() : []));
+
+  useEffect(() => {
+    if (!isSpeechSynthesisSupported()) return undefined;
+    const update = () => setVoices(window.speechSynthesis.getVoices());
+    window.speechSynthesis.addEventListener('voiceschanged', update);
+    return () => window.speechSynthesis.removeEventListener('voiceschanged', update);
+  }, []);
+
+  return voices;
+};
+
+// --- VoiceSettings Component ---
+// Overlay inside the chat card for recognition language, input mode and spoken replies.
+const VoiceSettings = ({ preferences, onChange, recognitionSupported, onClose }) => {
+  const { t, locale } = useLanguage();
+  const lang = resolveVoiceLang(preferences, locale);
+  const voices = voicesForLanguage(useSynthesisVoices(), lang);
+  const canSpeak = isSpeechSynthesisSupported();
+
+  return (
+    <div className="absolute inset-0 z-10 flex flex-col p-4 rounded-xl bg-gray-900/95 border border-gray-600/40 space-y-3 overflow-y-auto">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-medium text-gray-300">{t('chat.voiceSettings')}</h3>
+        <button onClick={onClose} className="p-1 rounded text-gray-400 hover:text-gray-200" title={t('settings.close')}>
+          <X size={16} />
+        </button>
+      </div>
+
+      {!recognitionSupported && (
+        <p className="text-xs text-gray-500">
+          {t('voice.unsupported')}
+        </p>
+      )}
+
+      <label className="block text-xs text-gray-500">
+        {t('voice.language')}
+        <select className={selectClassName} value={preferences.lang} onChange={(e) => onChange({ lang: e.target.value, voiceURI: '' })}>
+          {VOICE_LANGUAGES.map(language => <option key={language.id} value={language.id}>{language.labelKey ? t(language.labelKey) : language.label}</option>)}
+        </select>
+      </label>
+
+      <label className="block text-xs text-gray-500">
+        {t('voice.mode')}
+        <select className={selectClassName} value={preferences.mode} onChange={(e) => onChange({ mode: e.target.value })}>
+          {Object.entries(VOICE_MODES).map(([id, labelKey]) => <option key={id} value={id}>{t(labelKey)}</option>)}
+        </select>
+      </label>
+      <p className="text-xs text-gray-500 -mt-2">
+        {t(`${VOICE_MODES[preferences.mode]}.hint`)}
+      </p>
+
+      <label className="flex items-center text-xs text-gray-400">
+        <input
+          type="checkbox"
+          className="mr-2"
+          checked={preferences.autoSend}
+          onChange={(e) => onChange({ autoSend: e.target.checked })}
+        />
+        {t('voice.autoSend')}
+      </label>
+
+      <label className="flex items-center text-xs text-gray-400">
+        <input
+          type="checkbox"
+          className="mr-2"
+          checked={preferences.speakReplies}
+          disabled={!canSpeak}
+          onChange={(e) => onChange({ speakReplies: e.target.checked })}
+        />
+        {t('voice.speakReplies')}
+      </label>
+
+      {canSpeak && (
+        <>
+          <label className="block text-xs text-gray-500">
+            {t('voice.voice')}
+            <select className={selectClassName} value={preferences.voiceURI} onChange={(e) => onChange({ voiceURI: e.target.value })}>
+              <option value="">{t('voice.browserDefault')}</option>
+              {voices.map(voice => <option key={voice.voiceURI} value={voice.voiceURI}>{voice.name}</option>)}
+            </select>
+          </label>
+          <label className="block text-xs text-gray-500">
+            {t('voice.rate', { rate: preferences.rate.toFixed(1) })}
+            <input
+              type="range"
+              min="0.5"
+              max="2"
+              step="0.1"
+              className="w-full mt-1"
+              value={preferences.rate}
+              onChange={(e) => onChange({ rate: Number(e.target.value) })}
+            />
+          </label>
+          <button
+            onClick={() => speak(t('voice.sample'), { ...preferences, lang })}
+            className="self-start px-3 py-1 bg-gray-700/60 text-gray-300 rounded-lg border border-gray-600/40 text-xs"
+          >
+            {t('voice.test')}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default VoiceSettings;
@@ -0,0 +1,131 @@
+// --- Speech Recognition Adapters ---
+// Voice input goes through an adapter so browsers without the Web Speech API can plug in
+// another recognizer (e.g. one that records audio and sends it to a transcription
+// service). An adapter is:
+//
+//   {
+//     id: 'my-adapter',
+//     isSupported: () => boolean,
+//     create: ({ lang, continuous, onStart, onResult, onError, onEnd }) => ({ start, stop, abort }),
+//   }
+//
+// where onResult({ transcript, isFinal }) reports each finished phrase once (isFinal) and
+// the text still being recognised as it changes (interim), and onEnd fires once per
+// start(). Register adapters with registerRecognitionAdapter(); the first supported one
+// wins, and the native adapter is always tried first.
+
+const adapters = [];
+
+const getNativeRecognition = () => (typeof window === 'undefined'
+  ? null
+  : window.SpeechRecognition || window.webkitSpeechRecognition || null);
+
+export const nativeRecognitionAdapter = {
+  id: 'native',
+  isSupported: () => Boolean(getNativeRecognition()),
+  create: ({ lang, continuous, onStart, onResult, onError, onEnd }) => {
+    const Recognition = getNativeRecognition();
+    const recognition = new Recognition();
+    recognition.lang = lang;
+    recognition.continuous = continuous;
+    recognition.interimResults = true;
+
+    recognition.onstart = () => onStart?.();
+    recognition.onresult = (event) => {
+      // Finished phrases are reported one by one, the still-changing tail as one interim
+      let interim = '';
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        const result = event.results[i];
+        if (result.isFinal) onResult?.({ transcript: result[0].transcript, isFinal: true });
+        else interim += result[0].transcript;
+      }
+      onResult?.({ transcript: interim, isFinal: false });
+    };
+    recognition.onerror = (event) => onError?.(event.error);
+    recognition.onend = () => onEnd?.();
+
+    return {
+      start: () => recognition.start(),
+      stop: () => recognition.stop(),
+      abort: () => recognition.abort(),
+    };
+  },
+};
+
+/**
+ * Recognizer for browsers without the Web Speech API: records with MediaRecorder and
+ * hands the audio to `transcribe(blob, lang)`, which resolves with the text. Nothing is
+ * registered by default; an integrator opts in with
+ * registerRecognitionAdapter(createRecorderAdapter({ transcribe })).
+ */
+export const createRecorderAdapter = ({ transcribe, id = 'recorder' }) => ({
+  id,
+  isSupported: () => typeof window !== 'undefined'
+    && typeof window.MediaRecorder !== 'undefined'
+    && Boolean(navigator.mediaDevices?.getUserMedia),
+  create: ({ lang, onStart, onResult, onError, onEnd }) => {
+    let recorder = null;
+    let stream = null;
+    let aborted = false;
+    const chunks = [];
+
+    const release = () => stream?.getTracks().forEach(track => track.stop());
+
+    const finish = async () => {
+      release();
+      try {
+        if (!aborted && chunks.length > 0) {
+          const transcript = await transcribe(new Blob(chunks, { type: recorder.mimeType }), lang);
+          if (transcript) onResult?.({ transcript, isFinal: true });
+        }
+      } catch (error) {
+        onError?.(error.message || 'transcription-failed');
+      } finally {
+        onEnd?.();
+      }
+    };
+
+    return {
+      start: async () => {
+        try {
+          stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+          recorder = new window.MediaRecorder(stream);
+          recorder.ondataavailable = (event) => chunks.push(event.data);
+          recorder.onstop = finish;
+          recorder.start();
+          onStart?.();
+        } catch (error) {
+          release();
+          onError?.(error.name === 'NotAllowedError' ? 'not-allowed' : 'audio-capture');
+          onEnd?.();
+        }
+      },
+      stop: () => recorder?.state === 'recording' && recorder.stop(),
+      abort: () => {
+        aborted = true;
+        if (recorder?.state === 'recording') recorder.stop();
+        else release();
+      },
+    };
+  },
+});
+
+export const registerRecognitionAdapter = (adapter) => {
+  if (!adapters.some(existing => existing.id === adapter.id)) adapters.push(adapter);
+};
+
+// Deployments can also supply one as `window.__FINSURE_CONFIG__.speechRecognitionAdapter`
+const runtimeAdapters = () => {
+  const adapter = typeof window !== 'undefined' && window.__FINSURE_CONFIG__?.speechRecognitionAdapter;
+  return adapter ? [adapter] : [];
+};
+
+/** The adapter to use in this browser, or null when voice input is unavailable. */
+export const getRecognitionAdapter = () => [nativeRecognitionAdapter, ...adapters, ...runtimeAdapters()]
+  .find(adapter => {
+    try {
+      return adapter.isSupported();
+    } catch (error) {
+      return false;
+    }
+  }) || null;
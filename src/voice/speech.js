@@ -0,0 +1,47 @@
+// --- Spoken Replies ---
+// Reads AI answers aloud with the browser's speechSynthesis. Markdown is reduced to
+// plain sentences first so the voice doesn't read out asterisks, pipes or chart JSON.
+
+export const isSpeechSynthesisSupported = () => typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+/** Markdown answer -> text suitable for speaking. */
+export const toSpeakableText = (markdown) => String(markdown || '')
+  .replace(/```[\s\S]*?(```|$)/g, ' ')
+  .replace(/`([^`]*)`/g, '$1')
+  .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+[.)])\s+/gm, '')
+  .replace(/^\s*\|?\s*:?-{3,}.*$/gm, '')
+  .replace(/\|/g, ', ')
+  .replace(/(\*\*|__|\*|_|~~)(.+?)\1/g, '$2')
+  .replace(/https?:\/\/\S+/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/** Voices for a BCP 47 language ("hi-IN" also matches plain "hi" voices). */
+export const voicesForLanguage = (voices, lang) => {
+  const base = lang.split('-')[0].toLowerCase();
+  const exact = voices.filter(voice => voice.lang.toLowerCase().replace('_', '-') === lang.toLowerCase());
+  return exact.length > 0 ? exact : voices.filter(voice => voice.lang.toLowerCase().startsWith(base));
+};
+
+export const cancelSpeech = () => {
+  if (isSpeechSynthesisSupported()) window.speechSynthesis.cancel();
+};
+
+/** Speaks `text`, interrupting anything already being read. Resolves when done. */
+export const speak = (text, { lang, voiceURI, rate = 1 } = {}) => new Promise((resolve) => {
+  const speakable = toSpeakableText(text);
+  if (!isSpeechSynthesisSupported() || !speakable) {
+    resolve();
+    return;
+  }
+  window.speechSynthesis.cancel();
+  const utterance = new window.SpeechSynthesisUtterance(speakable);
+  utterance.lang = lang;
+  utterance.rate = rate;
+  const voice = window.speechSynthesis.getVoices().find(option => option.voiceURI === voiceURI);
+  if (voice) utterance.voice = voice;
+  utterance.onend = () => resolve();
+  utterance.onerror = () => resolve();
+  window.speechSynthesis.speak(utterance);
+});
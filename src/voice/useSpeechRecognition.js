@@ -0,0 +1,71 @@
+import { useState, useRef, useCallback, useEffect, useMemo } from 'react';
+import { getRecognitionAdapter } from './recognition';
+
+/**
+ * Drives one recognition session at a time through the active adapter. The finished
+ * transcript is handed to `onFinalTranscript` when the session ends; callbacks are read
+ * from a ref, so they always see the caller's latest state.
+ */
+export default function useSpeechRecognition({ lang, continuous = false, onFinalTranscript, onError }) {
+  const adapter = useMemo(getRecognitionAdapter, []);
+  const [isListening, setIsListening] = useState(false);
+  const [transcript, setTranscript] = useState({ final: '', interim: '' });
+  const sessionRef = useRef(null);
+  const finalTextRef = useRef('');
+  const callbacksRef = useRef({});
+  callbacksRef.current = { onFinalTranscript, onError };
+
+  const start = useCallback(() => {
+    if (!adapter || sessionRef.current) return;
+    finalTextRef.current = '';
+    setTranscript({ final: '', interim: '' });
+
+    const session = adapter.create({
+      lang,
+      continuous,
+      onStart: () => setIsListening(true),
+      onResult: ({ transcript: text, isFinal }) => {
+        if (isFinal) {
+          finalTextRef.current = `${finalTextRef.current} ${text.trim()}`.trim();
+          setTranscript({ final: finalTextRef.current, interim: '' });
+        } else {
+          setTranscript({ final: finalTextRef.current, interim: text.trim() });
+        }
+      },
+      onError: (code) => callbacksRef.current.onError?.(code),
+      onEnd: () => {
+        // An aborted session was already detached and must not send anything
+        if (sessionRef.current !== session) return;
+        sessionRef.current = null;
+        setIsListening(false);
+        setTranscript({ final: finalTextRef.current, interim: '' });
+        callbacksRef.current.onFinalTranscript?.(finalTextRef.current);
+      },
+    });
+    sessionRef.current = session;
+
+    try {
+      session.start();
+    } catch (error) {
+      sessionRef.current = null;
+      setIsListening(false);
+      callbacksRef.current.onError?.(error.message || 'start-failed');
+    }
+  }, [adapter, lang, continuous]);
+
+  const stop = useCallback(() => {
+    sessionRef.current?.stop();
+  }, []);
+
+  const abort = useCallback(() => {
+    const session = sessionRef.current;
+    sessionRef.current = null;
+    setIsListening(false);
+    session?.abort();
+  }, []);
+
+  // Never leave the microphone on after the chat unmounts
+  useEffect(() => abort, [abort]);
+
+  return { isSupported: Boolean(adapter), isListening, transcript, start, stop, abort };
+}
@@ -0,0 +1,65 @@
+import { useState, useCallback } from 'react';
+
+// --- Voice Preferences ---
+// Recognition language, input mode and spoken-reply settings, kept in localStorage. An
+// empty `lang` follows the interface language (see resolveVoiceLang).
+
+const VOICE_PREFERENCES_STORAGE_KEY = 'finsure.voicePreferences';
+
+// Languages are named in themselves; only the first entry comes from the catalogs
+export const VOICE_LANGUAGES = [
+  { id: '', labelKey: 'settings.matchAppLanguage' },
+  { id: 'en-IN', label: 'English (India)' },
+  { id: 'hi-IN', label: 'हिन्दी' },
+  { id: 'en-US', label: 'English (US)' },
+  { id: 'en-GB', label: 'English (UK)' },
+  { id: 'bn-IN', label: 'বাংলা' },
+  { id: 'gu-IN', label: 'ગુજરાતી' },
+  { id: 'kn-IN', label: 'ಕನ್ನಡ' },
+  { id: 'mr-IN', label: 'मराठी' },
+  { id: 'ta-IN', label: 'தமிழ்' },
+  { id: 'te-IN', label: 'తెలుగు' },
+];
+
+export const VOICE_MODES = {
+  push: 'voice.mode.push',
+  dictation: 'voice.mode.dictation',
+};
+
+export const DEFAULT_VOICE_PREFERENCES = {
+  lang: '',
+  mode: 'push',
+  autoSend: true,
+  speakReplies: false,
+  voiceURI: '',
+  rate: 1,
+};
+
+/** The BCP 47 language to listen and speak in, given the interface locale. */
+export const resolveVoiceLang = (preferences, appLocale) => preferences.lang || appLocale;
+
+const loadVoicePreferences = () => {
+  try {
+    return { ...DEFAULT_VOICE_PREFERENCES, ...JSON.parse(localStorage.getItem(VOICE_PREFERENCES_STORAGE_KEY)) };
+  } catch (error) {
+    return DEFAULT_VOICE_PREFERENCES;
+  }
+};
+
+export default function useVoicePreferences() {
+  const [preferences, setPreferences] = useState(loadVoicePreferences);
+
+  const updatePreferences = useCallback((changes) => {
+    setPreferences(prev => {
+      const next = { ...prev, ...changes };
+      try {
+        localStorage.setItem(VOICE_PREFERENCES_STORAGE_KEY, JSON.stringify(next));
+      } catch (error) {
+        console.error('Error saving voice preferences:', error);
+      }
+      return next;
+    });
+  }, []);
+
+  return [preferences, updatePreferences];
+}
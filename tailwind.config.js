@@ -1,9 +1,15 @@
+const NEUTRAL_STEPS = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900'];
+
 /** @type {import('tailwindcss').Config} */
 module.exports = {
-  content: [],
+  content: ['./src/**/*.{js,jsx}', './public/index.html'],
   theme: {
-    extend: {},
+    extend: {
+      // The gray ramp is themed: values come from CSS variables set by src/theme/ThemeContext.js
+      colors: {
+        gray: Object.fromEntries(NEUTRAL_STEPS.map(step => [step, `rgb(var(--gray-${step}) / <alpha-value>)`])),
+      },
+    },
   },
   plugins: [],
 }
-